@@ -1,4 +1,4 @@
-export async function up(queryInterface, Sequelize) {
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
   await queryInterface.createTable('users', {
     id: {
       type: Sequelize.INTEGER,
@@ -33,7 +33,7 @@ export async function up(queryInterface, Sequelize) {
     },
     created_at: Sequelize.DATE,
     updated_at: Sequelize.DATE
-  });
+  }, { transaction });
 }
 
 export async function down(queryInterface) {
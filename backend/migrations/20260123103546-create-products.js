@@ -1,4 +1,4 @@
-export async function up(queryInterface, Sequelize) {
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
   await queryInterface.createTable('products', {
     id: {
       type: Sequelize.INTEGER,
@@ -26,7 +26,7 @@ export async function up(queryInterface, Sequelize) {
     supplier: Sequelize.STRING(100),
     created_at: Sequelize.DATE,
     updated_at: Sequelize.DATE
-  });
+  }, { transaction });
 }
 
 export async function down(queryInterface) {
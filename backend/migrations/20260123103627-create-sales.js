@@ -1,4 +1,4 @@
-export async function up(queryInterface, Sequelize) {
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
   await queryInterface.createTable('sales', {
     id: {
       type: Sequelize.INTEGER,
@@ -38,7 +38,7 @@ export async function up(queryInterface, Sequelize) {
     region: Sequelize.STRING(100),
     created_at: Sequelize.DATE,
     updated_at: Sequelize.DATE
-  });
+  }, { transaction });
 }
 
 export async function down(queryInterface) {
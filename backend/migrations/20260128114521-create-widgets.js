@@ -1,6 +1,6 @@
 'use strict';
 
-export async function up(queryInterface, Sequelize) {
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
   await queryInterface.createTable('widgets', {
     id: {
       type: Sequelize.UUID,
@@ -49,7 +49,7 @@ export async function up(queryInterface, Sequelize) {
       type: Sequelize.DATE,
       defaultValue: Sequelize.literal('NOW()')
     }
-  });
+  }, { transaction });
 }
 
 export async function down(queryInterface) {
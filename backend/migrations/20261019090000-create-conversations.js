@@ -0,0 +1,94 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
+  await queryInterface.createTable('conversations', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.literal('gen_random_uuid()'),
+      primaryKey: true
+    },
+
+    title: {
+      type: Sequelize.STRING
+    },
+
+    created_by: {
+      type: Sequelize.UUID
+    },
+
+    created_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    },
+
+    updated_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    }
+  }, { transaction });
+
+  await queryInterface.createTable('conversation_turns', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.literal('gen_random_uuid()'),
+      primaryKey: true
+    },
+
+    conversation_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'conversations',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    parent_turn_id: {
+      type: Sequelize.UUID,
+      references: {
+        model: 'conversation_turns',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+
+    prompt: {
+      type: Sequelize.TEXT,
+      allowNull: false
+    },
+
+    sql_query: {
+      type: Sequelize.TEXT
+    },
+
+    analysis: {
+      type: Sequelize.JSONB
+    },
+
+    vega_spec: {
+      type: Sequelize.JSONB
+    },
+
+    explanation: {
+      type: Sequelize.TEXT
+    },
+
+    created_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    },
+
+    updated_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    }
+  }, { transaction });
+
+  await queryInterface.addIndex('conversation_turns', ['conversation_id'], { transaction });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('conversation_turns');
+  await queryInterface.dropTable('conversations');
+}
@@ -0,0 +1,53 @@
+'use strict';
+
+// Widgets used to store one vega_spec with the query rows frozen inside.
+// Split it into a data-free spec_template and the last materialized
+// result, so a widget can be refreshed by re-running its SQL.
+
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
+  await queryInterface.addColumn('widgets', 'last_result', {
+    type: Sequelize.JSONB
+  }, { transaction });
+
+  await queryInterface.addColumn('widgets', 'last_refreshed_at', {
+    type: Sequelize.DATE
+  }, { transaction });
+
+  await queryInterface.sequelize.query(`
+    UPDATE widgets
+    SET last_result = jsonb_build_object(
+          'rows', rows,
+          'truncated', false,
+          'totalRowCount', jsonb_array_length(rows)
+        ),
+        last_refreshed_at = updated_at
+    FROM (
+      SELECT id AS widget_id,
+             COALESCE(vega_spec->'data'->'values', '[]'::jsonb) AS rows
+      FROM widgets
+    ) AS frozen
+    WHERE widgets.id = frozen.widget_id
+  `, { transaction });
+
+  await queryInterface.renameColumn('widgets', 'vega_spec', 'spec_template', { transaction });
+
+  await queryInterface.sequelize.query(`
+    UPDATE widgets
+    SET spec_template = jsonb_set(spec_template, '{data}', '{"values": []}'::jsonb)
+  `, { transaction });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.sequelize.query(`
+    UPDATE widgets
+    SET spec_template = jsonb_set(
+      spec_template,
+      '{data}',
+      jsonb_build_object('values', COALESCE(last_result->'rows', '[]'::jsonb))
+    )
+  `);
+
+  await queryInterface.renameColumn('widgets', 'spec_template', 'vega_spec');
+  await queryInterface.removeColumn('widgets', 'last_refreshed_at');
+  await queryInterface.removeColumn('widgets', 'last_result');
+}
@@ -0,0 +1,114 @@
+'use strict';
+
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
+  await queryInterface.createTable('dashboards', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.literal('gen_random_uuid()'),
+      primaryKey: true
+    },
+
+    name: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+
+    description: {
+      type: Sequelize.TEXT
+    },
+
+    created_by: {
+      type: Sequelize.UUID
+    },
+
+    created_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    },
+
+    updated_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    }
+  }, { transaction });
+
+  await queryInterface.createTable('dashboard_widgets', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.literal('gen_random_uuid()'),
+      primaryKey: true
+    },
+
+    dashboard_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'dashboards',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    widget_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'widgets',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    title: {
+      type: Sequelize.STRING
+    },
+
+    x: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    y: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    width: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 6
+    },
+
+    height: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 4
+    },
+
+    sort_order: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    created_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    },
+
+    updated_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    }
+  }, { transaction });
+
+  await queryInterface.addIndex('dashboard_widgets', ['dashboard_id'], { transaction });
+  await queryInterface.addIndex('dashboard_widgets', ['widget_id'], { transaction });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('dashboard_widgets');
+  await queryInterface.dropTable('dashboards');
+}
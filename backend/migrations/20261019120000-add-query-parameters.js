@@ -0,0 +1,23 @@
+'use strict';
+
+// Saved widgets declare the named parameters (:name) their SQL uses, and
+// dashboards remember the filter values applied to all of their widgets.
+
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
+  await queryInterface.addColumn('widgets', 'parameters', {
+    type: Sequelize.JSONB,
+    allowNull: false,
+    defaultValue: []
+  }, { transaction });
+
+  await queryInterface.addColumn('dashboards', 'filter_values', {
+    type: Sequelize.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  }, { transaction });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeColumn('dashboards', 'filter_values');
+  await queryInterface.removeColumn('widgets', 'parameters');
+}
@@ -0,0 +1,16 @@
+'use strict';
+
+// Widgets remember which analytic datasource their SQL runs against.
+// Existing widgets were generated against the built-in datasource.
+
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
+  await queryInterface.addColumn('widgets', 'datasource_id', {
+    type: Sequelize.STRING(63),
+    allowNull: false,
+    defaultValue: 'default'
+  }, { transaction });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeColumn('widgets', 'datasource_id');
+}
@@ -0,0 +1,52 @@
+'use strict';
+
+// Introspected schemas survive restarts, one snapshot per datasource.
+// Widgets record the validation errors their SQL has against the latest
+// snapshot, so charts broken by a migration can be flagged.
+
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
+  await queryInterface.createTable('schema_snapshots', {
+    datasource_id: {
+      type: Sequelize.STRING(63),
+      primaryKey: true
+    },
+
+    fingerprint: {
+      type: Sequelize.STRING(64),
+      allowNull: false
+    },
+
+    schema: {
+      type: Sequelize.JSONB,
+      allowNull: false
+    },
+
+    changes: {
+      type: Sequelize.JSONB
+    },
+
+    scanned_at: {
+      type: Sequelize.DATE,
+      allowNull: false
+    },
+
+    created_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    },
+
+    updated_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    }
+  }, { transaction });
+
+  await queryInterface.addColumn('widgets', 'schema_issues', {
+    type: Sequelize.JSONB
+  }, { transaction });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeColumn('widgets', 'schema_issues');
+  await queryInterface.dropTable('schema_snapshots');
+}
@@ -0,0 +1,115 @@
+'use strict';
+
+// Business glossary: descriptions, synonyms and hidden flags for tables,
+// columns and column values. Every change is kept as a version.
+
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
+  await queryInterface.createTable('schema_annotations', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.literal('gen_random_uuid()'),
+      primaryKey: true
+    },
+
+    datasource_id: {
+      type: Sequelize.STRING(63),
+      allowNull: false
+    },
+
+    table_name: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+
+    column_name: {
+      type: Sequelize.STRING
+    },
+
+    value: {
+      type: Sequelize.TEXT
+    },
+
+    description: {
+      type: Sequelize.TEXT
+    },
+
+    synonyms: {
+      type: Sequelize.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    hidden: {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+
+    version: {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+
+    updated_by: {
+      type: Sequelize.UUID
+    },
+
+    created_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    },
+
+    updated_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    }
+  }, { transaction });
+
+  await queryInterface.addIndex('schema_annotations', ['datasource_id', 'table_name'], { transaction });
+
+  await queryInterface.createTable('schema_annotation_versions', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.literal('gen_random_uuid()'),
+      primaryKey: true
+    },
+
+    // No foreign key: versions stay after the annotation is deleted
+    annotation_id: {
+      type: Sequelize.UUID,
+      allowNull: false
+    },
+
+    version: {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    },
+
+    snapshot: {
+      type: Sequelize.JSONB,
+      allowNull: false
+    },
+
+    action: {
+      type: Sequelize.STRING(16),
+      allowNull: false
+    },
+
+    changed_by: {
+      type: Sequelize.UUID
+    },
+
+    created_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    }
+  }, { transaction });
+
+  await queryInterface.addIndex('schema_annotation_versions', ['annotation_id', 'version'], { unique: true, transaction });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.dropTable('schema_annotation_versions');
+  await queryInterface.dropTable('schema_annotations');
+}
@@ -0,0 +1,112 @@
+'use strict';
+
+// Sign-in accounts and API keys. Widgets, dashboards and conversations
+// are owned by an account through their existing created_by column.
+
+export async function up(queryInterface, Sequelize, { transaction } = {}) {
+  await queryInterface.createTable('accounts', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.literal('gen_random_uuid()'),
+      primaryKey: true
+    },
+
+    email: {
+      type: Sequelize.STRING,
+      allowNull: false,
+      unique: true
+    },
+
+    name: {
+      type: Sequelize.STRING
+    },
+
+    password_hash: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+
+    role: {
+      type: Sequelize.STRING(16),
+      allowNull: false,
+      defaultValue: 'member'
+    },
+
+    team: {
+      type: Sequelize.STRING(63)
+    },
+
+    created_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    },
+
+    updated_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    }
+  }, { transaction });
+
+  await queryInterface.createTable('api_keys', {
+    id: {
+      type: Sequelize.UUID,
+      defaultValue: Sequelize.literal('gen_random_uuid()'),
+      primaryKey: true
+    },
+
+    account_id: {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: {
+        model: 'accounts',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+
+    name: {
+      type: Sequelize.STRING,
+      allowNull: false
+    },
+
+    prefix: {
+      type: Sequelize.STRING(16),
+      allowNull: false
+    },
+
+    key_hash: {
+      type: Sequelize.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+
+    last_used_at: {
+      type: Sequelize.DATE
+    },
+
+    created_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    },
+
+    updated_at: {
+      type: Sequelize.DATE,
+      defaultValue: Sequelize.literal('NOW()')
+    }
+  }, { transaction });
+
+  await queryInterface.addIndex('api_keys', ['account_id'], { transaction });
+
+  // Listings are scoped to their owner
+  await queryInterface.addIndex('widgets', ['created_by'], { transaction });
+  await queryInterface.addIndex('dashboards', ['created_by'], { transaction });
+  await queryInterface.addIndex('conversations', ['created_by'], { transaction });
+}
+
+export async function down(queryInterface) {
+  await queryInterface.removeIndex('conversations', ['created_by']);
+  await queryInterface.removeIndex('dashboards', ['created_by']);
+  await queryInterface.removeIndex('widgets', ['created_by']);
+  await queryInterface.dropTable('api_keys');
+  await queryInterface.dropTable('accounts');
+}
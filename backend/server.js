@@ -7,12 +7,18 @@ import dotenv from 'dotenv';
 
 // Database
 import { sequelize } from './src/models/index.js';
+import { runPendingMigrations } from './src/utils/migrator.js';
 
 // Routes
 // import userRoutes from './src/routes/userRoutes.js';
 // import productRoutes from './src/routes/productRoutes.js';
 // import saleRoutes from './src/routes/saleRoutes.js';
+import apiRoutes, { API_VERSION } from './src/routes/index.js';
 import chartRoutes from './src/routes/aiChartRoutes.js';
+import { authenticate } from './src/middleware/auth.js';
+
+// Uploaded datasets
+import { restoreDatasets } from './src/services/datasetService.js';
 
 // Seeder
 // import { seedDatabase } from './src/utils/seeder.js';
@@ -52,7 +58,10 @@ app.get('/', (req, res) => {
 // app.use('/api/users', userRoutes);
 // app.use('/api/products', productRoutes);
 // app.use('/api/sales', saleRoutes);
-app.use('/api/chart-data', chartRoutes);
+app.use(`/api/${API_VERSION}`, apiRoutes);
+
+// Legacy chart endpoint, kept for existing clients (use /api/v1/charts)
+app.use('/api/chart-data', authenticate, chartRoutes);
 
 // Swagger docs
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
@@ -82,10 +91,18 @@ const initializeApp = async () => {
     await sequelize.authenticate();
     console.log('✅ Database connected');
 
+    // Migrations first: sync would otherwise drop columns they rename
+    console.log('🗄️  Applying migrations...');
+    const migrations = await runPendingMigrations();
+    console.log(`✅ ${migrations.length} migration(s) applied`);
+
     console.log('🔄 Syncing database...');
     await sequelize.sync({ alter: true }); // safer than force:true
     console.log('✅ Database synced');
 
+    const datasetCount = await restoreDatasets();
+    console.log(`✅ ${datasetCount} uploaded dataset(s) registered`);
+
     // console.log('🌱 Seeding database...');
     // await seedDatabase();
     // console.log('✅ Database seeded');
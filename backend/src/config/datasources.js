@@ -0,0 +1,380 @@
+// config/datasources.js
+// Analytic datasources and their connections
+
+import { Sequelize } from 'sequelize';
+import sqlite3 from 'sqlite3';
+import { promisify } from 'util';
+import dotenv from 'dotenv';
+import sequelize from './database.js';
+
+dotenv.config();
+
+// Registry of the analytic datasources charts are generated from
+//
+// The application keeps its own records (widgets, dashboards,
+// conversations) in the metadata database (config/database.js).
+// Generated queries run against a named datasource instead:
+//
+// - "default" is the metadata database, or the Postgres database named by
+//   QUERY_DB_*. Set QUERY_DB_USER / QUERY_DB_PASSWORD to run generated
+//   queries as a dedicated low-privilege user, and/or QUERY_DB_ROLE to
+//   switch to a restricted role inside each query transaction.
+// - DATASOURCES adds more, as a JSON array, e.g.
+//     [{ "id": "warehouse", "name": "Sales warehouse", "dialect": "mysql",
+//        "host": "db.internal", "port": 3306, "database": "sales",
+//        "username": "reader", "passwordEnv": "WAREHOUSE_DB_PASSWORD" },
+//      { "id": "survey", "dialect": "sqlite", "storage": "./data/survey.db" }]
+//   (passwordEnv names the variable holding the password, so it stays
+//   out of the JSON)
+// - DEFAULT_DATASOURCE picks the datasource used when a request names none
+//
+// Connections are opened on first use. SQLite files are opened read-only
+// and MySQL/MariaDB sessions only start read-only transactions.
+
+export const DEFAULT_DATASOURCE_ID = 'default';
+
+export const DATASOURCE_DIALECTS = ['postgres', 'mysql', 'mariadb', 'sqlite'];
+
+// The application's own tables, hidden when the metadata database is
+// also the analytic datasource
+const APP_TABLES = [
+  'widgets', 'dashboards', 'dashboard_widgets', 'conversations', 'conversation_turns', 'schema_snapshots',
+  'schema_annotations', 'schema_annotation_versions', 'accounts', 'api_keys'
+];
+
+const POOL = {
+  max: 5,
+  min: 0,
+  acquire: 30000,
+  idle: 10000
+};
+
+let datasources = null;
+const connections = new Map();
+
+/**
+ * List the configured datasources
+ *
+ * @returns {Array<Object>} { id, name, dialect, database, isDefault } for each datasource
+ */
+export function listDatasources() {
+  return [...loadDatasources().values()].map(toDescriptor);
+}
+
+/**
+ * Get a datasource by id
+ *
+ * @param {string} [datasourceId] - Datasource id (default datasource if omitted)
+ * @returns {Object} { id, name, dialect, database, isDefault }
+ * @throws {DatasourceNotFoundError} If no datasource has this id
+ */
+export function getDatasource(datasourceId) {
+  return toDescriptor(findDatasource(datasourceId));
+}
+
+/**
+ * Get the id of the datasource used when a request names none
+ *
+ * @returns {string} Datasource id
+ */
+export function getDefaultDatasourceId() {
+  return process.env.DEFAULT_DATASOURCE || DEFAULT_DATASOURCE_ID;
+}
+
+/**
+ * Add a datasource at run time
+ *
+ * @param {Object} config - Datasource config (same fields as a DATASOURCES entry)
+ * @returns {Object} Registered datasource descriptor
+ * @throws {InvalidDatasourceError} If the config is invalid or the id is taken
+ */
+export function registerDatasource(config) {
+  const registry = loadDatasources();
+  const datasource = normalizeDatasource(config);
+
+  if (registry.has(datasource.id)) {
+    throw new InvalidDatasourceError(`Datasource "${datasource.id}" already exists`);
+  }
+
+  registry.set(datasource.id, datasource);
+  console.log(`🔌 Registered datasource "${datasource.id}" (${datasource.dialect})`);
+  return toDescriptor(datasource);
+}
+
+/**
+ * Remove a datasource added at run time and close its connection
+ *
+ * @param {string} datasourceId - Datasource id
+ * @returns {Promise<boolean>} True if it was registered
+ */
+export async function unregisterDatasource(datasourceId) {
+  const registry = loadDatasources();
+  if (!registry.delete(datasourceId)) {
+    return false;
+  }
+
+  const connection = connections.get(datasourceId);
+  connections.delete(datasourceId);
+  if (connection && connection !== sequelize) {
+    await connection.close();
+  }
+
+  console.log(`🔌 Removed datasource "${datasourceId}"`);
+  return true;
+}
+
+/**
+ * Get the Sequelize instance for executing generated queries
+ *
+ * @param {string} [datasourceId] - Datasource id (default datasource if omitted)
+ * @returns {Sequelize} Connection to the datasource
+ * @throws {DatasourceNotFoundError} If no datasource has this id
+ */
+export function getQueryConnection(datasourceId) {
+  const datasource = findDatasource(datasourceId);
+
+  if (!connections.has(datasource.id)) {
+    connections.set(datasource.id, createConnection(datasource));
+  }
+
+  return connections.get(datasource.id);
+}
+
+/**
+ * Get the role generated queries switch to, if configured (Postgres only)
+ *
+ * @param {string} [datasourceId] - Datasource id (default datasource if omitted)
+ * @returns {string|null} Role name
+ */
+export function getQueryRole(datasourceId) {
+  return findDatasource(datasourceId).role || null;
+}
+
+/**
+ * Get the tables of a datasource that are not analytic data
+ *
+ * @param {string} [datasourceId] - Datasource id (default datasource if omitted)
+ * @returns {Array<string>} Table names to leave out of the schema
+ */
+export function getHiddenTables(datasourceId) {
+  return findDatasource(datasourceId).hiddenTables;
+}
+
+/**
+ * Look up the full config of a datasource
+ *
+ * @param {string} [datasourceId] - Datasource id
+ * @returns {Object} Normalized datasource config
+ * @throws {DatasourceNotFoundError} If no datasource has this id
+ */
+function findDatasource(datasourceId) {
+  const id = datasourceId || getDefaultDatasourceId();
+  const datasource = loadDatasources().get(id);
+
+  if (!datasource) {
+    throw new DatasourceNotFoundError(id);
+  }
+
+  return datasource;
+}
+
+/**
+ * Build the registry from the environment on first use
+ *
+ * @returns {Map<string, Object>} Datasource configs by id
+ * @throws {InvalidDatasourceError} If DATASOURCES is malformed
+ */
+function loadDatasources() {
+  if (datasources) {
+    return datasources;
+  }
+
+  const registry = new Map();
+  for (const config of [getDefaultDatasourceConfig(), ...parseDatasourceList(process.env.DATASOURCES)]) {
+    const datasource = normalizeDatasource(config);
+    if (registry.has(datasource.id)) {
+      throw new InvalidDatasourceError(`Datasource "${datasource.id}" is configured twice`);
+    }
+    registry.set(datasource.id, datasource);
+  }
+
+  datasources = registry;
+  return datasources;
+}
+
+/**
+ * Config of the built-in datasource (QUERY_DB_* falling back to DB_*)
+ *
+ * @returns {Object} Datasource config
+ */
+function getDefaultDatasourceConfig() {
+  const database = process.env.QUERY_DB_NAME || process.env.DB_NAME;
+  const host = process.env.QUERY_DB_HOST || process.env.DB_HOST;
+  const isMetadataDatabase = database === process.env.DB_NAME && host === process.env.DB_HOST;
+
+  return {
+    id: DEFAULT_DATASOURCE_ID,
+    name: isMetadataDatabase ? 'Application database' : database,
+    dialect: 'postgres',
+    host,
+    port: process.env.QUERY_DB_PORT || process.env.DB_PORT,
+    database,
+    username: process.env.QUERY_DB_USER || process.env.DB_USER,
+    password: process.env.QUERY_DB_USER ? process.env.QUERY_DB_PASSWORD : process.env.DB_PASSWORD,
+    role: process.env.QUERY_DB_ROLE,
+    // Without a dedicated user, queries share the application's pool
+    shared: isMetadataDatabase && !process.env.QUERY_DB_USER,
+    hiddenTables: isMetadataDatabase ? APP_TABLES : []
+  };
+}
+
+/**
+ * Parse the DATASOURCES variable
+ *
+ * @param {string} [value] - JSON array of datasource configs
+ * @returns {Array<Object>} Datasource configs
+ * @throws {InvalidDatasourceError} If the value is not a JSON array
+ */
+function parseDatasourceList(value) {
+  if (!value) return [];
+
+  let list;
+  try {
+    list = JSON.parse(value);
+  } catch (error) {
+    throw new InvalidDatasourceError(`DATASOURCES is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(list)) {
+    throw new InvalidDatasourceError('DATASOURCES must be a JSON array');
+  }
+
+  return list;
+}
+
+/**
+ * Validate a datasource config and fill in defaults
+ *
+ * @param {Object} config - Datasource config
+ * @returns {Object} Normalized config
+ * @throws {InvalidDatasourceError} If a required field is missing or invalid
+ */
+function normalizeDatasource(config) {
+  const id = config?.id;
+  if (typeof id !== 'string' || !/^[a-zA-Z0-9][a-zA-Z0-9_-]{0,62}$/.test(id)) {
+    throw new InvalidDatasourceError(`Datasource id "${id}" must be letters, digits, "_" or "-"`);
+  }
+
+  const dialect = String(config.dialect || '').toLowerCase();
+  if (!DATASOURCE_DIALECTS.includes(dialect)) {
+    throw new InvalidDatasourceError(
+      `Datasource "${id}" has unsupported dialect "${config.dialect}" (use ${DATASOURCE_DIALECTS.join(', ')})`
+    );
+  }
+
+  if (dialect === 'sqlite' ? !config.storage : !config.database) {
+    throw new InvalidDatasourceError(
+      `Datasource "${id}" needs a ${dialect === 'sqlite' ? 'storage file' : 'database name'}`
+    );
+  }
+
+  if (config.role && (dialect !== 'postgres' || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(config.role))) {
+    throw new InvalidDatasourceError(`Datasource "${id}" role must be a plain identifier on a Postgres datasource`);
+  }
+
+  return {
+    id,
+    name: config.name || id,
+    dialect,
+    host: config.host,
+    port: config.port,
+    database: dialect === 'sqlite' ? config.storage : config.database,
+    storage: config.storage,
+    username: config.username,
+    password: config.passwordEnv ? process.env[config.passwordEnv] : config.password,
+    role: config.role || null,
+    shared: config.shared === true,
+    hiddenTables: config.hiddenTables || []
+  };
+}
+
+/**
+ * Open a connection pool for a datasource
+ *
+ * @param {Object} datasource - Normalized datasource config
+ * @returns {Sequelize} Connection
+ */
+function createConnection(datasource) {
+  if (datasource.shared) {
+    return sequelize;
+  }
+
+  if (datasource.dialect === 'sqlite') {
+    console.log(`🔒 Datasource "${datasource.id}" opens ${datasource.storage} read-only`);
+    return new Sequelize({
+      dialect: 'sqlite',
+      storage: datasource.storage,
+      dialectOptions: { mode: sqlite3.OPEN_READONLY },
+      logging: false
+    });
+  }
+
+  const connection = new Sequelize(datasource.database, datasource.username, datasource.password, {
+    host: datasource.host,
+    port: datasource.port,
+    // MariaDB speaks the MySQL protocol
+    dialect: datasource.dialect === 'mariadb' ? 'mysql' : datasource.dialect,
+    logging: false,
+    pool: POOL
+  });
+
+  if (datasource.dialect !== 'postgres') {
+    // MySQL cannot make a transaction read-only once it has started, so
+    // every transaction on these connections is read-only from the outset
+    connection.addHook('afterConnect', async (rawConnection) => {
+      await promisify((cb) => rawConnection.query('SET SESSION TRANSACTION READ ONLY', cb))();
+    });
+  }
+
+  console.log(`🔒 Generated queries on "${datasource.id}" run as database user "${datasource.username}"`);
+  return connection;
+}
+
+/**
+ * Public view of a datasource (no credentials)
+ *
+ * @param {Object} datasource - Normalized datasource config
+ * @returns {Object} { id, name, dialect, database, isDefault }
+ */
+function toDescriptor(datasource) {
+  return {
+    id: datasource.id,
+    name: datasource.name,
+    dialect: datasource.dialect,
+    database: datasource.dialect === 'sqlite' ? null : datasource.database,
+    isDefault: datasource.id === getDefaultDatasourceId()
+  };
+}
+
+/**
+ * Raised when a request names a datasource that is not configured
+ */
+class DatasourceNotFoundError extends Error {
+  constructor(datasourceId) {
+    super(`Datasource "${datasourceId}" not found`);
+    this.name = 'DatasourceNotFoundError';
+    this.datasourceId = datasourceId;
+  }
+}
+
+/**
+ * Raised for a datasource config that cannot be used
+ */
+class InvalidDatasourceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidDatasourceError';
+  }
+}
+
+export { DatasourceNotFoundError, InvalidDatasourceError };
@@ -2,33 +2,59 @@
 // Thin controller - delegates to services and utils
 // Follows separation of concerns principle
 
-import { saveWidget, getLastWidget } from '../services/widgetService.js';
-import { getCachedSchema, clearSchemaCache, getDatabaseStats } from '../utils/databaseSchema.js';
-import { generateChartWithAI, testOpenAIConnection, getModelInfo } from '../services/aiService.js';
-import { executeQuery, validateQuery, testConnection, getDatabaseMetadata } from '../services/databaseService.js';
+import { getDatabaseStats } from '../utils/databaseSchema.js';
+import { getCachedSchema, clearSchemaCache, getSchemaStatus, checkSchema } from '../services/schemaCacheService.js';
+import { testOpenAIConnection, getModelInfo } from '../services/aiService.js';
+import { getSemanticLayer } from '../services/semanticLayerService.js';
+import {
+  testConnection,
+  getDatabaseMetadata,
+  QueryTimeoutError,
+  ReadOnlyViolationError
+} from '../services/databaseService.js';
+import { generateAndExecuteQuery, QueryRepairError } from '../services/chartPipelineService.js';
+import {
+  createConversation,
+  getConversation,
+  addTurn,
+  getTurnLineage,
+  toPromptHistory,
+  ConversationNotFoundError
+} from '../services/conversationService.js';
 import { 
   validateVegaSpec, 
   enhanceVegaSpec, 
   convertChartData, 
   generateChartSummary,
-  suggestAlternativeCharts 
+  suggestAlternativeCharts,
+  normalizeNumericValues,
+  normalizeAnalysis
 } from '../services/chartService.js';
+import { DatasourceNotFoundError } from '../config/datasources.js';
 import { validatePrompt, validateTableName } from '../utils/validation.js';
 import { formatNumber, formatRelativeTime } from '../utils/helpers.js';
 
 /**
  * Generate chart from natural language prompt
  * 
- * @route POST /api/ai-chart
- * @body { prompt: string, options?: Object }
+ * Pass conversationId and parentTurnId to refine an earlier chart
+ * ("now only for Europe", "make it a line chart"). Without a
+ * conversationId a new conversation is started.
+ * 
+ * The query is generated for and run against datasourceId (the default
+ * datasource when omitted).
+ * 
+ * @route POST /api/v1/charts
+ * @body { prompt: string, datasourceId?: string, conversationId?: string, parentTurnId?: string, options?: Object }
  */
 export const generateChartFromPrompt = async (req, res) => {
   const startTime = Date.now();
 
   try {
-    const { prompt, options = {} } = req.body;
+    // Body shape, types and option bounds are enforced by the route's
+    // schema (see schemas/apiSchemas.js); this checks the prompt content
+    const { prompt, datasourceId, conversationId, parentTurnId, options = {} } = req.body;
 
-    // Validate input
     const promptValidation = validatePrompt(prompt);
     if (!promptValidation.valid) {
       return res.status(400).json({
@@ -42,48 +68,32 @@ export const generateChartFromPrompt = async (req, res) => {
 
     // Get database schema
     console.log('🔍 Fetching database schema...');
-    const schema = await getCachedSchema();
-    console.log(`📊 Database: ${schema.database} (${schema.dialect})`);
+    const schema = await getCachedSchema({ datasourceId });
+    console.log(`📊 Database: ${schema.database} (${schema.dialect}, datasource "${schema.datasourceId}")`);
     console.log(`📋 Tables: ${schema.tables.map(t => t.name).join(', ')}`);
 
-    // Generate SQL and Vega spec using AI
+    // Load the conversation thread this prompt follows up on
+    const thread = await resolveConversationThread(conversationId, parentTurnId, req.user);
+
+    // Generate SQL with AI, then validate and execute it
+    // (the model gets a bounded number of chances to repair failing SQL)
     console.log('🤖 Generating chart with AI...');
-    const aiResponse = await generateChartWithAI(prompt, schema);
+    const { aiResponse, data, truncated, totalRowCount, parameters, attempts, tokensUsed } = await generateAndExecuteQuery(prompt, schema, {
+      timeout: options.timeout,
+      maxRows: options.maxRows,
+      maxRepairAttempts: options.maxRepairAttempts,
+      history: thread.history,
+      identity: req.identity
+    });
     console.log('✅ AI generation successful');
 
-    // Validate generated SQL
-    const sqlValidation = validateQuery(aiResponse.sqlQuery, schema);
-    if (!sqlValidation.valid) {
-      return res.status(400).json({
-        success: false,
-        message: 'Generated SQL is invalid',
-        errors: sqlValidation.errors,
-        warnings: sqlValidation.warnings
-      });
-    }
-
-    // Execute query
-    console.log('💾 Executing SQL query...');
-    const data = await executeQuery(aiResponse.sqlQuery, {
-      timeout: options.timeout || 30000,
-      maxRows: options.maxRows || 10000
-    });
+    const conversation = await recordConversationTurn(thread, prompt, aiResponse, req.user);
 
     // 🔥 Normalize numeric values
-    const normalizedData = data.map(row => {
-    const normalized = { ...row };
-     for (const key in normalized) {
-      const value = normalized[key];
-      if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
-      normalized[key] = Number(value);
-     }
-   }
-  return normalized;
-  });
-
+    const normalizedData = normalizeNumericValues(data);
 
     const executionTime = Date.now() - startTime;
-    console.log(`✅ Query completed in ${executionTime}ms, ${data.length} rows`);
+    console.log(`✅ Query completed in ${executionTime}ms, ${data.length} rows${truncated ? ' (truncated)' : ''}`);
 
 if (data.length === 0) {
   const emptySpec = {
@@ -99,9 +109,15 @@ if (data.length === 0) {
     prompt,
     analysis: aiResponse.analysis,
     sql: aiResponse.sqlQuery,
+    parameters,
     dataCount: 0,
+    truncated: false,
+    totalRowCount: 0,
     data: [],
     executionTime,
+    attempts,
+    repaired: attempts.length > 1,
+    conversation,
     message: 'Query executed successfully but returned no data.',
     vegaSpec: emptySpec
   });
@@ -129,29 +145,28 @@ if (data.length === 0) {
     const alternatives = suggestAlternativeCharts(normalizedData,analysis);
 
 
-     // Save widget (don't wait for it)
-    saveWidget({
-      prompt,
-      sqlQuery: aiResponse.sqlQuery,
-      vegaSpec: enhancedVegaSpec,
-      analysis: aiResponse.analysis
-    }).catch(err => console.error('Widget save failed:', err));
-
     // Return response
     res.status(200).json({
       success: true,
       prompt,
       analysis: aiResponse.analysis,
       sql: aiResponse.sqlQuery,
+      parameters,
       dataCount: data.length,
+      truncated,
+      totalRowCount,
       data,
       vegaSpec: enhancedVegaSpec,
       executionTime,
+      attempts,
+      repaired: attempts.length > 1,
       summary,
       alternatives,
       explanation: aiResponse.explanation,
-      tokensUsed: aiResponse.tokensUsed,
+      tokensUsed,
+      conversation,
       database: {
+        datasourceId: schema.datasourceId,
         name: schema.database,
         dialect: schema.dialect
       }
@@ -160,6 +175,44 @@ if (data.length === 0) {
   } catch (error) {
     console.error('❌ Error generating chart:', error);
 
+    if (error instanceof ConversationNotFoundError || error instanceof DatasourceNotFoundError) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error instanceof QueryTimeoutError) {
+      return res.status(408).json({
+        success: false,
+        message: 'Failed to generate chart',
+        error: error.message,
+        executionTime: Date.now() - startTime,
+        hint: 'The query took too long. Narrow it down with a filter (e.g. a date range, region or category) or ask for fewer groups'
+      });
+    }
+
+    if (error instanceof ReadOnlyViolationError) {
+      return res.status(422).json({
+        success: false,
+        message: 'Failed to generate chart',
+        error: error.message,
+        executionTime: Date.now() - startTime,
+        hint: 'Charts can only read data. Rephrase your request as a question about existing data'
+      });
+    }
+
+    // SQL still invalid after every repair attempt
+    if (error instanceof QueryRepairError && error.stage === 'validation') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+        warnings: error.warnings,
+        attempts: error.attempts
+      });
+    }
+
     // Determine error type and respond appropriately
     const statusCode = error.name === 'DatabaseError' ? 500 : 500;
     
@@ -167,34 +220,89 @@ if (data.length === 0) {
       success: false,
       message: 'Failed to generate chart',
       error: error.message,
+      errors: error.errors,
       executionTime: Date.now() - startTime,
+      attempts: error.attempts,
       hint: getErrorHint(error)
     });
   }
 };
 
-function normalizeAnalysis(analysis, data) {
-  const sample = data[0] || {};
-  const numericCols = Object.keys(sample).filter(
-    k => typeof sample[k] === 'number'
-  );
+/**
+ * Resolve the conversation a prompt belongs to and the history to replay
+ * 
+ * @param {string} [conversationId] - Existing conversation id
+ * @param {string} [parentTurnId] - Turn being refined
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object>} { conversationId, parentTurnId, history }
+ * @throws {ConversationNotFoundError} If the conversation or turn does not exist
+ *   (or is not visible to the account)
+ */
+async function resolveConversationThread(conversationId, parentTurnId, owner) {
+  // New conversations are created once the first chart succeeds
+  if (!conversationId) {
+    return { conversationId: null, parentTurnId: null, history: [] };
+  }
+
+  const conversation = await getConversation(conversationId, owner);
+  if (!conversation) {
+    throw new ConversationNotFoundError(`Conversation ${conversationId} not found`);
+  }
 
-  return {
-    ...analysis,
-    groupByField: analysis.groupBy,
-    valueField: numericCols[0] || null
-  };
+  if (!parentTurnId) {
+    return { conversationId, parentTurnId: null, history: [] };
+  }
+
+  const lineage = await getTurnLineage(conversationId, parentTurnId);
+  return { conversationId, parentTurnId, history: toPromptHistory(lineage) };
 }
 
+/**
+ * Store the prompt and generated chart as a new conversation turn,
+ * starting a conversation titled after the prompt if there is none yet
+ * A failure here should not cost the user their chart, so it is only logged
+ * 
+ * @param {Object} thread - Resolved conversation thread
+ * @param {string} prompt - User prompt
+ * @param {Object} aiResponse - AI response for the prompt
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object>} { id, turnId, parentTurnId } (ids are null if saving failed)
+ */
+async function recordConversationTurn(thread, prompt, aiResponse, owner) {
+  let conversationId = thread.conversationId;
+
+  try {
+    if (!conversationId) {
+      conversationId = (await createConversation({ title: prompt }, owner)).id;
+    }
+
+    const turn = await addTurn({
+      conversationId,
+      parentTurnId: thread.parentTurnId,
+      prompt,
+      sqlQuery: aiResponse.sqlQuery,
+      analysis: aiResponse.analysis,
+      vegaSpec: aiResponse.vegaSpec,
+      explanation: aiResponse.explanation
+    });
+
+    return { id: conversationId, turnId: turn.id, parentTurnId: thread.parentTurnId };
+
+  } catch (error) {
+    console.error('Conversation turn save failed:', error);
+    return { id: conversationId, turnId: null, parentTurnId: thread.parentTurnId };
+  }
+}
 
 /**
  * Get example prompts based on database schema
  * 
- * @route GET /api/ai-chart/examples
+ * @route GET /api/v1/charts/examples
+ * @query datasourceId - Datasource to suggest prompts for
  */
 export const getPromptExamples = async (req, res) => {
   try {
-    const schema = await getCachedSchema();
+    const schema = await getCachedSchema({ datasourceId: req.query.datasourceId });
     const tableNames = schema.tables.map(t => t.name);
 
     const examples = {
@@ -249,6 +357,9 @@ export const getPromptExamples = async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error getting examples:', error);
+    if (error instanceof DatasourceNotFoundError) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to generate examples',
@@ -260,13 +371,14 @@ export const getPromptExamples = async (req, res) => {
 /**
  * Get database schema information
  * 
- * @route GET /api/ai-chart/schema
+ * @route GET /api/v1/schema
  * @query refresh - Force refresh cache
+ * @query datasourceId - Datasource to describe
  */
 export const getDatabaseSchemaInfo = async (req, res) => {
   try {
-    const forceRefresh = req.query.refresh === 'true';
-    const schema = await getCachedSchema(forceRefresh);
+    const forceRefresh = req.query.refresh === true;
+    const schema = await getCachedSchema({ datasourceId: req.query.datasourceId, forceRefresh });
 
     res.status(200).json({
       success: true,
@@ -277,6 +389,9 @@ export const getDatabaseSchemaInfo = async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error fetching schema:', error);
+    if (error instanceof DatasourceNotFoundError) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to fetch database schema',
@@ -288,12 +403,15 @@ export const getDatabaseSchemaInfo = async (req, res) => {
 /**
  * Refresh schema cache
  * 
- * @route POST /api/ai-chart/schema/refresh
+ * @route POST /api/v1/schema/refresh
+ * @query datasourceId - Datasource to rescan
  */
 export const refreshSchemaCache = async (req, res) => {
   try {
-    clearSchemaCache();
-    const schema = await getCachedSchema(true);
+    const { datasourceId } = req.query;
+    clearSchemaCache(datasourceId);
+    const schema = await getCachedSchema({ datasourceId, forceRefresh: true });
+    const status = await getSchemaStatus(datasourceId, req.user);
 
     res.status(200).json({
       success: true,
@@ -302,11 +420,17 @@ export const refreshSchemaCache = async (req, res) => {
       tables: schema.tables.map(t => ({
         name: t.name,
         columnCount: t.columns.length
-      }))
+      })),
+      fingerprint: status.fingerprint,
+      changes: status.changes,
+      flaggedWidgets: status.flaggedWidgets
     });
 
   } catch (error) {
     console.error('❌ Error refreshing schema:', error);
+    if (error instanceof DatasourceNotFoundError) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to refresh schema cache',
@@ -315,15 +439,77 @@ export const refreshSchemaCache = async (req, res) => {
   }
 };
 
+/**
+ * Get the schema fingerprint, the last detected change and the widgets it broke
+ * 
+ * @route GET /api/v1/schema/changes
+ * @query check - Compare with the database now instead of waiting for the next check
+ * @query datasourceId - Datasource to describe
+ */
+export const getSchemaChanges = async (req, res) => {
+  try {
+    const { datasourceId } = req.query;
+    const status = req.query.check === true
+      ? await checkSchema(datasourceId, req.user)
+      : await getSchemaStatus(datasourceId, req.user);
+
+    res.status(200).json({ success: true, ...status });
+
+  } catch (error) {
+    console.error('❌ Error checking schema changes:', error);
+    if (error instanceof DatasourceNotFoundError) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check schema changes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the semantic layer's metrics and dimensions for a datasource
+ * 
+ * @route GET /api/v1/schema/semantic-layer
+ * @query datasourceId - Datasource whose tables the entries must fit
+ */
+export const getSemanticLayerCatalog = async (req, res) => {
+  try {
+    const schema = await getCachedSchema({ datasourceId: req.query.datasourceId });
+    const { metrics, dimensions } = getSemanticLayer(schema);
+
+    res.status(200).json({
+      success: true,
+      datasourceId: schema.datasourceId,
+      metrics,
+      dimensions
+    });
+
+  } catch (error) {
+    console.error('❌ Error loading semantic layer:', error);
+    if (error instanceof DatasourceNotFoundError) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load semantic layer',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get database statistics
  * 
- * @route GET /api/ai-chart/stats
+ * @route GET /api/v1/schema/stats
+ * @query datasourceId - Datasource to count
  */
 export const getDatabaseStatistics = async (req, res) => {
   try {
-    const stats = await getDatabaseStats();
-    const metadata = await getDatabaseMetadata();
+    const { datasourceId } = req.query;
+    const stats = await getDatabaseStats(datasourceId);
+    const metadata = await getDatabaseMetadata(datasourceId);
 
     res.status(200).json({
       success: true,
@@ -333,6 +519,9 @@ export const getDatabaseStatistics = async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error getting stats:', error);
+    if (error instanceof DatasourceNotFoundError) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to get database statistics',
@@ -344,7 +533,7 @@ export const getDatabaseStatistics = async (req, res) => {
 /**
  * Test AI connection
  * 
- * @route GET /api/ai-chart/test-ai
+ * @route GET /api/v1/health/ai
  */
 export const testAIConnection = async (req, res) => {
   try {
@@ -372,7 +561,7 @@ export const testAIConnection = async (req, res) => {
 /**
  * Test database connection
  * 
- * @route GET /api/ai-chart/test-db
+ * @route GET /api/v1/health/db
  */
 export const testDatabaseConnection = async (req, res) => {
   try {
@@ -396,20 +585,13 @@ export const testDatabaseConnection = async (req, res) => {
 /**
  * Export chart data in different formats
  * 
- * @route POST /api/ai-chart/export
+ * @route POST /api/v1/charts/export
  * @body { data: Array, format: string }
  */
 export const exportChartData = async (req, res) => {
   try {
     const { data, format = 'json' } = req.body;
 
-    if (!data || !Array.isArray(data)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Data must be an array'
-      });
-    }
-
     const converted = convertChartData(data, format);
 
     // Set appropriate content type
@@ -436,7 +618,7 @@ export const exportChartData = async (req, res) => {
 /**
  * Get health status of the service
  * 
- * @route GET /api/ai-chart/health
+ * @route GET /api/v1/health
  */
 export const getHealthStatus = async (req, res) => {
   try {
@@ -507,31 +689,3 @@ function getErrorHint(error) {
 
   return 'Try rephrasing your prompt or check the server logs for details';
 }
-
-// Add new endpoint:
-/**
- * Get last saved widget
- * @route GET /api/widgets/last
- */
-export const getLastSavedWidget = async (req, res) => {
-  try {
-    const widget = await getLastWidget();
-    
-    if (!widget) {
-      return res.status(404).json({ success: false, message: 'No widgets found' });
-    }
-
-    res.json({
-      success: true,
-      widget: {
-        id: widget.id,
-        prompt: widget.prompt,
-        sqlQuery: widget.sqlQuery,
-        vegaSpec: widget.vegaSpec,
-        analysis: widget.analysis
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
-  }
-};
\ No newline at end of file
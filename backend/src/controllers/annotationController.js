@@ -0,0 +1,171 @@
+// controllers/annotationController.js
+// Business glossary annotations - thin controller over annotationService
+
+import {
+  listAnnotations,
+  createAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+  listAnnotationVersions,
+  toAnnotationDetail,
+  toAnnotationVersion,
+  AnnotationTargetError,
+  AnnotationConflictError
+} from '../services/annotationService.js';
+import { DatasourceNotFoundError } from '../config/datasources.js';
+
+/**
+ * List the annotations of a datasource
+ *
+ * @route GET /api/v1/annotations
+ * @query datasourceId - Datasource (default datasource if omitted)
+ */
+export const getAnnotations = async (req, res) => {
+  try {
+    const { datasourceId, annotations } = await listAnnotations(req.query.datasourceId);
+
+    res.status(200).json({
+      success: true,
+      datasourceId,
+      annotations: annotations.map(toAnnotationDetail)
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing annotations:', error);
+
+    if (error instanceof DatasourceNotFoundError) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list annotations',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Annotate a table, column or column value
+ *
+ * @route POST /api/v1/annotations
+ * @body { datasourceId?: string, tableName: string, columnName?: string, value?: string,
+ *         description?: string, synonyms?: Array<string>, hidden?: boolean }
+ */
+export const addAnnotation = async (req, res) => {
+  try {
+    const annotation = await createAnnotation(req.body, req.user);
+    console.log(`📖 Annotation created: ${annotation.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Annotation created',
+      annotation: toAnnotationDetail(annotation)
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating annotation:', error);
+
+    if (error instanceof DatasourceNotFoundError) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+
+    if (error instanceof AnnotationTargetError) {
+      return res.status(400).json({ success: false, message: 'Invalid request', errors: [error.message] });
+    }
+
+    if (error instanceof AnnotationConflictError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        hint: 'Update the existing annotation instead'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create annotation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change an annotation (saved as a new version)
+ *
+ * @route PATCH /api/v1/annotations/:id
+ * @body { description?: string|null, synonyms?: Array<string>, hidden?: boolean }
+ */
+export const editAnnotation = async (req, res) => {
+  try {
+    const annotation = await updateAnnotation(req.params.id, req.body, req.user);
+
+    if (!annotation) {
+      return res.status(404).json({ success: false, message: 'Annotation not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Annotation updated',
+      annotation: toAnnotationDetail(annotation)
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating annotation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update annotation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an annotation
+ *
+ * @route DELETE /api/v1/annotations/:id
+ */
+export const removeAnnotation = async (req, res) => {
+  try {
+    const deleted = await deleteAnnotation(req.params.id, req.user);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Annotation not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Annotation deleted' });
+
+  } catch (error) {
+    console.error('❌ Error deleting annotation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete annotation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the versions of an annotation, newest first
+ *
+ * @route GET /api/v1/annotations/:id/versions
+ */
+export const getAnnotationVersions = async (req, res) => {
+  try {
+    const versions = await listAnnotationVersions(req.params.id);
+
+    if (versions.length === 0) {
+      return res.status(404).json({ success: false, message: 'Annotation not found' });
+    }
+
+    res.status(200).json({ success: true, versions: versions.map(toAnnotationVersion) });
+
+  } catch (error) {
+    console.error('❌ Error listing annotation versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list annotation versions',
+      error: error.message
+    });
+  }
+};
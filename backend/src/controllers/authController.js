@@ -0,0 +1,219 @@
+// controllers/authController.js
+// Accounts, sign-in and API keys - thin controller over authService
+
+import {
+  registerAccount,
+  signIn,
+  issueToken,
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  listAccounts,
+  updateAccount,
+  toAccountDetail,
+  toApiKeyDetail,
+  InvalidCredentialsError,
+  AccountExistsError,
+  SignupDisabledError
+} from '../services/authService.js';
+
+/**
+ * Register an account and sign it in
+ *
+ * @route POST /api/v1/auth/register
+ * @body { email: string, password: string, name?: string }
+ */
+export const register = async (req, res) => {
+  try {
+    const account = await registerAccount(req.body);
+    console.log(`👤 Account registered: ${account.id} (${account.role})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created',
+      account: toAccountDetail(account),
+      ...issueToken(account)
+    });
+
+  } catch (error) {
+    console.error('❌ Error registering account:', error);
+
+    if (error instanceof SignupDisabledError) {
+      return res.status(403).json({ success: false, message: error.message });
+    }
+
+    if (error instanceof AccountExistsError) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Sign in with an email and password
+ *
+ * @route POST /api/v1/auth/login
+ * @body { email: string, password: string }
+ */
+export const login = async (req, res) => {
+  try {
+    const { account, token, expiresAt } = await signIn(req.body);
+
+    res.status(200).json({
+      success: true,
+      account: toAccountDetail(account),
+      token,
+      expiresAt
+    });
+
+  } catch (error) {
+    if (error instanceof InvalidCredentialsError) {
+      return res.status(401).json({ success: false, message: error.message });
+    }
+
+    console.error('❌ Error signing in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign in',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the signed-in account
+ *
+ * @route GET /api/v1/auth/me
+ */
+export const getCurrentAccount = (req, res) => {
+  res.status(200).json({ success: true, account: toAccountDetail(req.user) });
+};
+
+/**
+ * List the caller's API keys
+ *
+ * @route GET /api/v1/auth/api-keys
+ */
+export const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.id);
+    res.status(200).json({ success: true, apiKeys: apiKeys.map(toApiKeyDetail) });
+
+  } catch (error) {
+    console.error('❌ Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list API keys',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create an API key for the caller
+ * The key is only ever returned by this response
+ *
+ * @route POST /api/v1/auth/api-keys
+ * @body { name: string }
+ */
+export const addApiKey = async (req, res) => {
+  try {
+    const { apiKey, key } = await createApiKey(req.user.id, req.body.name);
+    console.log(`🔑 API key created: ${apiKey.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created; copy it now, it is not shown again',
+      apiKey: toApiKeyDetail(apiKey),
+      key
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke one of the caller's API keys
+ *
+ * @route DELETE /api/v1/auth/api-keys/:id
+ */
+export const removeApiKey = async (req, res) => {
+  try {
+    const revoked = await revokeApiKey(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ success: false, message: 'API key not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'API key revoked' });
+
+  } catch (error) {
+    console.error('❌ Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List all accounts (admins only)
+ *
+ * @route GET /api/v1/auth/accounts
+ */
+export const getAccounts = async (req, res) => {
+  try {
+    const accounts = await listAccounts();
+    res.status(200).json({ success: true, accounts: accounts.map(toAccountDetail) });
+
+  } catch (error) {
+    console.error('❌ Error listing accounts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list accounts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change an account's name, role or team (admins only)
+ *
+ * @route PATCH /api/v1/auth/accounts/:id
+ * @body { name?: string, role?: string, team?: string }
+ */
+export const editAccount = async (req, res) => {
+  try {
+    const account = await updateAccount(req.params.id, req.body);
+
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Account not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Account updated',
+      account: toAccountDetail(account)
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update account',
+      error: error.message
+    });
+  }
+};
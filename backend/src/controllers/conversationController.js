@@ -0,0 +1,106 @@
+// controllers/conversationController.js
+// Conversation history endpoints used to thread follow-up prompts
+
+import {
+  getConversation,
+  listConversations,
+  deleteConversation
+} from '../services/conversationService.js';
+
+/**
+ * List the caller's recent conversations
+ * 
+ * @route GET /api/v1/conversations
+ * @query limit - Maximum number of conversations (default 20)
+ */
+export const getConversations = async (req, res) => {
+  try {
+    const conversations = await listConversations(req.query.limit, req.user);
+
+    res.status(200).json({
+      success: true,
+      conversations: conversations.map(c => ({
+        id: c.id,
+        title: c.title,
+        createdAt: c.createdAt,
+        updatedAt: c.updatedAt
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing conversations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list conversations',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a conversation with its turns
+ * Each turn has a parentTurnId, so clients can render the thread as a tree
+ * 
+ * @route GET /api/v1/conversations/:id
+ */
+export const getConversationById = async (req, res) => {
+  try {
+    const conversation = await getConversation(req.params.id, req.user);
+
+    if (!conversation) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      conversation: {
+        id: conversation.id,
+        title: conversation.title,
+        createdAt: conversation.createdAt,
+        turns: conversation.turns.map(turn => ({
+          id: turn.id,
+          parentTurnId: turn.parentTurnId,
+          prompt: turn.prompt,
+          sql: turn.sqlQuery,
+          analysis: turn.analysis,
+          vegaSpec: turn.vegaSpec,
+          explanation: turn.explanation,
+          createdAt: turn.createdAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a conversation and its turns
+ * 
+ * @route DELETE /api/v1/conversations/:id
+ */
+export const removeConversation = async (req, res) => {
+  try {
+    const deleted = await deleteConversation(req.params.id, req.user);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Conversation not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Conversation deleted' });
+
+  } catch (error) {
+    console.error('❌ Error deleting conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete conversation',
+      error: error.message
+    });
+  }
+};
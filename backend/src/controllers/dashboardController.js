@@ -0,0 +1,327 @@
+// controllers/dashboardController.js
+// Dashboards of saved widgets - thin controller over dashboardService
+
+import {
+  createDashboard,
+  listDashboards,
+  getDashboard,
+  updateDashboard,
+  deleteDashboard,
+  addTile,
+  updateLayout,
+  updateTile,
+  removeTile,
+  queryDashboard,
+  toDashboardSummary,
+  toDashboardDetail,
+  toTileDetail,
+  DashboardNotFoundError
+} from '../services/dashboardService.js';
+import { validatePagination } from '../utils/validation.js';
+import { InvalidParameterError } from '../utils/queryParameters.js';
+
+/**
+ * List the dashboards the caller may see
+ *
+ * @route GET /api/v1/dashboards
+ * @query page - Page number (default 1)
+ * @query limit - Page size (default 20)
+ */
+export const getDashboards = async (req, res) => {
+  try {
+    const pagination = validatePagination(req.query.page, req.query.limit);
+    const result = await listDashboards(pagination.sanitized, req.user);
+
+    res.status(200).json({
+      success: true,
+      dashboards: result.dashboards.map(toDashboardSummary),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages
+      },
+      warnings: pagination.errors
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing dashboards:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list dashboards',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create an empty dashboard
+ *
+ * @route POST /api/v1/dashboards
+ * @body { name: string, description?: string }
+ */
+export const createNewDashboard = async (req, res) => {
+  try {
+    const dashboard = await createDashboard(req.body, req.user);
+    console.log(`📊 Dashboard created: ${dashboard.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Dashboard created',
+      dashboard: toDashboardDetail(dashboard)
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating dashboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create dashboard',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a dashboard with its tiles and their widgets
+ *
+ * @route GET /api/v1/dashboards/:id
+ */
+export const getDashboardById = async (req, res) => {
+  try {
+    const dashboard = await getDashboard(req.params.id, req.user);
+
+    if (!dashboard) {
+      return res.status(404).json({ success: false, message: 'Dashboard not found' });
+    }
+
+    res.status(200).json({ success: true, dashboard: toDashboardDetail(dashboard) });
+
+  } catch (error) {
+    console.error('❌ Error fetching dashboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dashboard',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rename a dashboard, change its description or save its filter values
+ *
+ * @route PATCH /api/v1/dashboards/:id
+ * @body { name?: string, description?: string, filterValues?: Object }
+ */
+export const editDashboard = async (req, res) => {
+  try {
+    const dashboard = await updateDashboard(req.params.id, req.body, req.user);
+
+    if (!dashboard) {
+      return res.status(404).json({ success: false, message: 'Dashboard not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Dashboard updated',
+      dashboard: toDashboardDetail(dashboard)
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating dashboard:', error);
+
+    if (error instanceof InvalidParameterError) {
+      return res.status(400).json({ success: false, message: 'Invalid request', errors: [error.message] });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update dashboard',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Re-run every widget on a dashboard with the dashboard's filters applied
+ * Results are returned per tile and not stored on the widgets
+ *
+ * @route POST /api/v1/dashboards/:id/query
+ * @body { filters?: Object, timeout?: number, maxRows?: number }
+ */
+export const runDashboardQuery = async (req, res) => {
+  try {
+    const startTime = Date.now();
+    const result = await queryDashboard(req.params.id, { ...req.body, identity: req.identity }, req.user);
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Dashboard not found' });
+    }
+
+    const executionTime = Date.now() - startTime;
+    const failed = result.tiles.filter(tile => tile.error).length;
+    console.log(`✅ Dashboard queried in ${executionTime}ms, ${result.tiles.length} tiles${failed ? ` (${failed} failed)` : ''}`);
+
+    res.status(200).json({
+      success: true,
+      filters: result.filters,
+      tiles: result.tiles,
+      executionTime
+    });
+
+  } catch (error) {
+    console.error('❌ Error querying dashboard:', error);
+
+    if (error instanceof InvalidParameterError) {
+      return res.status(400).json({ success: false, message: 'Invalid request', errors: [error.message] });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to query dashboard',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a dashboard (its widgets are kept)
+ *
+ * @route DELETE /api/v1/dashboards/:id
+ */
+export const removeDashboard = async (req, res) => {
+  try {
+    const deleted = await deleteDashboard(req.params.id, req.user);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Dashboard not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Dashboard deleted' });
+
+  } catch (error) {
+    console.error('❌ Error deleting dashboard:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete dashboard',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Place a saved widget on a dashboard
+ *
+ * @route POST /api/v1/dashboards/:id/tiles
+ * @body { widgetId: string, title?: string, x?: number, y?: number, width?: number, height?: number }
+ */
+export const createTile = async (req, res) => {
+  try {
+    const tile = await addTile(req.params.id, req.body, req.user);
+    console.log(`📌 Widget ${tile.widgetId} added to dashboard ${req.params.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Widget added to dashboard',
+      tile: toTileDetail(tile)
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding tile:', error);
+
+    if (error instanceof DashboardNotFoundError) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add widget to dashboard',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Save tile positions and sizes after the grid was rearranged
+ *
+ * @route PUT /api/v1/dashboards/:id/layout
+ * @body { tiles: [{ id, x, y, width, height }] }
+ */
+export const saveLayout = async (req, res) => {
+  try {
+    const dashboard = await updateLayout(req.params.id, req.body.tiles, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Layout saved',
+      dashboard: toDashboardDetail(dashboard)
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving layout:', error);
+
+    if (error instanceof DashboardNotFoundError) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save layout',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change a tile's title or placement
+ *
+ * @route PATCH /api/v1/dashboards/:id/tiles/:tileId
+ * @body { title?: string, x?: number, y?: number, width?: number, height?: number }
+ */
+export const editTile = async (req, res) => {
+  try {
+    const tile = await updateTile(req.params.id, req.params.tileId, req.body, req.user);
+
+    if (!tile) {
+      return res.status(404).json({ success: false, message: 'Tile not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Tile updated',
+      tile: toTileDetail(tile)
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating tile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tile',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a tile from a dashboard (the widget is kept)
+ *
+ * @route DELETE /api/v1/dashboards/:id/tiles/:tileId
+ */
+export const deleteTile = async (req, res) => {
+  try {
+    const deleted = await removeTile(req.params.id, req.params.tileId, req.user);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Tile not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Widget removed from dashboard' });
+
+  } catch (error) {
+    console.error('❌ Error removing tile:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove widget from dashboard',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,87 @@
+// controllers/datasetController.js
+// Uploaded files queried as datasources - thin controller over datasetService
+
+import {
+  createDataset,
+  listDatasets,
+  deleteDataset
+} from '../services/datasetService.js';
+import { DatasetParseError } from '../utils/datasetParser.js';
+
+/**
+ * Upload a CSV/TSV/JSON file as a dataset
+ *
+ * @route POST /api/v1/datasets
+ * @query fileName - Original file name (its extension gives the format)
+ * @query format - csv | tsv | json (optional)
+ * @query name - Display name (optional)
+ * @body Raw file contents
+ */
+export const uploadDataset = async (req, res) => {
+  try {
+    const dataset = await createDataset({
+      content: req.body,
+      fileName: req.query.fileName,
+      format: req.query.format,
+      name: req.query.name
+    }, req.user);
+
+    res.status(201).json({ success: true, dataset });
+
+  } catch (error) {
+    if (error instanceof DatasetParseError) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    console.error('❌ Error uploading dataset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load the file',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List uploaded datasets
+ *
+ * @route GET /api/v1/datasets
+ */
+export const getDatasets = async (req, res) => {
+  try {
+    res.status(200).json({ success: true, datasets: listDatasets(req.user) });
+
+  } catch (error) {
+    console.error('❌ Error listing datasets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list datasets',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete an uploaded dataset
+ *
+ * @route DELETE /api/v1/datasets/:datasetId
+ */
+export const removeDataset = async (req, res) => {
+  try {
+    const deleted = await deleteDataset(req.params.datasetId, req.user);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Dataset not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Dataset deleted' });
+
+  } catch (error) {
+    console.error('❌ Error deleting dataset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete dataset',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,27 @@
+// controllers/datasourceController.js
+// Analytic datasources charts can be generated from - thin controller over config/datasources
+
+import { listDatasources, getDefaultDatasourceId } from '../config/datasources.js';
+
+/**
+ * List the configured datasources
+ *
+ * @route GET /api/v1/datasources
+ */
+export const getDatasources = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      datasources: listDatasources(),
+      defaultDatasourceId: getDefaultDatasourceId()
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing datasources:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list datasources',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,98 @@
+// controllers/drilldownController.js
+// Drill-down into the rows behind a chart group - thin controller over drilldownService
+
+import { drillDown, drillDownWidget, UnsupportedDrilldownError } from '../services/drilldownService.js';
+import { QueryTimeoutError, ReadOnlyViolationError } from '../services/databaseService.js';
+import { InvalidParameterError } from '../utils/queryParameters.js';
+import { DatasourceNotFoundError } from '../config/datasources.js';
+
+/**
+ * Drill into a generated (not yet saved) chart
+ *
+ * @route POST /api/v1/charts/drilldown
+ * @body { sql: string, datasourceId?: string, analysis?: Object, parameters?: Array, value, field?,
+ *         filters?, page?, pageSize?, timeout? }
+ */
+export const drillDownChart = async (req, res) => {
+  try {
+    const { sql, datasourceId, analysis, parameters, ...options } = req.body;
+    const result = await drillDown(
+      { sqlQuery: sql, datasourceId, analysis, parameters },
+      { ...options, identity: req.identity }
+    );
+
+    res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    sendDrilldownError(res, error);
+  }
+};
+
+/**
+ * Drill into a saved widget
+ *
+ * @route POST /api/v1/widgets/:id/drilldown
+ * @body { value, field?, filters?, page?, pageSize?, timeout? }
+ */
+export const drillDownWidgetData = async (req, res) => {
+  try {
+    const result = await drillDownWidget(req.params.id, { ...req.body, identity: req.identity }, req.user);
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Widget not found' });
+    }
+
+    res.status(200).json({ success: true, ...result });
+
+  } catch (error) {
+    sendDrilldownError(res, error);
+  }
+};
+
+/**
+ * Send the response for a failed drill-down
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ */
+function sendDrilldownError(res, error) {
+  console.error('❌ Drill-down error:', error);
+
+  if (error instanceof DatasourceNotFoundError) {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+
+  if (error instanceof UnsupportedDrilldownError) {
+    return res.status(422).json({
+      success: false,
+      message: error.message,
+      errors: error.errors
+    });
+  }
+
+  if (error instanceof InvalidParameterError) {
+    return res.status(400).json({ success: false, message: 'Invalid request', errors: [error.message] });
+  }
+
+  if (error instanceof QueryTimeoutError) {
+    return res.status(408).json({
+      success: false,
+      message: 'Failed to load detail rows',
+      error: error.message
+    });
+  }
+
+  if (error instanceof ReadOnlyViolationError) {
+    return res.status(422).json({
+      success: false,
+      message: 'Failed to load detail rows',
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Failed to load detail rows',
+    error: error.message
+  });
+}
@@ -0,0 +1,304 @@
+// controllers/widgetController.js
+// Saved chart widgets ("My Charts") - thin controller over widgetService
+
+import {
+  saveWidget,
+  getLastWidget,
+  listWidgets,
+  getWidget,
+  updateWidget,
+  duplicateWidget,
+  deleteWidget,
+  refreshWidget,
+  toWidgetSummary,
+  toWidgetDetail,
+  InvalidWidgetQueryError
+} from '../services/widgetService.js';
+import { QueryTimeoutError, ReadOnlyViolationError } from '../services/databaseService.js';
+import { DatasourceNotFoundError } from '../config/datasources.js';
+import { InvalidParameterError } from '../utils/queryParameters.js';
+import { validatePagination } from '../utils/validation.js';
+
+/**
+ * List the saved widgets the caller may see
+ *
+ * @route GET /api/v1/widgets
+ * @query page - Page number (default 1)
+ * @query limit - Page size (default 20)
+ */
+export const getWidgets = async (req, res) => {
+  try {
+    const pagination = validatePagination(req.query.page, req.query.limit);
+    const result = await listWidgets(pagination.sanitized, req.user);
+
+    res.status(200).json({
+      success: true,
+      widgets: result.widgets.map(toWidgetSummary),
+      pagination: {
+        page: result.page,
+        limit: result.limit,
+        total: result.total,
+        totalPages: result.totalPages
+      },
+      warnings: pagination.errors
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing widgets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list widgets',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Save a generated chart as a widget
+ *
+ * @route POST /api/v1/widgets
+ * @body { name?: string, prompt: string, sqlQuery: string, datasourceId?: string, vegaSpec: Object,
+ *         analysis?: Object, truncated?: boolean, totalRowCount?: number, parameters?: Array }
+ */
+export const createWidget = async (req, res) => {
+  try {
+    const widget = await saveWidget(req.body, req.user);
+    console.log(`💾 Widget saved: ${widget.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Widget saved',
+      widget: toWidgetDetail(widget)
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving widget:', error);
+
+    if (error instanceof DatasourceNotFoundError) {
+      return res.status(404).json({ success: false, message: error.message });
+    }
+
+    if (error instanceof InvalidParameterError) {
+      return res.status(400).json({ success: false, message: 'Invalid request', errors: [error.message] });
+    }
+
+    if (error instanceof InvalidWidgetQueryError) {
+      return res.status(422).json({
+        success: false,
+        message: 'Failed to save widget',
+        errors: error.errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save widget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the last widget the caller saved
+ *
+ * @route GET /api/v1/widgets/last
+ */
+export const getLastSavedWidget = async (req, res) => {
+  try {
+    const widget = await getLastWidget(req.user);
+
+    if (!widget) {
+      return res.status(404).json({ success: false, message: 'No widgets found' });
+    }
+
+    res.status(200).json({ success: true, widget: toWidgetDetail(widget) });
+
+  } catch (error) {
+    console.error('❌ Error fetching last widget:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch last widget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a widget by id
+ *
+ * @route GET /api/v1/widgets/:id
+ */
+export const getWidgetById = async (req, res) => {
+  try {
+    const widget = await getWidget(req.params.id, req.user);
+
+    if (!widget) {
+      return res.status(404).json({ success: false, message: 'Widget not found' });
+    }
+
+    res.status(200).json({ success: true, widget: toWidgetDetail(widget) });
+
+  } catch (error) {
+    console.error('❌ Error fetching widget:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch widget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rename a widget, replace its spec or redeclare its parameters
+ *
+ * @route PATCH /api/v1/widgets/:id
+ * @body { name?: string, vegaSpec?: Object, parameters?: Array }
+ */
+export const editWidget = async (req, res) => {
+  try {
+    const widget = await updateWidget(req.params.id, req.body, req.user);
+
+    if (!widget) {
+      return res.status(404).json({ success: false, message: 'Widget not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Widget updated',
+      widget: toWidgetDetail(widget)
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating widget:', error);
+
+    if (error instanceof InvalidParameterError) {
+      return res.status(400).json({ success: false, message: 'Invalid request', errors: [error.message] });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update widget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Duplicate a widget
+ *
+ * @route POST /api/v1/widgets/:id/duplicate
+ * @body { name?: string }
+ */
+export const copyWidget = async (req, res) => {
+  try {
+    const widget = await duplicateWidget(req.params.id, { name: req.body?.name }, req.user);
+
+    if (!widget) {
+      return res.status(404).json({ success: false, message: 'Widget not found' });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Widget duplicated',
+      widget: toWidgetDetail(widget)
+    });
+
+  } catch (error) {
+    console.error('❌ Error duplicating widget:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to duplicate widget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Re-run a widget's SQL and return the chart with fresh data
+ * No LLM call is made; the stored SQL is validated and executed again
+ *
+ * @route POST /api/v1/widgets/:id/refresh
+ * @body { timeout?: number, maxRows?: number }
+ */
+export const refreshWidgetData = async (req, res) => {
+  try {
+    const result = await refreshWidget(req.params.id, { ...req.body, identity: req.identity }, req.user);
+
+    if (!result) {
+      return res.status(404).json({ success: false, message: 'Widget not found' });
+    }
+
+    console.log(`✅ Widget refreshed in ${result.executionTime}ms, ${result.rows.length} rows`);
+
+    res.status(200).json({
+      success: true,
+      widget: toWidgetDetail(result.widget),
+      dataCount: result.rows.length,
+      truncated: result.truncated,
+      totalRowCount: result.totalRowCount,
+      summary: result.summary,
+      executionTime: result.executionTime
+    });
+
+  } catch (error) {
+    console.error('❌ Error refreshing widget:', error);
+
+    if (error instanceof InvalidWidgetQueryError) {
+      return res.status(422).json({
+        success: false,
+        message: error.message,
+        errors: error.errors,
+        hint: 'Tables or columns this chart uses have changed. Generate it again from its prompt'
+      });
+    }
+
+    if (error instanceof QueryTimeoutError) {
+      return res.status(408).json({
+        success: false,
+        message: 'Failed to refresh widget',
+        error: error.message
+      });
+    }
+
+    if (error instanceof ReadOnlyViolationError ||
+        error instanceof InvalidParameterError ||
+        error instanceof DatasourceNotFoundError) {
+      return res.status(422).json({
+        success: false,
+        message: 'Failed to refresh widget',
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh widget',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a widget
+ *
+ * @route DELETE /api/v1/widgets/:id
+ */
+export const removeWidget = async (req, res) => {
+  try {
+    const deleted = await deleteWidget(req.params.id, req.user);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, message: 'Widget not found' });
+    }
+
+    res.status(200).json({ success: true, message: 'Widget deleted' });
+
+  } catch (error) {
+    console.error('❌ Error deleting widget:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete widget',
+      error: error.message
+    });
+  }
+};
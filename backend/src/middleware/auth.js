@@ -0,0 +1,67 @@
+// middleware/auth.js
+// Require a signed-in account on API routes
+// Clients send `Authorization: Bearer <token>` with a sign-in token or an
+// API key, or `X-API-Key: <key>` (see services/authService.js). The account
+// becomes req.user, and req.identity carries what row filters depend on
+// (services/rowPolicyService.js).
+
+import { resolveCredential } from '../services/authService.js';
+
+/**
+ * Authenticate the request, or answer 401
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export async function authenticate(req, res, next) {
+  const credential = readCredential(req);
+  if (!credential) {
+    return res.status(401).json({ success: false, message: 'Sign in required' });
+  }
+
+  let account;
+  try {
+    account = await resolveCredential(credential);
+  } catch (error) {
+    console.error('❌ Error checking credentials:', error);
+    return res.status(500).json({ success: false, message: 'Failed to check credentials', error: error.message });
+  }
+
+  if (!account) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired credentials' });
+  }
+
+  req.user = account;
+  req.identity = { userId: account.id, role: account.role, team: account.team };
+  next();
+}
+
+/**
+ * Only let admins through, or answer 403 (use after authenticate)
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+export function requireAdmin(req, res, next) {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Only admins can do this' });
+  }
+  next();
+}
+
+/**
+ * Read the token or API key from the request headers
+ *
+ * @param {Object} req - Express request
+ * @returns {string|null} Credential, or null if none was sent
+ */
+function readCredential(req) {
+  const [scheme, value] = (req.get('Authorization') || '').split(' ');
+  if (scheme?.toLowerCase() === 'bearer' && value) {
+    return value.trim();
+  }
+
+  return req.get('X-API-Key')?.trim() || null;
+}
@@ -0,0 +1,37 @@
+// middleware/upload.js
+// Read a file sent as the raw request body
+// Clients send the file bytes directly (no multipart form), so the body
+// arrives in req.body as a Buffer. JSON bodies are already parsed by
+// express.json, which is why JSON files go up as application/octet-stream.
+
+import express from 'express';
+
+/**
+ * Buffer the raw request body
+ *
+ * @param {number} limit - Largest body accepted, in bytes
+ * @returns {Function} Express middleware (413 when the body is too large)
+ */
+export function receiveFile(limit) {
+  const parse = express.raw({ type: () => true, limit });
+
+  return (req, res, next) => {
+    parse(req, res, (error) => {
+      if (error?.type === 'entity.too.large') {
+        return res.status(413).json({
+          success: false,
+          message: `File is larger than ${Math.floor(limit / (1024 * 1024))} MB`
+        });
+      }
+
+      if (!error && !Buffer.isBuffer(req.body)) {
+        return res.status(415).json({
+          success: false,
+          message: 'Send the file as the request body (text/csv, text/tab-separated-values or application/octet-stream)'
+        });
+      }
+
+      next(error);
+    });
+  };
+}
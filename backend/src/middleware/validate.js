@@ -0,0 +1,279 @@
+// middleware/validate.js
+// Request/response validation driven by the OpenAPI spec
+// Each route declares its operation (operationId) in its @openapi
+// annotation; this middleware validates and coerces the request against
+// that operation and checks JSON responses against the documented schemas
+
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import swaggerSpec from '../../swagger.js';
+
+const SPEC_ID = 'openapi.json';
+
+// Requests are coerced ("20" → 20) and filled with schema defaults
+const requestAjv = createAjv({ coerceTypes: true, useDefaults: true });
+
+// Responses are checked as-is so type mismatches are not hidden
+const responseAjv = createAjv({});
+
+const operationCache = new Map();
+
+/**
+ * Validate a request against an OpenAPI operation
+ *
+ * Path parameters, query parameters and the JSON body are validated and
+ * coerced in place, so handlers receive typed values with defaults
+ * applied. Invalid requests get a 400 with one message per problem:
+ *   { success: false, message: 'Invalid request', errors: [...] }
+ *
+ * @param {string} operationId - operationId from the route's @openapi annotation
+ * @returns {Function} Express middleware
+ * @throws {Error} If the operation is not in the spec (at startup)
+ */
+export function validate(operationId) {
+  const operation = compileOperation(operationId);
+
+  return (req, res, next) => {
+    const errors = [
+      ...runValidator(operation.params, req.params, 'params'),
+      ...runValidator(operation.query, req.query, 'query'),
+      ...runValidator(operation.body, req.body ?? {}, 'body')
+    ];
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request',
+        errors
+      });
+    }
+
+    if (shouldValidateResponses()) {
+      checkResponses(res, operation);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Find an operation in the spec and compile its validators (cached)
+ *
+ * @param {string} operationId - Operation id
+ * @returns {Object} { id, params, query, body, responses }
+ */
+function compileOperation(operationId) {
+  if (operationCache.has(operationId)) {
+    return operationCache.get(operationId);
+  }
+
+  const found = findOperation(operationId);
+  if (!found) {
+    throw new Error(`OpenAPI operation "${operationId}" is not documented`);
+  }
+
+  const { pointer, operation } = found;
+  const responses = {};
+
+  for (const [status, response] of Object.entries(operation.responses || {})) {
+    const resolved = resolveRef(response, `${pointer}/responses/${escapePointer(status)}`);
+    if (resolved.value.content?.['application/json']?.schema) {
+      responses[status] = responseAjv.compile({
+        $ref: `${SPEC_ID}#${resolved.pointer}/content/application~1json/schema`
+      });
+    }
+  }
+
+  const compiled = {
+    id: operationId,
+    params: compileParameters(operation, pointer, 'path'),
+    query: compileParameters(operation, pointer, 'query'),
+    body: operation.requestBody?.content?.['application/json']?.schema
+      ? requestAjv.compile({
+        $ref: `${SPEC_ID}#${pointer}/requestBody/content/application~1json/schema`
+      })
+      : null,
+    responses
+  };
+
+  operationCache.set(operationId, compiled);
+  return compiled;
+}
+
+/**
+ * Build one object schema from the operation's parameters in a location
+ *
+ * @param {Object} operation - OpenAPI operation
+ * @param {string} pointer - JSON pointer to the operation
+ * @param {string} location - 'path' | 'query'
+ * @returns {Function|null} Compiled validator, or null without parameters
+ */
+function compileParameters(operation, pointer, location) {
+  const properties = {};
+  const required = [];
+
+  (operation.parameters || []).forEach((parameter, index) => {
+    const resolved = resolveRef(parameter, `${pointer}/parameters/${index}`);
+    if (resolved.value.in !== location) return;
+
+    properties[resolved.value.name] = { $ref: `${SPEC_ID}#${resolved.pointer}/schema` };
+    if (resolved.value.required) {
+      required.push(resolved.value.name);
+    }
+  });
+
+  if (Object.keys(properties).length === 0) {
+    return null;
+  }
+
+  return requestAjv.compile({ type: 'object', properties, required });
+}
+
+/**
+ * Wrap res.json so documented responses are checked before sending
+ * Mismatches are logged, never sent to the client
+ *
+ * @param {Object} res - Express response
+ * @param {Object} operation - Compiled operation
+ */
+function checkResponses(res, operation) {
+  const originalJson = res.json.bind(res);
+
+  res.json = (payload) => {
+    const validator = operation.responses[String(res.statusCode)] || operation.responses.default;
+
+    if (validator) {
+      // Serialize first so model instances are checked as the client sees them
+      const body = JSON.parse(JSON.stringify(payload ?? null));
+      const errors = runValidator(validator, body, 'response');
+
+      if (errors.length > 0) {
+        console.warn(`⚠️  Response for ${operation.id} (${res.statusCode}) does not match the spec:`, errors);
+      }
+    }
+
+    return originalJson(payload);
+  };
+}
+
+/**
+ * Run a compiled validator and format its errors
+ *
+ * @param {Function|null} validator - Compiled validator
+ * @param {*} data - Data to validate (coerced in place)
+ * @param {string} location - Prefix for error messages
+ * @returns {Array<string>} Error messages, e.g. "body.options.maxRows must be <= 10000"
+ */
+function runValidator(validator, data, location) {
+  if (!validator || validator(data)) {
+    return [];
+  }
+
+  return validator.errors.map(error => formatError(error, location));
+}
+
+/**
+ * Format an Ajv error as "location.path message"
+ *
+ * @param {Object} error - Ajv error object
+ * @param {string} location - Where the value came from
+ * @returns {string} Readable error message
+ */
+function formatError(error, location) {
+  const path = error.instancePath
+    .split('/')
+    .filter(Boolean)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .join('.');
+  const field = path ? `${location}.${path}` : location;
+
+  if (error.keyword === 'additionalProperties') {
+    return `${field} has unknown property '${error.params.additionalProperty}'`;
+  }
+
+  if (error.keyword === 'enum') {
+    return `${field} must be one of: ${error.params.allowedValues.join(', ')}`;
+  }
+
+  return `${field} ${error.message}`;
+}
+
+/**
+ * Find an operation by operationId
+ *
+ * @param {string} operationId - Operation id
+ * @returns {Object|null} { pointer, operation }
+ */
+function findOperation(operationId) {
+  for (const [path, item] of Object.entries(swaggerSpec.paths || {})) {
+    for (const [method, operation] of Object.entries(item)) {
+      if (operation?.operationId === operationId) {
+        return {
+          pointer: `/paths/${escapePointer(path)}/${method}`,
+          operation
+        };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Follow a local $ref (e.g. #/components/parameters/IdParam)
+ *
+ * @param {Object} node - Spec node that may be a reference
+ * @param {string} pointer - JSON pointer to the node
+ * @returns {Object} { value, pointer } of the referenced node
+ */
+function resolveRef(node, pointer) {
+  if (!node?.$ref) {
+    return { value: node, pointer };
+  }
+
+  const refPointer = node.$ref.replace(/^#/, '');
+  const value = refPointer
+    .split('/')
+    .filter(Boolean)
+    .reduce((current, segment) => current?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')], swaggerSpec);
+
+  return resolveRef(value, refPointer);
+}
+
+/**
+ * Escape a key for use in a JSON pointer
+ *
+ * @param {string} key - Object key
+ * @returns {string} Escaped key
+ */
+function escapePointer(key) {
+  return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Response checks run outside production unless VALIDATE_RESPONSES says otherwise
+ *
+ * @returns {boolean} True if responses should be validated
+ */
+function shouldValidateResponses() {
+  if (process.env.VALIDATE_RESPONSES !== undefined) {
+    return process.env.VALIDATE_RESPONSES === 'true';
+  }
+  return process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Create an Ajv instance that knows the whole OpenAPI document
+ *
+ * OpenAPI 3.0 schemas are JSON Schema plus a few keywords (nullable,
+ * example); strict mode is off so documentation-only keywords are ignored.
+ *
+ * @param {Object} options - Extra Ajv options
+ * @returns {Ajv} Ajv instance
+ */
+function createAjv(options) {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  addFormats(ajv);
+  ajv.addSchema(swaggerSpec, SPEC_ID);
+  return ajv;
+}
@@ -0,0 +1,55 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Account model - someone who signs in to the app (see services/authService.js)
+// Not to be confused with User, which is sample data in the analytic database
+const Account = sequelize.define(
+  'Account',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    // Stored lowercase
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    // scrypt$<salt>$<hash>, both base64
+    passwordHash: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'password_hash'
+    },
+
+    // admin | member - admins see every widget, dashboard and conversation
+    // and manage accounts
+    role: {
+      type: DataTypes.STRING(16),
+      allowNull: false,
+      defaultValue: 'member'
+    },
+
+    // Selects the account's row filters (see services/rowPolicyService.js)
+    team: {
+      type: DataTypes.STRING(63),
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'accounts',
+    timestamps: true,
+    underscored: true
+  }
+);
+
+export default Account;
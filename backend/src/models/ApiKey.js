@@ -0,0 +1,57 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import Account from './Account.js';
+
+// ApiKey model - a key a service uses instead of signing in as an account
+// Only a hash of the key is stored; the key itself is shown once
+const ApiKey = sequelize.define(
+  'ApiKey',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    accountId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'account_id'
+    },
+
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+
+    // First characters of the key, so it can be recognized in a list
+    prefix: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+
+    // SHA-256 of the key, hex
+    keyHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      field: 'key_hash'
+    },
+
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_used_at'
+    }
+  },
+  {
+    tableName: 'api_keys',
+    timestamps: true,
+    underscored: true
+  }
+);
+
+Account.hasMany(ApiKey, { foreignKey: 'accountId', as: 'apiKeys', onDelete: 'CASCADE' });
+ApiKey.belongsTo(Account, { foreignKey: 'accountId', as: 'account' });
+
+export default ApiKey;
@@ -0,0 +1,32 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Conversation model - a chat session of prompts that refine each other
+const Conversation = sequelize.define(
+  'Conversation',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    title: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'created_by'
+    }
+  },
+  {
+    tableName: 'conversations',
+    timestamps: true,
+    underscored: true
+  }
+);
+
+export default Conversation;
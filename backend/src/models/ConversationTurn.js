@@ -0,0 +1,71 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import Conversation from './Conversation.js';
+
+// ConversationTurn model - one prompt and the chart it produced
+// Turns form a tree: parentTurnId points at the turn being refined,
+// so users can branch a new follow-up from any earlier chart
+const ConversationTurn = sequelize.define(
+  'ConversationTurn',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    conversationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'conversation_id',
+      references: {
+        model: 'conversations',
+        key: 'id'
+      }
+    },
+
+    parentTurnId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'parent_turn_id'
+    },
+
+    prompt: {
+      type: DataTypes.TEXT,
+      allowNull: false
+    },
+
+    sqlQuery: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      field: 'sql_query'
+    },
+
+    analysis: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+
+    // Vega-Lite spec without data values (the rows are not replayed to the model)
+    vegaSpec: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'vega_spec'
+    },
+
+    explanation: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'conversation_turns',
+    timestamps: true,
+    underscored: true
+  }
+);
+
+Conversation.hasMany(ConversationTurn, { foreignKey: 'conversationId', as: 'turns', onDelete: 'CASCADE' });
+ConversationTurn.belongsTo(Conversation, { foreignKey: 'conversationId', as: 'conversation' });
+
+export default ConversationTurn;
@@ -0,0 +1,45 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// Dashboard model - a named grid of saved widgets
+const Dashboard = sequelize.define(
+  'Dashboard',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Filter values applied to every widget: { parameterName: value }
+    filterValues: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      field: 'filter_values'
+    },
+
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'created_by'
+    }
+  },
+  {
+    tableName: 'dashboards',
+    timestamps: true,
+    underscored: true
+  }
+);
+
+export default Dashboard;
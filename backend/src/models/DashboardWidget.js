@@ -0,0 +1,78 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import Dashboard from './Dashboard.js';
+import Widget from './Widget.js';
+
+// DashboardWidget model - one widget placed on a dashboard ("tile")
+// Position and size are in grid units; sortOrder is the reading order
+// used for keyboard navigation and small screens
+const DashboardWidget = sequelize.define(
+  'DashboardWidget',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    dashboardId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'dashboard_id'
+    },
+
+    widgetId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'widget_id'
+    },
+
+    // Tile title; falls back to the widget name when empty
+    title: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+
+    x: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    y: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    width: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 6
+    },
+
+    height: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 4
+    },
+
+    sortOrder: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      field: 'sort_order'
+    }
+  },
+  {
+    tableName: 'dashboard_widgets',
+    timestamps: true,
+    underscored: true
+  }
+);
+
+Dashboard.hasMany(DashboardWidget, { foreignKey: 'dashboardId', as: 'tiles', onDelete: 'CASCADE' });
+DashboardWidget.belongsTo(Dashboard, { foreignKey: 'dashboardId', as: 'dashboard' });
+DashboardWidget.belongsTo(Widget, { foreignKey: 'widgetId', as: 'widget' });
+
+export default DashboardWidget;
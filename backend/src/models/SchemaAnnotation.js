@@ -0,0 +1,82 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// SchemaAnnotation model - the current glossary entry for a table, a column
+// or one value of a column (see services/annotationService.js)
+const SchemaAnnotation = sequelize.define(
+  'SchemaAnnotation',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    datasourceId: {
+      type: DataTypes.STRING(63),
+      allowNull: false,
+      field: 'datasource_id'
+    },
+
+    tableName: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      field: 'table_name'
+    },
+
+    // Null for a table annotation
+    columnName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      field: 'column_name'
+    },
+
+    // Set for an annotation of one value of the column (e.g. 'Asia Pacific')
+    value: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+
+    // Other names people use: ["customer", "client"]
+    synonyms: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    // Left out of the schema the model sees
+    hidden: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+
+    // Incremented on every change; each version is kept in schema_annotation_versions
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1
+    },
+
+    updatedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'updated_by'
+    }
+  },
+  {
+    tableName: 'schema_annotations',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      { fields: ['datasource_id', 'table_name'] }
+    ]
+  }
+);
+
+export default SchemaAnnotation;
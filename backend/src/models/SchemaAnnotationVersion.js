@@ -0,0 +1,56 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// SchemaAnnotationVersion model - one saved state of a SchemaAnnotation
+// Rows are only ever added, and outlive the annotation when it is deleted
+const SchemaAnnotationVersion = sequelize.define(
+  'SchemaAnnotationVersion',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+
+    annotationId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      field: 'annotation_id'
+    },
+
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+
+    // The annotation as it was after this change:
+    // { datasourceId, tableName, columnName, value, description, synonyms, hidden }
+    snapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+
+    // 'created' | 'updated' | 'deleted'
+    action: {
+      type: DataTypes.STRING(16),
+      allowNull: false
+    },
+
+    changedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      field: 'changed_by'
+    }
+  },
+  {
+    tableName: 'schema_annotation_versions',
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    indexes: [
+      { unique: true, fields: ['annotation_id', 'version'] }
+    ]
+  }
+);
+
+export default SchemaAnnotationVersion;
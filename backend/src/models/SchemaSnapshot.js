@@ -0,0 +1,46 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+// SchemaSnapshot model - the last introspected schema of one datasource
+// (see services/schemaCacheService.js)
+const SchemaSnapshot = sequelize.define(
+  'SchemaSnapshot',
+  {
+    datasourceId: {
+      type: DataTypes.STRING(63),
+      primaryKey: true,
+      field: 'datasource_id'
+    },
+
+    // SHA-256 of tables, columns, types and nullability (utils/schemaDiff.js)
+    fingerprint: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+
+    // Complete schema as returned by getCompleteSchema
+    schema: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    },
+
+    // Diff against the snapshot before it, or null if nothing changed yet
+    changes: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+
+    scannedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      field: 'scanned_at'
+    }
+  },
+  {
+    tableName: 'schema_snapshots',
+    timestamps: true,
+    underscored: true
+  }
+);
+
+export default SchemaSnapshot;
@@ -26,10 +26,32 @@ const Widget = sequelize.define(
       field: 'sql_query'
     },
 
-    vegaSpec: {
+    // Datasource the SQL runs against (see config/datasources.js)
+    datasourceId: {
+      type: DataTypes.STRING(63),
+      allowNull: false,
+      defaultValue: 'default',
+      field: 'datasource_id'
+    },
+
+    // Vega-Lite spec without data; rows are injected when rendered
+    specTemplate: {
       type: DataTypes.JSONB,
       allowNull: false,
-      field: 'vega_spec'
+      field: 'spec_template'
+    },
+
+    // Last materialized result: { rows, truncated, totalRowCount }
+    lastResult: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'last_result'
+    },
+
+    lastRefreshedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      field: 'last_refreshed_at'
     },
 
     analysis: {
@@ -37,6 +59,22 @@ const Widget = sequelize.define(
       allowNull: true
     },
 
+    // Named parameters the SQL uses: [{ name, type, label, default }]
+    // (see utils/queryParameters.js)
+    parameters: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+
+    // Validation errors of the SQL against the latest schema snapshot,
+    // or null while it still validates (see services/schemaCacheService.js)
+    schemaIssues: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      field: 'schema_issues'
+    },
+
     createdBy: {
       type: DataTypes.UUID,
       allowNull: true,
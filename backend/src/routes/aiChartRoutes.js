@@ -2,21 +2,117 @@
 // AI-powered chart generation routes
 
 import express from 'express';
+import { validate } from '../middleware/validate.js';
 import {
   generateChartFromPrompt,
   getPromptExamples,
-  getLastSavedWidget
+  exportChartData
 } from '../controllers/aiChartController.js';
+import { drillDownChart } from '../controllers/drilldownController.js';
 
 const router = express.Router();
 
-// Generate chart from natural language prompt
-router.post('/', generateChartFromPrompt);       // POST /api/ai-chart
+/**
+ * @openapi
+ * /api/v1/charts:
+ *   post:
+ *     operationId: generateChart
+ *     tags: [Charts]
+ *     summary: Generate a chart from a natural language prompt
+ *     description: >
+ *       Generates SQL and a Vega-Lite spec with the configured LLM provider,
+ *       validates and runs the query, and returns the chart with its data.
+ *       Pass conversationId/parentTurnId to refine an earlier chart.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ChartRequest' }
+ *     responses:
+ *       200:
+ *         description: Chart generated
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ChartResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       408: { $ref: '#/components/responses/Error' }
+ *       422: { $ref: '#/components/responses/Error' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.post('/', validate('generateChart'), generateChartFromPrompt);          // POST /api/v1/charts
 
-// Get prompt examples
-router.get('/examples', getPromptExamples);      // GET /api/ai-chart/examples
+/**
+ * @openapi
+ * /api/v1/charts/examples:
+ *   get:
+ *     operationId: getPromptExamples
+ *     tags: [Charts]
+ *     summary: Get example prompts for the connected database
+ *     parameters:
+ *       - $ref: '#/components/parameters/DatasourceParam'
+ *     responses:
+ *       200:
+ *         description: Example prompts grouped by category and table
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/examples', validate('getPromptExamples'), getPromptExamples); // GET /api/v1/charts/examples
 
-// Add this route:
-router.get('/widgets/last', getLastSavedWidget);
+/**
+ * @openapi
+ * /api/v1/charts/export:
+ *   post:
+ *     operationId: exportChartData
+ *     tags: [Charts]
+ *     summary: Export chart data as JSON, CSV or TSV
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ExportRequest' }
+ *     responses:
+ *       200:
+ *         description: Exported file (sent as an attachment)
+ *         content:
+ *           application/json: {}
+ *           text/csv: {}
+ *           text/tab-separated-values: {}
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.post('/export', validate('exportChartData'), exportChartData);     // POST /api/v1/charts/export
 
-export default router;
\ No newline at end of file
+/**
+ * @openapi
+ * /api/v1/charts/drilldown:
+ *   post:
+ *     operationId: drillDownChart
+ *     tags: [Charts]
+ *     summary: List the rows behind one group of a generated chart
+ *     description: >
+ *       Derives a detail query from the chart's SQL: the same tables, joins
+ *       and filters, with the grouping expression compared with the clicked
+ *       value (bound as a parameter). It passes the same safety validator as
+ *       generated SQL. Rows are returned one page at a time.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ChartDrilldownRequest' }
+ *     responses:
+ *       200:
+ *         description: One page of detail rows
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DrilldownResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       408: { $ref: '#/components/responses/Error' }
+ *       422: { $ref: '#/components/responses/Error' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.post('/drilldown', validate('drillDownChart'), drillDownChart);   // POST /api/v1/charts/drilldown
+
+export default router;
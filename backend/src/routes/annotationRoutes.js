@@ -0,0 +1,135 @@
+// routes/annotationRoutes.js
+// Business glossary routes: descriptions, synonyms and hidden flags for
+// tables, columns and column values
+// Everyone can read the glossary; only admins change it, since it shapes
+// the SQL generated for every user
+
+import express from 'express';
+import { validate } from '../middleware/validate.js';
+import { requireAdmin } from '../middleware/auth.js';
+import {
+  getAnnotations,
+  addAnnotation,
+  editAnnotation,
+  removeAnnotation,
+  getAnnotationVersions
+} from '../controllers/annotationController.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/v1/annotations:
+ *   get:
+ *     operationId: listAnnotations
+ *     tags: [Glossary]
+ *     summary: List the glossary annotations of a datasource
+ *     parameters:
+ *       - $ref: '#/components/parameters/DatasourceParam'
+ *     responses:
+ *       200:
+ *         description: Annotations ordered by table, column and value
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/AnnotationListResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   post:
+ *     operationId: createAnnotation
+ *     tags: [Glossary]
+ *     summary: Annotate a table, column or column value (admins only)
+ *     description: >
+ *       Omit columnName to annotate the table, and value to annotate the
+ *       column. Annotated descriptions and synonyms are sent to the model in
+ *       place of inferred ones; hidden tables, columns and values are left
+ *       out of the schema it sees.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AnnotationCreateRequest' }
+ *     responses:
+ *       201:
+ *         description: Annotation created (version 1)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/AnnotationResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       409:
+ *         description: The table, column or value is already annotated
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/', validate('listAnnotations'), getAnnotations);          // GET /api/v1/annotations
+router.post('/', requireAdmin, validate('createAnnotation'), addAnnotation);         // POST /api/v1/annotations
+
+/**
+ * @openapi
+ * /api/v1/annotations/{id}:
+ *   patch:
+ *     operationId: updateAnnotation
+ *     tags: [Glossary]
+ *     summary: Change an annotation (admins only)
+ *     description: Every change is saved as a new version.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AnnotationUpdateRequest' }
+ *     responses:
+ *       200:
+ *         description: Updated annotation
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/AnnotationResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   delete:
+ *     operationId: deleteAnnotation
+ *     tags: [Glossary]
+ *     summary: Delete an annotation, keeping its versions (admins only)
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Annotation deleted
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.patch('/:id', requireAdmin, validate('updateAnnotation'), editAnnotation);    // PATCH /api/v1/annotations/:id
+router.delete('/:id', requireAdmin, validate('deleteAnnotation'), removeAnnotation); // DELETE /api/v1/annotations/:id
+
+/**
+ * @openapi
+ * /api/v1/annotations/{id}/versions:
+ *   get:
+ *     operationId: listAnnotationVersions
+ *     tags: [Glossary]
+ *     summary: List the versions of an annotation, newest first
+ *     description: Also available after the annotation is deleted.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Versions with a snapshot of the annotation after each change
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/AnnotationVersionListResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/:id/versions', validate('listAnnotationVersions'), getAnnotationVersions); // GET /api/v1/annotations/:id/versions
+
+export default router;
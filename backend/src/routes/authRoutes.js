@@ -0,0 +1,210 @@
+// routes/authRoutes.js
+// Sign-in, accounts and API keys
+// Registering and signing in are the only API routes open without
+// credentials; everything else here needs a signed-in account
+
+import express from 'express';
+import { validate } from '../middleware/validate.js';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import {
+  register,
+  login,
+  getCurrentAccount,
+  getApiKeys,
+  addApiKey,
+  removeApiKey,
+  getAccounts,
+  editAccount
+} from '../controllers/authController.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/v1/auth/register:
+ *   post:
+ *     operationId: register
+ *     tags: [Auth]
+ *     summary: Register an account and sign in
+ *     description: >
+ *       The first account becomes an admin. Once an account exists,
+ *       ALLOW_SIGNUP=false closes registration.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/RegisterRequest' }
+ *     responses:
+ *       201:
+ *         description: Account created, with a sign-in token
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/SignInResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       403:
+ *         description: Registration is closed
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       409:
+ *         description: The email already has an account
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.post('/register', validate('register'), register);       // POST /api/v1/auth/register
+
+/**
+ * @openapi
+ * /api/v1/auth/login:
+ *   post:
+ *     operationId: login
+ *     tags: [Auth]
+ *     summary: Sign in with an email and password
+ *     description: >
+ *       Send the token as `Authorization: Bearer <token>` on other requests.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/LoginRequest' }
+ *     responses:
+ *       200:
+ *         description: Signed in
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/SignInResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.post('/login', validate('login'), login);                 // POST /api/v1/auth/login
+
+/**
+ * @openapi
+ * /api/v1/auth/me:
+ *   get:
+ *     operationId: getCurrentAccount
+ *     tags: [Auth]
+ *     summary: Get the signed-in account
+ *     responses:
+ *       200:
+ *         description: The account the token or API key belongs to
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/AccountResponse' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ */
+router.get('/me', authenticate, validate('getCurrentAccount'), getCurrentAccount); // GET /api/v1/auth/me
+
+/**
+ * @openapi
+ * /api/v1/auth/api-keys:
+ *   get:
+ *     operationId: listApiKeys
+ *     tags: [Auth]
+ *     summary: List your API keys
+ *     responses:
+ *       200:
+ *         description: API keys, newest first (without the keys themselves)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ApiKeyListResponse' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   post:
+ *     operationId: createApiKey
+ *     tags: [Auth]
+ *     summary: Create an API key for service use
+ *     description: >
+ *       The key acts as your account. It is returned once; send it as
+ *       `X-API-Key: <key>` (or as a bearer token).
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ApiKeyCreateRequest' }
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ApiKeyCreatedResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/api-keys', authenticate, validate('listApiKeys'), getApiKeys);    // GET /api/v1/auth/api-keys
+router.post('/api-keys', authenticate, validate('createApiKey'), addApiKey);   // POST /api/v1/auth/api-keys
+
+/**
+ * @openapi
+ * /api/v1/auth/api-keys/{id}:
+ *   delete:
+ *     operationId: revokeApiKey
+ *     tags: [Auth]
+ *     summary: Revoke one of your API keys
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.delete('/api-keys/:id', authenticate, validate('revokeApiKey'), removeApiKey); // DELETE /api/v1/auth/api-keys/:id
+
+/**
+ * @openapi
+ * /api/v1/auth/accounts:
+ *   get:
+ *     operationId: listAccounts
+ *     tags: [Auth]
+ *     summary: List all accounts (admins only)
+ *     responses:
+ *       200:
+ *         description: Accounts, oldest first
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/AccountListResponse' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/accounts', authenticate, requireAdmin, validate('listAccounts'), getAccounts); // GET /api/v1/auth/accounts
+
+/**
+ * @openapi
+ * /api/v1/auth/accounts/{id}:
+ *   patch:
+ *     operationId: updateAccount
+ *     tags: [Auth]
+ *     summary: Change an account's name, role or team (admins only)
+ *     description: The team selects the account's row filters.
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AccountUpdateRequest' }
+ *     responses:
+ *       200:
+ *         description: Updated account
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/AccountResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       401: { $ref: '#/components/responses/Unauthorized' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.patch('/accounts/:id', authenticate, requireAdmin, validate('updateAccount'), editAccount); // PATCH /api/v1/auth/accounts/:id
+
+export default router;
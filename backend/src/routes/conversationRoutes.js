@@ -0,0 +1,66 @@
+// routes/conversationRoutes.js
+// Conversation history routes for follow-up prompts
+
+import express from 'express';
+import { validate } from '../middleware/validate.js';
+import {
+  getConversations,
+  getConversationById,
+  removeConversation
+} from '../controllers/conversationController.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/v1/conversations:
+ *   get:
+ *     operationId: listConversations
+ *     tags: [Conversations]
+ *     summary: List recent conversations
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *     responses:
+ *       200:
+ *         description: Conversations, most recently used first
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/', validate('listConversations'), getConversations);        // GET /api/v1/conversations
+
+/**
+ * @openapi
+ * /api/v1/conversations/{id}:
+ *   get:
+ *     operationId: getConversation
+ *     tags: [Conversations]
+ *     summary: Get a conversation with its threaded turns
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Conversation with turns (each turn has a parentTurnId)
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   delete:
+ *     operationId: deleteConversation
+ *     tags: [Conversations]
+ *     summary: Delete a conversation and its turns
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Conversation deleted
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/:id', validate('getConversation'), getConversationById);   // GET /api/v1/conversations/:id
+
+// Delete a conversation
+router.delete('/:id', validate('deleteConversation'), removeConversation); // DELETE /api/v1/conversations/:id
+
+export default router;
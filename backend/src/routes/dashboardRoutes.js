@@ -0,0 +1,248 @@
+// routes/dashboardRoutes.js
+// Dashboard routes - saved widgets arranged in a grid
+
+import express from 'express';
+import { validate } from '../middleware/validate.js';
+import {
+  getDashboards,
+  createNewDashboard,
+  getDashboardById,
+  editDashboard,
+  removeDashboard,
+  runDashboardQuery,
+  createTile,
+  saveLayout,
+  editTile,
+  deleteTile
+} from '../controllers/dashboardController.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/v1/dashboards:
+ *   get:
+ *     tags: [Dashboards]
+ *     summary: List dashboards, most recently updated first
+ *     operationId: listDashboards
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: One page of dashboard summaries (without tiles)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DashboardListResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   post:
+ *     tags: [Dashboards]
+ *     summary: Create an empty dashboard
+ *     operationId: createDashboard
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/DashboardCreateRequest' }
+ *     responses:
+ *       201:
+ *         description: Dashboard created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DashboardResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/', validate('listDashboards'), getDashboards);               // GET /api/v1/dashboards
+router.post('/', validate('createDashboard'), createNewDashboard);        // POST /api/v1/dashboards
+
+/**
+ * @openapi
+ * /api/v1/dashboards/{id}:
+ *   get:
+ *     tags: [Dashboards]
+ *     summary: Get a dashboard with its tiles and their widgets
+ *     operationId: getDashboard
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Dashboard with tiles in reading order, each with a renderable widget
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DashboardResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   patch:
+ *     tags: [Dashboards]
+ *     summary: Rename a dashboard, change its description or save its filter values
+ *     operationId: updateDashboard
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/DashboardUpdateRequest' }
+ *     responses:
+ *       200:
+ *         description: Updated dashboard
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DashboardResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   delete:
+ *     tags: [Dashboards]
+ *     summary: Delete a dashboard (its widgets are kept)
+ *     operationId: deleteDashboard
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Dashboard deleted
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/:id', validate('getDashboard'), getDashboardById);          // GET /api/v1/dashboards/:id
+router.patch('/:id', validate('updateDashboard'), editDashboard);        // PATCH /api/v1/dashboards/:id
+router.delete('/:id', validate('deleteDashboard'), removeDashboard);     // DELETE /api/v1/dashboards/:id
+
+/**
+ * @openapi
+ * /api/v1/dashboards/{id}/query:
+ *   post:
+ *     tags: [Dashboards]
+ *     summary: Re-run every widget with the dashboard's filters applied
+ *     description: >
+ *       Filter values are bound to each widget's named parameters through
+ *       query replacements. Widgets that do not declare a filter ignore it;
+ *       unset filters fall back to each widget's default. Results are not
+ *       stored, and a tile that fails reports its error without failing the rest.
+ *     operationId: queryDashboard
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/DashboardQueryRequest' }
+ *     responses:
+ *       200:
+ *         description: Filtered data for each tile
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DashboardQueryResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.post('/:id/query', validate('queryDashboard'), runDashboardQuery); // POST /api/v1/dashboards/:id/query
+
+/**
+ * @openapi
+ * /api/v1/dashboards/{id}/tiles:
+ *   post:
+ *     tags: [Dashboards]
+ *     summary: Place a saved widget on a dashboard
+ *     description: >
+ *       Without a position the tile is added below the existing tiles.
+ *       Placements are clamped to the 12-column grid.
+ *     operationId: addDashboardTile
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TileCreateRequest' }
+ *     responses:
+ *       201:
+ *         description: Tile created
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DashboardTileResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.post('/:id/tiles', validate('addDashboardTile'), createTile);     // POST /api/v1/dashboards/:id/tiles
+
+/**
+ * @openapi
+ * /api/v1/dashboards/{id}/layout:
+ *   put:
+ *     tags: [Dashboards]
+ *     summary: Save tile positions and sizes
+ *     description: >
+ *       Tiles not listed keep their placement. Reading order is recomputed
+ *       top-to-bottom, left-to-right.
+ *     operationId: updateDashboardLayout
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/DashboardLayoutRequest' }
+ *     responses:
+ *       200:
+ *         description: Dashboard with the saved layout
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DashboardResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.put('/:id/layout', validate('updateDashboardLayout'), saveLayout); // PUT /api/v1/dashboards/:id/layout
+
+/**
+ * @openapi
+ * /api/v1/dashboards/{id}/tiles/{tileId}:
+ *   patch:
+ *     tags: [Dashboards]
+ *     summary: Change a tile's title or placement
+ *     operationId: updateDashboardTile
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *       - $ref: '#/components/parameters/TileIdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TileUpdateRequest' }
+ *     responses:
+ *       200:
+ *         description: Updated tile
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DashboardTileResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   delete:
+ *     tags: [Dashboards]
+ *     summary: Remove a tile from a dashboard (the widget is kept)
+ *     operationId: deleteDashboardTile
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *       - $ref: '#/components/parameters/TileIdParam'
+ *     responses:
+ *       200:
+ *         description: Tile removed
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.patch('/:id/tiles/:tileId', validate('updateDashboardTile'), editTile);   // PATCH /api/v1/dashboards/:id/tiles/:tileId
+router.delete('/:id/tiles/:tileId', validate('deleteDashboardTile'), deleteTile); // DELETE /api/v1/dashboards/:id/tiles/:tileId
+
+export default router;
@@ -0,0 +1,110 @@
+// routes/datasetRoutes.js
+// Uploaded dataset routes
+
+import express from 'express';
+import { validate } from '../middleware/validate.js';
+import { receiveFile } from '../middleware/upload.js';
+import { MAX_UPLOAD_BYTES } from '../services/datasetService.js';
+import {
+  uploadDataset,
+  getDatasets,
+  removeDataset
+} from '../controllers/datasetController.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/v1/datasets:
+ *   get:
+ *     tags: [Datasets]
+ *     summary: List the uploaded datasets the account may see, newest first
+ *     description: Members see the datasets they uploaded; admins see all of them.
+ *     operationId: listDatasets
+ *     responses:
+ *       200:
+ *         description: Uploaded datasets
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DatasetListResponse' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   post:
+ *     tags: [Datasets]
+ *     summary: Upload a CSV, TSV or JSON file to ask questions about
+ *     description: >
+ *       Send the file itself as the request body. Column types are
+ *       inferred from the values and the rows are loaded into a table of
+ *       a new read-only SQLite datasource; pass the returned id as
+ *       datasourceId when generating charts. JSON files must hold an array
+ *       of objects and be sent as application/octet-stream.
+ *     operationId: uploadDataset
+ *     parameters:
+ *       - in: query
+ *         name: fileName
+ *         required: true
+ *         schema: { type: string, minLength: 1, maxLength: 255, example: 'sales.csv' }
+ *         description: Original file name; also names the table
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [csv, tsv, json] }
+ *         description: File format (from the file name's extension if omitted)
+ *       - in: query
+ *         name: name
+ *         schema: { type: string, maxLength: 255 }
+ *         description: Display name (the file name if omitted)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema: { type: string }
+ *         text/tab-separated-values:
+ *           schema: { type: string }
+ *         application/octet-stream:
+ *           schema: { type: string, format: binary }
+ *     responses:
+ *       201:
+ *         description: File loaded and registered as a datasource
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DatasetResponse' }
+ *       400:
+ *         description: Invalid request, or the file cannot be read as a table
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       413:
+ *         description: The file is too large (DATASET_MAX_MB)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/', validate('listDatasets'), getDatasets);                                         // GET /api/v1/datasets
+router.post('/', receiveFile(MAX_UPLOAD_BYTES), validate('uploadDataset'), uploadDataset);    // POST /api/v1/datasets
+
+/**
+ * @openapi
+ * /api/v1/datasets/{datasetId}:
+ *   delete:
+ *     tags: [Datasets]
+ *     summary: Delete an uploaded dataset
+ *     description: >
+ *       Only the account that uploaded the dataset (or an admin) can delete
+ *       it. Widgets saved from the dataset are kept but can no longer be
+ *       refreshed.
+ *     operationId: deleteDataset
+ *     parameters:
+ *       - in: path
+ *         name: datasetId
+ *         required: true
+ *         schema: { $ref: '#/components/schemas/DatasourceId' }
+ *     responses:
+ *       200:
+ *         description: Dataset deleted
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.delete('/:datasetId', validate('deleteDataset'), removeDataset);   // DELETE /api/v1/datasets/:datasetId
+
+export default router;
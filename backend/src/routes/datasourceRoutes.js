@@ -0,0 +1,31 @@
+// routes/datasourceRoutes.js
+// Analytic datasource routes
+
+import express from 'express';
+import { validate } from '../middleware/validate.js';
+import { getDatasources } from '../controllers/datasourceController.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/v1/datasources:
+ *   get:
+ *     operationId: listDatasources
+ *     tags: [Datasources]
+ *     summary: List the databases charts can be generated from
+ *     description: >
+ *       Datasources are configured on the server (DATASOURCES); pass a
+ *       datasource id when generating a chart or reading the schema.
+ *       Credentials are never returned.
+ *     responses:
+ *       200:
+ *         description: Configured datasources
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DatasourceListResponse' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/', validate('listDatasources'), getDatasources);   // GET /api/v1/datasources
+
+export default router;
@@ -0,0 +1,67 @@
+// routes/healthRoutes.js
+// Service health and connectivity checks
+// The overall status is open for load balancers; the connection tests
+// reach the database and the LLM provider, so they need an account
+
+import express from 'express';
+import { validate } from '../middleware/validate.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  getHealthStatus,
+  testAIConnection,
+  testDatabaseConnection
+} from '../controllers/aiChartController.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/v1/health:
+ *   get:
+ *     operationId: getHealth
+ *     tags: [Health]
+ *     summary: Overall service health (database, AI provider, schema)
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: All components are up
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/HealthResponse' }
+ *       503:
+ *         description: One or more components are down
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/HealthResponse' }
+ */
+router.get('/', validate('getHealth'), getHealthStatus);                     // GET /api/v1/health
+
+/**
+ * @openapi
+ * /api/v1/health/ai:
+ *   get:
+ *     operationId: testAIConnection
+ *     tags: [Health]
+ *     summary: Test the connection to the configured LLM provider
+ *     responses:
+ *       200:
+ *         description: Provider reachable, with model information
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/ai', authenticate, validate('testAIConnection'), testAIConnection);           // GET /api/v1/health/ai
+
+/**
+ * @openapi
+ * /api/v1/health/db:
+ *   get:
+ *     operationId: testDatabaseConnection
+ *     tags: [Health]
+ *     summary: Test the database connection
+ *     responses:
+ *       200:
+ *         description: Database reachable, with connection details
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/db', authenticate, validate('testDatabaseConnection'), testDatabaseConnection); // GET /api/v1/health/db
+
+export default router;
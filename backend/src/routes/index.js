@@ -0,0 +1,38 @@
+// routes/index.js
+// Versioned API route table
+// Every resource router is mounted here; server.js mounts this under /api/v1
+
+import express from 'express';
+import chartRoutes from './aiChartRoutes.js';
+import schemaRoutes from './schemaRoutes.js';
+import healthRoutes from './healthRoutes.js';
+import widgetRoutes from './widgetRoutes.js';
+import dashboardRoutes from './dashboardRoutes.js';
+import conversationRoutes from './conversationRoutes.js';
+import datasourceRoutes from './datasourceRoutes.js';
+import datasetRoutes from './datasetRoutes.js';
+import annotationRoutes from './annotationRoutes.js';
+import authRoutes from './authRoutes.js';
+import { authenticate } from '../middleware/auth.js';
+
+export const API_VERSION = 'v1';
+
+const router = express.Router();
+
+// Open without credentials (health checks guard their own sub-routes)
+router.use('/health', healthRoutes);             // /api/v1/health
+router.use('/auth', authRoutes);                 // /api/v1/auth
+
+// Everything below needs a signed-in account or an API key
+router.use(authenticate);
+
+router.use('/charts', chartRoutes);              // /api/v1/charts
+router.use('/schema', schemaRoutes);             // /api/v1/schema
+router.use('/widgets', widgetRoutes);            // /api/v1/widgets
+router.use('/dashboards', dashboardRoutes);      // /api/v1/dashboards
+router.use('/conversations', conversationRoutes); // /api/v1/conversations
+router.use('/datasources', datasourceRoutes);    // /api/v1/datasources
+router.use('/datasets', datasetRoutes);          // /api/v1/datasets
+router.use('/annotations', annotationRoutes);    // /api/v1/annotations
+
+export default router;
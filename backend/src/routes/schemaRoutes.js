@@ -0,0 +1,136 @@
+// routes/schemaRoutes.js
+// Database schema and statistics routes
+
+import express from 'express';
+import { validate } from '../middleware/validate.js';
+import { requireAdmin } from '../middleware/auth.js';
+import {
+  getDatabaseSchemaInfo,
+  refreshSchemaCache,
+  getSchemaChanges,
+  getSemanticLayerCatalog,
+  getDatabaseStatistics
+} from '../controllers/aiChartController.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/v1/schema:
+ *   get:
+ *     operationId: getSchema
+ *     tags: [Schema]
+ *     summary: Get the database schema used to generate queries
+ *     parameters:
+ *       - in: query
+ *         name: refresh
+ *         schema: { type: boolean, default: false }
+ *         description: Bypass the schema cache
+ *       - $ref: '#/components/parameters/DatasourceParam'
+ *     responses:
+ *       200:
+ *         description: Database schema (tables, columns, relationships)
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/', validate('getSchema'), getDatabaseSchemaInfo);             // GET /api/v1/schema
+
+/**
+ * @openapi
+ * /api/v1/schema/refresh:
+ *   post:
+ *     operationId: refreshSchema
+ *     tags: [Schema]
+ *     summary: Clear and reload the schema cache (admins only)
+ *     description: >
+ *       Scans the database again, diffs it against the previous snapshot
+ *       and re-validates the datasource's saved widgets.
+ *     parameters:
+ *       - $ref: '#/components/parameters/DatasourceParam'
+ *     responses:
+ *       200:
+ *         description: Refreshed table list with column counts, the fingerprint and the last change
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       403: { $ref: '#/components/responses/Forbidden' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.post('/refresh', requireAdmin, validate('refreshSchema'), refreshSchemaCache);    // POST /api/v1/schema/refresh
+
+/**
+ * @openapi
+ * /api/v1/schema/changes:
+ *   get:
+ *     operationId: getSchemaChanges
+ *     tags: [Schema]
+ *     summary: Get the schema fingerprint and the last detected change
+ *     description: >
+ *       The schema of each datasource is persisted with a fingerprint of
+ *       its tables, columns and types. The fingerprint is compared with the
+ *       database at most once per SCHEMA_CHECK_INTERVAL; when it differs the
+ *       schema is scanned again and diffed. Saved widgets whose SQL no
+ *       longer validates against the new schema are listed as flagged.
+ *     parameters:
+ *       - in: query
+ *         name: check
+ *         schema: { type: boolean, default: false }
+ *         description: Compare with the database now
+ *       - $ref: '#/components/parameters/DatasourceParam'
+ *     responses:
+ *       200:
+ *         description: Fingerprint, last change and flagged widgets
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/SchemaChangesResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/changes', validate('getSchemaChanges'), getSchemaChanges);   // GET /api/v1/schema/changes
+
+/**
+ * @openapi
+ * /api/v1/schema/semantic-layer:
+ *   get:
+ *     operationId: getSemanticLayer
+ *     tags: [Schema]
+ *     summary: Get the named metrics and dimensions of a datasource
+ *     description: >
+ *       Canonical definitions from the semantic layer file
+ *       (SEMANTIC_LAYER_FILE). Generated queries must compute a metric with
+ *       its expression; entries whose table or columns are not in the
+ *       datasource are left out.
+ *     parameters:
+ *       - $ref: '#/components/parameters/DatasourceParam'
+ *     responses:
+ *       200:
+ *         description: Metric and dimension glossary
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/SemanticLayerResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/semantic-layer', validate('getSemanticLayer'), getSemanticLayerCatalog);   // GET /api/v1/schema/semantic-layer
+
+/**
+ * @openapi
+ * /api/v1/schema/stats:
+ *   get:
+ *     operationId: getSchemaStats
+ *     tags: [Schema]
+ *     summary: Get row counts and database metadata
+ *     parameters:
+ *       - $ref: '#/components/parameters/DatasourceParam'
+ *     responses:
+ *       200:
+ *         description: Database statistics and metadata
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/stats', validate('getSchemaStats'), getDatabaseStatistics);   // GET /api/v1/schema/stats
+
+export default router;
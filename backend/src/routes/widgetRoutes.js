@@ -0,0 +1,229 @@
+// routes/widgetRoutes.js
+// Saved chart widget routes ("My Charts")
+
+import express from 'express';
+import { validate } from '../middleware/validate.js';
+import {
+  getWidgets,
+  createWidget,
+  getLastSavedWidget,
+  getWidgetById,
+  editWidget,
+  copyWidget,
+  refreshWidgetData,
+  removeWidget
+} from '../controllers/widgetController.js';
+import { drillDownWidgetData } from '../controllers/drilldownController.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/v1/widgets:
+ *   get:
+ *     tags: [Widgets]
+ *     summary: List saved widgets, most recently updated first
+ *     operationId: listWidgets
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200:
+ *         description: One page of widget summaries (without specs)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WidgetListResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   post:
+ *     tags: [Widgets]
+ *     summary: Save a generated chart as a widget
+ *     operationId: createWidget
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/WidgetCreateRequest' }
+ *     responses:
+ *       201:
+ *         description: Widget saved (and marked as the last saved widget)
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WidgetResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404:
+ *         description: The datasource is not configured
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/ErrorResponse' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/', validate('listWidgets'), getWidgets);                 // GET /api/v1/widgets
+router.post('/', validate('createWidget'), createWidget);             // POST /api/v1/widgets
+
+/**
+ * @openapi
+ * /api/v1/widgets/last:
+ *   get:
+ *     tags: [Widgets]
+ *     summary: Get the most recently saved widget
+ *     operationId: getLastWidget
+ *     responses:
+ *       200:
+ *         description: Widget with prompt, SQL, Vega-Lite spec and analysis
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WidgetResponse' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/last', validate('getLastWidget'), getLastSavedWidget);   // GET /api/v1/widgets/last
+
+/**
+ * @openapi
+ * /api/v1/widgets/{id}:
+ *   get:
+ *     tags: [Widgets]
+ *     summary: Get a widget
+ *     operationId: getWidget
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Widget with prompt, SQL, Vega-Lite spec and analysis
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WidgetResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   patch:
+ *     tags: [Widgets]
+ *     summary: Rename a widget or replace its spec
+ *     operationId: updateWidget
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/WidgetUpdateRequest' }
+ *     responses:
+ *       200:
+ *         description: Updated widget
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WidgetResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ *   delete:
+ *     tags: [Widgets]
+ *     summary: Delete a widget
+ *     operationId: deleteWidget
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     responses:
+ *       200:
+ *         description: Widget deleted
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.get('/:id', validate('getWidget'), getWidgetById);             // GET /api/v1/widgets/:id
+router.patch('/:id', validate('updateWidget'), editWidget);           // PATCH /api/v1/widgets/:id
+router.delete('/:id', validate('deleteWidget'), removeWidget);        // DELETE /api/v1/widgets/:id
+
+/**
+ * @openapi
+ * /api/v1/widgets/{id}/duplicate:
+ *   post:
+ *     tags: [Widgets]
+ *     summary: Copy a widget
+ *     operationId: duplicateWidget
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/WidgetDuplicateRequest' }
+ *     responses:
+ *       201:
+ *         description: The copy
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WidgetResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.post('/:id/duplicate', validate('duplicateWidget'), copyWidget); // POST /api/v1/widgets/:id/duplicate
+
+/**
+ * @openapi
+ * /api/v1/widgets/{id}/refresh:
+ *   post:
+ *     tags: [Widgets]
+ *     summary: Re-run the widget's SQL against live data
+ *     description: >
+ *       Validates the stored SQL against the current schema, executes it
+ *       and stores the rows as the widget's last result. No LLM call is made.
+ *     operationId: refreshWidget
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/WidgetRefreshRequest' }
+ *     responses:
+ *       200:
+ *         description: Widget with fresh data and summary statistics
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/WidgetRefreshResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       408: { $ref: '#/components/responses/Error' }
+ *       422: { $ref: '#/components/responses/Error' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.post('/:id/refresh', validate('refreshWidget'), refreshWidgetData); // POST /api/v1/widgets/:id/refresh
+
+/**
+ * @openapi
+ * /api/v1/widgets/{id}/drilldown:
+ *   post:
+ *     tags: [Widgets]
+ *     summary: List the rows behind one group of the widget's chart
+ *     description: >
+ *       Derives a detail query from the chart's SQL: the same tables, joins
+ *       and filters, with the grouping expression compared with the clicked
+ *       value (bound as a parameter). It passes the same safety validator as
+ *       generated SQL. Rows are returned one page at a time.
+ *     operationId: drillDownWidget
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdParam'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/WidgetDrilldownRequest' }
+ *     responses:
+ *       200:
+ *         description: One page of detail rows
+ *         content:
+ *           application/json:
+ *             schema: { $ref: '#/components/schemas/DrilldownResponse' }
+ *       400: { $ref: '#/components/responses/BadRequest' }
+ *       404: { $ref: '#/components/responses/NotFound' }
+ *       408: { $ref: '#/components/responses/Error' }
+ *       422: { $ref: '#/components/responses/Error' }
+ *       500: { $ref: '#/components/responses/Error' }
+ */
+router.post('/:id/drilldown', validate('drillDownWidget'), drillDownWidgetData); // POST /api/v1/widgets/:id/drilldown
+
+export default router;
@@ -0,0 +1,1092 @@
+// schemas/apiSchemas.js
+// Shared request/response schemas for the API
+// Registered as OpenAPI components in swagger.js; route annotations
+// reference them, and the validation middleware enforces them
+
+import { PARAMETER_TYPES } from '../utils/queryParameters.js';
+import { SELECTION_TYPES } from '../services/chartService.js';
+import { DATASOURCE_DIALECTS } from '../config/datasources.js';
+import { DATASET_FORMATS } from '../utils/datasetParser.js';
+import { DISPLAY_FORMATS, TIME_GRAINS } from '../services/semanticLayerService.js';
+import { ROLES } from '../services/authService.js';
+
+// Bounds for client-supplied execution options
+export const QUERY_LIMITS = {
+  MIN_TIMEOUT: 1000,       // 1 second
+  MAX_TIMEOUT: 120000,     // 2 minutes
+  DEFAULT_TIMEOUT: 30000,
+  MAX_ROWS: 10000,
+  MAX_REPAIR_ATTEMPTS: 5
+};
+
+const ErrorResponse = {
+  type: 'object',
+  required: ['success'],
+  properties: {
+    success: { type: 'boolean', example: false },
+    message: { type: 'string' },
+    error: { type: 'string' },
+    errors: { type: 'array', items: { type: 'string' } },
+    hint: { type: 'string' }
+  }
+};
+
+const ValidationErrorResponse = {
+  type: 'object',
+  required: ['success', 'message', 'errors'],
+  properties: {
+    success: { type: 'boolean', example: false },
+    message: { type: 'string', example: 'Invalid request' },
+    errors: {
+      type: 'array',
+      items: { type: 'string' },
+      example: ['body.options.maxRows must be <= 10000']
+    }
+  }
+};
+
+const ChartOptions = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    theme: {
+      type: 'string',
+      enum: ['default', 'dark', 'minimal', 'professional'],
+      default: 'default'
+    },
+    responsive: { type: 'boolean', default: false },
+    tooltip: { type: 'boolean', default: true },
+    selection: {
+      type: 'string',
+      enum: SELECTION_TYPES,
+      default: 'none',
+      description: 'Add a click (point) or brush (interval) selection on the grouping field for cross-filtering'
+    }
+  }
+};
+
+// Execution options shared by every endpoint that runs SQL
+const timeoutOption = {
+  type: 'integer',
+  minimum: QUERY_LIMITS.MIN_TIMEOUT,
+  maximum: QUERY_LIMITS.MAX_TIMEOUT,
+  default: QUERY_LIMITS.DEFAULT_TIMEOUT,
+  description: 'Query timeout in milliseconds'
+};
+
+const maxRowsOption = {
+  type: 'integer',
+  minimum: 1,
+  maximum: QUERY_LIMITS.MAX_ROWS,
+  default: QUERY_LIMITS.MAX_ROWS,
+  description: 'Maximum rows to return; larger results are truncated'
+};
+
+const ChartRequestOptions = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    timeout: timeoutOption,
+    maxRows: maxRowsOption,
+    maxRepairAttempts: {
+      type: 'integer',
+      minimum: 0,
+      maximum: QUERY_LIMITS.MAX_REPAIR_ATTEMPTS,
+      description: 'Repairs allowed for failing SQL (also capped by SQL_REPAIR_MAX_ATTEMPTS)'
+    },
+    chartOptions: { $ref: '#/components/schemas/ChartOptions' }
+  }
+};
+
+// Id of a configured datasource (see config/datasources.js)
+const DatasourceId = {
+  type: 'string',
+  pattern: '^[a-zA-Z0-9][a-zA-Z0-9_-]{0,62}$',
+  example: 'default'
+};
+
+const Datasource = {
+  type: 'object',
+  required: ['id', 'name', 'dialect'],
+  properties: {
+    id: { $ref: '#/components/schemas/DatasourceId' },
+    name: { type: 'string' },
+    dialect: { type: 'string', enum: DATASOURCE_DIALECTS },
+    database: { type: 'string', nullable: true },
+    isDefault: { type: 'boolean' }
+  }
+};
+
+const DatasourceListResponse = {
+  type: 'object',
+  required: ['success', 'datasources'],
+  properties: {
+    success: { type: 'boolean' },
+    datasources: { type: 'array', items: { $ref: '#/components/schemas/Datasource' } },
+    defaultDatasourceId: { $ref: '#/components/schemas/DatasourceId' }
+  }
+};
+
+// A file uploaded as its own datasource (see services/datasetService.js)
+const Dataset = {
+  type: 'object',
+  required: ['id', 'name', 'table', 'rowCount', 'columns'],
+  properties: {
+    id: {
+      allOf: [{ $ref: '#/components/schemas/DatasourceId' }],
+      description: 'Dataset id, also the datasourceId to generate charts from'
+    },
+    name: { type: 'string' },
+    fileName: { type: 'string' },
+    format: { type: 'string', enum: DATASET_FORMATS },
+    table: { type: 'string', description: 'Table holding the rows' },
+    rowCount: { type: 'integer' },
+    columns: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'type'],
+        properties: {
+          name: { type: 'string', description: 'Column name in the table' },
+          sourceName: { type: 'string', description: 'Header in the uploaded file' },
+          type: { type: 'string', example: 'DECIMAL' }
+        }
+      }
+    },
+    createdBy: { type: 'string', format: 'uuid', nullable: true, description: 'Uploading account' },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const DatasetResponse = {
+  type: 'object',
+  required: ['success', 'dataset'],
+  properties: {
+    success: { type: 'boolean' },
+    dataset: { $ref: '#/components/schemas/Dataset' }
+  }
+};
+
+const DatasetListResponse = {
+  type: 'object',
+  required: ['success', 'datasets'],
+  properties: {
+    success: { type: 'boolean' },
+    datasets: { type: 'array', items: { $ref: '#/components/schemas/Dataset' } }
+  }
+};
+
+const SchemaColumnState = {
+  type: 'object',
+  required: ['name', 'type', 'nullable'],
+  properties: {
+    name: { type: 'string' },
+    type: { type: 'string', example: 'DECIMAL' },
+    nullable: { type: 'boolean' }
+  }
+};
+
+// Difference between two schema snapshots (see utils/schemaDiff.js);
+// null until a change has been detected
+const SchemaChanges = {
+  type: 'object',
+  nullable: true,
+  required: ['addedTables', 'removedTables', 'changedTables'],
+  properties: {
+    detectedAt: { type: 'string', format: 'date-time' },
+    previousFingerprint: { type: 'string' },
+    addedTables: { type: 'array', items: { type: 'string' } },
+    removedTables: { type: 'array', items: { type: 'string' } },
+    changedTables: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['table', 'addedColumns', 'removedColumns', 'changedColumns'],
+        properties: {
+          table: { type: 'string' },
+          addedColumns: { type: 'array', items: { $ref: '#/components/schemas/SchemaColumnState' } },
+          removedColumns: { type: 'array', items: { $ref: '#/components/schemas/SchemaColumnState' } },
+          changedColumns: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                before: { $ref: '#/components/schemas/SchemaColumnState' },
+                after: { $ref: '#/components/schemas/SchemaColumnState' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const SchemaChangesResponse = {
+  type: 'object',
+  required: ['success', 'datasourceId', 'fingerprint', 'flaggedWidgets'],
+  properties: {
+    success: { type: 'boolean' },
+    datasourceId: { $ref: '#/components/schemas/DatasourceId' },
+    fingerprint: { type: 'string', description: 'SHA-256 of tables, columns, types and nullability' },
+    scannedAt: { type: 'string', format: 'date-time' },
+    checkedAt: { type: 'string', format: 'date-time' },
+    changes: { $ref: '#/components/schemas/SchemaChanges' },
+    flaggedWidgets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'schemaIssues'],
+        properties: {
+          id: { type: 'string', format: 'uuid' },
+          name: { type: 'string', nullable: true },
+          schemaIssues: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+// Named metric or dimension of the semantic layer
+// (see services/semanticLayerService.js)
+const SemanticEntry = {
+  type: 'object',
+  required: ['name', 'label', 'table', 'expression', 'grains', 'format'],
+  properties: {
+    name: { type: 'string', example: 'revenue' },
+    label: { type: 'string', example: 'Revenue' },
+    description: { type: 'string', nullable: true },
+    table: { type: 'string', example: 'sales' },
+    expression: { type: 'string', example: 'SUM(amount * quantity)' },
+    grains: { type: 'array', items: { type: 'string', enum: TIME_GRAINS } },
+    format: { type: 'string', enum: Object.keys(DISPLAY_FORMATS) },
+    vegaFormat: { type: 'string', nullable: true, description: 'd3 format string for axes', example: '$,.2f' },
+    synonyms: { type: 'array', items: { type: 'string' } },
+    datasourceId: { type: 'string', nullable: true }
+  }
+};
+
+const SemanticLayerResponse = {
+  type: 'object',
+  required: ['success', 'datasourceId', 'metrics', 'dimensions'],
+  properties: {
+    success: { type: 'boolean' },
+    datasourceId: { $ref: '#/components/schemas/DatasourceId' },
+    metrics: { type: 'array', items: { $ref: '#/components/schemas/SemanticEntry' } },
+    dimensions: { type: 'array', items: { $ref: '#/components/schemas/SemanticEntry' } }
+  }
+};
+
+// Business glossary annotation of a table, column or column value
+// (see services/annotationService.js)
+const AnnotationSynonyms = {
+  type: 'array',
+  maxItems: 50,
+  items: { type: 'string', minLength: 1, maxLength: 100 },
+  example: ['customer', 'client']
+};
+
+const Annotation = {
+  type: 'object',
+  required: ['id', 'datasourceId', 'tableName', 'synonyms', 'hidden', 'version'],
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    datasourceId: { $ref: '#/components/schemas/DatasourceId' },
+    tableName: { type: 'string', example: 'users' },
+    columnName: { type: 'string', nullable: true, description: 'Null for a table annotation' },
+    value: { type: 'string', nullable: true, description: 'Null unless a value of the column is annotated' },
+    description: { type: 'string', nullable: true },
+    synonyms: { $ref: '#/components/schemas/AnnotationSynonyms' },
+    hidden: { type: 'boolean', description: 'Left out of the schema sent to the model' },
+    version: { type: 'integer', minimum: 1 },
+    updatedBy: { type: 'string', format: 'uuid', nullable: true },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const AnnotationCreateRequest = {
+  type: 'object',
+  required: ['tableName'],
+  additionalProperties: false,
+  properties: {
+    datasourceId: { $ref: '#/components/schemas/DatasourceId' },
+    tableName: { type: 'string', minLength: 1, maxLength: 255 },
+    columnName: { type: 'string', minLength: 1, maxLength: 255 },
+    value: { type: 'string', maxLength: 1000 },
+    description: { type: 'string', maxLength: 2000 },
+    synonyms: { $ref: '#/components/schemas/AnnotationSynonyms' },
+    hidden: { type: 'boolean', default: false }
+  }
+};
+
+const AnnotationUpdateRequest = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    description: { type: 'string', maxLength: 2000, nullable: true },
+    synonyms: { $ref: '#/components/schemas/AnnotationSynonyms' },
+    hidden: { type: 'boolean' }
+  }
+};
+
+const AnnotationResponse = {
+  type: 'object',
+  required: ['success', 'annotation'],
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    annotation: { $ref: '#/components/schemas/Annotation' }
+  }
+};
+
+const AnnotationListResponse = {
+  type: 'object',
+  required: ['success', 'datasourceId', 'annotations'],
+  properties: {
+    success: { type: 'boolean' },
+    datasourceId: { $ref: '#/components/schemas/DatasourceId' },
+    annotations: { type: 'array', items: { $ref: '#/components/schemas/Annotation' } }
+  }
+};
+
+const AnnotationVersionListResponse = {
+  type: 'object',
+  required: ['success', 'versions'],
+  properties: {
+    success: { type: 'boolean' },
+    versions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          version: { type: 'integer' },
+          action: { type: 'string', enum: ['created', 'updated', 'deleted'] },
+          snapshot: { type: 'object', description: 'The annotation as it was after this change' },
+          changedBy: { type: 'string', format: 'uuid', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  }
+};
+
+// Sign-in account (see services/authService.js)
+const Account = {
+  type: 'object',
+  required: ['id', 'email', 'role'],
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    email: { type: 'string', format: 'email' },
+    name: { type: 'string', nullable: true },
+    role: { type: 'string', enum: ROLES },
+    team: {
+      type: 'string',
+      nullable: true,
+      description: 'Selects the row filters applied to this account\'s queries'
+    },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const RegisterRequest = {
+  type: 'object',
+  required: ['email', 'password'],
+  additionalProperties: false,
+  properties: {
+    email: { type: 'string', format: 'email', maxLength: 255 },
+    password: { type: 'string', minLength: 8, maxLength: 200 },
+    name: { type: 'string', minLength: 1, maxLength: 255 }
+  }
+};
+
+const LoginRequest = {
+  type: 'object',
+  required: ['email', 'password'],
+  additionalProperties: false,
+  properties: {
+    email: { type: 'string', maxLength: 255 },
+    password: { type: 'string', maxLength: 200 }
+  }
+};
+
+const SignInResponse = {
+  type: 'object',
+  required: ['success', 'account', 'token', 'expiresAt'],
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    account: { $ref: '#/components/schemas/Account' },
+    token: { type: 'string', description: 'Send as Authorization: Bearer <token>' },
+    expiresAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const AccountResponse = {
+  type: 'object',
+  required: ['success', 'account'],
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    account: { $ref: '#/components/schemas/Account' }
+  }
+};
+
+const AccountListResponse = {
+  type: 'object',
+  required: ['success', 'accounts'],
+  properties: {
+    success: { type: 'boolean' },
+    accounts: { type: 'array', items: { $ref: '#/components/schemas/Account' } }
+  }
+};
+
+const AccountUpdateRequest = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', maxLength: 255, nullable: true },
+    role: { type: 'string', enum: ROLES },
+    team: { type: 'string', maxLength: 63, nullable: true }
+  }
+};
+
+// API key for service use; the key itself is only returned when created
+const ApiKey = {
+  type: 'object',
+  required: ['id', 'name', 'prefix'],
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    name: { type: 'string' },
+    prefix: { type: 'string', description: 'First characters of the key', example: 'vk_3fQa9Lx' },
+    lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const ApiKeyCreateRequest = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 255, example: 'Nightly report job' }
+  }
+};
+
+const ApiKeyCreatedResponse = {
+  type: 'object',
+  required: ['success', 'apiKey', 'key'],
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    apiKey: { $ref: '#/components/schemas/ApiKey' },
+    key: { type: 'string', description: 'The API key; it cannot be retrieved again' }
+  }
+};
+
+const ApiKeyListResponse = {
+  type: 'object',
+  required: ['success', 'apiKeys'],
+  properties: {
+    success: { type: 'boolean' },
+    apiKeys: { type: 'array', items: { $ref: '#/components/schemas/ApiKey' } }
+  }
+};
+
+const ChartRequest = {
+  type: 'object',
+  required: ['prompt'],
+  properties: {
+    prompt: {
+      type: 'string',
+      minLength: 3,
+      maxLength: 1000,
+      example: 'Show total sales by region'
+    },
+    datasourceId: {
+      allOf: [{ $ref: '#/components/schemas/DatasourceId' }],
+      description: 'Datasource to query (the default datasource if omitted)'
+    },
+    conversationId: { type: 'string', format: 'uuid' },
+    parentTurnId: { type: 'string', format: 'uuid' },
+    options: {
+      allOf: [{ $ref: '#/components/schemas/ChartRequestOptions' }],
+      default: {}
+    }
+  }
+};
+
+const QueryAttempt = {
+  type: 'object',
+  required: ['attempt', 'sql', 'status'],
+  properties: {
+    attempt: { type: 'integer' },
+    sql: { type: 'string' },
+    status: { type: 'string', enum: ['succeeded', 'failed'] },
+    stage: { type: 'string', enum: ['validation', 'execution'] },
+    errors: { type: 'array', items: { type: 'string' } },
+    warnings: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const ChartResponse = {
+  type: 'object',
+  required: ['success', 'prompt', 'analysis', 'sql', 'dataCount', 'data', 'vegaSpec'],
+  properties: {
+    success: { type: 'boolean' },
+    prompt: { type: 'string' },
+    analysis: { type: 'object' },
+    sql: { type: 'string' },
+    parameters: { type: 'array', items: { $ref: '#/components/schemas/QueryParameter' } },
+    dataCount: { type: 'integer' },
+    truncated: { type: 'boolean' },
+    totalRowCount: { type: 'integer', nullable: true },
+    data: { type: 'array', items: { type: 'object' } },
+    vegaSpec: { type: 'object' },
+    executionTime: { type: 'integer' },
+    attempts: { type: 'array', items: { $ref: '#/components/schemas/QueryAttempt' } },
+    repaired: { type: 'boolean' },
+    summary: { type: 'object' },
+    alternatives: { type: 'array', items: { type: 'object' } },
+    explanation: { type: 'string' },
+    tokensUsed: { type: 'integer' },
+    message: { type: 'string' },
+    conversation: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        id: { type: 'string' },
+        turnId: { type: 'string' },
+        parentTurnId: { type: 'string', nullable: true }
+      }
+    },
+    database: {
+      type: 'object',
+      properties: {
+        datasourceId: { type: 'string' },
+        name: { type: 'string' },
+        dialect: { type: 'string' }
+      }
+    }
+  }
+};
+
+// A named parameter (:name) in a saved query
+const QueryParameter = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string', pattern: '^[a-zA-Z_][a-zA-Z0-9_]*$', maxLength: 63 },
+    type: { type: 'string', enum: PARAMETER_TYPES },
+    label: { type: 'string', maxLength: 255 },
+    default: {
+      description: 'Value bound when no filter is set (dates as YYYY-MM-DD); null turns the filter off'
+    }
+  }
+};
+
+// Filter values by parameter name; blank or null means "not set"
+const ParameterValues = {
+  type: 'object',
+  additionalProperties: { type: 'string', nullable: true },
+  example: { region: 'West', start_date: '2024-01-01' }
+};
+
+const ExportRequest = {
+  type: 'object',
+  required: ['data'],
+  properties: {
+    data: { type: 'array', items: { type: 'object' } },
+    format: { type: 'string', enum: ['json', 'csv', 'tsv'], default: 'json' }
+  }
+};
+
+const WidgetName = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 255
+};
+
+const WidgetCreateRequest = {
+  type: 'object',
+  required: ['prompt', 'sqlQuery', 'vegaSpec'],
+  properties: {
+    name: { $ref: '#/components/schemas/WidgetName' },
+    prompt: { type: 'string', minLength: 1 },
+    sqlQuery: { type: 'string', minLength: 1 },
+    datasourceId: {
+      allOf: [{ $ref: '#/components/schemas/DatasourceId' }],
+      description: 'Datasource the SQL runs against (the default datasource if omitted)'
+    },
+    vegaSpec: { type: 'object', description: 'Spec with the rows to store in data.values' },
+    analysis: { type: 'object', nullable: true },
+    truncated: { type: 'boolean' },
+    totalRowCount: { type: 'integer', nullable: true },
+    parameters: {
+      type: 'array',
+      items: { $ref: '#/components/schemas/QueryParameter' },
+      description: 'Declarations for the :name placeholders in sqlQuery (defaults to analysis.parameters)'
+    }
+  }
+};
+
+const WidgetUpdateRequest = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    name: { $ref: '#/components/schemas/WidgetName' },
+    vegaSpec: { type: 'object' },
+    parameters: { type: 'array', items: { $ref: '#/components/schemas/QueryParameter' } }
+  }
+};
+
+const WidgetDuplicateRequest = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: { $ref: '#/components/schemas/WidgetName' }
+  }
+};
+
+const WidgetSummary = {
+  type: 'object',
+  required: ['id', 'prompt'],
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    name: { type: 'string', nullable: true },
+    prompt: { type: 'string' },
+    datasourceId: { type: 'string' },
+    chartType: { type: 'string', nullable: true },
+    isLastWidget: { type: 'boolean' },
+    schemaIssues: {
+      type: 'array',
+      items: { type: 'string' },
+      nullable: true,
+      description: 'Why the SQL no longer validates against the current schema (null if it does)'
+    },
+    lastRefreshedAt: { type: 'string', format: 'date-time', nullable: true },
+    createdBy: { type: 'string', format: 'uuid', nullable: true, description: 'Owning account' },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const WidgetDetail = {
+  allOf: [
+    { $ref: '#/components/schemas/WidgetSummary' },
+    {
+      type: 'object',
+      required: ['sqlQuery', 'vegaSpec'],
+      properties: {
+        sqlQuery: { type: 'string' },
+        vegaSpec: { type: 'object', description: 'Spec template with the last result injected' },
+        analysis: { type: 'object', nullable: true },
+        parameters: { type: 'array', items: { $ref: '#/components/schemas/QueryParameter' } },
+        dataCount: { type: 'integer' },
+        truncated: { type: 'boolean' },
+        totalRowCount: { type: 'integer', nullable: true }
+      }
+    }
+  ]
+};
+
+const WidgetResponse = {
+  type: 'object',
+  required: ['success', 'widget'],
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    widget: { $ref: '#/components/schemas/WidgetDetail' }
+  }
+};
+
+const WidgetRefreshRequest = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    timeout: timeoutOption,
+    maxRows: maxRowsOption
+  }
+};
+
+const WidgetRefreshResponse = {
+  type: 'object',
+  required: ['success', 'widget', 'dataCount'],
+  properties: {
+    success: { type: 'boolean' },
+    widget: { $ref: '#/components/schemas/WidgetDetail' },
+    dataCount: { type: 'integer' },
+    truncated: { type: 'boolean' },
+    totalRowCount: { type: 'integer', nullable: true },
+    summary: { type: 'object' },
+    executionTime: { type: 'integer' }
+  }
+};
+
+const WidgetListResponse = {
+  type: 'object',
+  required: ['success', 'widgets', 'pagination'],
+  properties: {
+    success: { type: 'boolean' },
+    widgets: { type: 'array', items: { $ref: '#/components/schemas/WidgetSummary' } },
+    pagination: { $ref: '#/components/schemas/Pagination' },
+    warnings: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const DashboardName = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 255
+};
+
+const DashboardCreateRequest = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { $ref: '#/components/schemas/DashboardName' },
+    description: { type: 'string', maxLength: 2000, nullable: true }
+  }
+};
+
+const DashboardUpdateRequest = {
+  type: 'object',
+  minProperties: 1,
+  additionalProperties: false,
+  properties: {
+    name: { $ref: '#/components/schemas/DashboardName' },
+    description: { type: 'string', maxLength: 2000, nullable: true },
+    filterValues: { $ref: '#/components/schemas/ParameterValues' }
+  }
+};
+
+// Tile placement on the 12-column dashboard grid
+const TilePlacement = {
+  type: 'object',
+  properties: {
+    x: { type: 'integer', minimum: 0, maximum: 11 },
+    y: { type: 'integer', minimum: 0 },
+    width: { type: 'integer', minimum: 1, maximum: 12 },
+    height: { type: 'integer', minimum: 1, maximum: 24 }
+  }
+};
+
+const TileCreateRequest = {
+  allOf: [
+    { $ref: '#/components/schemas/TilePlacement' },
+    {
+      type: 'object',
+      required: ['widgetId'],
+      properties: {
+        widgetId: { type: 'string', format: 'uuid' },
+        title: { type: 'string', maxLength: 255, nullable: true }
+      }
+    }
+  ]
+};
+
+const TileUpdateRequest = {
+  allOf: [
+    { $ref: '#/components/schemas/TilePlacement' },
+    {
+      type: 'object',
+      minProperties: 1,
+      properties: {
+        title: { type: 'string', maxLength: 255, nullable: true }
+      }
+    }
+  ]
+};
+
+const DashboardLayoutRequest = {
+  type: 'object',
+  required: ['tiles'],
+  additionalProperties: false,
+  properties: {
+    tiles: {
+      type: 'array',
+      items: {
+        allOf: [
+          { $ref: '#/components/schemas/TilePlacement' },
+          {
+            type: 'object',
+            required: ['id', 'x', 'y', 'width', 'height'],
+            properties: {
+              id: { type: 'string', format: 'uuid' }
+            }
+          }
+        ]
+      }
+    }
+  }
+};
+
+const DashboardTile = {
+  type: 'object',
+  required: ['id', 'x', 'y', 'width', 'height'],
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    title: { type: 'string', nullable: true },
+    x: { type: 'integer' },
+    y: { type: 'integer' },
+    width: { type: 'integer' },
+    height: { type: 'integer' },
+    sortOrder: { type: 'integer' },
+    widget: { $ref: '#/components/schemas/WidgetDetail' }
+  }
+};
+
+const DashboardSummary = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: { type: 'string', format: 'uuid' },
+    name: { type: 'string' },
+    description: { type: 'string', nullable: true },
+    createdAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const DashboardDetail = {
+  allOf: [
+    { $ref: '#/components/schemas/DashboardSummary' },
+    {
+      type: 'object',
+      required: ['tiles'],
+      properties: {
+        columns: { type: 'integer' },
+        filters: {
+          type: 'array',
+          items: { $ref: '#/components/schemas/QueryParameter' },
+          description: 'Parameters declared by the widgets on the dashboard, one control each'
+        },
+        filterValues: { $ref: '#/components/schemas/ParameterValues' },
+        tiles: { type: 'array', items: { $ref: '#/components/schemas/DashboardTile' } }
+      }
+    }
+  ]
+};
+
+const DashboardResponse = {
+  type: 'object',
+  required: ['success', 'dashboard'],
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    dashboard: { $ref: '#/components/schemas/DashboardDetail' }
+  }
+};
+
+const DashboardTileResponse = {
+  type: 'object',
+  required: ['success', 'tile'],
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    tile: { $ref: '#/components/schemas/DashboardTile' }
+  }
+};
+
+const DashboardListResponse = {
+  type: 'object',
+  required: ['success', 'dashboards', 'pagination'],
+  properties: {
+    success: { type: 'boolean' },
+    dashboards: { type: 'array', items: { $ref: '#/components/schemas/DashboardSummary' } },
+    pagination: { $ref: '#/components/schemas/Pagination' },
+    warnings: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const DashboardQueryRequest = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    filters: { $ref: '#/components/schemas/ParameterValues' },
+    timeout: timeoutOption,
+    maxRows: maxRowsOption
+  }
+};
+
+const DashboardTileResult = {
+  type: 'object',
+  required: ['tileId', 'widgetId'],
+  properties: {
+    tileId: { type: 'string', format: 'uuid' },
+    widgetId: { type: 'string', format: 'uuid' },
+    vegaSpec: { type: 'object', description: 'Spec template with the filtered rows' },
+    dataCount: { type: 'integer' },
+    truncated: { type: 'boolean' },
+    totalRowCount: { type: 'integer', nullable: true },
+    executionTime: { type: 'integer' },
+    error: { type: 'string', description: 'Why this tile could not be queried' }
+  }
+};
+
+const DashboardQueryResponse = {
+  type: 'object',
+  required: ['success', 'tiles'],
+  properties: {
+    success: { type: 'boolean' },
+    filters: { type: 'object', description: 'Values bound for each dashboard filter' },
+    tiles: { type: 'array', items: { $ref: '#/components/schemas/DashboardTileResult' } },
+    executionTime: { type: 'integer' }
+  }
+};
+
+// Clicked group value and paging shared by both drill-down endpoints
+const drilldownProperties = {
+  value: {
+    type: ['string', 'number', 'boolean'],
+    nullable: true,
+    description: 'Group value clicked on; null drills into the NULL group',
+    example: 'Electronics'
+  },
+  field: {
+    type: 'string',
+    minLength: 1,
+    description: 'Grouping column clicked on (defaults to analysis.groupBy)'
+  },
+  filters: { $ref: '#/components/schemas/ParameterValues' },
+  page: { type: 'integer', minimum: 1, default: 1 },
+  pageSize: { type: 'integer', minimum: 1, maximum: 500, default: 50 },
+  timeout: timeoutOption
+};
+
+const WidgetDrilldownRequest = {
+  type: 'object',
+  required: ['value'],
+  additionalProperties: false,
+  properties: drilldownProperties
+};
+
+const ChartDrilldownRequest = {
+  type: 'object',
+  required: ['sql', 'value'],
+  additionalProperties: false,
+  properties: {
+    sql: { type: 'string', minLength: 1, description: 'SQL of the generated chart' },
+    datasourceId: { $ref: '#/components/schemas/DatasourceId' },
+    analysis: { type: 'object', nullable: true },
+    parameters: { type: 'array', items: { $ref: '#/components/schemas/QueryParameter' } },
+    ...drilldownProperties
+  }
+};
+
+const DrilldownResponse = {
+  type: 'object',
+  required: ['success', 'rows'],
+  properties: {
+    success: { type: 'boolean' },
+    sql: { type: 'string', description: 'Detail query that was run (the value is bound, not inlined)' },
+    table: { type: 'string', nullable: true, description: 'Base table the rows come from' },
+    field: { type: 'string' },
+    value: { type: ['string', 'number', 'boolean'], nullable: true },
+    columns: { type: 'array', items: { type: 'string' } },
+    rows: { type: 'array', items: { type: 'object' } },
+    page: { type: 'integer' },
+    pageSize: { type: 'integer' },
+    totalRowCount: { type: 'integer', nullable: true },
+    hasMore: { type: 'boolean' },
+    executionTime: { type: 'integer' }
+  }
+};
+
+const Pagination = {
+  type: 'object',
+  properties: {
+    page: { type: 'integer' },
+    limit: { type: 'integer' },
+    total: { type: 'integer' },
+    totalPages: { type: 'integer' }
+  }
+};
+
+const HealthResponse = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: ['healthy', 'degraded', 'unhealthy'] },
+    timestamp: { type: 'string', format: 'date-time' },
+    components: { type: 'object' },
+    error: { type: 'string' }
+  }
+};
+
+export const componentSchemas = {
+  ErrorResponse,
+  ValidationErrorResponse,
+  ChartOptions,
+  ChartRequestOptions,
+  DatasourceId,
+  Datasource,
+  DatasourceListResponse,
+  Dataset,
+  DatasetResponse,
+  DatasetListResponse,
+  SchemaColumnState,
+  SchemaChanges,
+  SchemaChangesResponse,
+  SemanticEntry,
+  SemanticLayerResponse,
+  AnnotationSynonyms,
+  Annotation,
+  AnnotationCreateRequest,
+  AnnotationUpdateRequest,
+  AnnotationResponse,
+  AnnotationListResponse,
+  AnnotationVersionListResponse,
+  Account,
+  RegisterRequest,
+  LoginRequest,
+  SignInResponse,
+  AccountResponse,
+  AccountListResponse,
+  AccountUpdateRequest,
+  ApiKey,
+  ApiKeyCreateRequest,
+  ApiKeyCreatedResponse,
+  ApiKeyListResponse,
+  ChartRequest,
+  QueryAttempt,
+  ChartResponse,
+  ExportRequest,
+  QueryParameter,
+  ParameterValues,
+  HealthResponse,
+  Pagination,
+  WidgetName,
+  WidgetCreateRequest,
+  WidgetUpdateRequest,
+  WidgetDuplicateRequest,
+  WidgetSummary,
+  WidgetDetail,
+  WidgetResponse,
+  WidgetRefreshRequest,
+  WidgetRefreshResponse,
+  WidgetListResponse,
+  DashboardName,
+  DashboardCreateRequest,
+  DashboardUpdateRequest,
+  TilePlacement,
+  TileCreateRequest,
+  TileUpdateRequest,
+  DashboardLayoutRequest,
+  DashboardTile,
+  DashboardSummary,
+  DashboardDetail,
+  DashboardResponse,
+  DashboardTileResponse,
+  DashboardListResponse,
+  DashboardQueryRequest,
+  DashboardTileResult,
+  DashboardQueryResponse,
+  WidgetDrilldownRequest,
+  ChartDrilldownRequest,
+  DrilldownResponse
+};
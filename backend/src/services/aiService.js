@@ -1,37 +1,58 @@
 // services/aiService.js
-// Service layer for OpenAI API interactions
-// Handles all AI-related business logic
+// Service layer for LLM interactions
+// Handles all AI-related business logic; the model backend is
+// provided by the configured LLM provider (see services/llm)
 
-import OpenAI from 'openai';
-
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+import { getLLMProvider } from './llm/index.js';
+import { pruneSchema } from '../utils/schemaPruner.js';
+import { getSemanticLayer } from './semanticLayerService.js';
 
 /**
  * Generate SQL query and Vega-Lite specification from natural language prompt
  * 
+ * For follow-up prompts, pass the previous turns of the conversation as
+ * `options.history` so the model refines the earlier chart instead of
+ * starting from scratch.
+ * 
+ * Large schemas are narrowed to the tables relevant to the prompt (see
+ * utils/schemaPruner.js); the tables sent are returned in
+ * `analysis.schemaContext`.
+ * 
  * @param {string} userPrompt - User's natural language query
  * @param {Object} schema - Database schema object
+ * @param {Object} [options] - Generation options
+ * @param {Array} [options.history] - Previous turns, oldest first:
+ *   [{ prompt, sqlQuery, analysis, vegaSpec }]
+ * @param {number} [options.rowLimit] - Row cap the executor will enforce
  * @returns {Promise<Object>} AI response containing SQL query and Vega-Lite spec
  * @throws {Error} If AI generation fails
  */
-export async function generateChartWithAI(userPrompt, schema) {
+export async function generateChartWithAI(userPrompt, schema, options = {}) {
   try {
-    const systemPrompt = buildSystemPrompt(schema);
+    const history = options.history || [];
+    const context = pruneSchema(schema, userPrompt, { history });
+    if (context.pruned) {
+      console.log(`✂️  Sending ${context.includedTables.length} of ${context.totalTables} tables: ${context.includedTables.join(', ')}`);
+    }
+
+    const systemPrompt = buildSystemPrompt(context.schema, {
+      isFollowUp: history.length > 0,
+      rowLimit: options.rowLimit,
+      totalTables: context.totalTables
+    });
     
-    const completion = await openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    const completion = await getLLMProvider().complete({
       messages: [
         { role: 'system', content: systemPrompt },
+        ...buildHistoryMessages(history),
         { role: 'user', content: userPrompt }
       ],
       temperature: 0.2, // Low temperature for consistent SQL generation
-      response_format: { type: "json_object" }
+      json: true,
+      context: { schema: context.schema, history }
     });
 
-    const responseText = completion.choices[0].message.content;
+    const responseText = completion.content;
     const parsedResponse = JSON.parse(responseText);
     
     // Validate the response structure
@@ -42,6 +63,14 @@ export async function generateChartWithAI(userPrompt, schema) {
 
     return {
       ...parsedResponse,
+      analysis: {
+        ...parsedResponse.analysis,
+        schemaContext: {
+          includedTables: context.includedTables,
+          totalTables: context.totalTables,
+          pruned: context.pruned
+        }
+      },
       tokensUsed: completion.usage.total_tokens
     };
 
@@ -51,14 +80,171 @@ export async function generateChartWithAI(userPrompt, schema) {
   }
 }
 
+/**
+ * Ask the model to repair a chart whose SQL failed validation or execution
+ * 
+ * Replays the original exchange and sends the failing SQL, the error
+ * and the schema of the tables involved back to the model, which returns
+ * a complete corrected response (analysis, SQL and Vega-Lite spec).
+ * 
+ * @param {string} userPrompt - User's natural language query
+ * @param {Object} schema - Database schema object
+ * @param {Object} failure - Details of the failed attempt
+ * @param {Object} failure.previousResponse - AI response that produced the failing SQL
+ * @param {string} failure.stage - Where it failed ('validation' | 'execution')
+ * @param {Array<string>} failure.errors - Validator errors or database error messages
+ * @param {Object} [options] - Generation options
+ * @param {Array} [options.history] - Previous conversation turns (see generateChartWithAI)
+ * @param {number} [options.rowLimit] - Row cap the executor will enforce
+ * @returns {Promise<Object>} Corrected AI response
+ * @throws {Error} If AI generation fails
+ */
+export async function repairChartWithAI(userPrompt, schema, failure, options = {}) {
+  try {
+    const history = options.history || [];
+    const relevantSchema = selectRelevantSchema(schema, failure.previousResponse);
+    const systemPrompt = buildSystemPrompt(relevantSchema, {
+      isFollowUp: history.length > 0,
+      rowLimit: options.rowLimit,
+      totalTables: schema.tables.length
+    });
+
+    const { tokensUsed, ...previousResponse } = failure.previousResponse;
+
+    const completion = await getLLMProvider().complete({
+      messages: [
+        { role: 'system', content: systemPrompt },
+        ...buildHistoryMessages(history),
+        { role: 'user', content: userPrompt },
+        { role: 'assistant', content: JSON.stringify(previousResponse) },
+        { role: 'user', content: buildRepairPrompt(failure, relevantSchema) }
+      ],
+      temperature: 0.1,
+      json: true,
+      context: { schema: relevantSchema, repair: failure }
+    });
+
+    const parsedResponse = JSON.parse(completion.content);
+    validateAIResponse(parsedResponse);
+    logTokenUsage(completion.usage);
+
+    const includedTables = relevantSchema.tables.map(t => t.name);
+    return {
+      ...parsedResponse,
+      analysis: {
+        ...parsedResponse.analysis,
+        schemaContext: {
+          includedTables,
+          totalTables: schema.tables.length,
+          pruned: includedTables.length < schema.tables.length
+        }
+      },
+      tokensUsed: completion.usage.total_tokens
+    };
+
+  } catch (error) {
+    console.error('❌ AI Repair Error:', error);
+    throw new Error(`AI repair failed: ${error.message}`);
+  }
+}
+
+/**
+ * Build the follow-up message asking the model to fix its query
+ * 
+ * @param {Object} failure - Details of the failed attempt
+ * @param {Object} relevantSchema - Schema subset sent with the repair
+ * @returns {string} Repair instruction
+ */
+function buildRepairPrompt(failure, relevantSchema) {
+  const stageDescription = failure.stage === 'validation'
+    ? 'was rejected by the SQL validator'
+    : `failed when executed against the ${relevantSchema.dialect.toUpperCase()} database`;
+
+  return `The SQL query you generated ${stageDescription}.
+
+FAILING SQL:
+${failure.previousResponse.sqlQuery}
+
+ERROR:
+${failure.errors.map(e => `• ${e}`).join('\n')}
+
+Fix the query so it answers the original request. Use ONLY the tables and columns
+listed in the schema. Keep the Vega-Lite field names in sync with the corrected SQL
+column aliases. Respond with the complete JSON object in the same format as before.`;
+}
+
+/**
+ * Replay previous conversation turns as user/assistant message pairs
+ * The assistant side is the JSON the model produced for that turn,
+ * without data values
+ * 
+ * @param {Array} history - Previous turns, oldest first
+ * @returns {Array} Chat messages
+ */
+function buildHistoryMessages(history) {
+  return history.flatMap(turn => [
+    { role: 'user', content: turn.prompt },
+    {
+      role: 'assistant',
+      content: JSON.stringify({
+        analysis: turn.analysis,
+        sqlQuery: turn.sqlQuery,
+        vegaSpec: turn.vegaSpec ? { ...turn.vegaSpec, data: { values: [] } } : undefined
+      })
+    }
+  ]);
+}
+
+/**
+ * Narrow the schema to the tables involved in a response plus
+ * the tables they reference through foreign keys
+ * Falls back to the full schema when no known table is involved
+ * 
+ * @param {Object} schema - Database schema object
+ * @param {Object} response - AI response (analysis + sqlQuery)
+ * @returns {Object} Schema containing only relevant tables
+ */
+function selectRelevantSchema(schema, response) {
+  const sql = response.sqlQuery || '';
+  const tablesUsed = response.analysis?.tablesUsed || [];
+
+  const involved = schema.tables.filter(table =>
+    tablesUsed.includes(table.name) || new RegExp(`\\b${table.name}\\b`, 'i').test(sql)
+  );
+
+  if (involved.length === 0) {
+    return schema;
+  }
+
+  const names = new Set(involved.map(t => t.name));
+  involved.forEach(table => {
+    (table.relationships || []).forEach(rel => names.add(rel.foreignTable));
+  });
+
+  return {
+    ...schema,
+    tables: schema.tables.filter(t => names.has(t.name))
+  };
+}
+
 /**
  * Build comprehensive system prompt with database schema context
  * 
  * @param {Object} schema - Database schema object
- * @returns {string} Formatted system prompt for OpenAI
+ * @param {Object} [options] - Prompt options
+ * @param {boolean} [options.isFollowUp] - The request continues a conversation
+ * @param {number} [options.rowLimit] - Row cap the executor will enforce
+ * @param {number} [options.totalTables] - Tables in the datasource, if the schema is a subset
+ * @returns {string} Formatted system prompt for the LLM
  */
-function buildSystemPrompt(schema) {
-  const schemaDescription = formatSchemaForAI(schema);
+function buildSystemPrompt(schema, options = {}) {
+  const schemaDescription = formatSchemaForAI(schema, options.totalTables);
+  const semanticLayer = formatSemanticLayerForAI(getSemanticLayer(schema));
+  const dialectRules = DIALECT_RULES[schema.dialect] || DIALECT_RULES.postgres;
+  const followUpRules = options.isFollowUp ? FOLLOW_UP_RULES : '';
+  const rowLimitRule = options.rowLimit
+    ? `\n• Hard cap: the executor returns at most ${options.rowLimit} rows; anything beyond that is cut off, so aggregate rather than returning raw rows`
+    : '';
 
   return `You are an expert data analyst, SQL generator, and Vega-Lite chart author for a ${schema.dialect.toUpperCase()} database.
 
@@ -66,7 +252,7 @@ function buildSystemPrompt(schema) {
 DATABASE SCHEMA
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 ${schemaDescription}
-
+${semanticLayer}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 YOUR RESPONSIBILITIES
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -83,9 +269,19 @@ SCHEMA COMPLIANCE:
 • NEVER invent or assume tables that don't exist (e.g., "daily_sales", "monthly_revenue")
 • NEVER guess column names - use exact names from the schema
 • All aggregations must be computed from base tables
+• Columns marked [aggregate only] may appear only as the bare argument of COUNT, SUM or AVG - never
+  selected, grouped, filtered or sorted on, never wrapped in CASE or another function, and never
+  aggregated per primary key (e.g. COUNT(DISTINCT email) AS customer_count)
+• Columns marked [masked in results] can be selected but their values are masked; prefer
+  grouping by other columns
+• Words listed as "also called" are business names for that table, column or value; filter on the
+  exact literal shown after ↳ when the request uses one of its names
 
 SYNTAX REQUIREMENTS:
 • Generate valid ${schema.dialect.toUpperCase()} syntax only
+• Exactly ONE read-only SELECT statement (a leading WITH ... is fine); no semicolon-separated statements
+• Use only standard aggregate, date, string, math and window functions; system/admin functions
+  (e.g. pg_sleep, pg_read_file) are rejected by the validator
 • Always filter out NULL values in GROUP BY columns using WHERE clause
 • Use appropriate aggregate functions: SUM, AVG, COUNT, MIN, MAX
 • Use explicit JOIN ... ON syntax for multi-table queries
@@ -95,16 +291,24 @@ COLUMN NAMING:
 • No spaces in column names
 • Always alias aggregated columns (e.g., "SUM(amount) AS total_amount")
 
-DATE HANDLING:
-• PostgreSQL monthly grouping: TO_CHAR(date_column, 'YYYY-MM') AS month
-• PostgreSQL yearly grouping: EXTRACT(YEAR FROM date_column) AS year
-• MySQL monthly grouping: DATE_FORMAT(date_column, '%Y-%m') AS month
-• MySQL yearly grouping: YEAR(date_column) AS year
+${dialectRules.dialectNotes}
+
+DATE HANDLING (${dialectRules.name}):
+${dialectRules.dateHandling}
+
+FILTER PARAMETERS:
+• Write filters a dashboard viewer may want to change (dates, regions, categories, thresholds)
+  as named placeholders instead of literal values
+• Optional filter: (:region IS NULL OR region = :region)
+• Date filter: ${dialectRules.dateFilter}
+• Placeholder names are snake_case; never inline the value into the SQL
+• Declare every placeholder in analysis.parameters with its type (date | number | string) and,
+  when the request names a value (e.g. "since 2024"), that value as its default; otherwise null
 
 RESULT LIMITS:
 • Default: LIMIT 20
 • Maximum: LIMIT 100
-• Use LIMIT unless user explicitly requests more
+• Use LIMIT unless user explicitly requests more${rowLimitRule}
 
 WINDOW FUNCTIONS:
 • Ensure all parentheses are properly balanced
@@ -184,7 +388,9 @@ Return ONLY a valid JSON object with NO additional text, markdown, or code block
     "chartType": "bar | line | area | arc | point",
     "aggregation": "sum | avg | count | min | max | none",
     "groupBy": "column_name_or_null",
-    "filters": "Human-readable description of any filters applied"
+    "filters": "Human-readable description of any filters applied",
+    "parameters": [{"name": "start_date", "type": "date", "default": "2024-01-01"}],
+    "metrics": ["metric_name_from_business_metrics"]
   },
   "sqlQuery": "Complete SQL query as a single string",
   "vegaSpec": {
@@ -220,39 +426,148 @@ CRITICAL REMINDERS:
 • Do NOT guess or invent tables/columns not in the schema
 • Do NOT use "temporal" for month/year aggregations - use "ordinal"
 • Ensure field names in Vega encoding exactly match SQL column aliases
-`;
+${followUpRules}`;
 }
 
+/**
+ * SQL guidance that differs between database dialects
+ * Dates are bucketed into strings (YYYY-MM, YYYY) so charts treat them as ordinal
+ */
+const DIALECT_RULES = {
+  postgres: {
+    name: 'PostgreSQL',
+    dialectNotes: `POSTGRESQL NOTES:
+• Quote identifiers with double quotes only when needed ("order")
+• Case-insensitive matching: ILIKE
+• Use :: or CAST(... AS type) for conversions`,
+    dateHandling: `• Daily grouping: CAST(date_column AS DATE) AS day
+• Weekly grouping: TO_CHAR(DATE_TRUNC('week', date_column), 'YYYY-MM-DD') AS week
+• Monthly grouping: TO_CHAR(date_column, 'YYYY-MM') AS month
+• Yearly grouping: TO_CHAR(date_column, 'YYYY') AS year
+• Relative ranges: date_column >= CURRENT_DATE - INTERVAL '30 days'`,
+    dateFilter: '(CAST(:start_date AS DATE) IS NULL OR order_date >= CAST(:start_date AS DATE))'
+  },
+
+  mysql: {
+    name: 'MySQL',
+    dialectNotes: `MYSQL NOTES:
+• Quote identifiers with backticks only when needed (\`order\`); never with double quotes
+• There is no ILIKE and no FULL OUTER JOIN; LIKE is case-insensitive for most collations
+• String concatenation: CONCAT(a, b), not a || b`,
+    dateHandling: `• Daily grouping: DATE(date_column) AS day
+• Weekly grouping: DATE_FORMAT(date_column, '%x-W%v') AS week
+• Monthly grouping: DATE_FORMAT(date_column, '%Y-%m') AS month
+• Yearly grouping: DATE_FORMAT(date_column, '%Y') AS year
+• Relative ranges: date_column >= CURRENT_DATE - INTERVAL 30 DAY`,
+    dateFilter: '(:start_date IS NULL OR order_date >= CAST(:start_date AS DATE))'
+  },
+
+  sqlite: {
+    name: 'SQLite',
+    dialectNotes: `SQLITE NOTES:
+• Dates are stored as ISO-8601 text (YYYY-MM-DD HH:MM:SS) and compared as strings
+• There is no ILIKE, no DATE_TRUNC, no EXTRACT and no TO_CHAR; use strftime() and date()
+• Dividing two integers truncates: CAST(x AS REAL) / y for ratios and percentages`,
+    dateHandling: `• Daily grouping: date(date_column) AS day
+• Weekly grouping: strftime('%Y-W%W', date_column) AS week
+• Monthly grouping: strftime('%Y-%m', date_column) AS month
+• Yearly grouping: strftime('%Y', date_column) AS year
+• Relative ranges: date_column >= date('now', '-30 days')`,
+    dateFilter: '(:start_date IS NULL OR date(order_date) >= date(:start_date))'
+  }
+};
+
+// MariaDB follows the MySQL rules
+DIALECT_RULES.mariadb = { ...DIALECT_RULES.mysql, name: 'MariaDB' };
+
+/**
+ * Extra instructions for follow-up prompts in a conversation
+ */
+const FOLLOW_UP_RULES = `
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+FOLLOW-UP REQUESTS
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+The earlier messages are previous requests in this conversation and the JSON you returned for them.
+• Treat the latest request as a refinement of the most recent chart unless it clearly asks for something new
+  (e.g. "now only for Europe" adds a filter, "make it a line chart" changes only the chart type)
+• Start from the previous SQL and Vega-Lite spec and change only what the request asks for
+• Keep filters, groupings and aliases from the previous chart unless the request replaces them
+• Always return the complete JSON object, never a partial diff
+`;
+
+// Share of the system prompt spent on column profile hints, in tokens
+// (estimated at ~4 characters per token)
+const PROFILE_TOKEN_BUDGET = Number(process.env.PROFILE_TOKEN_BUDGET) || 1500;
+
 /**
  * Format database schema in a clear, readable way for AI consumption
+ * Columns with a profile get a short hint of their values, as long as
+ * the hints fit in PROFILE_TOKEN_BUDGET. Columns hidden by a column policy
+ * are left out; aggregate-only and masked columns are marked as such.
  * 
  * @param {Object} schema - Database schema object
+ * @param {number} [totalTables] - Tables in the datasource, if the schema is a subset
  * @returns {string} Formatted schema description
  */
-function formatSchemaForAI(schema) {
+function formatSchemaForAI(schema, totalTables = schema.tables.length) {
+  const hints = selectProfileHints(schema.tables, PROFILE_TOKEN_BUDGET * 4);
+
   let formatted = `Database: ${schema.database} (${schema.dialect})\n`;
-  formatted += `Total Tables: ${schema.tables.length}\n\n`;
+  formatted += totalTables > schema.tables.length
+    ? `Tables: the ${schema.tables.length} of ${totalTables} tables relevant to this request\n`
+    : `Total Tables: ${schema.tables.length}\n`;
+  if (hints.size > 0) {
+    formatted += `Column hints in [brackets] come from a sample of each table; values: lists are exact literals\n`;
+  }
+  formatted += '\n';
 
   schema.tables.forEach(table => {
     formatted += `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n`;
     formatted += `TABLE: ${table.name}\n`;
     formatted += `Description: ${table.description}\n`;
+    if (table.synonyms) {
+      formatted += `Also called: ${table.synonyms.join(', ')}\n`;
+    }
     formatted += `Columns:\n`;
 
-    table.columns.forEach(col => {
+    table.columns.filter(col => col.access !== 'hidden').forEach(col => {
       const nullable = col.nullable ? 'NULL' : 'NOT NULL';
       formatted += `  • ${col.name} (${col.type}, ${nullable})`;
+      if (col.access === 'aggregate') {
+        formatted += ' [aggregate only]';
+      } else if (col.access === 'masked') {
+        formatted += ' [masked in results]';
+      }
       if (col.description) {
         formatted += ` - ${col.description}`;
       }
+      if (col.synonyms) {
+        formatted += ` (also called: ${col.synonyms.join(', ')})`;
+      }
+      const hint = hints.get(`${table.name}.${col.name}`);
+      if (hint) {
+        formatted += ` ${hint}`;
+      }
       formatted += '\n';
+      (col.values || []).forEach(({ value, description, synonyms }) => {
+        formatted += `    ↳ '${value}'`;
+        if (description) formatted += ` - ${description}`;
+        if (synonyms.length > 0) formatted += ` (also called: ${synonyms.join(', ')})`;
+        formatted += '\n';
+      });
     });
+    if (table.omittedColumns) {
+      formatted += `  • … ${table.omittedColumns} more columns not relevant to this request\n`;
+    }
 
     if (table.relationships && table.relationships.length > 0) {
       formatted += `Relationships:\n`;
-      table.relationships.forEach(rel => {
-        formatted += `  • ${rel.column} → ${rel.foreignTable}.${rel.foreignColumn}\n`;
-      });
+      table.relationships
+        .filter(rel => !table.columns.some(col => col.name === rel.column && col.access === 'hidden'))
+        .forEach(rel => {
+          formatted += `  • ${rel.column} → ${rel.foreignTable}.${rel.foreignColumn}\n`;
+        });
     }
 
     formatted += '\n';
@@ -261,6 +576,118 @@ function formatSchemaForAI(schema) {
   return formatted;
 }
 
+/**
+ * Describe the semantic layer's metrics and dimensions for the prompt
+ * 
+ * @param {Object} semanticLayer - { metrics, dimensions } for the schema
+ * @returns {string} Prompt section, or an empty string without entries
+ */
+function formatSemanticLayerForAI({ metrics, dimensions }) {
+  if (metrics.length === 0 && dimensions.length === 0) {
+    return '';
+  }
+
+  const describe = entry => {
+    let line = `  • ${entry.name} (${entry.label}) = ${entry.expression} on ${entry.table}`;
+    if (entry.description) line += ` - ${entry.description}`;
+    if (entry.grains.length > 0) line += ` | grains: ${entry.grains.join(', ')}`;
+    if (entry.vegaFormat) line += ` | format: "${entry.vegaFormat}"`;
+    if (entry.synonyms.length > 0) line += ` | also called: ${entry.synonyms.join(', ')}`;
+    return `${line}\n`;
+  };
+
+  let formatted = `
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+BUSINESS METRICS AND DIMENSIONS
+━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+`;
+  if (metrics.length > 0) {
+    formatted += `Metrics:\n${metrics.map(describe).join('')}`;
+  }
+  if (dimensions.length > 0) {
+    formatted += `Dimensions:\n${dimensions.map(describe).join('')}`;
+  }
+
+  formatted += `
+• When the request asks for a metric above (by name, label or "also called"), compute it with
+  EXACTLY its expression on its table, alias the column with the metric name and list it in
+  analysis.metrics; queries that name a metric but use another formula are rejected
+• Group metrics over time only at the grains they list
+• Use the metric's format for the matching axis and tooltip ("format" in the encoding)
+• Refer to dimensions by their expression and label them with their label
+• Measures that are not listed are computed as usual and left out of analysis.metrics
+`;
+
+  return formatted;
+}
+
+/**
+ * Pick the column profile hints that fit in the budget
+ * Literal values matter most (they decide whether a filter matches
+ * anything), then date ranges, numeric ranges, and null ratios
+ * 
+ * @param {Array<Object>} tables - Schema tables
+ * @param {number} budget - Characters available for hints
+ * @returns {Map<string, string>} Hint by "table.column"
+ */
+function selectProfileHints(tables, budget) {
+  const candidates = [];
+  tables.forEach(table => {
+    table.columns.forEach(col => {
+      const hint = describeProfile(col);
+      if (hint) {
+        candidates.push({ key: `${table.name}.${col.name}`, ...hint });
+      }
+    });
+  });
+
+  // Stable sort keeps table order within each priority
+  candidates.sort((a, b) => a.priority - b.priority);
+
+  const hints = new Map();
+  let used = 0;
+  for (const { key, text } of candidates) {
+    if (used + text.length + 1 > budget) continue;
+    hints.set(key, text);
+    used += text.length + 1;
+  }
+
+  return hints;
+}
+
+/**
+ * Summarize a column profile as a short hint
+ * 
+ * @param {Object} col - Schema column
+ * @returns {Object|null} { text, priority } (lower priority goes first), or null
+ */
+function describeProfile(col) {
+  const profile = col.profile;
+  if (!profile) return null;
+
+  const parts = [];
+  let priority = 3;
+
+  if (profile.topValues) {
+    const values = profile.topValues.map(({ value, count }) => `'${value.replace(/'/g, "''")}' (${count})`);
+    const more = profile.distinctCount > profile.topValues.length ? `, … ${profile.distinctCount} distinct` : '';
+    parts.push(`values: ${values.join(', ')}${more}`);
+    priority = 0;
+  } else if (profile.min !== undefined) {
+    const isDate = typeof profile.min === 'string';
+    const format = value => (isDate ? value.replace(/T00:00:00(\.000)?Z$/, '') : value);
+    parts.push(`range: ${format(profile.min)} … ${format(profile.max)}`);
+    priority = isDate ? 1 : 2;
+  }
+
+  if (profile.nullRatio > 0) {
+    const percent = Math.round(profile.nullRatio * 100);
+    parts.push(`${percent === 0 ? '<1' : percent}% null`);
+  }
+
+  return parts.length > 0 ? { text: `[${parts.join('; ')}]`, priority } : null;
+}
+
 /**
  * Validate the structure of AI response
  * Ensures all required fields are present
@@ -295,7 +722,7 @@ function validateAIResponse(response) {
 /**
  * Log token usage for cost monitoring and optimization
  * 
- * @param {Object} usage - Token usage object from OpenAI response
+ * @param {Object} usage - Token usage object from the provider response
  * @param {number} usage.prompt_tokens - Input tokens used
  * @param {number} usage.completion_tokens - Output tokens generated
  * @param {number} usage.total_tokens - Total tokens consumed
@@ -325,30 +752,31 @@ function calculateCost(totalTokens) {
 }
 
 /**
- * Test OpenAI API connection and authentication
+ * Test the configured LLM provider connection and authentication
  * 
  * @returns {Promise<Object>} Test result with connection status
  * @throws {Error} If connection test fails
  */
 export async function testOpenAIConnection() {
+  const provider = getLLMProvider();
+
   try {
-    const completion = await openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const completion = await provider.complete({
       messages: [
         { role: 'user', content: 'Respond with "OK" if you can read this message.' }
       ],
-      max_tokens: 10
+      maxTokens: 10
     });
 
     return {
       success: true,
-      message: 'OpenAI connection successful',
-      response: completion.choices[0].message.content,
+      message: `${provider.label} connection successful`,
+      response: completion.content,
       model: completion.model
     };
 
   } catch (error) {
-    throw new Error(`OpenAI connection failed: ${error.message}`);
+    throw new Error(`${provider.label} connection failed: ${error.message}`);
   }
 }
 
@@ -358,9 +786,12 @@ export async function testOpenAIConnection() {
  * @returns {Object} Model information including name, provider, and capabilities
  */
 export function getModelInfo() {
+  const provider = getLLMProvider();
+
   return {
-    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-    provider: 'OpenAI',
+    model: provider.model,
+    provider: provider.label,
+    providerKey: provider.name,
     features: [
       'Natural language to SQL translation',
       'Intelligent chart type selection',
@@ -370,4 +801,4 @@ export function getModelInfo() {
       'Time-series analysis'
     ]
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,416 @@
+// services/annotationService.js
+// Business glossary: annotations of tables, columns and column values
+// Admins describe what a table or column means, list the words people use
+// for it ("customer" → users, "APAC" → region = 'Asia Pacific') and hide
+// tables, columns or values the model should not see. In the schema sent
+// to the model, annotations replace the descriptions inferred from names.
+// Every change bumps the annotation's version and is recorded in
+// schema_annotation_versions, deletions included.
+
+import SchemaAnnotation from '../models/SchemaAnnotation.js';
+import SchemaAnnotationVersion from '../models/SchemaAnnotationVersion.js';
+import { getDatasource } from '../config/datasources.js';
+import { getCachedSchema } from './schemaCacheService.js';
+
+// datasourceId → { annotations, stamp }; dropped when an annotation changes
+const annotationCache = new Map();
+
+// Schema object → { stamp, schema }: its annotated copy, reused until the
+// annotations change
+const annotatedSchemas = new WeakMap();
+
+let nextStamp = 1;
+
+/**
+ * List the annotations of a datasource
+ *
+ * @param {string} [datasourceId] - Datasource (default datasource if omitted)
+ * @returns {Promise<Object>} { datasourceId, annotations } (by table, column and value)
+ * @throws {DatasourceNotFoundError} If the datasource is not configured
+ */
+export async function listAnnotations(datasourceId) {
+  const { id } = getDatasource(datasourceId);
+  const annotations = await SchemaAnnotation.findAll({
+    where: { datasourceId: id },
+    order: [['tableName', 'ASC'], ['columnName', 'ASC NULLS FIRST'], ['value', 'ASC NULLS FIRST']]
+  });
+  return { datasourceId: id, annotations };
+}
+
+/**
+ * Annotate a table, a column or a value of a column
+ *
+ * @param {Object} data - Annotation
+ * @param {string} [data.datasourceId] - Datasource (default datasource if omitted)
+ * @param {string} data.tableName - Table
+ * @param {string} [data.columnName] - Column (omit to annotate the table)
+ * @param {string} [data.value] - Value of the column (omit to annotate the column)
+ * @param {string} [data.description] - What it means
+ * @param {Array<string>} [data.synonyms] - Other names for it
+ * @param {boolean} [data.hidden] - Leave it out of the schema the model sees
+ * @param {Object} author - Account making the change (req.user)
+ * @returns {Promise<Object>} Created annotation (version 1)
+ * @throws {AnnotationTargetError} If the table or column does not exist
+ * @throws {AnnotationConflictError} If the target is already annotated
+ */
+export async function createAnnotation(data, author) {
+  const { id: datasourceId } = getDatasource(data.datasourceId);
+  const target = {
+    datasourceId,
+    tableName: data.tableName,
+    columnName: data.columnName ?? null,
+    value: data.value ?? null
+  };
+
+  await assertTargetExists(target);
+
+  const existing = await SchemaAnnotation.findOne({ where: target });
+  if (existing) {
+    throw new AnnotationConflictError(`${describeTarget(target)} is already annotated (annotation ${existing.id})`);
+  }
+
+  const annotation = await SchemaAnnotation.sequelize.transaction(async (transaction) => {
+    const created = await SchemaAnnotation.create({
+      ...target,
+      description: data.description || null,
+      synonyms: normalizeSynonyms(data.synonyms),
+      hidden: data.hidden === true,
+      updatedBy: author.id
+    }, { transaction });
+
+    await recordVersion(created, 'created', transaction);
+    return created;
+  });
+
+  annotationCache.delete(datasourceId);
+  return annotation;
+}
+
+/**
+ * Change the description, synonyms or hidden flag of an annotation
+ *
+ * @param {string} annotationId - Annotation id
+ * @param {Object} changes - { description?, synonyms?, hidden? }
+ * @param {Object} author - Account making the change (req.user)
+ * @returns {Promise<Object|null>} Updated annotation, or null if not found
+ */
+export async function updateAnnotation(annotationId, changes, author) {
+  const annotation = await SchemaAnnotation.findByPk(annotationId);
+  if (!annotation) return null;
+
+  const updates = { version: annotation.version + 1, updatedBy: author.id };
+  if (changes.description !== undefined) updates.description = changes.description || null;
+  if (changes.synonyms !== undefined) updates.synonyms = normalizeSynonyms(changes.synonyms);
+  if (changes.hidden !== undefined) updates.hidden = changes.hidden;
+
+  await SchemaAnnotation.sequelize.transaction(async (transaction) => {
+    await annotation.update(updates, { transaction });
+    await recordVersion(annotation, 'updated', transaction);
+  });
+
+  annotationCache.delete(annotation.datasourceId);
+  return annotation;
+}
+
+/**
+ * Delete an annotation (its versions are kept)
+ *
+ * @param {string} annotationId - Annotation id
+ * @param {Object} author - Account making the change (req.user)
+ * @returns {Promise<boolean>} True if an annotation was deleted
+ */
+export async function deleteAnnotation(annotationId, author) {
+  const annotation = await SchemaAnnotation.findByPk(annotationId);
+  if (!annotation) return false;
+
+  await SchemaAnnotation.sequelize.transaction(async (transaction) => {
+    annotation.version += 1;
+    annotation.updatedBy = author.id;
+    await recordVersion(annotation, 'deleted', transaction);
+    await annotation.destroy({ transaction });
+  });
+
+  annotationCache.delete(annotation.datasourceId);
+  return true;
+}
+
+/**
+ * List every saved version of an annotation, newest first
+ *
+ * @param {string} annotationId - Annotation id (deleted annotations included)
+ * @returns {Promise<Array<Object>>} Versions (empty if the id is unknown)
+ */
+export async function listAnnotationVersions(annotationId) {
+  return await SchemaAnnotationVersion.findAll({
+    where: { annotationId },
+    order: [['version', 'DESC']]
+  });
+}
+
+/**
+ * Apply a datasource's annotations to its schema
+ *
+ * Annotated descriptions replace inferred ones; synonyms are added as
+ * table.synonyms / column.synonyms and annotated values as column.values
+ * ([{ value, description, synonyms }]). Hidden tables, columns and values
+ * are removed, from profiles and relationships too. The schema is
+ * returned unchanged if annotations cannot be loaded.
+ *
+ * @param {Object} schema - Schema from the schema cache
+ * @returns {Promise<Object>} Annotated copy of the schema
+ */
+export async function annotateSchema(schema) {
+  const { annotations, stamp } = await loadAnnotations(schema.datasourceId);
+  if (annotations.length === 0) {
+    return schema;
+  }
+
+  const cached = annotatedSchemas.get(schema);
+  if (cached?.stamp === stamp) {
+    return cached.schema;
+  }
+
+  const annotated = applyAnnotations(schema, annotations);
+  annotatedSchemas.set(schema, { stamp, schema: annotated });
+  return annotated;
+}
+
+/**
+ * Format an annotation for API responses
+ *
+ * @param {Object} annotation - SchemaAnnotation instance
+ * @returns {Object} Annotation
+ */
+export function toAnnotationDetail(annotation) {
+  return {
+    id: annotation.id,
+    datasourceId: annotation.datasourceId,
+    tableName: annotation.tableName,
+    columnName: annotation.columnName,
+    value: annotation.value,
+    description: annotation.description,
+    synonyms: annotation.synonyms,
+    hidden: annotation.hidden,
+    version: annotation.version,
+    updatedBy: annotation.updatedBy,
+    updatedAt: annotation.updatedAt
+  };
+}
+
+/**
+ * Format an annotation version for API responses
+ *
+ * @param {Object} version - SchemaAnnotationVersion instance
+ * @returns {Object} { version, action, snapshot, changedBy, createdAt }
+ */
+export function toAnnotationVersion(version) {
+  return {
+    version: version.version,
+    action: version.action,
+    snapshot: version.snapshot,
+    changedBy: version.changedBy,
+    createdAt: version.createdAt
+  };
+}
+
+/**
+ * Get the annotations of a datasource, from memory when unchanged
+ *
+ * @param {string} datasourceId - Datasource id
+ * @returns {Promise<Object>} { annotations, stamp }
+ */
+async function loadAnnotations(datasourceId) {
+  if (annotationCache.has(datasourceId)) {
+    return annotationCache.get(datasourceId);
+  }
+
+  try {
+    const annotations = await SchemaAnnotation.findAll({ where: { datasourceId }, raw: true });
+    const entry = { annotations, stamp: nextStamp++ };
+    annotationCache.set(datasourceId, entry);
+    return entry;
+  } catch (error) {
+    console.warn(`⚠️  Could not load the annotations of "${datasourceId}":`, error.message);
+    return { annotations: [], stamp: 0 };
+  }
+}
+
+/**
+ * Copy a schema with annotations applied (see annotateSchema)
+ *
+ * @param {Object} schema - Schema
+ * @param {Array<Object>} annotations - Annotations of its datasource
+ * @returns {Object} Annotated schema
+ */
+function applyAnnotations(schema, annotations) {
+  const notes = new Map(annotations.map(note => [
+    targetKey(note.tableName, note.columnName, note.value), note
+  ]));
+  const hiddenTables = new Set(annotations
+    .filter(note => note.hidden && note.columnName === null)
+    .map(note => note.tableName));
+
+  const tables = schema.tables
+    .filter(table => !hiddenTables.has(table.name))
+    .map(table => {
+      const note = notes.get(targetKey(table.name));
+      const columns = table.columns
+        .filter(column => !notes.get(targetKey(table.name, column.name))?.hidden)
+        .map(column => annotateColumn(
+          column,
+          notes.get(targetKey(table.name, column.name)),
+          annotations.filter(valueNote =>
+            valueNote.tableName === table.name &&
+            valueNote.columnName === column.name &&
+            valueNote.value !== null
+          )
+        ));
+
+      const columnNames = new Set(columns.map(column => column.name));
+      const annotated = {
+        ...table,
+        columns,
+        relationships: (table.relationships || []).filter(rel =>
+          columnNames.has(rel.column) && !hiddenTables.has(rel.foreignTable)
+        )
+      };
+
+      if (note?.description) annotated.description = note.description;
+      if (note?.synonyms.length > 0) annotated.synonyms = note.synonyms;
+      return annotated;
+    });
+
+  return { ...schema, tables };
+}
+
+/**
+ * Apply a column's annotation and the annotations of its values
+ *
+ * @param {Object} column - Schema column
+ * @param {Object} [note] - Column annotation
+ * @param {Array<Object>} valueNotes - Annotations of the column's values
+ * @returns {Object} Annotated column
+ */
+function annotateColumn(column, note, valueNotes) {
+  const annotated = { ...column };
+  if (note?.description) annotated.description = note.description;
+  if (note?.synonyms.length > 0) annotated.synonyms = note.synonyms;
+
+  const hiddenValues = new Set(valueNotes.filter(valueNote => valueNote.hidden).map(valueNote => valueNote.value));
+  if (hiddenValues.size > 0 && column.profile?.topValues) {
+    annotated.profile = {
+      ...column.profile,
+      topValues: column.profile.topValues.filter(({ value }) => !hiddenValues.has(value))
+    };
+  }
+
+  const values = valueNotes
+    .filter(valueNote => !valueNote.hidden)
+    .map(({ value, description, synonyms }) => ({ value, description, synonyms }));
+  if (values.length > 0) annotated.values = values;
+
+  return annotated;
+}
+
+/**
+ * Check that the table and column of an annotation exist
+ *
+ * @param {Object} target - { datasourceId, tableName, columnName, value }
+ * @throws {AnnotationTargetError} If they do not
+ */
+async function assertTargetExists(target) {
+  if (target.value !== null && target.columnName === null) {
+    throw new AnnotationTargetError('A value can only be annotated together with its column');
+  }
+
+  const schema = await getCachedSchema({ datasourceId: target.datasourceId });
+  const table = schema.tables.find(t => t.name === target.tableName);
+  if (!table) {
+    throw new AnnotationTargetError(`Table "${target.tableName}" does not exist in "${target.datasourceId}"`);
+  }
+
+  if (target.columnName !== null && !table.columns.some(column => column.name === target.columnName)) {
+    throw new AnnotationTargetError(`Column "${target.tableName}.${target.columnName}" does not exist`);
+  }
+}
+
+/**
+ * Record the current state of an annotation as a version
+ *
+ * @param {Object} annotation - SchemaAnnotation instance
+ * @param {string} action - 'created' | 'updated' | 'deleted'
+ * @param {Object} transaction - Sequelize transaction
+ */
+async function recordVersion(annotation, action, transaction) {
+  await SchemaAnnotationVersion.create({
+    annotationId: annotation.id,
+    version: annotation.version,
+    action,
+    changedBy: annotation.updatedBy,
+    snapshot: {
+      datasourceId: annotation.datasourceId,
+      tableName: annotation.tableName,
+      columnName: annotation.columnName,
+      value: annotation.value,
+      description: annotation.description,
+      synonyms: annotation.synonyms,
+      hidden: annotation.hidden
+    }
+  }, { transaction });
+}
+
+/**
+ * Trim, drop empty and duplicate synonyms
+ *
+ * @param {Array<string>} [synonyms] - Synonyms as entered
+ * @returns {Array<string>} Clean synonyms
+ */
+function normalizeSynonyms(synonyms = []) {
+  return [...new Set(synonyms.map(synonym => String(synonym).trim()).filter(Boolean))];
+}
+
+/**
+ * Lookup key of an annotation target
+ *
+ * @param {string} tableName - Table
+ * @param {string|null} [columnName] - Column
+ * @param {string|null} [value] - Value
+ * @returns {string} Key
+ */
+function targetKey(tableName, columnName = null, value = null) {
+  return JSON.stringify([tableName, columnName, value]);
+}
+
+/**
+ * Human-readable name of an annotation target
+ *
+ * @param {Object} target - { tableName, columnName, value }
+ * @returns {string} e.g. sales.region = 'Asia Pacific'
+ */
+function describeTarget({ tableName, columnName, value }) {
+  if (columnName === null) return `Table "${tableName}"`;
+  if (value === null) return `Column "${tableName}.${columnName}"`;
+  return `Value ${tableName}.${columnName} = '${value}'`;
+}
+
+/**
+ * Raised when an annotation names a table or column that does not exist
+ */
+class AnnotationTargetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnnotationTargetError';
+  }
+}
+
+/**
+ * Raised when a table, column or value is annotated twice
+ */
+class AnnotationConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AnnotationConflictError';
+  }
+}
+
+export { AnnotationTargetError, AnnotationConflictError };
@@ -0,0 +1,369 @@
+// services/authService.js
+// Accounts, sign-in tokens and API keys
+// People sign in with an email and password (hashed with scrypt) and get a
+// JWT (HS256, signed with JWT_SECRET, valid for JWT_TTL seconds, default
+// 12 h). Services use API keys instead: random keys that are shown once
+// and stored as SHA-256 hashes. Both resolve to an account on every
+// request, so role and team changes apply at once. The account owns the
+// widgets, dashboards and conversations it creates (see ownerScope), and
+// its team selects its row filters (services/rowPolicyService.js).
+// The first account to register becomes an admin; admins see everything
+// and assign roles and teams. Set ALLOW_SIGNUP=false to stop anyone else
+// from registering once the first account exists.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import Account from '../models/Account.js';
+import ApiKey from '../models/ApiKey.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['admin', 'member'];
+
+// API keys start with this, so they can be told apart from tokens
+export const API_KEY_PREFIX = 'vk_';
+
+const TOKEN_TTL = Number(process.env.JWT_TTL) || 12 * 60 * 60;
+
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  console.warn('⚠️  JWT_SECRET is not set; sign-in tokens will not survive a restart');
+}
+
+/**
+ * Register an account
+ *
+ * @param {Object} data - Account data
+ * @param {string} data.email - Email address (unique, compared without case)
+ * @param {string} data.password - Password
+ * @param {string} [data.name] - Display name
+ * @returns {Promise<Object>} Created account
+ * @throws {SignupDisabledError} If ALLOW_SIGNUP=false and an account exists
+ * @throws {AccountExistsError} If the email is already registered
+ */
+export async function registerAccount(data) {
+  const email = data.email.trim().toLowerCase();
+  const passwordHash = await hashPassword(data.password);
+
+  return await Account.sequelize.transaction(async (transaction) => {
+    // Registrations wait for each other (reads do not), so two people
+    // registering at once cannot both count zero accounts and become admins
+    await Account.sequelize.query('LOCK TABLE accounts IN SHARE ROW EXCLUSIVE MODE', { transaction });
+
+    const accounts = await Account.count({ transaction });
+
+    if (accounts > 0 && process.env.ALLOW_SIGNUP === 'false') {
+      throw new SignupDisabledError();
+    }
+
+    if (await Account.findOne({ where: { email }, transaction })) {
+      throw new AccountExistsError(email);
+    }
+
+    return await Account.create({
+      email,
+      name: data.name || null,
+      passwordHash,
+      role: accounts === 0 ? 'admin' : 'member'
+    }, { transaction });
+  });
+}
+
+/**
+ * Sign in with an email and password
+ *
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} { account, token, expiresAt }
+ * @throws {InvalidCredentialsError} If the email or password is wrong
+ */
+export async function signIn({ email, password }) {
+  const account = await Account.findOne({ where: { email: email.trim().toLowerCase() } });
+
+  if (!account || !(await verifyPassword(password, account.passwordHash))) {
+    throw new InvalidCredentialsError();
+  }
+
+  return { account, ...issueToken(account) };
+}
+
+/**
+ * Issue a sign-in token for an account
+ *
+ * @param {Object} account - Account
+ * @returns {Object} { token, expiresAt }
+ */
+export function issueToken(account) {
+  const now = Math.floor(Date.now() / 1000);
+  const exp = now + TOKEN_TTL;
+
+  return {
+    token: signToken({ sub: account.id, iat: now, exp }),
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Find the account a token or API key belongs to
+ *
+ * @param {string} credential - Sign-in token, or API key (vk_...)
+ * @returns {Promise<Object|null>} Account, or null if the credential is
+ *   invalid, expired or revoked
+ */
+export async function resolveCredential(credential) {
+  if (credential.startsWith(API_KEY_PREFIX)) {
+    const apiKey = await ApiKey.findOne({
+      where: { keyHash: hashApiKey(credential) },
+      include: [{ model: Account, as: 'account' }]
+    });
+    if (!apiKey) return null;
+
+    await apiKey.update({ lastUsedAt: new Date() });
+    return apiKey.account;
+  }
+
+  const payload = verifyToken(credential);
+  if (!payload) return null;
+
+  return await Account.findByPk(payload.sub);
+}
+
+/**
+ * Create an API key for an account
+ *
+ * @param {string} accountId - Owning account
+ * @param {string} name - What the key is for
+ * @returns {Promise<Object>} { apiKey, key } - the key is only available now
+ */
+export async function createApiKey(accountId, name) {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    accountId,
+    name,
+    prefix: key.slice(0, 10),
+    keyHash: hashApiKey(key)
+  });
+
+  return { apiKey, key };
+}
+
+/**
+ * List the API keys of an account, newest first
+ *
+ * @param {string} accountId - Account id
+ * @returns {Promise<Array>} API keys
+ */
+export async function listApiKeys(accountId) {
+  return await ApiKey.findAll({
+    where: { accountId },
+    order: [['createdAt', 'DESC']]
+  });
+}
+
+/**
+ * Revoke an API key of an account
+ *
+ * @param {string} accountId - Account id
+ * @param {string} keyId - API key id
+ * @returns {Promise<boolean>} True if a key was revoked
+ */
+export async function revokeApiKey(accountId, keyId) {
+  const deleted = await ApiKey.destroy({ where: { id: keyId, accountId } });
+  return deleted > 0;
+}
+
+/**
+ * List all accounts, oldest first
+ *
+ * @returns {Promise<Array>} Accounts
+ */
+export async function listAccounts() {
+  return await Account.findAll({ order: [['createdAt', 'ASC']] });
+}
+
+/**
+ * Change the name, role or team of an account
+ *
+ * @param {string} accountId - Account id
+ * @param {Object} changes - { name?, role?, team? }
+ * @returns {Promise<Object|null>} Updated account, or null if not found
+ */
+export async function updateAccount(accountId, changes) {
+  const account = await Account.findByPk(accountId);
+  if (!account) return null;
+
+  const updates = {};
+  if (changes.name !== undefined) updates.name = changes.name || null;
+  if (changes.role !== undefined) updates.role = changes.role;
+  if (changes.team !== undefined) updates.team = changes.team || null;
+
+  return await account.update(updates);
+}
+
+/**
+ * Where-clause limiting a query to the rows an account may see
+ *
+ * Admins see every row; anyone else only the rows they created.
+ *
+ * @param {Object} account - Requesting account (req.user)
+ * @returns {Object} Sequelize where fragment for a createdBy column
+ */
+export function ownerScope(account) {
+  return account.role === 'admin' ? {} : { createdBy: account.id };
+}
+
+/**
+ * Convert an account to its API representation (never the password hash)
+ *
+ * @param {Object} account - Account
+ * @returns {Object} { id, email, name, role, team, createdAt }
+ */
+export function toAccountDetail(account) {
+  return {
+    id: account.id,
+    email: account.email,
+    name: account.name,
+    role: account.role,
+    team: account.team,
+    createdAt: account.createdAt
+  };
+}
+
+/**
+ * Convert an API key to its API representation (never the key or its hash)
+ *
+ * @param {Object} apiKey - API key
+ * @returns {Object} { id, name, prefix, lastUsedAt, createdAt }
+ */
+export function toApiKeyDetail(apiKey) {
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    lastUsedAt: apiKey.lastUsedAt,
+    createdAt: apiKey.createdAt
+  };
+}
+
+/**
+ * Hash a password with a random salt
+ *
+ * @param {string} password - Password
+ * @returns {Promise<string>} scrypt$<salt>$<hash>
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ *
+ * @param {string} password - Password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Hash an API key for storage and lookup
+ *
+ * @param {string} key - API key
+ * @returns {string} SHA-256, hex
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Sign a JWT with HS256
+ *
+ * @param {Object} payload - Claims
+ * @returns {string} Token
+ */
+function signToken(payload) {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${header}.${body}.${sign(`${header}.${body}`)}`;
+}
+
+/**
+ * Verify a JWT signed by signToken
+ *
+ * @param {string} token - Token
+ * @returns {Object|null} Claims, or null if the token is malformed, forged or expired
+ */
+function verifyToken(token) {
+  const [header, body, signature] = token.split('.');
+  if (!header || !body || !signature) return null;
+
+  const expected = Buffer.from(sign(`${header}.${body}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, 'base64url').toString());
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+
+    if (alg !== 'HS256' || !payload.sub || !(payload.exp > Date.now() / 1000)) {
+      return null;
+    }
+    return payload;
+
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * HMAC-SHA256 signature of a token's header and body
+ *
+ * @param {string} data - header.body
+ * @returns {string} Signature, base64url
+ */
+function sign(data) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(data).digest('base64url');
+}
+
+/**
+ * Raised when a sign-in email or password is wrong
+ */
+class InvalidCredentialsError extends Error {
+  constructor() {
+    super('Invalid email or password');
+    this.name = 'InvalidCredentialsError';
+  }
+}
+
+/**
+ * Raised when registering an email that already has an account
+ */
+class AccountExistsError extends Error {
+  constructor(email) {
+    super(`An account for ${email} already exists`);
+    this.name = 'AccountExistsError';
+    this.email = email;
+  }
+}
+
+/**
+ * Raised when registration is closed (ALLOW_SIGNUP=false)
+ */
+class SignupDisabledError extends Error {
+  constructor() {
+    super('Registration is closed; ask an admin for an account');
+    this.name = 'SignupDisabledError';
+  }
+}
+
+export { InvalidCredentialsError, AccountExistsError, SignupDisabledError };
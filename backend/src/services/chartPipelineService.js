@@ -0,0 +1,225 @@
+// services/chartPipelineService.js
+// Prompt → SQL → data pipeline
+// Generates SQL with AI, validates and executes it, and lets the model
+// repair its own query when validation or execution fails
+
+import { generateChartWithAI, repairChartWithAI } from './aiService.js';
+import {
+  executeQuery,
+  validateQuery,
+  DEFAULT_MAX_ROWS,
+  DatabaseError,
+  QueryTimeoutError,
+  ReadOnlyViolationError
+} from './databaseService.js';
+import { checkMetricUsage } from './semanticLayerService.js';
+import { annotateSchema } from './annotationService.js';
+import { findParameters } from '../utils/sqlAnalyzer.js';
+import { declareParameters, bindParameters, InvalidParameterError } from '../utils/queryParameters.js';
+
+const DEFAULT_MAX_REPAIR_ATTEMPTS = 2;
+
+/**
+ * Generate a chart query for a prompt and execute it, repairing failures
+ *
+ * Every attempt is recorded so callers can show what was repaired and why:
+ *   { attempt, sql, status: 'succeeded' | 'failed', stage, errors, warnings }
+ *
+ * Filters the model wrote as named parameters (:name) run with the
+ * defaults it declared in analysis.parameters; the declarations are
+ * normalized (see utils/queryParameters.js) and stored back on the analysis.
+ * So are the semantic-layer metrics the query computes (analysis.metrics).
+ *
+ * The model sees the schema with the business glossary applied (see
+ * services/annotationService.js); queries are validated against the
+ * scanned schema and run against its datasource (schema.datasourceId).
+ *
+ * @param {string} prompt - User's natural language query
+ * @param {Object} schema - Database schema object
+ * @param {Object} options - Execution options
+ * @param {number} [options.timeout] - Query timeout in milliseconds
+ * @param {number} [options.maxRows] - Maximum rows to return
+ * @param {number} [options.maxRepairAttempts] - Repairs allowed (capped by SQL_REPAIR_MAX_ATTEMPTS)
+ * @param {Array} [options.history] - Previous conversation turns for follow-up prompts
+ * @param {Object} [options.identity] - Requesting identity, for row filters
+ * @returns {Promise<Object>} { aiResponse, data, truncated, totalRowCount, parameters,
+ *   attempts, tokensUsed }
+ * @throws {QueryRepairError} If the query still fails after all repair attempts
+ */
+export async function generateAndExecuteQuery(prompt, schema, options = {}) {
+  const maxRepairAttempts = getMaxRepairAttempts(options.maxRepairAttempts);
+  const attempts = [];
+
+  const aiOptions = {
+    history: options.history,
+    rowLimit: options.maxRows || DEFAULT_MAX_ROWS
+  };
+
+  const promptSchema = await annotateSchema(schema);
+
+  let aiResponse = await generateChartWithAI(prompt, promptSchema, aiOptions);
+  let tokensUsed = aiResponse.tokensUsed || 0;
+
+  for (let attempt = 1; ; attempt++) {
+    const outcome = await tryQuery(aiResponse, schema, options);
+
+    if (!outcome.stage) {
+      attempts.push({
+        attempt,
+        sql: aiResponse.sqlQuery,
+        status: 'succeeded',
+        warnings: outcome.warnings
+      });
+
+      aiResponse.analysis = { ...aiResponse.analysis, parameters: outcome.parameters, metrics: outcome.metrics };
+
+      return {
+        aiResponse,
+        data: outcome.result.rows,
+        truncated: outcome.result.truncated,
+        totalRowCount: outcome.result.totalRowCount,
+        parameters: outcome.parameters,
+        attempts,
+        tokensUsed
+      };
+    }
+
+    attempts.push({
+      attempt,
+      sql: aiResponse.sqlQuery,
+      status: 'failed',
+      stage: outcome.stage,
+      errors: outcome.errors,
+      warnings: outcome.warnings
+    });
+
+    if (attempt > maxRepairAttempts) {
+      throw new QueryRepairError(outcome, attempts);
+    }
+
+    console.log(`🔧 Repairing SQL (attempt ${attempt + 1}/${maxRepairAttempts + 1}) after ${outcome.stage} failure...`);
+    aiResponse = await repairChartWithAI(prompt, promptSchema, {
+      previousResponse: aiResponse,
+      stage: outcome.stage,
+      errors: outcome.errors
+    }, aiOptions);
+    tokensUsed += aiResponse.tokensUsed || 0;
+  }
+}
+
+/**
+ * Validate and execute one candidate query
+ *
+ * @param {Object} aiResponse - AI response with sqlQuery and analysis
+ * @param {Object} schema - Database schema object
+ * @param {Object} options - Execution options
+ * @returns {Promise<Object>} { result, parameters, metrics, warnings } on success
+ *   (result as returned by executeQuery),
+ *   { stage, errors, warnings, cause } on a repairable failure
+ * @throws {Error} Non-database errors, timeouts and write attempts are not
+ *   repairable and are rethrown
+ */
+async function tryQuery(aiResponse, schema, options) {
+  const { sqlQuery } = aiResponse;
+  const sqlValidation = validateQuery(sqlQuery, schema);
+  if (!sqlValidation.valid) {
+    return {
+      stage: 'validation',
+      errors: sqlValidation.errors,
+      warnings: sqlValidation.warnings
+    };
+  }
+
+  // Named metrics must use their catalog definition
+  const metricCheck = checkMetricUsage(aiResponse, schema);
+  const warnings = [...sqlValidation.warnings, ...metricCheck.warnings];
+  if (metricCheck.errors.length > 0) {
+    return {
+      stage: 'validation',
+      errors: metricCheck.errors,
+      warnings
+    };
+  }
+
+  let parameters;
+  let replacements;
+  try {
+    parameters = declareParameters(
+      findParameters(sqlQuery, schema.dialect),
+      aiResponse.analysis?.parameters
+    );
+    replacements = bindParameters(parameters);
+  } catch (error) {
+    if (!(error instanceof InvalidParameterError)) throw error;
+
+    return {
+      stage: 'validation',
+      errors: [error.message],
+      warnings
+    };
+  }
+
+  try {
+    console.log('💾 Executing SQL query...');
+    const result = await executeQuery(sqlQuery, {
+      timeout: options.timeout || 30000,
+      maxRows: options.maxRows || DEFAULT_MAX_ROWS,
+      replacements,
+      datasourceId: schema.datasourceId,
+      masks: sqlValidation.masks,
+      identity: options.identity
+    });
+
+    return { result, parameters, metrics: metricCheck.metrics, warnings };
+
+  } catch (error) {
+    if (!(error instanceof DatabaseError) ||
+        error instanceof QueryTimeoutError ||
+        error instanceof ReadOnlyViolationError) {
+      throw error;
+    }
+
+    return {
+      stage: 'execution',
+      errors: [error.sqlMessage || error.message],
+      warnings,
+      cause: error
+    };
+  }
+}
+
+/**
+ * Resolve how many repairs are allowed for a request
+ *
+ * @param {number} [requested] - Repairs requested by the caller
+ * @returns {number} Allowed repair attempts
+ */
+function getMaxRepairAttempts(requested) {
+  const parsed = parseInt(process.env.SQL_REPAIR_MAX_ATTEMPTS, 10);
+  const configured = isNaN(parsed) ? DEFAULT_MAX_REPAIR_ATTEMPTS : Math.max(0, parsed);
+
+  if (requested === undefined || requested === null) {
+    return configured;
+  }
+
+  return Math.min(Math.max(0, parseInt(requested, 10) || 0), configured);
+}
+
+/**
+ * Raised when generated SQL keeps failing after every repair attempt
+ */
+class QueryRepairError extends Error {
+  constructor(failure, attempts) {
+    super(failure.stage === 'validation'
+      ? 'Generated SQL is invalid'
+      : 'Query execution failed');
+    this.name = 'QueryRepairError';
+    this.stage = failure.stage;
+    this.errors = failure.errors;
+    this.warnings = failure.warnings;
+    this.attempts = attempts;
+    this.originalError = failure.cause;
+  }
+}
+
+export { QueryRepairError };
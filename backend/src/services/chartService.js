@@ -2,6 +2,12 @@
 // Service layer for chart-related operations
 // Handles Vega-Lite spec processing and validation
 
+// Name of the selection param injected for cross-filtering
+export const SELECTION_PARAM = 'select';
+
+// Selection types accepted by enhanceVegaSpec
+export const SELECTION_TYPES = ['none', 'auto', 'point', 'interval'];
+
 /**
  * Validate Vega-Lite specification
  * 
@@ -53,13 +59,16 @@ export function validateVegaSpec(vegaSpec) {
  * @param {Object} vegaSpec - Base Vega-Lite spec
  * @param {Array} data - Data to inject
  * @param {Object} options - Enhancement options
+ * @param {string} [options.selection] - Selection to add on the grouping field
+ *   for cross-filtering: 'point', 'interval', 'auto' or 'none' (default)
  * @returns {Object} Enhanced Vega-Lite spec
  */
 export function enhanceVegaSpec(vegaSpec, data, options = {}) {
   const {
     theme = 'default',
     responsive = false,
-    tooltip = true
+    tooltip = true,
+    selection = 'none'
   } = options;
 
   // Clone spec to avoid mutation
@@ -92,9 +101,150 @@ enhanced.height = enhanced.height || 400;
     enhanced.config = getThemeConfig(theme);
   }
 
+  if (selection !== 'none') {
+    addSelection(enhanced, selection);
+  }
+
   return enhanced;
 }
 
+/**
+ * Add a selection param on a spec's grouping field
+ *
+ * Clicking (point) or brushing (interval) the chart then sets the
+ * SELECTION_PARAM signal, which the frontend listens to. The field and
+ * selection type are recorded in usermeta.selection so the frontend knows
+ * what the signal's values refer to. Specs without a grouping field, layered
+ * specs and specs that already define the param are left as they are.
+ *
+ * @param {Object} spec - Vega-Lite spec (modified in place)
+ * @param {string} type - 'point', 'interval' or 'auto'
+ */
+function addSelection(spec, type) {
+  if (!spec.encoding || spec.layer) return;
+  if ((spec.params || []).some(param => param.name === SELECTION_PARAM)) return;
+
+  const target = findGroupingChannel(spec);
+  if (!target) return;
+
+  // Time axes are brushed; discrete categories are clicked
+  const brushable = target.type === 'temporal' && target.channel !== 'color';
+  const selectType = type !== 'point' && brushable ? 'interval' : 'point';
+
+  spec.params = [
+    ...(spec.params || []),
+    {
+      name: SELECTION_PARAM,
+      select: selectType === 'interval'
+        ? { type: 'interval', encodings: [target.channel] }
+        : { type: 'point', fields: [target.field] }
+    }
+  ];
+
+  // Dim the marks outside a point selection
+  if (selectType === 'point' && !spec.encoding.opacity) {
+    spec.encoding.opacity = {
+      condition: { param: SELECTION_PARAM, value: 1, empty: true },
+      value: 0.35
+    };
+  }
+
+  spec.usermeta = {
+    ...spec.usermeta,
+    selection: { param: SELECTION_PARAM, type: selectType, field: target.field, fieldType: target.type }
+  };
+}
+
+/**
+ * Find the channel a chart groups its data by
+ *
+ * Pie charts group by color; otherwise the first discrete (or temporal)
+ * x/y axis, then a nominal color legend.
+ *
+ * @param {Object} spec - Vega-Lite spec
+ * @returns {Object|null} { channel, field, type } or null if none
+ */
+function findGroupingChannel(spec) {
+  const { encoding } = spec;
+  const markType = typeof spec.mark === 'object' ? spec.mark.type : spec.mark;
+  const usable = (channel) => encoding[channel]?.field && !encoding[channel].aggregate;
+
+  const candidates = markType === 'arc'
+    ? ['color']
+    : ['x', 'y', 'color'];
+
+  for (const channel of candidates) {
+    if (!usable(channel)) continue;
+
+    const type = encoding[channel].type;
+    const grouping = channel === 'color'
+      ? ['nominal', 'ordinal'].includes(type)
+      : ['nominal', 'ordinal', 'temporal'].includes(type);
+
+    if (grouping) {
+      return { channel, field: encoding[channel].field, type };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Remove inline data values from a Vega-Lite spec
+ * 
+ * Saved specs are stored as templates; rows are injected again with
+ * enhanceVegaSpec whenever the chart is rendered.
+ * 
+ * @param {Object} vegaSpec - Vega-Lite spec
+ * @returns {Object|null} Spec with an empty data.values array
+ */
+export function stripSpecData(vegaSpec) {
+  if (!vegaSpec) return null;
+  return { ...vegaSpec, data: { values: [] } };
+}
+
+/**
+ * Convert numeric strings in query results to numbers
+ * 
+ * Drivers return NUMERIC/DECIMAL (and some aggregates) as strings,
+ * which Vega-Lite would otherwise treat as nominal values.
+ * 
+ * @param {Array} data - Query result rows
+ * @returns {Array} Rows with numeric strings converted
+ */
+export function normalizeNumericValues(data) {
+  return data.map(row => {
+    const normalized = { ...row };
+    for (const key in normalized) {
+      const value = normalized[key];
+      if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+        normalized[key] = Number(value);
+      }
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Add the fields summaries rely on to an AI analysis
+ * 
+ * @param {Object} analysis - Analysis from the AI response
+ * @param {Array} data - Normalized result rows
+ * @returns {Object} Analysis with groupByField and valueField
+ */
+export function normalizeAnalysis(analysis, data) {
+  const sample = data[0] || {};
+  const numericCols = Object.keys(sample).filter(
+    k => typeof sample[k] === 'number'
+  );
+
+  return {
+    ...analysis,
+    groupByField: analysis.groupBy,
+    valueField: numericCols[0] || null
+  };
+}
+
 /**
  * Get theme configuration for Vega-Lite
  * 
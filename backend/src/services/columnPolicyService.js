@@ -0,0 +1,219 @@
+// services/columnPolicyService.js
+// Column-level access policies for personal and sensitive data
+// Policies are read from a JSON file (COLUMN_POLICY_FILE, default
+// src/config/columnPolicies.json) of
+//   { "columns": [{ table, column, access, mask?, reason?, datasourceId? }] }
+// where access is one of
+//   hidden    - never sent to the model; queries may not reference it
+//   aggregate - only usable as the direct argument of COUNT, SUM or AVG,
+//               and not grouped by the table's primary key or filtered
+//               on its key or unique columns, so no query can name the
+//               row it aggregates. There is no minimum group size: a
+//               group or filter on other columns that matches one row
+//               (GROUP BY a near-unique column, HAVING COUNT(*) = 1)
+//               still returns that row's value, so use `hidden` for
+//               values no single row may give away
+//   masked    - may be selected, but its values are masked in results
+//               (with `mask` when selected as is, fully when an
+//               expression is computed from it)
+// Policies are attached to cached schemas as column.access / column.mask
+// (see services/schemaCacheService.js), the SQL analyzer enforces them and
+// executeQuery masks what they let through. Sample values of restricted
+// columns are dropped from their profiles so they never reach a prompt.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const POLICY_PATH = process.env.COLUMN_POLICY_FILE
+  ? path.resolve(process.env.COLUMN_POLICY_FILE)
+  : path.resolve(__dirname, '../config/columnPolicies.json');
+
+export const COLUMN_ACCESS = ['hidden', 'aggregate', 'masked'];
+
+// Mask strategies: value → masked text
+export const MASKS = {
+  full: () => '****',
+  partial: value => `${value.slice(0, 1)}***`,
+  email: value => {
+    const [local, domain] = value.split('@');
+    return domain ? `${local.slice(0, 1)}***@${domain}` : '****';
+  },
+  // Stable, so masked values can still be grouped and counted
+  hash: value => `#${crypto.createHash('sha256').update(value).digest('hex').slice(0, 10)}`
+};
+
+let policies = null;
+
+// Schema object → the same schema with policies applied
+const policedSchemas = new WeakMap();
+
+/**
+ * Get the column policies that apply to a datasource
+ *
+ * @param {string} datasourceId - Datasource id
+ * @returns {Array<Object>} Policies { table, column, access, mask, reason }
+ * @throws {InvalidColumnPolicyError} If the policy file is invalid
+ */
+export function getColumnPolicies(datasourceId) {
+  return loadPolicies().filter(policy => !policy.datasourceId || policy.datasourceId === datasourceId);
+}
+
+/**
+ * Attach column policies to a schema
+ *
+ * Restricted columns get `access` (and `mask`), and lose the sampled
+ * values of their profile. The result is memoized per schema object, so
+ * a cached schema always maps to the same policed copy.
+ *
+ * @param {Object} schema - Schema from the schema cache
+ * @returns {Object} Schema with policies (the same object if none apply)
+ * @throws {InvalidColumnPolicyError} If the policy file is invalid
+ */
+export function applyColumnPolicies(schema) {
+  const applicable = getColumnPolicies(schema.datasourceId);
+  if (applicable.length === 0) {
+    return schema;
+  }
+
+  if (policedSchemas.has(schema)) {
+    return policedSchemas.get(schema);
+  }
+
+  const byColumn = new Map(applicable.map(policy => [
+    `${policy.table.toLowerCase()}.${policy.column.toLowerCase()}`, policy
+  ]));
+
+  const policed = {
+    ...schema,
+    tables: schema.tables.map(table => ({
+      ...table,
+      columns: table.columns.map(column => {
+        const policy = byColumn.get(`${table.name.toLowerCase()}.${column.name.toLowerCase()}`);
+        if (!policy) return column;
+
+        const restricted = { ...column, access: policy.access };
+        if (policy.mask) restricted.mask = policy.mask;
+        if (column.profile) {
+          const { topValues, min, max, ...profile } = column.profile;
+          restricted.profile = profile;
+        }
+        return restricted;
+      })
+    }))
+  };
+
+  policedSchemas.set(schema, policed);
+  return policed;
+}
+
+/**
+ * Mask columns of result rows in place
+ *
+ * Column names are compared without case, as databases fold unquoted
+ * aliases. NULLs stay NULL; other values are masked as text.
+ *
+ * @param {Array<Object>} rows - Query result rows
+ * @param {Object} masks - Output column → mask strategy (see MASKS)
+ * @returns {Array<Object>} The same rows
+ */
+export function maskRows(rows, masks) {
+  const strategies = new Map(Object.entries(masks || {}).map(([column, mask]) => [column.toLowerCase(), MASKS[mask] || MASKS.full]));
+  if (strategies.size === 0 || rows.length === 0) {
+    return rows;
+  }
+
+  const masked = Object.keys(rows[0])
+    .map(key => [key, strategies.get(key.toLowerCase())])
+    .filter(([, strategy]) => strategy);
+
+  for (const row of rows) {
+    for (const [key, strategy] of masked) {
+      if (row[key] !== null && row[key] !== undefined) {
+        row[key] = strategy(row[key] instanceof Date ? row[key].toISOString() : String(row[key]));
+      }
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Read and validate the policy file on first use
+ *
+ * @returns {Array<Object>} Policies
+ * @throws {InvalidColumnPolicyError} If the file is malformed
+ */
+function loadPolicies() {
+  if (policies) {
+    return policies;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(POLICY_PATH, 'utf8'));
+  } catch (error) {
+    // Without a policy file every column is unrestricted
+    if (error.code === 'ENOENT' && !process.env.COLUMN_POLICY_FILE) {
+      policies = [];
+      return policies;
+    }
+    throw new InvalidColumnPolicyError(`Cannot read ${POLICY_PATH}: ${error.message}`);
+  }
+
+  policies = (parsed.columns || []).map(normalizePolicy);
+  console.log(`🔒 Column policies: ${policies.length} restricted columns`);
+  return policies;
+}
+
+/**
+ * Validate a policy and fill in defaults
+ *
+ * @param {Object} policy - Policy from the file
+ * @returns {Object} Normalized policy
+ * @throws {InvalidColumnPolicyError} If a field is missing or invalid
+ */
+function normalizePolicy(policy) {
+  const target = `${policy?.table}.${policy?.column}`;
+
+  if (!policy?.table || !policy.column) {
+    throw new InvalidColumnPolicyError('Every column policy needs a table and a column');
+  }
+
+  if (!COLUMN_ACCESS.includes(policy.access)) {
+    throw new InvalidColumnPolicyError(
+      `The policy of ${target} has unknown access "${policy.access}" (use ${COLUMN_ACCESS.join(', ')})`
+    );
+  }
+
+  const mask = policy.access === 'masked' ? policy.mask || 'full' : null;
+  if (mask && !(mask in MASKS)) {
+    throw new InvalidColumnPolicyError(
+      `The policy of ${target} has unknown mask "${mask}" (use ${Object.keys(MASKS).join(', ')})`
+    );
+  }
+
+  return {
+    table: policy.table,
+    column: policy.column,
+    access: policy.access,
+    mask,
+    reason: policy.reason || null,
+    datasourceId: policy.datasourceId || null
+  };
+}
+
+/**
+ * Raised when the column policy file cannot be used
+ */
+class InvalidColumnPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidColumnPolicyError';
+  }
+}
+
+export { InvalidColumnPolicyError };
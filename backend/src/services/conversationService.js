@@ -0,0 +1,161 @@
+// services/conversationService.js
+// Conversation history for follow-up prompts
+// Turns form a tree so users can branch from any earlier chart
+// Conversations belong to the account that started them (see ownerScope in
+// services/authService.js)
+
+import Conversation from '../models/Conversation.js';
+import ConversationTurn from '../models/ConversationTurn.js';
+import { stripSpecData } from './chartService.js';
+import { ownerScope } from './authService.js';
+
+// How many previous turns are replayed to the model for a follow-up
+const MAX_HISTORY_TURNS = 5;
+
+/**
+ * Create a new conversation
+ *
+ * @param {Object} data - Conversation data
+ * @param {string} [data.title] - Conversation title (usually the first prompt)
+ * @param {Object} owner - Account starting the conversation (req.user)
+ * @returns {Promise<Object>} Created conversation
+ */
+export async function createConversation(data, owner) {
+  return await Conversation.create({
+    title: data.title ? data.title.slice(0, 255) : null,
+    createdBy: owner.id
+  });
+}
+
+/**
+ * Get a conversation with all of its turns in creation order
+ *
+ * @param {string} conversationId - Conversation id
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object|null>} Conversation with turns, or null if not
+ *   found or not visible to the account
+ */
+export async function getConversation(conversationId, owner) {
+  return await Conversation.findOne({
+    where: { id: conversationId, ...ownerScope(owner) },
+    include: [{ model: ConversationTurn, as: 'turns' }],
+    order: [[{ model: ConversationTurn, as: 'turns' }, 'createdAt', 'ASC']]
+  });
+}
+
+/**
+ * List the recent conversations an account may see
+ *
+ * @param {number} limit - Maximum number of conversations
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Array>} Conversations, newest first
+ */
+export async function listConversations(limit = 20, owner) {
+  return await Conversation.findAll({
+    where: ownerScope(owner),
+    order: [['updatedAt', 'DESC']],
+    limit
+  });
+}
+
+/**
+ * Delete a conversation and its turns
+ *
+ * @param {string} conversationId - Conversation id
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<boolean>} True if a conversation was deleted
+ */
+export async function deleteConversation(conversationId, owner) {
+  const conversation = await Conversation.findOne({ where: { id: conversationId, ...ownerScope(owner) } });
+  if (!conversation) return false;
+
+  await ConversationTurn.destroy({ where: { conversationId } });
+  const deleted = await Conversation.destroy({ where: { id: conversationId } });
+  return deleted > 0;
+}
+
+/**
+ * Record a turn (prompt and resulting chart) in a conversation
+ *
+ * @param {Object} turnData - Turn data
+ * @returns {Promise<Object>} Created turn
+ */
+export async function addTurn(turnData) {
+  const turn = await ConversationTurn.create({
+    conversationId: turnData.conversationId,
+    parentTurnId: turnData.parentTurnId || null,
+    prompt: turnData.prompt,
+    sqlQuery: turnData.sqlQuery,
+    analysis: turnData.analysis,
+    vegaSpec: stripSpecData(turnData.vegaSpec),
+    explanation: turnData.explanation
+  });
+
+  // Bump the conversation so it sorts as recently used
+  await Conversation.update(
+    { updatedAt: new Date() },
+    { where: { id: turnData.conversationId } }
+  );
+
+  return turn;
+}
+
+/**
+ * Get the chain of turns leading to (and including) a turn
+ * Follows parentTurnId links, so sibling branches are not included
+ *
+ * @param {string} conversationId - Conversation the turn must belong to
+ * @param {string} turnId - Last turn of the chain
+ * @param {number} maxTurns - Maximum number of turns to return
+ * @returns {Promise<Array>} Turns ordered oldest → newest
+ * @throws {Error} If the turn does not exist in the conversation
+ */
+export async function getTurnLineage(conversationId, turnId, maxTurns = MAX_HISTORY_TURNS) {
+  const lineage = [];
+  let currentId = turnId;
+
+  while (currentId && lineage.length < maxTurns) {
+    const turn = await ConversationTurn.findOne({
+      where: { id: currentId, conversationId }
+    });
+
+    if (!turn) {
+      if (lineage.length === 0) {
+        throw new ConversationNotFoundError(`Turn ${turnId} not found in conversation ${conversationId}`);
+      }
+      break;
+    }
+
+    lineage.unshift(turn);
+    currentId = turn.parentTurnId;
+  }
+
+  return lineage;
+}
+
+/**
+ * Convert stored turns into the history format used by aiService
+ *
+ * @param {Array} turns - Conversation turns (oldest → newest)
+ * @returns {Array} History entries { prompt, sqlQuery, analysis, vegaSpec }
+ */
+export function toPromptHistory(turns) {
+  return turns.map(turn => ({
+    prompt: turn.prompt,
+    sqlQuery: turn.sqlQuery,
+    analysis: turn.analysis,
+    vegaSpec: turn.vegaSpec
+  }));
+}
+
+/**
+ * Raised when a conversation or turn does not exist
+ */
+class ConversationNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConversationNotFoundError';
+  }
+}
+
+export { ConversationNotFoundError };
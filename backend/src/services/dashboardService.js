@@ -0,0 +1,495 @@
+// services/dashboardService.js
+// Dashboards: saved widgets composed into a grid layout
+// Tiles (DashboardWidget rows) hold the placement; the chart itself is
+// the saved widget, so refreshing a widget updates every dashboard using it.
+// Dashboard filters are the named parameters its widgets declare; applying
+// them re-runs every widget's SQL with the values bound. Tile specs carry a
+// selection on their grouping field so one tile can cross-filter the others.
+// Dashboards belong to the account that created them (see ownerScope in
+// services/authService.js), and only widgets it can see can be placed on them.
+
+import Dashboard from '../models/Dashboard.js';
+import DashboardWidget from '../models/DashboardWidget.js';
+import Widget from '../models/Widget.js';
+import { toWidgetDetail, runWidgetQuery, getWidget } from './widgetService.js';
+import { enhanceVegaSpec } from './chartService.js';
+import { bindParameters } from '../utils/queryParameters.js';
+import { ownerScope } from './authService.js';
+
+// Grid geometry shared with the frontend layout
+export const GRID_COLUMNS = 12;
+const DEFAULT_TILE_WIDTH = 6;
+const DEFAULT_TILE_HEIGHT = 4;
+
+/**
+ * Create a dashboard
+ *
+ * @param {Object} data - Dashboard data
+ * @param {string} data.name - Dashboard name
+ * @param {string} [data.description] - Description
+ * @param {Object} owner - Account creating the dashboard (req.user)
+ * @returns {Promise<Object>} Created dashboard
+ */
+export async function createDashboard(data, owner) {
+  return await Dashboard.create({
+    name: data.name,
+    description: data.description || null,
+    createdBy: owner.id
+  });
+}
+
+/**
+ * List the dashboards an account may see, most recently updated first
+ *
+ * @param {Object} pagination - Sanitized pagination (see validatePagination)
+ * @param {number} pagination.page - Page number (1-based)
+ * @param {number} pagination.limit - Page size
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object>} { dashboards, total, page, limit, totalPages }
+ */
+export async function listDashboards({ page, limit }, owner) {
+  const { rows, count } = await Dashboard.findAndCountAll({
+    where: ownerScope(owner),
+    order: [['updatedAt', 'DESC']],
+    offset: (page - 1) * limit,
+    limit
+  });
+
+  return {
+    dashboards: rows,
+    total: count,
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit)
+  };
+}
+
+/**
+ * Get a dashboard with its tiles (and their widgets) in reading order
+ *
+ * @param {string} dashboardId - Dashboard id
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object|null>} Dashboard, or null if not found or not visible to the account
+ */
+export async function getDashboard(dashboardId, owner) {
+  return await findDashboard(dashboardId, owner, {
+    include: [{
+      model: DashboardWidget,
+      as: 'tiles',
+      include: [{ model: Widget, as: 'widget' }]
+    }],
+    order: [[{ model: DashboardWidget, as: 'tiles' }, 'sortOrder', 'ASC']]
+  });
+}
+
+/**
+ * Rename a dashboard, change its description or save its filter values
+ *
+ * @param {string} dashboardId - Dashboard id
+ * @param {Object} changes - { name?, description?, filterValues? }
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object|null>} Updated dashboard, or null if not found
+ * @throws {InvalidParameterError} If a filter value does not match its type
+ */
+export async function updateDashboard(dashboardId, changes, owner) {
+  const dashboard = await getDashboard(dashboardId, owner);
+  if (!dashboard) return null;
+
+  const updates = {};
+  if (changes.name !== undefined) updates.name = changes.name;
+  if (changes.description !== undefined) updates.description = changes.description;
+  if (changes.filterValues !== undefined) {
+    updates.filterValues = pickValues(bindParameters(collectFilters(dashboard.tiles), changes.filterValues));
+  }
+
+  await dashboard.update(updates);
+  return await getDashboard(dashboardId, owner);
+}
+
+/**
+ * Delete a dashboard and its tiles (the widgets themselves are kept)
+ *
+ * @param {string} dashboardId - Dashboard id
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<boolean>} True if a dashboard was deleted
+ */
+export async function deleteDashboard(dashboardId, owner) {
+  if (!(await findDashboard(dashboardId, owner))) return false;
+
+  await DashboardWidget.destroy({ where: { dashboardId } });
+  const deleted = await Dashboard.destroy({ where: { id: dashboardId } });
+  return deleted > 0;
+}
+
+/**
+ * Place a saved widget on a dashboard
+ *
+ * Without an explicit position the tile goes below the existing ones.
+ *
+ * @param {string} dashboardId - Dashboard id
+ * @param {Object} tileData - Tile data
+ * @param {string} tileData.widgetId - Widget to show
+ * @param {string} [tileData.title] - Tile title (defaults to the widget name)
+ * @param {number} [tileData.x] - Column (0-based)
+ * @param {number} [tileData.y] - Row (0-based)
+ * @param {number} [tileData.width] - Width in columns
+ * @param {number} [tileData.height] - Height in rows
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object>} Created tile with its widget
+ * @throws {DashboardNotFoundError} If the dashboard or widget does not exist
+ *   (or is not visible to the account)
+ */
+export async function addTile(dashboardId, tileData, owner) {
+  const dashboard = await findDashboard(dashboardId, owner, {
+    include: [{ model: DashboardWidget, as: 'tiles' }]
+  });
+  if (!dashboard) {
+    throw new DashboardNotFoundError(`Dashboard ${dashboardId} not found`);
+  }
+
+  const widget = await getWidget(tileData.widgetId, owner);
+  if (!widget) {
+    throw new DashboardNotFoundError(`Widget ${tileData.widgetId} not found`);
+  }
+
+  const bottom = dashboard.tiles.reduce((max, tile) => Math.max(max, tile.y + tile.height), 0);
+  const placement = clampPlacement({
+    x: tileData.x ?? 0,
+    y: tileData.y ?? bottom,
+    width: tileData.width ?? DEFAULT_TILE_WIDTH,
+    height: tileData.height ?? DEFAULT_TILE_HEIGHT
+  });
+
+  const tile = await DashboardWidget.create({
+    dashboardId,
+    widgetId: widget.id,
+    title: tileData.title || null,
+    ...placement,
+    sortOrder: dashboard.tiles.length
+  });
+
+  await touchDashboard(dashboardId);
+
+  tile.widget = widget;
+  return tile;
+}
+
+/**
+ * Save the positions and sizes of a dashboard's tiles
+ *
+ * Tiles not listed keep their placement. Reading order (sortOrder) is
+ * recomputed top-to-bottom, left-to-right.
+ *
+ * @param {string} dashboardId - Dashboard id
+ * @param {Array} layout - [{ id, x, y, width, height }]
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object>} Updated dashboard with tiles
+ * @throws {DashboardNotFoundError} If the dashboard or a tile does not exist
+ */
+export async function updateLayout(dashboardId, layout, owner) {
+  await Dashboard.sequelize.transaction(async (transaction) => {
+    const dashboard = await findDashboard(dashboardId, owner, {
+      include: [{ model: DashboardWidget, as: 'tiles' }],
+      transaction
+    });
+    if (!dashboard) {
+      throw new DashboardNotFoundError(`Dashboard ${dashboardId} not found`);
+    }
+
+    const tilesById = new Map(dashboard.tiles.map(tile => [tile.id, tile]));
+    for (const item of layout) {
+      if (!tilesById.has(item.id)) {
+        throw new DashboardNotFoundError(`Tile ${item.id} not found on dashboard ${dashboardId}`);
+      }
+      tilesById.get(item.id).set(clampPlacement(item));
+    }
+
+    const ordered = [...tilesById.values()].sort((a, b) => a.y - b.y || a.x - b.x);
+    for (const [index, tile] of ordered.entries()) {
+      tile.sortOrder = index;
+      await tile.save({ transaction });
+    }
+
+    dashboard.changed('updatedAt', true);
+    await dashboard.save({ transaction });
+  });
+
+  return await getDashboard(dashboardId, owner);
+}
+
+/**
+ * Change a tile's title or placement
+ *
+ * @param {string} dashboardId - Dashboard id
+ * @param {string} tileId - Tile id
+ * @param {Object} changes - { title?, x?, y?, width?, height? }
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object|null>} Updated tile with its widget, or null
+ */
+export async function updateTile(dashboardId, tileId, changes, owner) {
+  if (!(await findDashboard(dashboardId, owner))) return null;
+
+  const tile = await DashboardWidget.findOne({
+    where: { id: tileId, dashboardId },
+    include: [{ model: Widget, as: 'widget' }]
+  });
+  if (!tile) return null;
+
+  const updates = {};
+  if (changes.title !== undefined) updates.title = changes.title || null;
+
+  const placementKeys = ['x', 'y', 'width', 'height'];
+  if (placementKeys.some(key => changes[key] !== undefined)) {
+    Object.assign(updates, clampPlacement({
+      x: changes.x ?? tile.x,
+      y: changes.y ?? tile.y,
+      width: changes.width ?? tile.width,
+      height: changes.height ?? tile.height
+    }));
+  }
+
+  await tile.update(updates);
+  await touchDashboard(dashboardId);
+  return tile;
+}
+
+/**
+ * Remove a tile from a dashboard (the widget is kept)
+ *
+ * @param {string} dashboardId - Dashboard id
+ * @param {string} tileId - Tile id
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<boolean>} True if a tile was removed
+ */
+export async function removeTile(dashboardId, tileId, owner) {
+  if (!(await findDashboard(dashboardId, owner))) return false;
+
+  const deleted = await DashboardWidget.destroy({ where: { id: tileId, dashboardId } });
+  if (deleted > 0) {
+    await touchDashboard(dashboardId);
+  }
+  return deleted > 0;
+}
+
+/**
+ * Re-run every widget on a dashboard with the dashboard's filters applied
+ *
+ * Filter values are checked against the filter types first; a widget that
+ * does not declare a filter ignores it, and a filter left unset falls back
+ * to each widget's own default. Results are not stored on the widgets.
+ * A tile that fails (schema drift, timeout) reports its error without
+ * failing the others.
+ *
+ * @param {string} dashboardId - Dashboard id
+ * @param {Object} [options] - Query options
+ * @param {Object} [options.filters] - Values by parameter name
+ * @param {number} [options.timeout] - Per-widget query timeout in milliseconds
+ * @param {number} [options.maxRows] - Maximum rows per widget
+ * @param {Object} [options.identity] - Requesting identity, for row filters
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object|null>} { filters, tiles }, or null if not found
+ * @throws {InvalidParameterError} If a value does not match its filter's type
+ */
+export async function queryDashboard(dashboardId, options, owner) {
+  const dashboard = await getDashboard(dashboardId, owner);
+  if (!dashboard) return null;
+
+  const filters = collectFilters(dashboard.tiles);
+  const values = pickValues(bindParameters(filters, options.filters));
+  const tiles = [];
+
+  for (const tile of dashboard.tiles) {
+    try {
+      const result = await runWidgetQuery(tile.widget, {
+        parameterValues: values,
+        timeout: options.timeout,
+        maxRows: options.maxRows,
+        identity: options.identity
+      });
+
+      tiles.push({
+        tileId: tile.id,
+        widgetId: tile.widgetId,
+        vegaSpec: toTileSpec(tile.widget.specTemplate, result.rows),
+        dataCount: result.rows.length,
+        truncated: result.truncated,
+        totalRowCount: result.totalRowCount,
+        executionTime: result.executionTime
+      });
+
+    } catch (error) {
+      console.warn(`⚠️  Dashboard tile ${tile.id} could not be queried:`, error.message);
+      tiles.push({
+        tileId: tile.id,
+        widgetId: tile.widgetId,
+        error: error.message
+      });
+    }
+  }
+
+  return { filters: values, tiles };
+}
+
+/**
+ * Collect the filters a dashboard offers: the parameters its widgets
+ * declare, one per name (the first declaration wins)
+ *
+ * @param {Array} tiles - Tiles with widgets loaded
+ * @returns {Array} [{ name, type, label }]
+ */
+export function collectFilters(tiles = []) {
+  const filters = new Map();
+
+  for (const tile of tiles) {
+    for (const parameter of tile.widget?.parameters || []) {
+      if (!filters.has(parameter.name)) {
+        filters.set(parameter.name, {
+          name: parameter.name,
+          type: parameter.type,
+          label: parameter.label
+        });
+      }
+    }
+  }
+
+  return [...filters.values()];
+}
+
+/**
+ * Keep only the filters that were actually set
+ *
+ * @param {Object} bound - Bound values (null for unset)
+ * @returns {Object} Values that were set
+ */
+function pickValues(bound) {
+  return Object.fromEntries(Object.entries(bound).filter(([, value]) => value !== null));
+}
+
+/**
+ * Shape a dashboard for list views
+ *
+ * @param {Object} dashboard - Dashboard model instance
+ * @returns {Object} Dashboard summary
+ */
+export function toDashboardSummary(dashboard) {
+  return {
+    id: dashboard.id,
+    name: dashboard.name,
+    description: dashboard.description,
+    createdAt: dashboard.createdAt,
+    updatedAt: dashboard.updatedAt
+  };
+}
+
+/**
+ * Shape a dashboard with its tiles and their renderable widgets
+ *
+ * @param {Object} dashboard - Dashboard with tiles (see getDashboard)
+ * @returns {Object} Dashboard detail
+ */
+export function toDashboardDetail(dashboard) {
+  return {
+    ...toDashboardSummary(dashboard),
+    columns: GRID_COLUMNS,
+    filters: collectFilters(dashboard.tiles),
+    filterValues: dashboard.filterValues || {},
+    tiles: (dashboard.tiles || []).map(toTileDetail)
+  };
+}
+
+/**
+ * Shape a tile with its widget
+ *
+ * @param {Object} tile - DashboardWidget with widget loaded
+ * @returns {Object} Tile detail
+ */
+export function toTileDetail(tile) {
+  return {
+    id: tile.id,
+    title: tile.title || tile.widget?.name || null,
+    x: tile.x,
+    y: tile.y,
+    width: tile.width,
+    height: tile.height,
+    sortOrder: tile.sortOrder,
+    widget: tile.widget ? toTileWidget(tile.widget) : null
+  };
+}
+
+/**
+ * Shape a tile's widget, with the spec ready for cross-filtering
+ *
+ * @param {Object} widget - Widget model instance
+ * @returns {Object} Widget detail
+ */
+function toTileWidget(widget) {
+  const detail = toWidgetDetail(widget);
+  return { ...detail, vegaSpec: toTileSpec(widget.specTemplate, detail.vegaSpec.data.values) };
+}
+
+/**
+ * Build a tile spec with a selection on its grouping field
+ *
+ * @param {Object} specTemplate - Widget spec template
+ * @param {Array} rows - Rows to show
+ * @returns {Object} Renderable Vega-Lite spec
+ */
+function toTileSpec(specTemplate, rows) {
+  return enhanceVegaSpec(specTemplate, rows, { selection: 'auto' });
+}
+
+/**
+ * Keep a tile inside the grid
+ *
+ * @param {Object} placement - { x, y, width, height }
+ * @returns {Object} Clamped placement
+ */
+function clampPlacement({ x, y, width, height }) {
+  const clampedWidth = Math.min(Math.max(1, width), GRID_COLUMNS);
+
+  return {
+    x: Math.min(Math.max(0, x), GRID_COLUMNS - clampedWidth),
+    y: Math.max(0, y),
+    width: clampedWidth,
+    height: Math.max(1, height)
+  };
+}
+
+/**
+ * Find a dashboard the account may see
+ *
+ * @param {string} dashboardId - Dashboard id
+ * @param {Object} owner - Requesting account (req.user)
+ * @param {Object} [options] - Extra Sequelize query options (include, order, transaction)
+ * @returns {Promise<Object|null>} Dashboard, or null
+ */
+async function findDashboard(dashboardId, owner, options = {}) {
+  return await Dashboard.findOne({
+    where: { id: dashboardId, ...ownerScope(owner) },
+    ...options
+  });
+}
+
+/**
+ * Bump a dashboard so it sorts as recently used
+ *
+ * @param {string} dashboardId - Dashboard id
+ */
+async function touchDashboard(dashboardId) {
+  await Dashboard.update(
+    { updatedAt: new Date() },
+    { where: { id: dashboardId } }
+  );
+}
+
+/**
+ * Raised when a dashboard, tile or referenced widget does not exist
+ */
+class DashboardNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DashboardNotFoundError';
+  }
+}
+
+export { DashboardNotFoundError };
@@ -4,116 +4,317 @@
 
 import { sequelize } from '../models/index.js';
 import { QueryTypes } from 'sequelize';
+import { analyzeQuery, applyRowFilters } from '../utils/sqlAnalyzer.js';
+import { getDatasource, getQueryConnection, getQueryRole } from '../config/datasources.js';
+import { maskRows } from './columnPolicyService.js';
+import { getRowFilters } from './rowPolicyService.js';
+
+// Row cap applied when the caller does not pass one
+export const DEFAULT_MAX_ROWS = 10000;
+
+// Upper bound for the follow-up COUNT(*) on truncated results, so counting
+// a huge result set never costs more than the query itself
+const ROW_COUNT_TIMEOUT = 5000;
 
 /**
  * Execute SQL query safely
  * 
+ * The query runs against the chosen datasource (see config/datasources.js)
+ * inside a read-only transaction with a time limit (see runReadOnly), as
+ * the datasource's dedicated user/role when one is configured. Anything
+ * that gets past the validator still cannot write data or run indefinitely.
+ * 
+ * The row cap is enforced by the database: the query is wrapped in
+ * `SELECT * FROM (...) LIMIT maxRows + 1`, so at most one row more than
+ * requested is ever fetched. That extra row tells us the result was
+ * truncated, in which case the full row count is looked up separately.
+ * 
+ * Named parameters (:name) are bound by Sequelize from `replacements`
+ * (see utils/queryParameters.js); values never become part of the SQL text.
+ * 
+ * Columns named in `masks` (the validator's `masks`, see
+ * utils/sqlAnalyzer.js) are masked in the returned rows, so values of
+ * masked columns never leave the service.
+ * 
+ * Row filters of the requesting identity (see services/rowPolicyService.js)
+ * are applied by rewriting every read of a filtered table into a filtered
+ * subquery before anything runs, so no query can read other rows.
+ * 
  * @param {string} sqlQuery - SQL query to execute
  * @param {Object} options - Execution options
- * @returns {Promise<Array>} Query results
+ * @param {number} [options.timeout] - Statement timeout in milliseconds
+ * @param {number} [options.maxRows] - Maximum rows to return
+ * @param {Object} [options.replacements] - Values for the query's named parameters
+ * @param {number} [options.offset] - Rows to skip first (for paging)
+ * @param {string} [options.datasourceId] - Datasource to query (default datasource if omitted)
+ * @param {Object} [options.masks] - Output column → mask strategy
+ * @param {Object} [options.identity] - Requesting identity (req.identity)
+ * @returns {Promise<Object>} { rows, truncated, totalRowCount }
+ *   (totalRowCount is null when it could not be counted cheaply)
+ * @throws {QueryTimeoutError} If the statement exceeds the timeout
+ * @throws {ReadOnlyViolationError} If the statement tries to write
+ * @throws {DatabaseError} For any other database failure
+ * @throws {DatasourceNotFoundError} If the datasource is not configured
  */
 export async function executeQuery(sqlQuery, options = {}) {
   const {
     timeout = 30000, // 30 seconds default
-    maxRows = 10000  // Max rows to prevent memory issues
+    maxRows = DEFAULT_MAX_ROWS, // Max rows to prevent memory issues
+    replacements,
+    offset = 0,
+    datasourceId,
+    masks,
+    identity
   } = options;
 
+  const rowLimit = Math.max(1, Math.floor(maxRows));
+  const rowOffset = Math.max(0, Math.floor(offset));
+
+  // An unknown datasource is the caller's mistake, not a query failure
+  const { id, dialect } = getDatasource(datasourceId);
+
+  // Throws when the SQL cannot be parsed, so unfiltered SQL never runs
+  const baseQuery = applyRowFilters(stripTrailingSemicolons(sqlQuery), getRowFilters(id, identity), dialect);
+
+  let rows;
   try {
     console.log('💾 Executing query...');
     const startTime = Date.now();
 
-    const results = await sequelize.query(sqlQuery, {
-      type: QueryTypes.SELECT,
-      timeout
-    });
+    rows = await runReadOnly(
+      `SELECT * FROM (\n${baseQuery}\n) AS limited_result LIMIT ${rowLimit + 1}${rowOffset ? ` OFFSET ${rowOffset}` : ''}`,
+      { timeout, replacements, datasourceId }
+    );
 
     const executionTime = Date.now() - startTime;
-    console.log(`✅ Query executed in ${executionTime}ms, returned ${results.length} rows`);
+    console.log(`✅ Query executed in ${executionTime}ms, returned ${rows.length} rows`);
 
-    // Check if results exceed max rows
-    if (results.length > maxRows) {
-      console.warn(`⚠️  Query returned ${results.length} rows, limiting to ${maxRows}`);
-      return results.slice(0, maxRows);
-    }
+  } catch (error) {
+    console.error('❌ Query execution error:', error.message);
+    throw toDatabaseError(error, timeout);
+  }
+
+  maskRows(rows, masks);
+
+  if (rows.length <= rowLimit) {
+    return { rows, truncated: false, totalRowCount: rowOffset + rows.length };
+  }
+
+  const totalRowCount = await countRows(baseQuery, {
+    timeout: Math.min(timeout, ROW_COUNT_TIMEOUT),
+    replacements,
+    datasourceId
+  });
+  console.warn(`⚠️  Query returned more than ${rowLimit} rows (total: ${totalRowCount ?? 'unknown'}), truncated`);
+
+  return {
+    rows: rows.slice(0, rowLimit),
+    truncated: true,
+    totalRowCount
+  };
+}
 
-    return results;
+/**
+ * Count the rows a query would return
+ * 
+ * Best effort: runs under its own short timeout and returns null instead
+ * of failing the request when the count is too expensive.
+ * 
+ * @param {string} baseQuery - SQL query without trailing semicolons
+ * @param {Object} options - Execution options
+ * @param {number} options.timeout - Statement timeout in milliseconds
+ * @param {Object} [options.replacements] - Values for named parameters
+ * @param {string} [options.datasourceId] - Datasource to query
+ * @returns {Promise<number|null>} Row count, or null if it could not be counted
+ */
+async function countRows(baseQuery, { timeout, replacements, datasourceId }) {
+  try {
+    const result = await runReadOnly(
+      `SELECT COUNT(*) AS total_rows FROM (\n${baseQuery}\n) AS counted_result`,
+      { timeout, replacements, datasourceId }
+    );
+    return Number(result[0].total_rows);
 
   } catch (error) {
-    console.error('❌ Query execution error:', error.message);
-    throw new DatabaseError('Query execution failed', error);
+    console.warn('Could not count query rows:', error.message);
+    return null;
   }
 }
 
 /**
- * Validate SQL query before execution
+ * Remove trailing semicolons so the query can be used as a subquery
  * 
- * @param {string} sqlQuery - SQL query to validate
- * @param {Object} schema - Database schema
- * @returns {Object} Validation result
+ * @param {string} sqlQuery - SQL query
+ * @returns {string} Query without trailing semicolons or whitespace
  */
-export function validateQuery(sqlQuery, schema) {
-  const validation = {
-    valid: true,
-    warnings: [],
-    errors: []
-  };
+function stripTrailingSemicolons(sqlQuery) {
+  return sqlQuery.trim().replace(/(\s*;)+$/, '');
+}
+
+/**
+ * Run a SELECT inside a read-only, time-limited transaction
+ * 
+ * How this is enforced depends on the datasource's dialect:
+ * - postgres: SET TRANSACTION READ ONLY and SET LOCAL statement_timeout
+ *   (plus SET LOCAL ROLE when a query role is configured)
+ * - mysql/mariadb: the session only starts read-only transactions (see
+ *   config/datasources.js); a MAX_EXECUTION_TIME hint (MySQL) or SET
+ *   STATEMENT max_statement_time ... FOR (MariaDB) bounds the statement
+ *   itself, so no session setting outlives it on the pooled connection
+ * - sqlite: the file is opened read-only; the statement is interrupted
+ *   when the timeout expires
+ * 
+ * @param {string} sqlQuery - SQL query to execute
+ * @param {Object} options - Execution options
+ * @param {number} options.timeout - Statement timeout in milliseconds
+ * @param {Object} [options.replacements] - Values for named parameters
+ * @param {string} [options.datasourceId] - Datasource to query
+ * @returns {Promise<Array>} Query results
+ */
+async function runReadOnly(sqlQuery, { timeout, replacements, datasourceId }) {
+  const connection = getQueryConnection(datasourceId);
+  const { dialect } = getDatasource(datasourceId);
+  const role = getQueryRole(datasourceId);
+  const timeoutMs = Math.max(1, Math.floor(timeout));
+
+  return await connection.transaction(async (transaction) => {
+    let timer = null;
+    let statement = sqlQuery;
+
+    switch (dialect) {
+      case 'postgres':
+        // Must be the first statement of the transaction
+        await connection.query('SET TRANSACTION READ ONLY', { transaction });
+        await connection.query(`SET LOCAL statement_timeout = ${timeoutMs}`, { transaction });
+
+        if (role) {
+          await connection.query(`SET LOCAL ROLE ${role}`, { transaction });
+        }
+        break;
+
+      case 'mysql':
+        // Optimizer hints go right after SELECT (EXPLAIN runs nothing to bound)
+        statement = sqlQuery.replace(/^\s*SELECT\b/i, select => `${select} /*+ MAX_EXECUTION_TIME(${timeoutMs}) */`);
+        break;
+
+      case 'mariadb':
+        statement = `SET STATEMENT max_statement_time = ${timeoutMs / 1000} FOR ${sqlQuery}`;
+        break;
 
-  // Check for dangerous operations
-  const dangerousPatterns = [
-    /DROP\s+TABLE/i,
-    /DROP\s+DATABASE/i,
-    /DELETE\s+FROM.*WHERE/i,
-    /TRUNCATE/i,
-    /ALTER\s+TABLE/i,
-    /CREATE\s+TABLE/i
-  ];
-
-  dangerousPatterns.forEach(pattern => {
-    if (pattern.test(sqlQuery)) {
-      validation.valid = false;
-      validation.errors.push(`Dangerous operation detected: ${pattern}`);
+      case 'sqlite':
+        timer = setTimeout(() => transaction.connection.interrupt(), timeoutMs);
+        break;
     }
-  });
 
-  // Check for SELECT statement
-    if (!/^\s*(SELECT|WITH)\b/i.test(sqlQuery)) {
-    validation.valid = false;
-    validation.errors.push('Only SELECT queries are allowed');
-   }
-
-  // Extract table names from SQL
-  const tablePattern = /FROM\s+(\w+)|JOIN\s+(\w+)/gi;
-  const matches = [...sqlQuery.matchAll(tablePattern)];
-  const tablesInSQL = matches.map(m => m[1] || m[2]).filter(Boolean);
-
-  // Validate tables exist in schema
-  const schemaTableNames = schema.tables.map(t => t.name);
-  tablesInSQL.forEach(table => {
-    if (!schemaTableNames.includes(table)) {
-      validation.warnings.push(`Table "${table}" not found in schema`);
+    try {
+      return await connection.query(statement, {
+        type: QueryTypes.SELECT,
+        replacements,
+        transaction
+      });
+    } finally {
+      clearTimeout(timer);
     }
   });
+}
 
-  return validation;
+/**
+ * Map a driver error to a typed database error
+ * 
+ * @param {Error} error - Error thrown while executing
+ * @param {number} timeout - Timeout that was in effect (ms)
+ * @returns {DatabaseError} Typed error
+ */
+function toDatabaseError(error, timeout) {
+  const code = error.original?.code || error.parent?.code;
+  const errno = error.original?.errno;
+
+  // 57014 = query_canceled (statement_timeout), ER_QUERY_TIMEOUT = MySQL
+  // max_execution_time, 1969 = MariaDB max_statement_time,
+  // SQLITE_INTERRUPT = interrupted by runReadOnly
+  if (['57014', 'ER_QUERY_TIMEOUT', 'SQLITE_INTERRUPT'].includes(code) || errno === 1969 ||
+      /statement timeout/i.test(error.message)) {
+    return new QueryTimeoutError(timeout, error);
+  }
+
+  // 25006 = read_only_sql_transaction, ER_CANT_EXECUTE_IN_READ_ONLY_TRANSACTION
+  // = MySQL/MariaDB, SQLITE_READONLY = file opened read-only
+  if (['25006', 'ER_CANT_EXECUTE_IN_READ_ONLY_TRANSACTION', 'SQLITE_READONLY'].includes(code) ||
+      /read-only transaction/i.test(error.message)) {
+    return new ReadOnlyViolationError(error);
+  }
+
+  return new DatabaseError('Query execution failed', error);
+}
+
+/**
+ * Validate SQL query before execution
+ * 
+ * The query is parsed into a syntax tree (see utils/sqlAnalyzer.js) and
+ * rejected unless it is a single read-only SELECT/WITH statement that
+ * only calls allowlisted functions and only references tables and
+ * columns that exist in the schema.
+ * 
+ * @param {string} sqlQuery - SQL query to validate
+ * @param {Object} schema - Database schema
+ * @returns {Object} Validation result { valid, errors, warnings, tables, functions }
+ */
+export function validateQuery(sqlQuery, schema) {
+  return analyzeQuery(sqlQuery, schema);
 }
 
 /**
  * Get query execution statistics
  * 
+ * Asks the datasource for its estimated plan without running the query,
+ * in the dialect's own EXPLAIN form:
+ * - postgres: EXPLAIN (FORMAT JSON) - plan tree
+ * - mysql/mariadb: EXPLAIN FORMAT=JSON - query_block tree
+ * - sqlite: EXPLAIN QUERY PLAN - list of { id, parent, detail } steps
+ * 
  * @param {string} sqlQuery - SQL query
- * @returns {Promise<Object>} Query statistics
+ * @param {Object} [options] - Options
+ * @param {string} [options.datasourceId] - Datasource to explain against
+ * @param {Object} [options.replacements] - Values for the query's named parameters
+ * @returns {Promise<Object|null>} { dialect, plan, estimated }, or null if unavailable
  */
-export async function getQueryStats(sqlQuery) {
+export async function getQueryStats(sqlQuery, options = {}) {
+  const { datasourceId, replacements } = options;
+  const baseQuery = stripTrailingSemicolons(sqlQuery);
+
   try {
-    const explainQuery = `EXPLAIN (FORMAT JSON) ${sqlQuery}`;
-    const result = await sequelize.query(explainQuery, {
-      type: QueryTypes.SELECT
-    });
+    const { dialect } = getDatasource(datasourceId);
 
-    return {
-      plan: result[0],
-      estimated: true
-    };
+    switch (dialect) {
+      case 'postgres': {
+        const result = await runReadOnly(`EXPLAIN (FORMAT JSON) ${baseQuery}`, {
+          timeout: ROW_COUNT_TIMEOUT, replacements, datasourceId
+        });
+        return { dialect, plan: result[0]['QUERY PLAN'], estimated: true };
+      }
+
+      case 'mysql':
+      case 'mariadb': {
+        const result = await runReadOnly(`EXPLAIN FORMAT=JSON ${baseQuery}`, {
+          timeout: ROW_COUNT_TIMEOUT, replacements, datasourceId
+        });
+        return { dialect, plan: JSON.parse(result[0].EXPLAIN), estimated: true };
+      }
+
+      case 'sqlite': {
+        const result = await runReadOnly(`EXPLAIN QUERY PLAN ${baseQuery}`, {
+          timeout: ROW_COUNT_TIMEOUT, replacements, datasourceId
+        });
+        return {
+          dialect,
+          plan: result.map(({ id, parent, detail }) => ({ id, parent, detail })),
+          estimated: true
+        };
+      }
+
+      default:
+        return null;
+    }
 
   } catch (error) {
     console.warn('Could not get query stats:', error.message);
@@ -144,12 +345,14 @@ export async function testConnection() {
 }
 
 /**
- * Get database metadata
+ * Get datasource metadata
  * 
+ * @param {string} [datasourceId] - Datasource (default datasource if omitted)
  * @returns {Promise<Object>} Database metadata
  */
-export async function getDatabaseMetadata() {
-  const dialect = sequelize.getDialect();
+export async function getDatabaseMetadata(datasourceId) {
+  const connection = getQueryConnection(datasourceId);
+  const { id, dialect } = getDatasource(datasourceId);
   
   let versionQuery;
   switch (dialect) {
@@ -170,7 +373,7 @@ export async function getDatabaseMetadata() {
   let version = 'Unknown';
   if (versionQuery) {
     try {
-      const result = await sequelize.query(versionQuery, {
+      const result = await connection.query(versionQuery, {
         type: QueryTypes.SELECT
       });
       version = Object.values(result[0])[0];
@@ -180,11 +383,12 @@ export async function getDatabaseMetadata() {
   }
 
   return {
-    database: sequelize.config.database,
+    datasourceId: id,
+    database: connection.config.database,
     dialect,
     version,
-    host: sequelize.config.host,
-    port: sequelize.config.port
+    host: connection.config.host,
+    port: connection.config.port
   };
 }
 
@@ -201,4 +405,25 @@ class DatabaseError extends Error {
   }
 }
 
-export { DatabaseError };
\ No newline at end of file
+/**
+ * Raised when a query is cancelled by the statement timeout
+ */
+class QueryTimeoutError extends DatabaseError {
+  constructor(timeout, originalError) {
+    super(`Query exceeded the ${Math.round(timeout / 1000)}s time limit`, originalError);
+    this.name = 'QueryTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Raised when a query tries to write inside the read-only transaction
+ */
+class ReadOnlyViolationError extends DatabaseError {
+  constructor(originalError) {
+    super('Query attempted to modify data in a read-only transaction', originalError);
+    this.name = 'ReadOnlyViolationError';
+  }
+}
+
+export { DatabaseError, QueryTimeoutError, ReadOnlyViolationError };
\ No newline at end of file
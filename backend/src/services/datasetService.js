@@ -0,0 +1,249 @@
+// services/datasetService.js
+// Uploaded CSV/TSV/JSON files as ad-hoc datasources
+// Each upload is loaded into its own SQLite file (one table) and
+// registered as a read-only datasource, so prompts, the SQL validator and
+// the chart pipeline treat it like any configured database. Files live in
+// DATASET_DIR (default backend/data/uploads) next to a small JSON record
+// and are registered again when the server starts.
+// Datasets belong to the account that uploaded them; others (except
+// admins) cannot list or delete them (see ownerScope in services/authService.js).
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import sqlite3 from 'sqlite3';
+import { registerDatasource, unregisterDatasource } from '../config/datasources.js';
+import { getCachedSchema, deleteSchemaSnapshot } from './schemaCacheService.js';
+import { parseDataset, detectFormat, toTableName, DatasetParseError } from '../utils/datasetParser.js';
+import { ownerScope } from './authService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DATASET_DIR = process.env.DATASET_DIR
+  ? path.resolve(process.env.DATASET_DIR)
+  : path.resolve(__dirname, '../../data/uploads');
+
+// Largest file accepted by the upload endpoint
+export const MAX_UPLOAD_BYTES = (Number(process.env.DATASET_MAX_MB) || 20) * 1024 * 1024;
+
+// Declared SQLite types; normalizeDataType maps them back to the inferred type
+const SQLITE_TYPES = {
+  INTEGER: 'INTEGER',
+  DECIMAL: 'REAL',
+  BOOLEAN: 'BOOLEAN',
+  DATE: 'DATE',
+  TIMESTAMP: 'DATETIME',
+  STRING: 'VARCHAR(255)',
+  TEXT: 'TEXT'
+};
+
+// Uploaded datasets by id (the id is also the datasource id)
+const datasets = new Map();
+
+/**
+ * Load an uploaded file and register it as a datasource
+ *
+ * @param {Object} upload - Uploaded file
+ * @param {Buffer} upload.content - File contents
+ * @param {string} upload.fileName - Original file name
+ * @param {string} [upload.format] - 'csv' | 'tsv' | 'json' (from the file name if omitted)
+ * @param {string} [upload.name] - Display name (the file name if omitted)
+ * @param {Object} owner - Account uploading the file (req.user)
+ * @returns {Promise<Object>} Dataset { id, name, fileName, format, table, rowCount, columns, createdBy, createdAt }
+ * @throws {DatasetParseError} If the format is unknown or the file cannot be read as a table
+ */
+export async function createDataset({ content, fileName, format, name }, owner) {
+  const datasetFormat = format || detectFormat(fileName);
+  if (!datasetFormat) {
+    throw new DatasetParseError(`Cannot tell the format of "${fileName}" (name it .csv, .tsv or .json, or pass format)`);
+  }
+
+  const { columns, rows } = parseDataset(content.toString('utf8'), datasetFormat);
+
+  const id = `upload-${crypto.randomBytes(6).toString('hex')}`;
+  const dataset = {
+    id,
+    name: name || fileName,
+    fileName,
+    format: datasetFormat,
+    table: toTableName(fileName),
+    rowCount: rows.length,
+    columns,
+    createdBy: owner.id,
+    createdAt: new Date().toISOString()
+  };
+
+  await fs.mkdir(DATASET_DIR, { recursive: true });
+  const { storage, record } = getDatasetPaths(id);
+
+  try {
+    await writeDatabase(storage, dataset.table, columns, rows);
+    await fs.writeFile(record, JSON.stringify(dataset, null, 2));
+  } catch (error) {
+    await removeFiles(id);
+    throw error;
+  }
+
+  registerDataset(dataset);
+  console.log(`📥 Loaded ${rows.length} rows from "${fileName}" into dataset "${id}"`);
+
+  // Scan the new table now so the first prompt does not wait for it
+  await getCachedSchema({ datasourceId: id, forceRefresh: true });
+
+  return dataset;
+}
+
+/**
+ * List the uploaded datasets an account may see, newest first
+ *
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Array<Object>} Datasets
+ */
+export function listDatasets(owner) {
+  return [...datasets.values()]
+    .filter(dataset => isVisibleTo(dataset, owner))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Get an uploaded dataset
+ *
+ * @param {string} datasetId - Dataset id
+ * @returns {Object|null} Dataset, or null if not found
+ */
+export function getDataset(datasetId) {
+  return datasets.get(datasetId) || null;
+}
+
+/**
+ * Delete an uploaded dataset, its datasource and its files
+ * Widgets saved from it stay but can no longer be refreshed
+ *
+ * @param {string} datasetId - Dataset id
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<boolean>} True if deleted, false if not found or not visible to the account
+ */
+export async function deleteDataset(datasetId, owner) {
+  const dataset = datasets.get(datasetId);
+  if (!dataset || !isVisibleTo(dataset, owner)) {
+    return false;
+  }
+
+  await unregisterDatasource(datasetId);
+  await deleteSchemaSnapshot(datasetId);
+  datasets.delete(datasetId);
+  await removeFiles(datasetId);
+
+  console.log(`🗑️  Deleted dataset "${datasetId}"`);
+  return true;
+}
+
+/**
+ * Register the datasets uploaded before the server started
+ *
+ * @returns {Promise<number>} Number of datasets restored
+ */
+export async function restoreDatasets() {
+  let entries;
+  try {
+    entries = await fs.readdir(DATASET_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  for (const entry of entries.filter(file => file.endsWith('.json'))) {
+    try {
+      const dataset = JSON.parse(await fs.readFile(path.join(DATASET_DIR, entry), 'utf8'));
+      await fs.access(getDatasetPaths(dataset.id).storage);
+      registerDataset(dataset);
+    } catch (error) {
+      console.warn(`⚠️  Skipping dataset ${entry}:`, error.message);
+    }
+  }
+
+  return datasets.size;
+}
+
+/**
+ * Check a dataset against ownerScope (datasets are not database rows)
+ * Datasets uploaded before they had an owner are visible to admins only
+ *
+ * @param {Object} dataset - Dataset record
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {boolean} True if the account may see the dataset
+ */
+function isVisibleTo(dataset, owner) {
+  return Object.entries(ownerScope(owner)).every(([key, value]) => dataset[key] === value);
+}
+
+/**
+ * Add a dataset to the list and the datasource registry
+ *
+ * @param {Object} dataset - Dataset record
+ */
+function registerDataset(dataset) {
+  registerDatasource({
+    id: dataset.id,
+    name: dataset.name,
+    dialect: 'sqlite',
+    storage: getDatasetPaths(dataset.id).storage
+  });
+  datasets.set(dataset.id, dataset);
+}
+
+/**
+ * Write rows into a new SQLite file with one table
+ *
+ * @param {string} storage - SQLite file path
+ * @param {string} table - Table name
+ * @param {Array<Object>} columns - [{ name, type }]
+ * @param {Array<Array>} rows - Converted row values
+ */
+async function writeDatabase(storage, table, columns, rows) {
+  const db = await new Promise((resolve, reject) => {
+    const database = new sqlite3.Database(storage, (error) => (error ? reject(error) : resolve(database)));
+  });
+  const run = promisify(db.run.bind(db));
+
+  try {
+    const definitions = columns.map(column => `"${column.name}" ${SQLITE_TYPES[column.type]}`);
+    await run(`CREATE TABLE "${table}" (${definitions.join(', ')})`);
+
+    await run('BEGIN');
+    const statement = db.prepare(`INSERT INTO "${table}" VALUES (${columns.map(() => '?').join(', ')})`);
+    const insert = promisify(statement.run.bind(statement));
+    for (const row of rows) {
+      await insert(row);
+    }
+    await promisify(statement.finalize.bind(statement))();
+    await run('COMMIT');
+  } finally {
+    await promisify(db.close.bind(db))();
+  }
+}
+
+/**
+ * Files belonging to a dataset
+ *
+ * @param {string} datasetId - Dataset id
+ * @returns {Object} { storage, record }
+ */
+function getDatasetPaths(datasetId) {
+  return {
+    storage: path.join(DATASET_DIR, `${datasetId}.db`),
+    record: path.join(DATASET_DIR, `${datasetId}.json`)
+  };
+}
+
+/**
+ * Delete a dataset's files (missing files are ignored)
+ *
+ * @param {string} datasetId - Dataset id
+ */
+async function removeFiles(datasetId) {
+  const { storage, record } = getDatasetPaths(datasetId);
+  await Promise.all([storage, record].map(file => fs.rm(file, { force: true })));
+}
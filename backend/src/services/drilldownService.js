@@ -0,0 +1,141 @@
+// services/drilldownService.js
+// Drill-down from an aggregated chart into the rows behind one of its groups
+// The detail query is derived from the chart's SQL tree (same FROM/JOIN and
+// WHERE, grouping expression compared with the clicked value) and passes
+// the same safety validator as generated SQL before it runs.
+
+import { getWidget } from './widgetService.js';
+import { executeQuery, validateQuery } from './databaseService.js';
+import { normalizeNumericValues } from './chartService.js';
+import { getCachedSchema } from './schemaCacheService.js';
+import { buildDetailQuery, findParameters } from '../utils/sqlAnalyzer.js';
+import { declareParameters, bindParameters } from '../utils/queryParameters.js';
+
+// Placeholder the clicked value is bound to
+export const DRILLDOWN_PARAMETER = 'drilldown_value';
+
+export const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Fetch one page of the rows behind a group of an aggregated chart
+ *
+ * @param {Object} chart - Chart to drill into
+ * @param {string} chart.sqlQuery - Aggregated SQL
+ * @param {string} [chart.datasourceId] - Datasource the SQL runs against
+ * @param {Object} [chart.analysis] - Chart analysis (groupBy is the default field)
+ * @param {Array} [chart.parameters] - Parameter declarations of the SQL
+ * @param {Object} options - Drill-down options
+ * @param {*} options.value - Clicked group value (null matches NULL)
+ * @param {string} [options.field] - Grouping column clicked on (default analysis.groupBy)
+ * @param {Object} [options.filters] - Values for the chart's parameters
+ * @param {number} [options.page] - Page number (default 1)
+ * @param {number} [options.pageSize] - Rows per page
+ * @param {number} [options.timeout] - Query timeout in milliseconds
+ * @param {Object} [options.identity] - Requesting identity, for row filters
+ * @returns {Promise<Object>} { sql, table, field, value, columns, rows, page, pageSize, totalRowCount, hasMore, executionTime }
+ * @throws {UnsupportedDrilldownError} If no detail query can be derived or it fails validation
+ * @throws {InvalidParameterError} If a filter value does not match its type
+ */
+export async function drillDown(chart, options) {
+  const field = options.field || chart.analysis?.groupBy;
+  if (!field) {
+    throw new UnsupportedDrilldownError(['The chart has no grouping column to drill into']);
+  }
+
+  const schema = await getCachedSchema({ datasourceId: chart.datasourceId });
+  const isNull = options.value === null || options.value === undefined;
+
+  let detail;
+  try {
+    detail = buildDetailQuery(chart.sqlQuery, {
+      field,
+      parameterName: DRILLDOWN_PARAMETER,
+      isNull,
+      schema
+    });
+  } catch (error) {
+    throw new UnsupportedDrilldownError([error.message.split('\n')[0]]);
+  }
+
+  const validation = validateQuery(detail.sql, schema);
+  if (!validation.valid) {
+    throw new UnsupportedDrilldownError(validation.errors);
+  }
+
+  // The chart's own parameters keep their filter values or defaults
+  const parameters = declareParameters(
+    findParameters(chart.sqlQuery, schema.dialect),
+    chart.parameters
+  );
+  const replacements = bindParameters(parameters, options.filters);
+  if (!isNull) {
+    replacements[DRILLDOWN_PARAMETER] = options.value;
+  }
+
+  const page = Math.max(1, options.page || 1);
+  const pageSize = options.pageSize || DEFAULT_PAGE_SIZE;
+
+  const startTime = Date.now();
+  const result = await executeQuery(detail.sql, {
+    timeout: options.timeout,
+    maxRows: pageSize,
+    offset: (page - 1) * pageSize,
+    replacements,
+    datasourceId: schema.datasourceId,
+    masks: validation.masks,
+    identity: options.identity
+  });
+  const rows = normalizeNumericValues(result.rows);
+
+  console.log(`🔎 Drill-down into ${field} = ${isNull ? 'NULL' : options.value}: page ${page}, ${rows.length} rows`);
+
+  return {
+    sql: detail.sql,
+    table: detail.baseTable,
+    field,
+    value: isNull ? null : options.value,
+    columns: rows.length > 0 ? Object.keys(rows[0]) : [],
+    rows,
+    page,
+    pageSize,
+    totalRowCount: result.totalRowCount,
+    hasMore: result.truncated,
+    executionTime: Date.now() - startTime
+  };
+}
+
+/**
+ * Drill into a saved widget
+ *
+ * @param {string} widgetId - Widget id
+ * @param {Object} options - Drill-down options (see drillDown)
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object|null>} Drill-down page, or null if the widget is not found
+ */
+export async function drillDownWidget(widgetId, options, owner) {
+  const widget = await getWidget(widgetId, owner);
+  if (!widget) return null;
+
+  return await drillDown(
+    {
+      sqlQuery: widget.sqlQuery,
+      datasourceId: widget.datasourceId,
+      analysis: widget.analysis,
+      parameters: widget.parameters
+    },
+    options
+  );
+}
+
+/**
+ * Raised when no valid detail query can be derived from a chart's SQL
+ */
+class UnsupportedDrilldownError extends Error {
+  constructor(errors) {
+    super('This chart cannot be drilled into');
+    this.name = 'UnsupportedDrilldownError';
+    this.errors = errors;
+  }
+}
+
+export { UnsupportedDrilldownError };
@@ -0,0 +1,76 @@
+// services/llm/index.js
+// LLM provider registry - selects the model backend from configuration
+//
+// Every provider exposes the same interface:
+//   name       - provider key ('openai' | 'local' | 'stub')
+//   label      - human-readable provider name
+//   model      - model name used for completions
+//   complete({ messages, temperature, maxTokens, json, context })
+//     → Promise<{ content, usage, model }>
+//
+// Environment:
+//   LLM_PROVIDER        openai (default) | local | stub
+//   OPENAI_API_KEY      API key for the openai provider
+//   OPENAI_MODEL        Model for the openai provider (default gpt-4o-mini)
+//   LLM_BASE_URL        Endpoint for the local provider
+//   LLM_MODEL           Model for the local provider
+//   LLM_API_KEY         Optional key for the local provider
+//   LLM_STUB_FIXTURES   Optional fixtures file for the stub provider
+
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createLocalProvider } from './localProvider.js';
+import { createStubProvider } from './stubProvider.js';
+
+const providerFactories = {
+  openai: () => createOpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini'
+  }),
+  local: () => createLocalProvider({
+    baseURL: process.env.LLM_BASE_URL,
+    model: process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'llama3.1',
+    apiKey: process.env.LLM_API_KEY
+  }),
+  stub: () => createStubProvider({
+    fixturesPath: process.env.LLM_STUB_FIXTURES
+  })
+};
+
+let activeProvider = null;
+
+/**
+ * Get the configured LLM provider
+ * The provider is created lazily on first use and then reused
+ * 
+ * @returns {Object} LLM provider
+ * @throws {Error} If LLM_PROVIDER names an unknown provider
+ */
+export function getLLMProvider() {
+  if (activeProvider) {
+    return activeProvider;
+  }
+
+  const providerName = (process.env.LLM_PROVIDER || 'openai').toLowerCase();
+  const factory = providerFactories[providerName];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown LLM_PROVIDER "${providerName}". Expected one of: ${Object.keys(providerFactories).join(', ')}`
+    );
+  }
+
+  activeProvider = factory();
+  console.log(`🧠 LLM provider: ${activeProvider.label} (${activeProvider.model})`);
+
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (e.g. with a stub in tests)
+ * Pass null to go back to the configured provider
+ * 
+ * @param {Object|null} provider - Provider implementing the interface above
+ */
+export function setLLMProvider(provider) {
+  activeProvider = provider;
+}
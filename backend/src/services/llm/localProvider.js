@@ -0,0 +1,34 @@
+// services/llm/localProvider.js
+// LLM provider for self-hosted, OpenAI-compatible endpoints
+// (Ollama, vLLM, LM Studio, llama.cpp server, ...)
+
+import OpenAI from 'openai';
+import { runChatCompletion } from './openaiProvider.js';
+
+/**
+ * Create a provider that talks to an OpenAI-compatible endpoint
+ * 
+ * @param {Object} config - Provider configuration
+ * @param {string} config.baseURL - Endpoint base URL (e.g. http://localhost:11434/v1)
+ * @param {string} config.model - Model name served by the endpoint
+ * @param {string} [config.apiKey] - API key, if the endpoint requires one
+ * @returns {Object} LLM provider
+ */
+export function createLocalProvider(config) {
+  if (!config.baseURL) {
+    throw new Error('LLM_BASE_URL is required for the local LLM provider');
+  }
+
+  const client = new OpenAI({
+    baseURL: config.baseURL,
+    // Most local servers ignore the key, but the SDK refuses to start without one
+    apiKey: config.apiKey || 'not-needed'
+  });
+
+  return {
+    name: 'local',
+    label: `OpenAI-compatible (${config.baseURL})`,
+    model: config.model,
+    complete: (request) => runChatCompletion(client, config.model, request)
+  };
+}
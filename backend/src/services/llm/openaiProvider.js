@@ -0,0 +1,80 @@
+// services/llm/openaiProvider.js
+// LLM provider backed by the hosted OpenAI API
+
+import OpenAI from 'openai';
+
+/**
+ * Create a provider that talks to the OpenAI chat completions API
+ * 
+ * @param {Object} config - Provider configuration
+ * @param {string} config.apiKey - OpenAI API key
+ * @param {string} config.model - Model name (e.g. gpt-4o-mini)
+ * @returns {Object} LLM provider
+ */
+export function createOpenAIProvider(config) {
+  const client = new OpenAI({ apiKey: config.apiKey });
+
+  return {
+    name: 'openai',
+    label: 'OpenAI',
+    model: config.model,
+    complete: (request) => runChatCompletion(client, config.model, request)
+  };
+}
+
+/**
+ * Run a chat completion against any OpenAI-compatible client
+ * Shared by the hosted and local providers
+ * 
+ * @param {OpenAI} client - OpenAI SDK client
+ * @param {string} model - Model name
+ * @param {Object} request - Provider request
+ * @param {Array} request.messages - Chat messages
+ * @param {number} [request.temperature] - Sampling temperature
+ * @param {number} [request.maxTokens] - Maximum completion tokens
+ * @param {boolean} [request.json] - Request a JSON object response
+ * @returns {Promise<Object>} Normalized completion { content, usage, model }
+ */
+export async function runChatCompletion(client, model, request) {
+  const params = {
+    model,
+    messages: request.messages
+  };
+
+  if (request.temperature !== undefined) {
+    params.temperature = request.temperature;
+  }
+
+  if (request.maxTokens) {
+    params.max_tokens = request.maxTokens;
+  }
+
+  if (request.json) {
+    params.response_format = { type: 'json_object' };
+  }
+
+  const completion = await client.chat.completions.create(params);
+
+  return {
+    content: completion.choices[0].message.content,
+    usage: normalizeUsage(completion.usage),
+    model: completion.model || model
+  };
+}
+
+/**
+ * Fill in missing usage fields so callers can rely on the shape
+ * 
+ * @param {Object} usage - Usage object returned by the API (may be missing)
+ * @returns {Object} Usage with prompt, completion and total token counts
+ */
+function normalizeUsage(usage = {}) {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: usage?.total_tokens || promptTokens + completionTokens
+  };
+}
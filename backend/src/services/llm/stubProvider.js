@@ -0,0 +1,271 @@
+// services/llm/stubProvider.js
+// Deterministic offline LLM provider
+// Returns fixture responses or derives a simple chart from the schema,
+// so the prompt → SQL → chart pipeline can run without network or API key
+
+import fs from 'fs';
+
+const NUMERIC_TYPES = ['INTEGER', 'DECIMAL'];
+const CHART_KEYWORDS = {
+  line: 'line',
+  area: 'area',
+  pie: 'arc',
+  scatter: 'point',
+  bar: 'bar'
+};
+const TEXT_TYPES = ['STRING', 'TEXT'];
+
+/**
+ * Create the stub provider
+ * 
+ * @param {Object} config - Provider configuration
+ * @param {string} [config.fixturesPath] - Path to a JSON file of fixtures:
+ *   [{ "prompt": "substring to match", "response": { analysis, sqlQuery, vegaSpec } }]
+ * @returns {Object} LLM provider
+ */
+export function createStubProvider(config = {}) {
+  const fixtures = loadFixtures(config.fixturesPath);
+
+  return {
+    name: 'stub',
+    label: 'Stub (offline fixtures)',
+    model: 'stub-fixture-model',
+    complete: async (request) => {
+      const userPrompt = getLastUserMessage(request.messages);
+
+      const content = request.json
+        ? JSON.stringify(buildStubResponse(userPrompt, request.context, fixtures))
+        : 'OK';
+
+      return {
+        content,
+        usage: estimateUsage(request.messages, content),
+        model: 'stub-fixture-model'
+      };
+    }
+  };
+}
+
+/**
+ * Load fixtures from disk
+ * 
+ * @param {string} [fixturesPath] - Path to fixtures JSON file
+ * @returns {Array} Fixture entries
+ */
+function loadFixtures(fixturesPath) {
+  if (!fixturesPath) return [];
+
+  const parsed = JSON.parse(fs.readFileSync(fixturesPath, 'utf8'));
+  if (!Array.isArray(parsed)) {
+    throw new Error(`LLM stub fixtures must be a JSON array: ${fixturesPath}`);
+  }
+  return parsed;
+}
+
+/**
+ * Get the content of the last user message
+ * 
+ * @param {Array} messages - Chat messages
+ * @returns {string} Last user message content
+ */
+function getLastUserMessage(messages = []) {
+  const userMessages = messages.filter(m => m.role === 'user');
+  return userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+}
+
+/**
+ * Build a response for a prompt: matching fixture first, schema-derived otherwise
+ * 
+ * @param {string} userPrompt - User's prompt
+ * @param {Object} [context] - Request context ({ schema })
+ * @param {Array} fixtures - Loaded fixtures
+ * @returns {Object} AI response object
+ */
+function buildStubResponse(userPrompt, context = {}, fixtures) {
+  const lowerPrompt = userPrompt.toLowerCase();
+  const fixture = fixtures.find(f => f.prompt && lowerPrompt.includes(f.prompt.toLowerCase()));
+
+  if (fixture) {
+    return fixture.response;
+  }
+
+  const previousTurn = context.history?.[context.history.length - 1];
+  const refined = previousTurn && refinePreviousTurn(lowerPrompt, previousTurn);
+  if (refined) {
+    return refined;
+  }
+
+  if (!context.schema || context.schema.tables.length === 0) {
+    throw new Error('Stub provider needs a schema with at least one table');
+  }
+
+  return deriveResponseFromSchema(lowerPrompt, context.schema);
+}
+
+/**
+ * Handle "make it a line chart" style follow-ups by changing
+ * the chart type of the previous turn
+ * 
+ * @param {string} lowerPrompt - Lowercased user prompt
+ * @param {Object} previousTurn - Last conversation turn
+ * @returns {Object|null} Refined response, or null if the prompt is not a chart type change
+ */
+function refinePreviousTurn(lowerPrompt, previousTurn) {
+  const keyword = Object.keys(CHART_KEYWORDS).find(k => lowerPrompt.includes(k));
+  if (!keyword || !previousTurn.vegaSpec) {
+    return null;
+  }
+
+  const chartType = CHART_KEYWORDS[keyword];
+  return {
+    analysis: { ...previousTurn.analysis, chartType },
+    sqlQuery: previousTurn.sqlQuery,
+    vegaSpec: {
+      ...previousTurn.vegaSpec,
+      data: { values: [] },
+      mark: { type: chartType, tooltip: true }
+    },
+    explanation: `Changed the previous chart to a ${keyword} chart`
+  };
+}
+
+/**
+ * Derive a grouped bar chart from the schema
+ * Picks the table, grouping column and measure mentioned in the prompt,
+ * falling back to the first suitable candidates
+ * 
+ * @param {string} lowerPrompt - Lowercased user prompt
+ * @param {Object} schema - Database schema
+ * @returns {Object} AI response object
+ */
+function deriveResponseFromSchema(lowerPrompt, schema) {
+  const table = pickMentioned(schema.tables, lowerPrompt) || schema.tables[0];
+
+  const textColumns = table.columns.filter(c => TEXT_TYPES.includes(c.type) && !isIdentifierLike(c.name));
+  const numericColumns = table.columns.filter(c => NUMERIC_TYPES.includes(c.type) && !isIdentifierLike(c.name));
+
+  const groupColumn = pickMentioned(textColumns, lowerPrompt) || textColumns[0];
+  const measureColumn = pickMentioned(numericColumns, lowerPrompt);
+
+  if (!groupColumn) {
+    return buildResponse({
+      intent: `Count records in ${table.name}`,
+      table: table.name,
+      aggregation: 'count',
+      groupBy: null,
+      sqlQuery: `SELECT '${table.name}' AS table_name, COUNT(*) AS record_count FROM ${table.name}`,
+      xField: 'table_name',
+      yField: 'record_count'
+    });
+  }
+
+  const valueAlias = measureColumn ? `total_${measureColumn.name}` : 'record_count';
+  const valueExpression = measureColumn ? `SUM(${measureColumn.name})` : 'COUNT(*)';
+
+  return buildResponse({
+    intent: `${measureColumn ? `Total ${measureColumn.name}` : 'Record count'} by ${groupColumn.name}`,
+    table: table.name,
+    aggregation: measureColumn ? 'sum' : 'count',
+    groupBy: groupColumn.name,
+    sqlQuery: [
+      `SELECT ${groupColumn.name}, ${valueExpression} AS ${valueAlias}`,
+      `FROM ${table.name}`,
+      `WHERE ${groupColumn.name} IS NOT NULL`,
+      `GROUP BY ${groupColumn.name}`,
+      `ORDER BY ${valueAlias} DESC`,
+      'LIMIT 20'
+    ].join(' '),
+    xField: groupColumn.name,
+    yField: valueAlias
+  });
+}
+
+/**
+ * Find the first entry whose name is mentioned in the prompt
+ * Accepts singular forms ("sale" matches "sales")
+ * 
+ * @param {Array} entries - Tables or columns with a name property
+ * @param {string} lowerPrompt - Lowercased user prompt
+ * @returns {Object|undefined} Matching entry
+ */
+function pickMentioned(entries, lowerPrompt) {
+  return entries.find(entry => {
+    const name = entry.name.toLowerCase();
+    const singular = name.replace(/s$/, '');
+    return lowerPrompt.includes(name) || lowerPrompt.includes(name.replace(/_/g, ' ')) ||
+           (singular.length > 2 && lowerPrompt.includes(singular));
+  });
+}
+
+/**
+ * Check whether a column looks like an identifier or free text
+ * that makes a poor grouping or measure column
+ * 
+ * @param {string} columnName - Column name
+ * @returns {boolean} True if identifier-like
+ */
+function isIdentifierLike(columnName) {
+  return /(^id$|_id$|email|password|phone|description)/i.test(columnName);
+}
+
+/**
+ * Assemble the AI response structure expected by aiService
+ * 
+ * @param {Object} parts - Response parts
+ * @returns {Object} AI response object
+ */
+function buildResponse({ intent, table, aggregation, groupBy, sqlQuery, xField, yField }) {
+  return {
+    analysis: {
+      intent,
+      tablesUsed: [table],
+      chartType: 'bar',
+      aggregation,
+      groupBy,
+      filters: 'None'
+    },
+    sqlQuery,
+    vegaSpec: {
+      $schema: 'https://vega.github.io/schema/vega-lite/v5.json',
+      description: intent,
+      width: 700,
+      height: 400,
+      data: { values: [] },
+      mark: { type: 'bar', tooltip: true },
+      encoding: {
+        x: { field: xField, type: 'nominal', axis: { title: toTitle(xField) } },
+        y: { field: yField, type: 'quantitative', axis: { title: toTitle(yField) } }
+      }
+    },
+    explanation: 'Generated by the offline stub provider from the database schema'
+  };
+}
+
+/**
+ * Convert snake_case to Title Case
+ * 
+ * @param {string} str - Snake case string
+ * @returns {string} Title case string
+ */
+function toTitle(str) {
+  return str.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+/**
+ * Estimate token usage (roughly 4 characters per token)
+ * 
+ * @param {Array} messages - Request messages
+ * @param {string} content - Response content
+ * @returns {Object} Usage object
+ */
+function estimateUsage(messages = [], content) {
+  const promptChars = messages.reduce((sum, m) => sum + (m.content || '').length, 0);
+  const promptTokens = Math.ceil(promptChars / 4);
+  const completionTokens = Math.ceil(content.length / 4);
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
@@ -0,0 +1,180 @@
+// services/rowPolicyService.js
+// Row-level security: which rows of a table each identity may read
+// Policies are read from a JSON file (ROW_POLICY_FILE, default
+// src/config/rowPolicies.json, see rowPolicies.example.json) of
+//   { "filters": [{ table, column, key, values, unrestricted?, datasourceId? }] }
+// where `key` names the identity attribute the filter depends on (e.g.
+// "team") and `values` maps each attribute value to the column values it
+// may read:
+//   { "table": "sales", "column": "region", "key": "team",
+//     "values": { "emea": ["Europe", "Africa"] }, "unrestricted": ["admin"] }
+// Identities listed in `unrestricted` read every row; any other identity
+// (including one without the attribute) reads none. executeQuery rewrites
+// every generated query with the filters of the requesting identity (see
+// applyRowFilters in utils/sqlAnalyzer.js), whatever the model wrote.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const POLICY_PATH = process.env.ROW_POLICY_FILE
+  ? path.resolve(process.env.ROW_POLICY_FILE)
+  : path.resolve(__dirname, '../config/rowPolicies.json');
+
+let policies = null;
+
+// Schema object → the same schema with row-filtered profiles trimmed
+const filteredSchemas = new WeakMap();
+
+/**
+ * Get the row filters that apply to an identity
+ *
+ * @param {string} datasourceId - Datasource id
+ * @param {Object} [identity] - Requesting identity (attributes such as { team })
+ * @returns {Array<Object>} Filters { table, column, values } - values is
+ *   empty when the identity may read no rows of the table
+ * @throws {InvalidRowPolicyError} If the policy file is invalid
+ */
+export function getRowFilters(datasourceId, identity) {
+  return loadPolicies()
+    .filter(policy => !policy.datasourceId || policy.datasourceId === datasourceId)
+    .map(policy => {
+      const attribute = identity?.[policy.key];
+      const key = attribute === null || attribute === undefined ? null : String(attribute);
+
+      if (key !== null && policy.unrestricted.includes(key)) {
+        return null;
+      }
+
+      return {
+        table: policy.table,
+        column: policy.column,
+        values: key !== null && Object.hasOwn(policy.values, key) ? policy.values[key] : []
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Drop sampled values from the profiles of row-filtered tables
+ *
+ * Cached schemas are shared by every identity, so the sample values of a
+ * filtered table could show rows an identity may not read; the prompt
+ * keeps only counts for those tables. Memoized per schema object.
+ *
+ * @param {Object} schema - Schema from the schema cache
+ * @returns {Object} Schema without those samples (the same object if no table is filtered)
+ * @throws {InvalidRowPolicyError} If the policy file is invalid
+ */
+export function applyRowPolicies(schema) {
+  const filtered = new Set(loadPolicies()
+    .filter(policy => !policy.datasourceId || policy.datasourceId === schema.datasourceId)
+    .map(policy => policy.table.toLowerCase()));
+
+  if (filtered.size === 0) {
+    return schema;
+  }
+
+  if (filteredSchemas.has(schema)) {
+    return filteredSchemas.get(schema);
+  }
+
+  const trimmed = {
+    ...schema,
+    tables: schema.tables.map(table => (filtered.has(table.name.toLowerCase())
+      ? {
+        ...table,
+        columns: table.columns.map(column => {
+          if (!column.profile) return column;
+          const { topValues, min, max, ...profile } = column.profile;
+          return { ...column, profile };
+        })
+      }
+      : table))
+  };
+
+  filteredSchemas.set(schema, trimmed);
+  return trimmed;
+}
+
+/**
+ * Read and validate the policy file on first use
+ *
+ * @returns {Array<Object>} Policies
+ * @throws {InvalidRowPolicyError} If the file is malformed
+ */
+function loadPolicies() {
+  if (policies) {
+    return policies;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(POLICY_PATH, 'utf8'));
+  } catch (error) {
+    // Without a policy file every row is readable
+    if (error.code === 'ENOENT' && !process.env.ROW_POLICY_FILE) {
+      policies = [];
+      return policies;
+    }
+    throw new InvalidRowPolicyError(`Cannot read ${POLICY_PATH}: ${error.message}`);
+  }
+
+  policies = (parsed.filters || []).map(normalizePolicy);
+  console.log(`🔒 Row policies: ${policies.length} filtered tables`);
+  return policies;
+}
+
+/**
+ * Validate a policy and fill in defaults
+ *
+ * @param {Object} policy - Policy from the file
+ * @returns {Object} Normalized policy
+ * @throws {InvalidRowPolicyError} If a field is missing or invalid
+ */
+function normalizePolicy(policy) {
+  if (!policy?.table || !policy.column || !policy.key) {
+    throw new InvalidRowPolicyError('Every row filter needs a table, a column and an identity key');
+  }
+
+  const target = `${policy.table}.${policy.column}`;
+  const values = policy.values || {};
+
+  if (typeof values !== 'object' || Array.isArray(values)) {
+    throw new InvalidRowPolicyError(`The row filter on ${target} needs "values" as an object of ${policy.key} → values`);
+  }
+
+  for (const [key, permitted] of Object.entries(values)) {
+    const valid = Array.isArray(permitted) &&
+      permitted.every(value => typeof value === 'string' || Number.isFinite(value));
+
+    if (!valid) {
+      throw new InvalidRowPolicyError(
+        `The row filter on ${target} has invalid values for ${policy.key} "${key}" (use an array of strings or numbers)`
+      );
+    }
+  }
+
+  return {
+    table: policy.table,
+    column: policy.column,
+    key: policy.key,
+    values,
+    unrestricted: (policy.unrestricted || []).map(String),
+    datasourceId: policy.datasourceId || null
+  };
+}
+
+/**
+ * Raised when the row policy file cannot be used
+ */
+class InvalidRowPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidRowPolicyError';
+  }
+}
+
+export { InvalidRowPolicyError };
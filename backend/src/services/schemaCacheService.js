@@ -0,0 +1,328 @@
+// services/schemaCacheService.js
+// Per-datasource schema cache with change detection
+// The introspected schema of each datasource is kept in memory and
+// persisted as a SchemaSnapshot, so it survives restarts. At most once per
+// SCHEMA_CHECK_INTERVAL (default 60 s) a one-query outline of the tables
+// and columns is fingerprinted; a different fingerprint means a migration
+// ran, and the schema is scanned again. The diff against the previous
+// snapshot is stored with it, and saved widgets of the datasource are
+// validated again so charts whose SQL no longer fits are flagged.
+// Column profiles (utils/columnProfiler.js) are part of the cached schema;
+// they are computed with each scan and again in the background once older
+// than PROFILE_TTL (default 24 h), since data changes without migrations.
+// Schemas are handed out with column policies applied
+// (services/columnPolicyService.js), and without sampled values of
+// row-filtered tables (services/rowPolicyService.js).
+
+import Widget from '../models/Widget.js';
+import SchemaSnapshot from '../models/SchemaSnapshot.js';
+import { getDatasource } from '../config/datasources.js';
+import { getCompleteSchema, getSchemaOutline } from '../utils/databaseSchema.js';
+import { fingerprintSchema, diffSchemas, hasSchemaChanges } from '../utils/schemaDiff.js';
+import { analyzeQuery } from '../utils/sqlAnalyzer.js';
+import { profileSchema } from '../utils/columnProfiler.js';
+import { applyColumnPolicies } from './columnPolicyService.js';
+import { applyRowPolicies } from './rowPolicyService.js';
+import { ownerScope } from './authService.js';
+
+const CHECK_INTERVAL = Number(process.env.SCHEMA_CHECK_INTERVAL) || 60 * 1000;
+const PROFILE_TTL = Number(process.env.PROFILE_TTL) || 24 * 60 * 60 * 1000;
+
+// datasourceId → { schema, fingerprint, changes, scannedAt, checkedAt }
+const schemaCache = new Map();
+
+// datasourceId → promise of the scan or check in progress
+const pending = new Map();
+
+// Datasources being profiled in the background
+const profiling = new Set();
+
+/**
+ * Get the schema of a datasource
+ *
+ * Served from memory, then from the persisted snapshot. Once the check
+ * interval has passed, the fingerprint is compared with the database
+ * first and the schema is scanned again if it changed.
+ *
+ * @param {Object} [options] - Cache options
+ * @param {string} [options.datasourceId] - Datasource (default datasource if omitted)
+ * @param {boolean} [options.forceRefresh] - Scan the database even if unchanged
+ * @returns {Promise<Object>} Complete database schema, with column and row policies
+ * @throws {DatasourceNotFoundError} If the datasource is not configured
+ */
+export async function getCachedSchema({ datasourceId, forceRefresh = false } = {}) {
+  const { id } = getDatasource(datasourceId);
+  const entry = await getEntry(id, { forceRefresh });
+  return applyRowPolicies(applyColumnPolicies(entry.schema));
+}
+
+/**
+ * Compare a datasource's schema with the database now
+ *
+ * @param {string} [datasourceId] - Datasource (default datasource if omitted)
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object>} Schema status (see getSchemaStatus)
+ * @throws {DatasourceNotFoundError} If the datasource is not configured
+ */
+export async function checkSchema(datasourceId, owner) {
+  const { id } = getDatasource(datasourceId);
+  await getEntry(id, { forceCheck: true });
+  return getSchemaStatus(id, owner);
+}
+
+/**
+ * Describe the cached schema of a datasource and what last changed
+ *
+ * @param {string} [datasourceId] - Datasource (default datasource if omitted)
+ * @param {Object} owner - Requesting account (req.user); only widgets it may
+ *   see are listed
+ * @returns {Promise<Object>} { datasourceId, fingerprint, scannedAt, checkedAt,
+ *   changes, flaggedWidgets: [{ id, name, schemaIssues }] }
+ * @throws {DatasourceNotFoundError} If the datasource is not configured
+ */
+export async function getSchemaStatus(datasourceId, owner) {
+  const { id } = getDatasource(datasourceId);
+  const entry = await getEntry(id);
+
+  const widgets = await Widget.findAll({
+    attributes: ['id', 'name', 'schemaIssues'],
+    where: { datasourceId: id, ...ownerScope(owner) },
+    order: [['updatedAt', 'DESC']]
+  });
+
+  return {
+    datasourceId: id,
+    fingerprint: entry.fingerprint,
+    scannedAt: entry.scannedAt,
+    checkedAt: new Date(entry.checkedAt),
+    changes: entry.changes,
+    flaggedWidgets: widgets
+      .filter(widget => widget.schemaIssues)
+      .map(({ id: widgetId, name, schemaIssues }) => ({ id: widgetId, name, schemaIssues }))
+  };
+}
+
+/**
+ * Clear the in-memory schema cache (useful after database migrations)
+ * Snapshots stay persisted so the next scan can still be diffed
+ *
+ * @param {string} [datasourceId] - Datasource to clear (all datasources if omitted)
+ */
+export function clearSchemaCache(datasourceId) {
+  if (datasourceId) {
+    schemaCache.delete(datasourceId);
+  } else {
+    schemaCache.clear();
+  }
+  console.log('🗑️  Schema cache cleared');
+}
+
+/**
+ * Forget a datasource's schema entirely (in memory and persisted)
+ *
+ * @param {string} datasourceId - Datasource that was removed
+ */
+export async function deleteSchemaSnapshot(datasourceId) {
+  schemaCache.delete(datasourceId);
+
+  try {
+    await SchemaSnapshot.destroy({ where: { datasourceId } });
+  } catch (error) {
+    console.warn(`⚠️  Could not delete the schema snapshot of "${datasourceId}":`, error.message);
+  }
+}
+
+/**
+ * Get the cache entry of a datasource, scanning or checking as needed
+ * Concurrent callers share one scan
+ *
+ * @param {string} id - Datasource id
+ * @param {Object} [options] - { forceRefresh, forceCheck }
+ * @returns {Promise<Object>} Cache entry
+ */
+async function getEntry(id, { forceRefresh = false, forceCheck = false } = {}) {
+  if (pending.has(id)) {
+    await pending.get(id);
+  }
+
+  const cached = schemaCache.get(id);
+  const isDue = !cached || forceRefresh || forceCheck || Date.now() - cached.checkedAt >= CHECK_INTERVAL;
+
+  if (!isDue) {
+    console.log(`📦 Using cached schema of "${id}"`);
+    refreshProfilesIfStale(id, cached);
+    return cached;
+  }
+
+  const work = (async () => (forceRefresh
+    ? scanSchema(id, cached || await loadSnapshot(id))
+    : revalidate(id, cached)
+  ))().finally(() => pending.delete(id));
+  pending.set(id, work);
+
+  const entry = await work;
+  refreshProfilesIfStale(id, entry);
+  return entry;
+}
+
+/**
+ * Profile a datasource again in the background if its profiles are old
+ * The current schema keeps being served until the new profiles are ready
+ *
+ * @param {string} id - Datasource id
+ * @param {Object} entry - Cache entry
+ */
+function refreshProfilesIfStale(id, entry) {
+  const profiledAt = Date.parse(entry.schema.profiledAt);
+  if (profiling.has(id) || Date.now() - profiledAt < PROFILE_TTL) {
+    return;
+  }
+
+  profiling.add(id);
+  profileSchema(entry.schema)
+    .then(async (schema) => {
+      // Skip if the schema was scanned again meanwhile
+      const current = schemaCache.get(id);
+      if (current?.fingerprint !== entry.fingerprint) return;
+
+      const updated = { ...current, schema };
+      schemaCache.set(id, updated);
+      await saveSnapshot(id, updated);
+    })
+    .catch(error => console.warn(`⚠️  Could not profile the columns of "${id}":`, error.message))
+    .finally(() => profiling.delete(id));
+}
+
+/**
+ * Use the cached or persisted schema if its fingerprint still matches
+ *
+ * @param {string} id - Datasource id
+ * @param {Object} [cached] - In-memory entry
+ * @returns {Promise<Object>} Cache entry
+ */
+async function revalidate(id, cached) {
+  const current = cached || await loadSnapshot(id);
+  if (!current) {
+    return await scanSchema(id, null);
+  }
+
+  const fingerprint = fingerprintSchema(await getSchemaOutline(id));
+  if (fingerprint !== current.fingerprint) {
+    console.log(`🔀 Schema of "${id}" changed since ${current.scannedAt.toISOString()}`);
+    return await scanSchema(id, current);
+  }
+
+  const entry = { ...current, checkedAt: Date.now() };
+  schemaCache.set(id, entry);
+  return entry;
+}
+
+/**
+ * Scan a datasource, persist the snapshot and flag widgets if it changed
+ *
+ * @param {string} id - Datasource id
+ * @param {Object|null} previous - Entry to diff against
+ * @returns {Promise<Object>} New cache entry
+ */
+async function scanSchema(id, previous) {
+  console.log(`🔄 Refreshing schema cache of "${id}"...`);
+  const schema = await profileSchema(await getCompleteSchema(id));
+  const fingerprint = fingerprintSchema(schema.tables);
+  const changed = fingerprint !== previous?.fingerprint;
+
+  let changes = previous?.changes || null;
+  if (previous && changed) {
+    const diff = diffSchemas(previous.schema, schema);
+    if (hasSchemaChanges(diff)) {
+      changes = { detectedAt: new Date().toISOString(), previousFingerprint: previous.fingerprint, ...diff };
+    }
+  }
+
+  const entry = { schema, fingerprint, changes, scannedAt: new Date(), checkedAt: Date.now() };
+  schemaCache.set(id, entry);
+
+  await saveSnapshot(id, entry);
+  if (changed) {
+    await flagWidgets(id, schema);
+  }
+
+  return entry;
+}
+
+/**
+ * Validate every saved widget of a datasource against a schema
+ * Widgets whose SQL no longer validates get its errors as schemaIssues;
+ * widgets that validate again are cleared
+ *
+ * @param {string} id - Datasource id
+ * @param {Object} schema - Current schema
+ */
+async function flagWidgets(id, schema) {
+  try {
+    const widgets = await Widget.findAll({ where: { datasourceId: id } });
+    let flagged = 0;
+
+    for (const widget of widgets) {
+      const validation = analyzeQuery(widget.sqlQuery, applyColumnPolicies(schema));
+      const schemaIssues = validation.valid ? null : validation.errors;
+      if (schemaIssues) flagged++;
+
+      if (JSON.stringify(schemaIssues) !== JSON.stringify(widget.schemaIssues ?? null)) {
+        // Not a user edit, so updatedAt is left alone
+        await widget.update({ schemaIssues }, { silent: true });
+      }
+    }
+
+    if (flagged > 0) {
+      console.warn(`⚠️  ${flagged} widget(s) on "${id}" no longer match the schema`);
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not check widgets against the schema of "${id}":`, error.message);
+  }
+}
+
+/**
+ * Read the persisted snapshot of a datasource
+ * The cache still works in memory if the snapshot table is unavailable
+ *
+ * @param {string} id - Datasource id
+ * @returns {Promise<Object|null>} Entry (checkedAt 0, so it is checked before use), or null
+ */
+async function loadSnapshot(id) {
+  try {
+    const snapshot = await SchemaSnapshot.findByPk(id);
+    if (!snapshot) return null;
+
+    console.log(`💾 Loaded schema snapshot of "${id}" (${snapshot.fingerprint.slice(0, 12)})`);
+    return {
+      schema: snapshot.schema,
+      fingerprint: snapshot.fingerprint,
+      changes: snapshot.changes,
+      scannedAt: snapshot.scannedAt,
+      checkedAt: 0
+    };
+  } catch (error) {
+    console.warn(`⚠️  Could not load the schema snapshot of "${id}":`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Persist the snapshot of a datasource
+ *
+ * @param {string} id - Datasource id
+ * @param {Object} entry - Cache entry
+ */
+async function saveSnapshot(id, entry) {
+  try {
+    await SchemaSnapshot.upsert({
+      datasourceId: id,
+      fingerprint: entry.fingerprint,
+      schema: entry.schema,
+      changes: entry.changes,
+      scannedAt: entry.scannedAt
+    });
+  } catch (error) {
+    console.warn(`⚠️  Could not save the schema snapshot of "${id}":`, error.message);
+  }
+}
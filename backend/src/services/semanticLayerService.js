@@ -0,0 +1,248 @@
+// services/semanticLayerService.js
+// Named business metrics and dimensions with one canonical definition each
+// The catalog is a JSON file (SEMANTIC_LAYER_FILE, default
+// src/config/semanticLayer.json) of
+//   { "metrics": [entry], "dimensions": [entry] }
+// where an entry is
+//   { name, label, description?, table, expression, grains?, format?,
+//     synonyms?, datasourceId? }
+// The model is told to compute a metric with its exact expression, and
+// the chart pipeline rejects queries that claim a metric (or name a column
+// after one) without using that expression. An entry applies to every
+// datasource that has its table, unless it names a datasourceId.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { analyzeQuery } from '../utils/sqlAnalyzer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const CATALOG_PATH = process.env.SEMANTIC_LAYER_FILE
+  ? path.resolve(process.env.SEMANTIC_LAYER_FILE)
+  : path.resolve(__dirname, '../config/semanticLayer.json');
+
+// Display formats → Vega-Lite (d3) format strings
+export const DISPLAY_FORMATS = {
+  currency: '$,.2f',
+  number: ',.2f',
+  integer: ',d',
+  percent: '.1%',
+  date: null,
+  text: null
+};
+
+export const TIME_GRAINS = ['hour', 'day', 'week', 'month', 'quarter', 'year'];
+
+let catalog = null;
+
+// Entries already reported as not matching a schema (logged once)
+const reported = new Set();
+
+/**
+ * Get the metrics and dimensions that apply to a schema
+ * Entries whose table or expression does not fit the schema are left out
+ *
+ * @param {Object} schema - Database schema ({ datasourceId, dialect, tables })
+ * @returns {Object} { metrics, dimensions }
+ * @throws {InvalidSemanticLayerError} If the catalog file is invalid
+ */
+export function getSemanticLayer(schema) {
+  const { metrics, dimensions } = loadCatalog();
+  return {
+    metrics: metrics.filter(entry => appliesTo(entry, schema)),
+    dimensions: dimensions.filter(entry => appliesTo(entry, schema))
+  };
+}
+
+/**
+ * Check a generated query against the metrics it claims to compute
+ *
+ * A metric counts as claimed when it is listed in analysis.metrics or
+ * when a column is aliased with its name; either way the SQL must contain
+ * the metric's expression (compared without case, spacing, quotes and
+ * table qualifiers). Unknown names in analysis.metrics are dropped.
+ *
+ * @param {Object} aiResponse - AI response ({ sqlQuery, analysis })
+ * @param {Object} schema - Database schema
+ * @returns {Object} { errors, warnings, metrics } (metrics: names the query computes)
+ */
+export function checkMetricUsage(aiResponse, schema) {
+  const { metrics } = getSemanticLayer(schema);
+  const claimed = Array.isArray(aiResponse.analysis?.metrics) ? aiResponse.analysis.metrics : [];
+  const sql = normalizeExpression(aiResponse.sqlQuery);
+
+  const result = { errors: [], warnings: [], metrics: [] };
+
+  claimed
+    .filter(name => !metrics.some(metric => metric.name === String(name).toLowerCase()))
+    .forEach(name => result.warnings.push(`Unknown metric "${name}" ignored`));
+
+  for (const metric of metrics) {
+    const isClaimed = claimed.some(name => String(name).toLowerCase() === metric.name);
+    if (!isClaimed && !hasAlias(aiResponse.sqlQuery, metric.name)) continue;
+
+    if (!sql.includes(normalizeExpression(metric.expression))) {
+      result.errors.push(
+        `Metric "${metric.name}" must be computed as ${metric.expression} on ${metric.table}`
+      );
+      continue;
+    }
+
+    result.metrics.push(metric.name);
+  }
+
+  return result;
+}
+
+/**
+ * Read and validate the catalog on first use
+ *
+ * @returns {Object} { metrics, dimensions }
+ * @throws {InvalidSemanticLayerError} If the file is malformed
+ */
+function loadCatalog() {
+  if (catalog) {
+    return catalog;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+  } catch (error) {
+    // Without a catalog there are simply no named metrics
+    if (error.code === 'ENOENT' && !process.env.SEMANTIC_LAYER_FILE) {
+      catalog = { metrics: [], dimensions: [] };
+      return catalog;
+    }
+    throw new InvalidSemanticLayerError(`Cannot read ${CATALOG_PATH}: ${error.message}`);
+  }
+
+  catalog = {
+    metrics: (parsed.metrics || []).map(entry => normalizeEntry(entry, 'metric')),
+    dimensions: (parsed.dimensions || []).map(entry => normalizeEntry(entry, 'dimension'))
+  };
+
+  for (const kind of ['metrics', 'dimensions']) {
+    const names = catalog[kind].map(entry => entry.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) {
+      throw new InvalidSemanticLayerError(`Semantic layer defines ${kind} "${duplicate}" twice`);
+    }
+  }
+
+  console.log(`📐 Semantic layer: ${catalog.metrics.length} metrics, ${catalog.dimensions.length} dimensions`);
+  return catalog;
+}
+
+/**
+ * Validate a catalog entry and fill in defaults
+ *
+ * @param {Object} entry - Metric or dimension from the file
+ * @param {string} kind - 'metric' | 'dimension'
+ * @returns {Object} Normalized entry (with vegaFormat)
+ * @throws {InvalidSemanticLayerError} If a field is missing or invalid
+ */
+function normalizeEntry(entry, kind) {
+  const name = entry?.name;
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+    throw new InvalidSemanticLayerError(`The ${kind} name "${name}" must be lowercase snake_case`);
+  }
+
+  if (!entry.table || !entry.expression) {
+    throw new InvalidSemanticLayerError(`The ${kind} "${name}" needs a table and an expression`);
+  }
+
+  const format = entry.format || (kind === 'metric' ? 'number' : 'text');
+  if (!(format in DISPLAY_FORMATS)) {
+    throw new InvalidSemanticLayerError(
+      `The ${kind} "${name}" has unknown format "${format}" (use ${Object.keys(DISPLAY_FORMATS).join(', ')})`
+    );
+  }
+
+  const grains = entry.grains || [];
+  const invalidGrain = grains.find(grain => !TIME_GRAINS.includes(grain));
+  if (invalidGrain) {
+    throw new InvalidSemanticLayerError(`The ${kind} "${name}" has unknown grain "${invalidGrain}"`);
+  }
+
+  return {
+    name,
+    label: entry.label || name,
+    description: entry.description || null,
+    table: entry.table,
+    expression: entry.expression,
+    grains,
+    format,
+    vegaFormat: DISPLAY_FORMATS[format],
+    synonyms: entry.synonyms || [],
+    datasourceId: entry.datasourceId || null
+  };
+}
+
+/**
+ * Whether an entry can be used on a schema: its table exists and its
+ * expression passes the SQL validator there
+ *
+ * @param {Object} entry - Normalized entry
+ * @param {Object} schema - Database schema
+ * @returns {boolean} True if the entry applies
+ */
+function appliesTo(entry, schema) {
+  if (entry.datasourceId && entry.datasourceId !== schema.datasourceId) {
+    return false;
+  }
+
+  if (!schema.tables.some(table => table.name === entry.table)) {
+    return false;
+  }
+
+  const validation = analyzeQuery(`SELECT ${entry.expression} FROM ${entry.table}`, schema);
+  if (!validation.valid) {
+    const key = `${schema.datasourceId}:${entry.name}`;
+    if (!reported.has(key)) {
+      reported.add(key);
+      console.warn(`⚠️  Semantic layer entry "${entry.name}" does not fit "${schema.datasourceId}":`, validation.errors.join('; '));
+    }
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Reduce a SQL expression to a comparable form
+ *
+ * @param {string} sql - SQL text
+ * @returns {string} Lowercase SQL without whitespace, quotes or table qualifiers
+ */
+function normalizeExpression(sql) {
+  return String(sql || '')
+    .toLowerCase()
+    .replace(/["`]/g, '')
+    .replace(/\b[a-z_][a-z0-9_]*\s*\.\s*(?=[a-z_*])/g, '')
+    .replace(/\s+/g, '');
+}
+
+/**
+ * Whether a query names a column after a metric (... AS revenue)
+ *
+ * @param {string} sqlQuery - SQL query
+ * @param {string} name - Metric name
+ * @returns {boolean} True if the alias is used
+ */
+function hasAlias(sqlQuery, name) {
+  return new RegExp(`\\bAS\\s+["\`]?${name}["\`]?(?![\\w])`, 'i').test(String(sqlQuery || ''));
+}
+
+/**
+ * Raised when the semantic layer file cannot be used
+ */
+class InvalidSemanticLayerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidSemanticLayerError';
+  }
+}
+
+export { InvalidSemanticLayerError };
@@ -1,30 +1,455 @@
 // services/widgetService.js
+// Saved chart widgets ("My Charts")
+// A widget is saved only when the user asks; the most recently saved one
+// is flagged with isLastWidget so it can be restored quickly.
+// Widgets store a data-free spec template and the last query result
+// separately, so they can be refreshed by re-running their SQL.
+// Filters written as named parameters (:name) are declared on the widget
+// and bound at run time, so dashboards can re-run them with other values.
+// Each widget remembers the datasource its SQL was generated for.
+// Widgets belong to the account that saved them; others (except admins)
+// cannot see them (see ownerScope in services/authService.js).
+
 import Widget from '../models/Widget.js';
+import { getDatasource } from '../config/datasources.js';
+import { executeQuery, validateQuery } from './databaseService.js';
+import {
+  stripSpecData,
+  normalizeNumericValues,
+  normalizeAnalysis,
+  generateChartSummary
+} from './chartService.js';
+import { getCachedSchema } from './schemaCacheService.js';
+import { findParameters } from '../utils/sqlAnalyzer.js';
+import { declareParameters, bindParameters } from '../utils/queryParameters.js';
+import { ownerScope } from './authService.js';
+
+// Columns returned by list views (the result rows are only loaded when a
+// single widget is opened)
+const SUMMARY_ATTRIBUTES = [
+  'id', 'name', 'prompt', 'datasourceId', 'analysis', 'isLastWidget', 'schemaIssues', 'lastRefreshedAt',
+  'createdBy', 'createdAt', 'updatedAt'
+];
 
 /**
- * Save widget and mark as last
+ * Save widget and mark as last (of its owner's widgets)
+ *
+ * The SQL is validated like a generated query. The rows embedded in the
+ * spec (data.values) become the widget's last result and the spec itself
+ * is stored without them; as the rows come from the client, the widget
+ * counts as never refreshed (lastRefreshedAt is null) until its SQL is
+ * re-run on the server (see refreshWidget).
+ *
+ * @param {Object} widgetData - Widget data
+ * @param {string} [widgetData.name] - Display name (defaults to a dated name)
+ * @param {string} widgetData.prompt - Prompt that produced the chart
+ * @param {string} widgetData.sqlQuery - SQL behind the chart
+ * @param {string} [widgetData.datasourceId] - Datasource the SQL runs against
+ *   (default datasource if omitted)
+ * @param {Object} widgetData.vegaSpec - Vega-Lite spec with data.values
+ * @param {Object} [widgetData.analysis] - AI analysis of the prompt
+ * @param {boolean} [widgetData.truncated] - The rows were cut off at the row cap
+ * @param {number} [widgetData.totalRowCount] - Full row count, if known
+ * @param {Array} [widgetData.parameters] - Parameter declarations (defaults to
+ *   analysis.parameters; placeholders without one get an inferred type)
+ * @param {Object} owner - Account saving the widget (req.user)
+ * @returns {Promise<Object>} Created widget
+ * @throws {InvalidWidgetQueryError} If the SQL fails validation
+ * @throws {InvalidParameterError} If a parameter default does not match its type
+ * @throws {DatasourceNotFoundError} If the datasource is not configured
  */
-export async function saveWidget(widgetData) {
-  // Unmark all as last
-  await Widget.update({ isLastWidget: false }, { where: { isLastWidget: true } });
-  
-  // Create new widget marked as last
-  return await Widget.create({
-    name: widgetData.name || `Chart - ${new Date().toLocaleDateString()}`,
-    prompt: widgetData.prompt,
-    sqlQuery: widgetData.sqlQuery,
-    vegaSpec: widgetData.vegaSpec,
-    analysis: widgetData.analysis,
-    isLastWidget: true
+export async function saveWidget(widgetData, owner) {
+  const datasource = getDatasource(widgetData.datasourceId);
+
+  const schema = await getCachedSchema({ datasourceId: datasource.id });
+  const validation = validateQuery(widgetData.sqlQuery, schema);
+  if (!validation.valid) {
+    throw new InvalidWidgetQueryError(validation.errors, validation.warnings);
+  }
+
+  const parameters = resolveParameters(
+    widgetData.sqlQuery,
+    widgetData.parameters ?? widgetData.analysis?.parameters,
+    datasource.dialect
+  );
+
+  return await Widget.sequelize.transaction(async (transaction) => {
+    // Unmark all as last
+    await Widget.update(
+      { isLastWidget: false },
+      { where: { isLastWidget: true, createdBy: owner.id }, transaction }
+    );
+
+    // Create new widget marked as last
+    return await Widget.create({
+      name: widgetData.name || `Chart - ${new Date().toLocaleDateString()}`,
+      prompt: widgetData.prompt,
+      sqlQuery: widgetData.sqlQuery,
+      datasourceId: datasource.id,
+      specTemplate: stripSpecData(widgetData.vegaSpec),
+      lastResult: toStoredResult(widgetData),
+      lastRefreshedAt: null,
+      analysis: widgetData.analysis,
+      parameters,
+      createdBy: owner.id,
+      isLastWidget: true
+    }, { transaction });
   });
 }
 
 /**
- * Get last saved widget
+ * Get the last widget an account saved
+ *
+ * @param {Object} owner - Account (req.user)
+ * @returns {Promise<Object|null>} Widget, or null if none were saved
  */
-export async function getLastWidget() {
+export async function getLastWidget(owner) {
   return await Widget.findOne({
-    where: { isLastWidget: true },
+    where: { isLastWidget: true, createdBy: owner.id },
     order: [['createdAt', 'DESC']]
   });
-}
\ No newline at end of file
+}
+
+/**
+ * List the widgets an account may see, most recently updated first
+ *
+ * @param {Object} pagination - Sanitized pagination (see validatePagination)
+ * @param {number} pagination.page - Page number (1-based)
+ * @param {number} pagination.limit - Page size
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object>} { widgets, total, page, limit, totalPages }
+ */
+export async function listWidgets({ page, limit }, owner) {
+  const { rows, count } = await Widget.findAndCountAll({
+    attributes: SUMMARY_ATTRIBUTES,
+    where: ownerScope(owner),
+    order: [['updatedAt', 'DESC']],
+    offset: (page - 1) * limit,
+    limit
+  });
+
+  return {
+    widgets: rows,
+    total: count,
+    page,
+    limit,
+    totalPages: Math.ceil(count / limit)
+  };
+}
+
+/**
+ * Get a widget by id
+ *
+ * @param {string} widgetId - Widget id
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object|null>} Widget, or null if not found or not visible to the account
+ */
+export async function getWidget(widgetId, owner) {
+  return await Widget.findOne({ where: { id: widgetId, ...ownerScope(owner) } });
+}
+
+/**
+ * Rename a widget, replace its spec or redeclare its parameters
+ *
+ * @param {string} widgetId - Widget id
+ * @param {Object} changes - Fields to change
+ * @param {string} [changes.name] - New name
+ * @param {Object} [changes.vegaSpec] - New Vega-Lite spec (any inline data is dropped)
+ * @param {Array} [changes.parameters] - Parameter declarations (types, labels, defaults)
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object|null>} Updated widget, or null if not found
+ * @throws {InvalidParameterError} If a parameter default does not match its type
+ */
+export async function updateWidget(widgetId, changes, owner) {
+  const widget = await getWidget(widgetId, owner);
+  if (!widget) return null;
+
+  const updates = {};
+  if (changes.name !== undefined) updates.name = changes.name;
+  if (changes.vegaSpec !== undefined) updates.specTemplate = stripSpecData(changes.vegaSpec);
+  if (changes.parameters !== undefined) {
+    updates.parameters = resolveParameters(
+      widget.sqlQuery,
+      changes.parameters,
+      getDatasource(widget.datasourceId).dialect
+    );
+  }
+
+  return await widget.update(updates);
+}
+
+/**
+ * Copy a widget
+ *
+ * The copy is a new widget owned by the account making it; it does not
+ * become the last saved widget.
+ *
+ * @param {string} widgetId - Widget to copy
+ * @param {Object} [options] - Copy options
+ * @param {string} [options.name] - Name for the copy (defaults to "<name> (copy)")
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object|null>} New widget, or null if the source was not found
+ */
+export async function duplicateWidget(widgetId, options, owner) {
+  const source = await getWidget(widgetId, owner);
+  if (!source) return null;
+
+  return await Widget.create({
+    name: options?.name || `${source.name || 'Chart'} (copy)`,
+    prompt: source.prompt,
+    sqlQuery: source.sqlQuery,
+    datasourceId: source.datasourceId,
+    specTemplate: source.specTemplate,
+    lastResult: source.lastResult,
+    lastRefreshedAt: source.lastRefreshedAt,
+    analysis: source.analysis,
+    parameters: source.parameters,
+    createdBy: owner.id,
+    isLastWidget: false
+  });
+}
+
+/**
+ * Delete a widget
+ *
+ * If it was the last saved widget, the owner's newest remaining widget
+ * takes its place so "last widget" keeps pointing at something.
+ *
+ * @param {string} widgetId - Widget id
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<boolean>} True if a widget was deleted
+ */
+export async function deleteWidget(widgetId, owner) {
+  return await Widget.sequelize.transaction(async (transaction) => {
+    const widget = await Widget.findOne({ where: { id: widgetId, ...ownerScope(owner) }, transaction });
+    if (!widget) return false;
+
+    await widget.destroy({ transaction });
+
+    if (widget.isLastWidget) {
+      const newest = await Widget.findOne({
+        where: { createdBy: widget.createdBy },
+        order: [['createdAt', 'DESC']],
+        transaction
+      });
+      if (newest) {
+        await newest.update({ isLastWidget: true }, { transaction });
+      }
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Re-run a widget's SQL against live data and store the result
+ *
+ * Parameters bind their declared defaults. No LLM call is made. Row
+ * filters depend on who asks, so the result is only stored when the
+ * widget's owner refreshes it; an admin refreshing someone else's widget
+ * just gets the rows back.
+ *
+ * @param {string} widgetId - Widget id
+ * @param {Object} [options] - Execution options
+ * @param {number} [options.timeout] - Query timeout in milliseconds
+ * @param {number} [options.maxRows] - Maximum rows to return
+ * @param {Object} [options.identity] - Requesting identity, for row filters
+ * @param {Object} owner - Requesting account (req.user)
+ * @returns {Promise<Object|null>} { widget, rows, truncated, totalRowCount,
+ *   summary, executionTime }, or null if the widget was not found
+ * @throws {InvalidWidgetQueryError} If the stored SQL no longer validates
+ * @throws {DatabaseError} If execution fails (see databaseService)
+ */
+export async function refreshWidget(widgetId, options, owner) {
+  const widget = await getWidget(widgetId, owner);
+  if (!widget) return null;
+
+  console.log(`🔄 Refreshing widget ${widget.id}...`);
+  const result = await runWidgetQuery(widget, options);
+
+  if (widget.createdBy === owner.id) {
+    await widget.update({
+      lastResult: {
+        rows: result.rows,
+        truncated: result.truncated,
+        totalRowCount: result.totalRowCount
+      },
+      lastRefreshedAt: new Date(),
+      // The SQL just validated against the current schema
+      schemaIssues: null
+    });
+  }
+
+  const analysis = normalizeAnalysis(widget.analysis || {}, result.rows);
+
+  return {
+    widget,
+    ...result,
+    summary: generateChartSummary(result.rows, analysis)
+  };
+}
+
+/**
+ * Run a widget's SQL without storing the result
+ *
+ * The stored SQL is validated against the current schema of the widget's
+ * datasource again (tables or columns may have changed since it was
+ * saved) and executed with the same safeguards as a generated query. Named parameters are bound from
+ * parameterValues, falling back to each parameter's default.
+ *
+ * @param {Object} widget - Widget model instance
+ * @param {Object} [options] - Execution options
+ * @param {number} [options.timeout] - Query timeout in milliseconds
+ * @param {number} [options.maxRows] - Maximum rows to return
+ * @param {Object} [options.parameterValues] - Values by parameter name
+ * @param {Object} [options.identity] - Requesting identity, for row filters
+ * @returns {Promise<Object>} { rows, truncated, totalRowCount, executionTime }
+ * @throws {InvalidWidgetQueryError} If the stored SQL no longer validates
+ * @throws {InvalidParameterError} If a value does not match its parameter's type
+ * @throws {DatabaseError} If execution fails (see databaseService)
+ * @throws {DatasourceNotFoundError} If the widget's datasource is no longer configured
+ */
+export async function runWidgetQuery(widget, options = {}) {
+  const schema = await getCachedSchema({ datasourceId: widget.datasourceId });
+  const validation = validateQuery(widget.sqlQuery, schema);
+  if (!validation.valid) {
+    throw new InvalidWidgetQueryError(validation.errors, validation.warnings);
+  }
+
+  // Every placeholder is bound, even if the widget predates its declaration
+  const parameters = declareParameters(
+    findParameters(widget.sqlQuery, schema.dialect),
+    widget.parameters
+  );
+  const replacements = bindParameters(parameters, options.parameterValues);
+
+  const startTime = Date.now();
+  const result = await executeQuery(widget.sqlQuery, {
+    timeout: options.timeout,
+    maxRows: options.maxRows,
+    replacements,
+    datasourceId: widget.datasourceId,
+    masks: validation.masks,
+    identity: options.identity
+  });
+
+  return {
+    rows: normalizeNumericValues(result.rows),
+    truncated: result.truncated,
+    totalRowCount: result.totalRowCount,
+    executionTime: Date.now() - startTime
+  };
+}
+
+/**
+ * Combine a widget's spec template with its last result
+ *
+ * @param {Object} widget - Widget model instance
+ * @returns {Object} Renderable Vega-Lite spec
+ */
+export function materializeSpec(widget) {
+  return {
+    ...widget.specTemplate,
+    data: { values: widget.lastResult?.rows || [] }
+  };
+}
+
+/**
+ * Shape a widget for list views (no spec)
+ *
+ * @param {Object} widget - Widget model instance
+ * @returns {Object} Widget summary
+ */
+export function toWidgetSummary(widget) {
+  return {
+    id: widget.id,
+    name: widget.name,
+    prompt: widget.prompt,
+    datasourceId: widget.datasourceId,
+    chartType: widget.analysis?.chartType || null,
+    isLastWidget: widget.isLastWidget,
+    schemaIssues: widget.schemaIssues ?? null,
+    createdBy: widget.createdBy ?? null,
+    lastRefreshedAt: widget.lastRefreshedAt,
+    createdAt: widget.createdAt,
+    updatedAt: widget.updatedAt
+  };
+}
+
+/**
+ * Shape a widget with everything needed to render it
+ * The spec is the stored template with the last result injected
+ *
+ * @param {Object} widget - Widget model instance
+ * @returns {Object} Widget detail
+ */
+export function toWidgetDetail(widget) {
+  const lastResult = widget.lastResult || {};
+
+  return {
+    ...toWidgetSummary(widget),
+    sqlQuery: widget.sqlQuery,
+    vegaSpec: materializeSpec(widget),
+    analysis: widget.analysis,
+    parameters: widget.parameters || [],
+    dataCount: lastResult.rows?.length || 0,
+    truncated: Boolean(lastResult.truncated),
+    totalRowCount: lastResult.totalRowCount ?? null
+  };
+}
+
+/**
+ * Declare the parameters a widget's SQL uses
+ *
+ * @param {string} sqlQuery - Widget SQL
+ * @param {Array} [declared] - Declarations given by the caller
+ * @param {string} dialect - SQL dialect of the widget's datasource
+ * @returns {Array} Parameter declarations (see utils/queryParameters.js)
+ * @throws {InvalidWidgetQueryError} If the SQL cannot be parsed
+ * @throws {InvalidParameterError} If a default does not match its type
+ */
+function resolveParameters(sqlQuery, declared, dialect) {
+  let names;
+  try {
+    names = findParameters(sqlQuery, dialect);
+  } catch (error) {
+    throw new InvalidWidgetQueryError([`SQL could not be parsed: ${error.message.split('\n')[0]}`]);
+  }
+
+  const parameters = declareParameters(names, declared);
+
+  // Defaults must be valid values for their types
+  bindParameters(parameters);
+
+  return parameters;
+}
+
+/**
+ * Build the stored result from a chart being saved
+ *
+ * @param {Object} widgetData - Widget data (see saveWidget)
+ * @returns {Object} { rows, truncated, totalRowCount }
+ */
+function toStoredResult(widgetData) {
+  const rows = widgetData.vegaSpec?.data?.values || [];
+
+  return {
+    rows,
+    truncated: Boolean(widgetData.truncated),
+    totalRowCount: widgetData.totalRowCount ?? rows.length
+  };
+}
+
+/**
+ * Raised when a widget's SQL fails validation on save or refresh
+ */
+class InvalidWidgetQueryError extends Error {
+  constructor(errors, warnings = []) {
+    super('Widget query is not valid for the current schema');
+    this.name = 'InvalidWidgetQueryError';
+    this.errors = errors;
+    this.warnings = warnings;
+  }
+}
+
+export { InvalidWidgetQueryError };
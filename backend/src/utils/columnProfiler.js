@@ -0,0 +1,140 @@
+// utils/columnProfiler.js
+// Per-column statistics that tell the model what the data looks like
+// Each table is profiled from a sample of its rows (getSampleData, one
+// query per table), so the cost stays bounded on large tables. Profiles
+// are attached to the schema's columns:
+//   { nullRatio, distinctCount, topValues?: [{ value, count }], min?, max? }
+// topValues is only kept for low-cardinality text, so the model can use
+// literal values that exist ("EU", not "Europe") in filters.
+
+import { getSampleData } from './databaseSchema.js';
+
+// Rows read per table
+const SAMPLE_SIZE = Number(process.env.PROFILE_SAMPLE_SIZE) || 5000;
+
+// Text columns with at most this many distinct values get topValues
+const MAX_CATEGORY_VALUES = 25;
+
+// Values listed per column
+const TOP_VALUES = 10;
+
+// Longer values are descriptions, not categories
+const MAX_VALUE_LENGTH = 60;
+
+const NUMERIC_TYPES = ['INTEGER', 'DECIMAL'];
+const TEMPORAL_TYPES = ['DATE', 'TIMESTAMP'];
+const TEXT_TYPES = ['STRING', 'TEXT', 'BOOLEAN'];
+
+/**
+ * Profile every table of a schema
+ *
+ * @param {Object} schema - Schema from getCompleteSchema
+ * @returns {Promise<Object>} Copy of the schema with column profiles,
+ *   tables' sampledRows and profiledAt
+ */
+export async function profileSchema(schema) {
+  console.log(`🧮 Profiling ${schema.tables.length} tables of "${schema.datasourceId}"...`);
+  const tables = [];
+
+  for (const table of schema.tables) {
+    tables.push(await profileTable(table, schema.datasourceId));
+  }
+
+  return { ...schema, tables, profiledAt: new Date().toISOString() };
+}
+
+/**
+ * Profile one table from a sample of its rows
+ * Tables that cannot be read are returned without profiles
+ *
+ * @param {Object} table - Schema table
+ * @param {string} datasourceId - Datasource the table belongs to
+ * @returns {Promise<Object>} Copy of the table with column profiles
+ */
+export async function profileTable(table, datasourceId) {
+  const rows = await getSampleData(table.name, SAMPLE_SIZE, datasourceId);
+  if (rows.length === 0) {
+    // Drop profiles of rows that are gone
+    const columns = table.columns.map(({ profile, ...column }) => column);
+    return { ...table, columns, sampledRows: 0 };
+  }
+
+  return {
+    ...table,
+    sampledRows: rows.length,
+    columns: table.columns.map(column => ({
+      ...column,
+      profile: profileColumn(rows.map(row => row[column.name]), column.type)
+    }))
+  };
+}
+
+/**
+ * Compute the statistics of one column
+ *
+ * @param {Array} values - Sampled values
+ * @param {string} type - Normalized column type
+ * @returns {Object} { nullRatio, distinctCount, topValues?, min?, max? }
+ */
+function profileColumn(values, type) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  const counts = new Map();
+
+  for (const value of present) {
+    const key = toKey(value);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  const profile = {
+    nullRatio: round((values.length - present.length) / values.length),
+    distinctCount: counts.size
+  };
+
+  if (present.length === 0) {
+    return profile;
+  }
+
+  if (NUMERIC_TYPES.includes(type)) {
+    const numbers = present.map(Number).filter(Number.isFinite);
+    if (numbers.length > 0) {
+      profile.min = Math.min(...numbers);
+      profile.max = Math.max(...numbers);
+    }
+  } else if (TEMPORAL_TYPES.includes(type)) {
+    const sorted = present.map(toKey).sort();
+    profile.min = sorted[0];
+    profile.max = sorted[sorted.length - 1];
+  } else if (TEXT_TYPES.includes(type) && counts.size <= MAX_CATEGORY_VALUES) {
+    const top = [...counts.entries()]
+      .filter(([value]) => value.length <= MAX_VALUE_LENGTH)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_VALUES)
+      .map(([value, count]) => ({ value, count }));
+
+    if (top.length > 0) {
+      profile.topValues = top;
+    }
+  }
+
+  return profile;
+}
+
+/**
+ * Comparable string form of a value (dates as ISO strings)
+ *
+ * @param {*} value - Sampled value
+ * @returns {string} Key
+ */
+function toKey(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+/**
+ * Round a ratio to 3 decimals
+ *
+ * @param {number} value - Ratio
+ * @returns {number} Rounded ratio
+ */
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
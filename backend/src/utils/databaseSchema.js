@@ -1,18 +1,21 @@
 // utils/databaseSchema.js
 // Dynamic database schema detection and management
+// Every function works on one datasource (see config/datasources.js);
+// the default datasource is used when no datasourceId is given
 
-import { sequelize } from '../models/index.js';
 import { QueryTypes } from 'sequelize';
+import { getDatasource, getQueryConnection, getHiddenTables } from '../config/datasources.js';
 
 /**
  * Get all tables in the database dynamically
  * Works with PostgreSQL, MySQL, SQLite
  * 
+ * @param {string} [datasourceId] - Datasource to scan
  * @returns {Promise<Array>} List of table names
  */
-export async function getAllTables() {
+export async function getAllTables(datasourceId) {
   try {
-    const dialect = sequelize.getDialect();
+    const { dialect } = getDatasource(datasourceId);
     let query;
 
     switch (dialect) {
@@ -29,10 +32,12 @@ export async function getAllTables() {
 
       case 'mysql':
       case 'mariadb':
+        // Aliased so MySQL 8 does not return the keys in uppercase
         query = `
-          SELECT table_name 
+          SELECT table_name AS table_name
           FROM information_schema.tables 
           WHERE table_schema = DATABASE()
+          AND table_type = 'BASE TABLE'
           AND table_name NOT LIKE '%SequelizeMeta%'
           ORDER BY table_name;
         `;
@@ -53,11 +58,14 @@ export async function getAllTables() {
         throw new Error(`Unsupported database dialect: ${dialect}`);
     }
 
-    const results = await sequelize.query(query, {
+    const results = await getQueryConnection(datasourceId).query(query, {
       type: QueryTypes.SELECT
     });
 
-    return results.map(row => row.table_name || row.TABLE_NAME);
+    const hiddenTables = getHiddenTables(datasourceId);
+    return results
+      .map(row => row.table_name || row.TABLE_NAME)
+      .filter(tableName => !hiddenTables.includes(tableName));
 
   } catch (error) {
     console.error('Error fetching tables:', error);
@@ -69,11 +77,13 @@ export async function getAllTables() {
  * Get columns for a specific table with metadata
  * 
  * @param {string} tableName - Name of the table
+ * @param {string} [datasourceId] - Datasource the table belongs to
  * @returns {Promise<Array>} Array of column objects with metadata
  */
-export async function getTableColumns(tableName) {
+export async function getTableColumns(tableName, datasourceId) {
   try {
-    const dialect = sequelize.getDialect();
+    const connection = getQueryConnection(datasourceId);
+    const { dialect } = getDatasource(datasourceId);
     let query;
 
     switch (dialect) {
@@ -92,7 +102,35 @@ export async function getTableColumns(tableName) {
               FROM pg_catalog.pg_class c
               WHERE c.oid = (SELECT ('public.' || cols.table_name)::regclass::oid)
               AND c.relname = cols.table_name
-            ) as column_comment
+            ) as column_comment,
+            EXISTS (
+              SELECT 1
+              FROM information_schema.table_constraints tc
+              JOIN information_schema.key_column_usage kcu
+                ON kcu.constraint_name = tc.constraint_name
+                AND kcu.table_schema = tc.table_schema
+              WHERE tc.constraint_type = 'PRIMARY KEY'
+              AND tc.table_schema = cols.table_schema
+              AND tc.table_name = cols.table_name
+              AND kcu.column_name = cols.column_name
+            ) AS is_primary_key,
+            EXISTS (
+              SELECT 1
+              FROM information_schema.table_constraints tc
+              JOIN information_schema.key_column_usage kcu
+                ON kcu.constraint_name = tc.constraint_name
+                AND kcu.table_schema = tc.table_schema
+              WHERE tc.constraint_type = 'UNIQUE'
+              AND tc.table_schema = cols.table_schema
+              AND tc.table_name = cols.table_name
+              AND kcu.column_name = cols.column_name
+              AND (
+                SELECT COUNT(*)
+                FROM information_schema.key_column_usage other
+                WHERE other.constraint_name = tc.constraint_name
+                AND other.table_schema = tc.table_schema
+              ) = 1
+            ) AS is_unique
           FROM information_schema.columns cols
           WHERE table_schema = 'public' 
           AND table_name = :tableName
@@ -104,14 +142,16 @@ export async function getTableColumns(tableName) {
       case 'mariadb':
         query = `
           SELECT 
-            column_name,
-            data_type,
-            is_nullable,
-            column_default,
-            character_maximum_length,
-            numeric_precision,
-            numeric_scale,
-            column_comment
+            column_name AS column_name,
+            data_type AS data_type,
+            is_nullable AS is_nullable,
+            column_default AS column_default,
+            character_maximum_length AS character_maximum_length,
+            numeric_precision AS numeric_precision,
+            numeric_scale AS numeric_scale,
+            column_comment AS column_comment,
+            column_key = 'PRI' AS is_primary_key,
+            column_key = 'UNI' AS is_unique
           FROM information_schema.columns
           WHERE table_schema = DATABASE()
           AND table_name = :tableName
@@ -120,24 +160,31 @@ export async function getTableColumns(tableName) {
         break;
 
       case 'sqlite':
-        // SQLite uses PRAGMA for table info
-        const tableInfo = await sequelize.query(`PRAGMA table_info(${tableName})`, {
-          type: QueryTypes.SELECT
-        });
-
-        return tableInfo.map(col => ({
-          column_name: col.name,
-          data_type: col.type,
-          is_nullable: col.notnull === 0 ? 'YES' : 'NO',
-          column_default: col.dflt_value,
-          column_comment: null
-        }));
+        // Table-valued PRAGMA, so the table name can be bound
+        query = `
+          SELECT
+            name AS column_name,
+            type AS data_type,
+            CASE WHEN "notnull" = 0 AND pk = 0 THEN 'YES' ELSE 'NO' END AS is_nullable,
+            dflt_value AS column_default,
+            pk > 0 AS is_primary_key,
+            EXISTS (
+              SELECT 1
+              FROM pragma_index_list(:tableName) idx
+              WHERE idx."unique" = 1
+              AND (SELECT COUNT(*) FROM pragma_index_info(idx.name)) = 1
+              AND (SELECT name FROM pragma_index_info(idx.name)) = cols.name
+            ) AS is_unique
+          FROM pragma_table_info(:tableName) cols
+          ORDER BY cid;
+        `;
+        break;
 
       default:
         throw new Error(`Unsupported database dialect: ${dialect}`);
     }
 
-    const results = await sequelize.query(query, {
+    const results = await connection.query(query, {
       replacements: { tableName },
       type: QueryTypes.SELECT
     });
@@ -150,7 +197,9 @@ export async function getTableColumns(tableName) {
       maxLength: col.character_maximum_length || col.CHARACTER_MAXIMUM_LENGTH,
       precision: col.numeric_precision || col.NUMERIC_PRECISION,
       scale: col.numeric_scale || col.NUMERIC_SCALE,
-      comment: col.column_comment || col.COLUMN_COMMENT || ''
+      comment: col.column_comment || col.COLUMN_COMMENT || '',
+      primaryKey: Boolean(col.is_primary_key ?? col.IS_PRIMARY_KEY),
+      unique: Boolean(col.is_unique ?? col.IS_UNIQUE)
     }));
 
   } catch (error) {
@@ -159,6 +208,100 @@ export async function getTableColumns(tableName) {
   }
 }
 
+/**
+ * Get every table's column names, types and nullability in one query
+ * Much cheaper than getCompleteSchema; used to check whether the schema
+ * changed (see utils/schemaDiff.js)
+ *
+ * @param {string} [datasourceId] - Datasource to scan
+ * @returns {Promise<Array>} [{ name, columns: [{ name, type, nullable }] }]
+ */
+export async function getSchemaOutline(datasourceId) {
+  const { dialect } = getDatasource(datasourceId);
+  let query;
+
+  switch (dialect) {
+    case 'postgres':
+      query = `
+        SELECT
+          t.table_name,
+          c.column_name,
+          c.data_type,
+          c.is_nullable
+        FROM information_schema.tables t
+        LEFT JOIN information_schema.columns c
+          ON c.table_schema = t.table_schema AND c.table_name = t.table_name
+        WHERE t.table_schema = 'public'
+        AND t.table_type = 'BASE TABLE'
+        AND t.table_name NOT LIKE '%SequelizeMeta%'
+        ORDER BY t.table_name, c.ordinal_position;
+      `;
+      break;
+
+    case 'mysql':
+    case 'mariadb':
+      query = `
+        SELECT
+          t.table_name AS table_name,
+          c.column_name AS column_name,
+          c.data_type AS data_type,
+          c.is_nullable AS is_nullable
+        FROM information_schema.tables t
+        LEFT JOIN information_schema.columns c
+          ON c.table_schema = t.table_schema AND c.table_name = t.table_name
+        WHERE t.table_schema = DATABASE()
+        AND t.table_type = 'BASE TABLE'
+        AND t.table_name NOT LIKE '%SequelizeMeta%'
+        ORDER BY t.table_name, c.ordinal_position;
+      `;
+      break;
+
+    case 'sqlite':
+      query = `
+        SELECT
+          m.name AS table_name,
+          p.name AS column_name,
+          p.type AS data_type,
+          CASE WHEN p."notnull" = 0 AND p.pk = 0 THEN 'YES' ELSE 'NO' END AS is_nullable
+        FROM sqlite_master m
+        LEFT JOIN pragma_table_info(m.name) p
+        WHERE m.type = 'table'
+        AND m.name NOT LIKE 'sqlite_%'
+        AND m.name NOT LIKE '%SequelizeMeta%'
+        ORDER BY m.name, p.cid;
+      `;
+      break;
+
+    default:
+      throw new Error(`Unsupported database dialect: ${dialect}`);
+  }
+
+  const results = await getQueryConnection(datasourceId).query(query, {
+    type: QueryTypes.SELECT
+  });
+
+  const hiddenTables = getHiddenTables(datasourceId);
+  const tables = new Map();
+
+  for (const row of results) {
+    if (hiddenTables.includes(row.table_name)) continue;
+
+    if (!tables.has(row.table_name)) {
+      tables.set(row.table_name, { name: row.table_name, columns: [] });
+    }
+
+    if (row.column_name) {
+      tables.get(row.table_name).columns.push({
+        name: row.column_name,
+        type: normalizeDataType(row.data_type),
+        nullable: row.is_nullable === 'YES'
+      });
+    }
+  }
+
+  return [...tables.values()];
+}
+
 /**
  * Normalize data types across different databases
  * 
@@ -171,6 +314,8 @@ function normalizeDataType(dataType) {
     'integer': 'INTEGER',
     'int': 'INTEGER',
     'smallint': 'INTEGER',
+    'tinyint': 'INTEGER',
+    'mediumint': 'INTEGER',
     'bigint': 'INTEGER',
     'serial': 'INTEGER',
     'bigserial': 'INTEGER',
@@ -180,6 +325,7 @@ function normalizeDataType(dataType) {
     'decimal': 'DECIMAL',
     'real': 'DECIMAL',
     'double precision': 'DECIMAL',
+    'double': 'DECIMAL',
     'float': 'DECIMAL',
     'money': 'DECIMAL',
 
@@ -189,6 +335,11 @@ function normalizeDataType(dataType) {
     'character': 'STRING',
     'char': 'STRING',
     'text': 'TEXT',
+    'tinytext': 'TEXT',
+    'mediumtext': 'TEXT',
+    'longtext': 'TEXT',
+    'clob': 'TEXT',
+    'enum': 'STRING',
 
     // Dates
     'timestamp without time zone': 'TIMESTAMP',
@@ -210,19 +361,28 @@ function normalizeDataType(dataType) {
     'array': 'ARRAY'
   };
 
+  // SQLite columns may be declared without a type
+  if (!dataType) {
+    return 'STRING';
+  }
+
+  // SQLite and MySQL types may carry a size or modifiers: VARCHAR(255), INT UNSIGNED
   const lowerType = dataType.toLowerCase();
-  return typeMap[lowerType] || dataType.toUpperCase();
+  const baseType = lowerType.replace(/\(.*\)/, '').replace(/\s+unsigned$/, '').trim();
+  return typeMap[lowerType] || typeMap[baseType] || dataType.toUpperCase();
 }
 
 /**
  * Get foreign key relationships for a table
  * 
  * @param {string} tableName - Name of the table
+ * @param {string} [datasourceId] - Datasource the table belongs to
  * @returns {Promise<Array>} Array of foreign key relationships
  */
-export async function getTableRelationships(tableName) {
+export async function getTableRelationships(tableName, datasourceId) {
   try {
-    const dialect = sequelize.getDialect();
+    const connection = getQueryConnection(datasourceId);
+    const { dialect } = getDatasource(datasourceId);
     let query;
 
     switch (dialect) {
@@ -250,10 +410,10 @@ export async function getTableRelationships(tableName) {
       case 'mariadb':
         query = `
           SELECT
-            column_name,
+            column_name AS column_name,
             referenced_table_name AS foreign_table_name,
             referenced_column_name AS foreign_column_name,
-            constraint_name
+            constraint_name AS constraint_name
           FROM information_schema.key_column_usage
           WHERE table_schema = DATABASE()
             AND table_name = :tableName
@@ -261,24 +421,31 @@ export async function getTableRelationships(tableName) {
         `;
         break;
 
-      case 'sqlite':
-        // SQLite uses PRAGMA for foreign keys
-        const foreignKeys = await sequelize.query(`PRAGMA foreign_key_list(${tableName})`, {
+      case 'sqlite': {
+        // SQLite has no information_schema; foreign keys come from PRAGMA
+        const foreignKeys = await connection.query('SELECT * FROM pragma_foreign_key_list(:tableName)', {
+          replacements: { tableName },
           type: QueryTypes.SELECT
         });
 
-        return foreignKeys.map(fk => ({
-          column_name: fk.from,
-          foreign_table_name: fk.table,
-          foreign_column_name: fk.to,
-          constraint_name: `fk_${tableName}_${fk.from}`
-        }));
+        const relationships = [];
+        for (const fk of foreignKeys) {
+          relationships.push({
+            column_name: fk.from,
+            foreign_table_name: fk.table,
+            // "REFERENCES customers" without a column points at the primary key
+            foreign_column_name: fk.to || await getPrimaryKeyColumn(fk.table, connection),
+            constraint_name: `fk_${tableName}_${fk.from}`
+          });
+        }
+        return relationships;
+      }
 
       default:
         return [];
     }
 
-    return await sequelize.query(query, {
+    return await connection.query(query, {
       replacements: { tableName },
       type: QueryTypes.SELECT
     });
@@ -289,22 +456,41 @@ export async function getTableRelationships(tableName) {
   }
 }
 
+/**
+ * Get the primary key column of a SQLite table
+ * 
+ * @param {string} tableName - Name of the table
+ * @param {Sequelize} connection - SQLite connection
+ * @returns {Promise<string>} Primary key column ("rowid" if none is declared)
+ */
+async function getPrimaryKeyColumn(tableName, connection) {
+  const [primaryKey] = await connection.query(
+    'SELECT name FROM pragma_table_info(:tableName) WHERE pk = 1',
+    { replacements: { tableName }, type: QueryTypes.SELECT }
+  );
+
+  return primaryKey?.name || 'rowid';
+}
+
 /**
  * Get complete database schema with all tables, columns, and relationships
  * This is the main function to call for getting full schema
  * 
+ * @param {string} [datasourceId] - Datasource to scan
  * @returns {Promise<Object>} Complete database schema
  */
-export async function getCompleteSchema() {
+export async function getCompleteSchema(datasourceId) {
   try {
-    console.log('🔍 Scanning database schema...');
+    const datasource = getDatasource(datasourceId);
+    console.log(`🔍 Scanning schema of datasource "${datasource.id}"...`);
 
-    const tables = await getAllTables();
+    const tables = await getAllTables(datasource.id);
     console.log(`📊 Found ${tables.length} tables:`, tables);
 
     const schema = {
-      database: sequelize.config.database,
-      dialect: sequelize.getDialect(),
+      datasourceId: datasource.id,
+      database: datasource.database || datasource.name,
+      dialect: datasource.dialect,
       tables: []
     };
 
@@ -312,8 +498,8 @@ export async function getCompleteSchema() {
     for (const tableName of tables) {
       console.log(`  ↳ Analyzing table: ${tableName}`);
 
-      const columns = await getTableColumns(tableName);
-      const relationships = await getTableRelationships(tableName);
+      const columns = await getTableColumns(tableName, datasource.id);
+      const relationships = await getTableRelationships(tableName, datasource.id);
 
       // Infer table description from name
       const description = inferTableDescription(tableName);
@@ -325,6 +511,8 @@ export async function getCompleteSchema() {
           name: col.name,
           type: col.type,
           nullable: col.nullable,
+          primaryKey: col.primaryKey,
+          unique: col.unique,
           description: col.comment || inferColumnDescription(col.name, col.type)
         })),
         relationships: relationships.map(rel => ({
@@ -441,58 +629,19 @@ function inferColumnDescription(columnName, dataType) {
   return columnName.replace(/_/g, ' ');
 }
 
-/**
- * Cache for schema to avoid repeated database queries
- * Cache expires after 1 hour
- */
-let schemaCache = null;
-let schemaCacheTime = null;
-const CACHE_DURATION = 60 * 60 * 1000; // 1 hour in milliseconds
-
-/**
- * Get schema with caching
- * 
- * @param {boolean} forceRefresh - Force refresh the cache
- * @returns {Promise<Object>} Complete database schema
- */
-export async function getCachedSchema(forceRefresh = false) {
-  const now = Date.now();
-
-  // Return cached schema if valid and not forcing refresh
-  if (!forceRefresh && schemaCache && schemaCacheTime && 
-      (now - schemaCacheTime) < CACHE_DURATION) {
-    console.log('📦 Using cached schema');
-    return schemaCache;
-  }
-
-  // Fetch fresh schema
-  console.log('🔄 Refreshing schema cache...');
-  schemaCache = await getCompleteSchema();
-  schemaCacheTime = now;
-
-  return schemaCache;
-}
-
-/**
- * Clear schema cache (useful after database migrations)
- */
-export function clearSchemaCache() {
-  schemaCache = null;
-  schemaCacheTime = null;
-  console.log('🗑️  Schema cache cleared');
-}
-
 /**
  * Get sample data from a table (for LLM context)
  * 
  * @param {string} tableName - Name of the table
  * @param {number} limit - Number of sample rows (default: 3)
+ * @param {string} [datasourceId] - Datasource the table belongs to
  * @returns {Promise<Array>} Sample rows
  */
-export async function getSampleData(tableName, limit = 3) {
+export async function getSampleData(tableName, limit = 3, datasourceId) {
   try {
-    const query = `SELECT * FROM ${tableName} LIMIT ${limit}`;
-    const data = await sequelize.query(query, {
+    const { dialect } = getDatasource(datasourceId);
+    const query = `SELECT * FROM ${quoteIdentifier(tableName, dialect)} LIMIT ${limit}`;
+    const data = await getQueryConnection(datasourceId).query(query, {
       type: QueryTypes.SELECT
     });
     return data;
@@ -506,11 +655,12 @@ export async function getSampleData(tableName, limit = 3) {
  * Validate if a table exists in the database
  * 
  * @param {string} tableName - Name of the table to check
+ * @param {string} [datasourceId] - Datasource to look in
  * @returns {Promise<boolean>} True if table exists
  */
-export async function tableExists(tableName) {
+export async function tableExists(tableName, datasourceId) {
   try {
-    const tables = await getAllTables();
+    const tables = await getAllTables(datasourceId);
     return tables.includes(tableName);
   } catch (error) {
     console.error('Error checking table existence:', error);
@@ -521,19 +671,22 @@ export async function tableExists(tableName) {
 /**
  * Get statistics about the database
  * 
+ * @param {string} [datasourceId] - Datasource to count
  * @returns {Promise<Object>} Database statistics
  */
-export async function getDatabaseStats() {
+export async function getDatabaseStats(datasourceId) {
   try {
-    const tables = await getAllTables();
+    const connection = getQueryConnection(datasourceId);
+    const { dialect } = getDatasource(datasourceId);
+    const tables = await getAllTables(datasourceId);
     const stats = {
       totalTables: tables.length,
       tables: []
     };
 
     for (const tableName of tables) {
-      const countQuery = `SELECT COUNT(*) as count FROM ${tableName}`;
-      const result = await sequelize.query(countQuery, {
+      const countQuery = `SELECT COUNT(*) as count FROM ${quoteIdentifier(tableName, dialect)}`;
+      const result = await connection.query(countQuery, {
         type: QueryTypes.SELECT
       });
 
@@ -548,4 +701,17 @@ export async function getDatabaseStats() {
     console.error('Error getting database stats:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Quote a table name for the dialect (backticks on MySQL/MariaDB,
+ * double quotes elsewhere)
+ * 
+ * @param {string} name - Table name as listed by getAllTables
+ * @param {string} dialect - Datasource dialect
+ * @returns {string} Quoted identifier
+ */
+function quoteIdentifier(name, dialect) {
+  const quote = dialect === 'mysql' || dialect === 'mariadb' ? '`' : '"';
+  return `${quote}${name.split(quote).join(quote + quote)}${quote}`;
+}
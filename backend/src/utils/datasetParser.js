@@ -0,0 +1,318 @@
+// utils/datasetParser.js
+// Parse uploaded CSV/TSV/JSON files into typed columns and rows
+// Column types use the same names normalizeDataType gives database columns
+// (INTEGER, DECIMAL, BOOLEAN, DATE, TIMESTAMP, STRING, TEXT), so uploaded
+// data reads like any other table in the schema.
+
+export const DATASET_FORMATS = ['csv', 'tsv', 'json'];
+
+// Wide files are usually a transposed export, not something to chart
+const MAX_COLUMNS = 200;
+
+// Longest value kept as STRING rather than TEXT
+const MAX_STRING_LENGTH = 255;
+
+// Column names the SQL validator cannot parse unquoted
+const RESERVED_WORDS = new Set([
+  'all', 'and', 'as', 'between', 'by', 'case', 'count', 'desc', 'distinct', 'else',
+  'end', 'exists', 'from', 'full', 'group', 'having', 'in', 'inner', 'into', 'is',
+  'join', 'left', 'like', 'limit', 'not', 'on', 'or', 'order', 'outer', 'right',
+  'select', 'set', 'table', 'then', 'union', 'using', 'values', 'when', 'where', 'with'
+]);
+
+const INTEGER_PATTERN = /^[-+]?\d+$/;
+const DECIMAL_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+const BOOLEAN_VALUES = { true: true, false: false, yes: true, no: false };
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * Detect the format of an uploaded file from its name
+ *
+ * @param {string} fileName - Original file name
+ * @returns {string|null} 'csv' | 'tsv' | 'json', or null if unknown
+ */
+export function detectFormat(fileName = '') {
+  const extension = fileName.toLowerCase().split('.').pop();
+  return DATASET_FORMATS.includes(extension) ? extension : null;
+}
+
+/**
+ * Name the table for an uploaded file ("Q3 sales.csv" → "q3_sales")
+ *
+ * @param {string} fileName - Original file name
+ * @returns {string} Table name
+ */
+export function toTableName(fileName = '') {
+  return toIdentifier(fileName.replace(/\.[^.]*$/, ''), 'dataset', 'data').slice(0, 63);
+}
+
+/**
+ * Parse an uploaded file
+ *
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' | 'tsv' | 'json'
+ * @returns {Object} { columns: [{ name, sourceName, type }], rows: Array<Array> }
+ *   Row values are converted to the column type (booleans as 1/0, dates
+ *   as ISO strings, empty cells as null)
+ * @throws {DatasetParseError} If the file is empty or malformed
+ */
+export function parseDataset(text, format) {
+  const content = text.replace(/^\uFEFF/, '');
+  const { headers, records } = format === 'json'
+    ? readJson(content)
+    : readDelimited(content, format === 'tsv' ? '\t' : ',');
+
+  if (headers.length === 0 || records.length === 0) {
+    throw new DatasetParseError('The file has no rows');
+  }
+
+  if (headers.length > MAX_COLUMNS) {
+    throw new DatasetParseError(`The file has ${headers.length} columns (at most ${MAX_COLUMNS} are supported)`);
+  }
+
+  const names = toColumnNames(headers);
+  const columns = headers.map((header, index) => ({
+    name: names[index],
+    sourceName: header,
+    type: inferColumnType(records.map(record => record[index]))
+  }));
+
+  const rows = records.map(record =>
+    columns.map((column, index) => convertValue(record[index], column.type))
+  );
+
+  return { columns, rows };
+}
+
+/**
+ * Infer the type of a column from its values
+ * The narrowest type every non-empty value fits wins
+ *
+ * @param {Array} values - Raw column values
+ * @returns {string} INTEGER | DECIMAL | BOOLEAN | DATE | TIMESTAMP | STRING | TEXT
+ */
+export function inferColumnType(values) {
+  const present = values.filter(value => !isEmpty(value));
+
+  if (present.length === 0) {
+    return 'STRING';
+  }
+
+  const candidates = [
+    ['INTEGER', isInteger],
+    ['DECIMAL', isDecimal],
+    ['BOOLEAN', isBoolean],
+    ['DATE', isDate],
+    ['TIMESTAMP', value => isDate(value) || isTimestamp(value)]
+  ];
+
+  for (const [type, matches] of candidates) {
+    if (present.every(matches)) {
+      return type;
+    }
+  }
+
+  return present.every(value => String(value).length <= MAX_STRING_LENGTH) ? 'STRING' : 'TEXT';
+}
+
+/**
+ * Split CSV/TSV text into a header and records (RFC 4180 quoting)
+ *
+ * @param {string} text - File contents
+ * @param {string} delimiter - ',' or '\t'
+ * @returns {Object} { headers, records }
+ * @throws {DatasetParseError} On an unterminated quote or a ragged row
+ */
+function readDelimited(text, delimiter) {
+  const lines = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      lines.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new DatasetParseError('The file ends inside a quoted value');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    lines.push(row);
+  }
+
+  // Blank lines carry no data
+  const [headers = [], ...records] = lines.filter(line => line.some(value => value.trim() !== ''));
+
+  records.forEach((record, index) => {
+    if (record.length !== headers.length) {
+      throw new DatasetParseError(
+        `Row ${index + 2} has ${record.length} values but the header has ${headers.length}`
+      );
+    }
+  });
+
+  return { headers: headers.map(header => header.trim()), records };
+}
+
+/**
+ * Read a JSON array of flat objects
+ * Nested objects and arrays are kept as JSON text
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { headers, records }
+ * @throws {DatasetParseError} If the file is not an array of objects
+ */
+function readJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new DatasetParseError(`The file is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(data) || data.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+    throw new DatasetParseError('A JSON file must contain an array of objects');
+  }
+
+  // Keys in order of first appearance
+  const headers = [...new Set(data.flatMap(item => Object.keys(item)))];
+  const records = data.map(item => headers.map(header => {
+    const value = item[header];
+    return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+  }));
+
+  return { headers, records };
+}
+
+/**
+ * Turn headers into unique snake_case identifiers
+ *
+ * @param {Array<string>} headers - Header values
+ * @returns {Array<string>} Column names
+ */
+function toColumnNames(headers) {
+  const used = new Set();
+
+  return headers.map((header, index) => {
+    const name = toIdentifier(header, `column_${index + 1}`, 'value');
+
+    let unique = name;
+    for (let suffix = 2; used.has(unique); suffix++) {
+      unique = `${name}_${suffix}`;
+    }
+
+    used.add(unique);
+    return unique;
+  });
+}
+
+/**
+ * Make a lowercase identifier that parses without quotes
+ *
+ * @param {string} text - Header or file name
+ * @param {string} fallback - Used when nothing is left of the text
+ * @param {string} suffix - Appended to reserved words ("order" → "order_value")
+ * @returns {string} Identifier
+ */
+function toIdentifier(text, fallback, suffix) {
+  const name = String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '') || fallback;
+
+  if (/^\d/.test(name)) return `${suffix}_${name}`;
+  return RESERVED_WORDS.has(name) ? `${name}_${suffix}` : name;
+}
+
+/**
+ * Convert a raw value to its column type
+ *
+ * @param {*} value - Raw value
+ * @param {string} type - Inferred column type
+ * @returns {*} Value to store
+ */
+function convertValue(value, type) {
+  if (isEmpty(value)) return null;
+
+  switch (type) {
+    case 'INTEGER':
+    case 'DECIMAL':
+      return Number(value);
+    case 'BOOLEAN':
+      return typeof value === 'boolean' ? Number(value) : Number(BOOLEAN_VALUES[String(value).trim().toLowerCase()]);
+    case 'DATE':
+    case 'TIMESTAMP':
+      return String(value).trim().replace('T', ' ');
+    default:
+      return String(value);
+  }
+}
+
+// Value predicates used for type inference
+
+function isEmpty(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+function isInteger(value) {
+  return typeof value === 'number'
+    ? Number.isSafeInteger(value)
+    : INTEGER_PATTERN.test(String(value).trim()) && Number.isSafeInteger(Number(value));
+}
+
+function isDecimal(value) {
+  return typeof value === 'number' ? Number.isFinite(value) : DECIMAL_PATTERN.test(String(value).trim());
+}
+
+function isBoolean(value) {
+  return typeof value === 'boolean' || Object.hasOwn(BOOLEAN_VALUES, String(value).trim().toLowerCase());
+}
+
+function isDate(value) {
+  const text = String(value).trim();
+  return DATE_PATTERN.test(text) && !Number.isNaN(Date.parse(text));
+}
+
+function isTimestamp(value) {
+  const text = String(value).trim();
+  return TIMESTAMP_PATTERN.test(text) && !Number.isNaN(Date.parse(text.replace(' ', 'T')));
+}
+
+/**
+ * Raised for an upload that cannot be read as a table
+ */
+class DatasetParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DatasetParseError';
+  }
+}
+
+export { DatasetParseError };
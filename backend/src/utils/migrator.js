@@ -0,0 +1,61 @@
+// utils/migrator.js
+// Applies pending migrations (migrations/) to the metadata database
+// Runs at startup, before sequelize.sync, so sync never sees a table in
+// its pre-migration layout (sync would drop a renamed column along with
+// its data). Applied migrations are recorded in "SequelizeMeta", the
+// table sequelize-cli uses, so `npx sequelize-cli db:migrate` and this
+// runner can be mixed. Set RUN_MIGRATIONS=false to run them separately.
+// Each migration runs in a transaction together with its SequelizeMeta
+// row (up receives { transaction } and passes it to every query), so a
+// failed migration leaves neither half-applied changes nor a record.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { Sequelize, QueryTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MIGRATIONS_PATH = path.resolve(__dirname, '../../migrations');
+
+/**
+ * Apply the migrations that have not run yet, oldest first
+ *
+ * @returns {Promise<Array<string>>} Names of the migrations applied
+ * @throws {Error} If a migration fails (it is rolled back and later migrations are not run)
+ */
+export async function runPendingMigrations() {
+  if (process.env.RUN_MIGRATIONS === 'false') {
+    return [];
+  }
+
+  await sequelize.query(
+    'CREATE TABLE IF NOT EXISTS "SequelizeMeta" (name VARCHAR(255) NOT NULL PRIMARY KEY)'
+  );
+
+  const applied = new Set((await sequelize.query('SELECT name FROM "SequelizeMeta"', {
+    type: QueryTypes.SELECT
+  })).map(row => row.name));
+
+  const pending = fs.readdirSync(MIGRATIONS_PATH)
+    .filter(name => name.endsWith('.js') && !applied.has(name))
+    .sort();
+
+  const queryInterface = sequelize.getQueryInterface();
+
+  for (const name of pending) {
+    console.log(`🗄️  Running migration ${name}...`);
+    const migration = await import(pathToFileURL(path.join(MIGRATIONS_PATH, name)).href);
+
+    await sequelize.transaction(async (transaction) => {
+      await migration.up(queryInterface, Sequelize, { transaction });
+      await sequelize.query('INSERT INTO "SequelizeMeta" (name) VALUES (:name)', {
+        replacements: { name },
+        transaction
+      });
+    });
+  }
+
+  return pending;
+}
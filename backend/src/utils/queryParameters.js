@@ -0,0 +1,160 @@
+// utils/queryParameters.js
+// Typed named parameters for saved queries
+//
+// Queries declare filters as :name placeholders, e.g.
+//   (:region IS NULL OR region = :region)
+// and values are always bound through Sequelize replacements, never
+// concatenated into the SQL. A parameter left unset binds its default,
+// and without a default binds NULL, which switches that filter off.
+
+export const PARAMETER_TYPES = ['date', 'number', 'string'];
+
+// Same shape as a SQL identifier, so names are safe to show and reuse
+const PARAMETER_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// YYYY-MM-DD, optionally with a time part
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Guess a parameter's type from its name
+ *
+ * @param {string} name - Parameter name (e.g. start_date, min_amount, region)
+ * @returns {string} 'date' | 'number' | 'string'
+ */
+export function inferParameterType(name) {
+  const lower = name.toLowerCase();
+
+  if (/(^|_)(date|from|to|since|until|start|end)($|_)|_at$/.test(lower)) {
+    return 'date';
+  }
+
+  if (/^(min|max|limit|top)_|_(id|count|amount|price|total|quantity|qty|year)$/.test(lower)) {
+    return 'number';
+  }
+
+  return 'string';
+}
+
+/**
+ * Turn a snake_case parameter name into a label
+ *
+ * @param {string} name - Parameter name
+ * @returns {string} Label, e.g. "Start Date"
+ */
+function toLabel(name) {
+  return name
+    .split('_')
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Build parameter declarations for the placeholders a query uses
+ *
+ * Declarations given by the caller (or the AI at generation time) win;
+ * placeholders without one get an inferred type. Declarations for names
+ * the query does not use are dropped.
+ *
+ * @param {Array<string>} names - Placeholder names found in the SQL
+ * @param {Array} [declared] - [{ name, type?, label?, default? }]
+ * @returns {Array} [{ name, type, label, default }]
+ */
+export function declareParameters(names, declared = []) {
+  const byName = new Map(
+    (Array.isArray(declared) ? declared : [])
+      .filter(parameter => parameter && typeof parameter.name === 'string')
+      .map(parameter => [parameter.name, parameter])
+  );
+
+  return names
+    .filter(name => PARAMETER_NAME_PATTERN.test(name))
+    .map(name => {
+      const given = byName.get(name) || {};
+      const type = PARAMETER_TYPES.includes(given.type) ? given.type : inferParameterType(name);
+
+      return {
+        name,
+        type,
+        label: given.label || toLabel(name),
+        default: given.default ?? null
+      };
+    });
+}
+
+/**
+ * Build the Sequelize replacements for a query's parameters
+ *
+ * @param {Array} parameters - Declarations (see declareParameters)
+ * @param {Object} [values] - Values by parameter name; unknown names are ignored
+ * @returns {Object} Replacements { name: value | null }
+ * @throws {InvalidParameterError} If a value does not match its type
+ */
+export function bindParameters(parameters, values = {}) {
+  const replacements = {};
+
+  for (const parameter of parameters) {
+    const given = values?.[parameter.name];
+    const value = isUnset(given) ? parameter.default : given;
+    replacements[parameter.name] = isUnset(value) ? null : coerceValue(parameter, value);
+  }
+
+  return replacements;
+}
+
+/**
+ * Check whether a value counts as "not set"
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for undefined, null and blank strings
+ */
+function isUnset(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Convert a value to its parameter's type
+ *
+ * @param {Object} parameter - Parameter declaration
+ * @param {*} value - Value to convert
+ * @returns {string|number} Typed value
+ * @throws {InvalidParameterError} If the value cannot be converted
+ */
+function coerceValue(parameter, value) {
+  switch (parameter.type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(number)) {
+        throw new InvalidParameterError(parameter.name, `must be a number (got "${value}")`);
+      }
+      return number;
+    }
+
+    case 'date': {
+      const text = String(value).trim();
+      if (!DATE_PATTERN.test(text) || isNaN(new Date(text).getTime())) {
+        throw new InvalidParameterError(parameter.name, `must be a date as YYYY-MM-DD (got "${value}")`);
+      }
+      return text;
+    }
+
+    default:
+      if (typeof value === 'object') {
+        throw new InvalidParameterError(parameter.name, 'must be a single value');
+      }
+      return String(value);
+  }
+}
+
+/**
+ * Raised when a parameter value does not match its declared type
+ */
+class InvalidParameterError extends Error {
+  constructor(name, reason) {
+    super(`Parameter "${name}" ${reason}`);
+    this.name = 'InvalidParameterError';
+    this.parameter = name;
+  }
+}
+
+export { InvalidParameterError };
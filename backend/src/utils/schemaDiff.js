@@ -0,0 +1,111 @@
+// utils/schemaDiff.js
+// Fingerprint and compare database schemas
+// A fingerprint covers table names, column names, types and nullability,
+// so it changes with any migration that matters to generated queries
+// (descriptions and relationships are left out).
+
+import crypto from 'crypto';
+
+/**
+ * Hash the structure of a schema
+ *
+ * @param {Array<Object>} tables - [{ name, columns: [{ name, type, nullable }] }]
+ * @returns {string} SHA-256 hex digest (independent of table/column order)
+ */
+export function fingerprintSchema(tables = []) {
+  const lines = tables
+    .flatMap(table => table.columns.map(column =>
+      `${table.name}.${column.name}:${column.type}:${column.nullable ? 'null' : 'not null'}`
+    ))
+    .sort();
+
+  // Tables without columns still count
+  const tableNames = tables.map(table => table.name).sort();
+
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ tables: tableNames, columns: lines }))
+    .digest('hex');
+}
+
+/**
+ * Compare two schemas
+ *
+ * @param {Object|null} previous - Earlier schema ({ tables }), or null
+ * @param {Object} next - Current schema ({ tables })
+ * @returns {Object} { addedTables, removedTables, changedTables: [{ table,
+ *   addedColumns, removedColumns, changedColumns: [{ name, before, after }] }] }
+ *   Columns are given as { name, type, nullable }
+ */
+export function diffSchemas(previous, next) {
+  const before = indexTables(previous?.tables);
+  const after = indexTables(next?.tables);
+
+  const diff = {
+    addedTables: [...after.keys()].filter(name => !before.has(name)),
+    removedTables: [...before.keys()].filter(name => !after.has(name)),
+    changedTables: []
+  };
+
+  for (const [name, columns] of after) {
+    const oldColumns = before.get(name);
+    if (!oldColumns) continue;
+
+    const change = {
+      table: name,
+      addedColumns: [...columns.values()].filter(column => !oldColumns.has(column.name)),
+      removedColumns: [...oldColumns.values()].filter(column => !columns.has(column.name)),
+      changedColumns: [...columns.values()]
+        .filter(column => {
+          const old = oldColumns.get(column.name);
+          return old && (old.type !== column.type || old.nullable !== column.nullable);
+        })
+        .map(column => ({
+          name: column.name,
+          before: toColumn(oldColumns.get(column.name)),
+          after: toColumn(column)
+        }))
+    };
+
+    if (change.addedColumns.length || change.removedColumns.length || change.changedColumns.length) {
+      diff.changedTables.push(change);
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Check whether a diff contains any change
+ *
+ * @param {Object} diff - Result of diffSchemas
+ * @returns {boolean} True if tables or columns changed
+ */
+export function hasSchemaChanges(diff) {
+  return Boolean(diff) && (diff.addedTables.length > 0
+    || diff.removedTables.length > 0
+    || diff.changedTables.length > 0);
+}
+
+/**
+ * Index tables by name, columns by name
+ *
+ * @param {Array<Object>} [tables] - Schema tables
+ * @returns {Map<string, Map<string, Object>>} Table → column name → column
+ */
+function indexTables(tables = []) {
+  return new Map(tables.map(table => [
+    table.name,
+    new Map(table.columns.map(column => [column.name, toColumn(column)]))
+  ]));
+}
+
+/**
+ * The part of a column the diff compares
+ *
+ * @param {Object} column - Schema column
+ * @returns {Object} { name, type, nullable }
+ */
+function toColumn(column) {
+  return { name: column.name, type: column.type, nullable: Boolean(column.nullable) };
+}
@@ -0,0 +1,272 @@
+// utils/schemaPruner.js
+// Narrow a large schema to the tables a prompt is about
+// Small schemas are sent whole. Above SCHEMA_PRUNE_THRESHOLD tables (default
+// 20), tables are ranked by how many words of the prompt match their name,
+// their columns, column descriptions and sampled values (glossary synonyms
+// included, see services/annotationService.js); the best ones are
+// kept together with their foreign-key neighbours, up to SCHEMA_MAX_TABLES
+// (default 15). Tables the conversation already queried are always kept, so
+// follow-ups ("now by month") still see them. Wide tables are cut down to
+// their key columns and the columns the prompt mentions.
+
+const PRUNE_THRESHOLD = Number(process.env.SCHEMA_PRUNE_THRESHOLD) || 20;
+const MAX_TABLES = Number(process.env.SCHEMA_MAX_TABLES) || 15;
+const MAX_COLUMNS = Number(process.env.SCHEMA_MAX_COLUMNS) || 40;
+
+// Match weights, per prompt word (the best match of a word counts once per table)
+const WEIGHTS = {
+  tableName: 4,
+  sampleValue: 2,
+  columnName: 1,
+  description: 0.5
+};
+
+// Schema column → its words (see getColumnWords)
+const columnWords = new WeakMap();
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'by', 'per', 'with', 'from', 'at',
+  'me', 'show', 'give', 'list', 'get', 'what', 'which', 'how', 'many', 'much', 'is', 'are', 'was',
+  'each', 'all', 'top', 'over', 'time', 'chart', 'graph', 'plot', 'table', 'as', 'vs', 'than', 'into',
+  'now', 'only', 'make', 'it', 'this', 'that', 'last', 'between', 'number', 'total'
+]);
+
+/**
+ * Select the part of a schema to describe to the model for a prompt
+ *
+ * @param {Object} schema - Complete schema
+ * @param {string} prompt - User's natural language query
+ * @param {Object} [options] - Pruning options
+ * @param {Array} [options.history] - Previous turns ({ sqlQuery, analysis })
+ * @returns {Object} { schema, includedTables, totalTables, pruned }
+ */
+export function pruneSchema(schema, prompt, { history = [] } = {}) {
+  const totalTables = schema.tables.length;
+  if (totalTables <= PRUNE_THRESHOLD) {
+    return { schema, includedTables: schema.tables.map(table => table.name), totalTables, pruned: false };
+  }
+
+  const words = tokenize(prompt);
+  const scores = new Map(schema.tables.map(table => [table.name, scoreTable(table, words)]));
+
+  const selected = new Set(findHistoryTables(schema.tables, history));
+
+  const matched = schema.tables
+    .filter(table => scores.get(table.name) > 0)
+    .sort((a, b) => scores.get(b.name) - scores.get(a.name));
+
+  // Nothing to go on: the best guess is the most connected tables
+  const fallback = matched.length === 0 && selected.size === 0;
+  const seeds = (fallback ? rankByConnections(schema.tables) : matched).map(table => table.name);
+
+  // The best matches take half the room, so their neighbours still fit;
+  // weaker matches fill what is left
+  for (const name of seeds.slice(0, Math.ceil(MAX_TABLES / 2))) {
+    if (selected.size >= MAX_TABLES) break;
+    selected.add(name);
+  }
+
+  for (const name of [...findNeighbours(schema.tables, selected, scores), ...seeds]) {
+    if (selected.size >= MAX_TABLES) break;
+    selected.add(name);
+  }
+
+  const tables = schema.tables
+    .filter(table => selected.has(table.name))
+    .map(table => limitColumns(table, words));
+
+  return {
+    schema: { ...schema, tables },
+    includedTables: tables.map(table => table.name),
+    totalTables,
+    pruned: true
+  };
+}
+
+/**
+ * Split text into lowercase, singular words without stop words
+ *
+ * @param {string} text - Prompt, identifier or description
+ * @returns {Array<string>} Words
+ */
+function tokenize(text) {
+  return String(text || '')
+    // Split camelCase identifiers too
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+    .map(singularize);
+}
+
+/**
+ * Reduce simple English plurals so "customers" matches "customer"
+ *
+ * @param {string} word - Lowercase word
+ * @returns {string} Singular form
+ */
+function singularize(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 4 && /(ses|xes|ches|shes)$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * Score how well a table matches the words of a prompt
+ *
+ * @param {Object} table - Schema table
+ * @param {Array<string>} words - Prompt words
+ * @returns {number} Score (0 if nothing matches)
+ */
+function scoreTable(table, words) {
+  const tableWords = new Set([table.name, ...(table.synonyms || [])].flatMap(tokenize));
+  return words.reduce((score, word) => {
+    const best = tableWords.has(word)
+      ? WEIGHTS.tableName
+      : Math.max(0, ...table.columns.map(column => scoreColumn(column, [word])));
+    return score + best;
+  }, 0);
+}
+
+/**
+ * Score how well a column matches the words of a prompt
+ *
+ * @param {Object} column - Schema column (with an optional profile)
+ * @param {Array<string>} words - Prompt words
+ * @returns {number} Score (0 if nothing matches)
+ */
+function scoreColumn(column, words) {
+  const { nameWords, descriptionWords, valueWords } = getColumnWords(column);
+
+  return words.reduce((score, word) => {
+    if (valueWords.has(word)) return score + WEIGHTS.sampleValue;
+    if (nameWords.has(word)) return score + WEIGHTS.columnName;
+    if (descriptionWords.has(word)) return score + WEIGHTS.description;
+    return score;
+  }, 0);
+}
+
+/**
+ * Words of a column's name, description and sampled values
+ * Glossary synonyms count as name words, annotated values as values
+ * Cached per column object, which lives as long as the cached schema
+ *
+ * @param {Object} column - Schema column
+ * @returns {Object} { nameWords, descriptionWords, valueWords } (Sets)
+ */
+function getColumnWords(column) {
+  if (!columnWords.has(column)) {
+    columnWords.set(column, {
+      nameWords: new Set([column.name, ...(column.synonyms || [])].flatMap(tokenize)),
+      descriptionWords: new Set(tokenize(column.description)),
+      valueWords: new Set([
+        ...(column.profile?.topValues || []).map(({ value }) => value),
+        ...(column.values || []).flatMap(({ value, synonyms }) => [value, ...synonyms])
+      ].flatMap(tokenize))
+    });
+  }
+  return columnWords.get(column);
+}
+
+/**
+ * Tables queried in earlier turns of the conversation
+ *
+ * @param {Array<Object>} tables - Schema tables
+ * @param {Array} history - Previous turns
+ * @returns {Array<string>} Table names
+ */
+function findHistoryTables(tables, history) {
+  const sql = history.map(turn => turn.sqlQuery || '').join('\n');
+  const used = new Set(history.flatMap(turn => turn.analysis?.tablesUsed || []));
+
+  return tables
+    .filter(table => used.has(table.name) || new RegExp(`\\b${table.name}\\b`, 'i').test(sql))
+    .map(table => table.name);
+}
+
+/**
+ * Order tables by their number of foreign keys, in and out
+ *
+ * @param {Array<Object>} tables - Schema tables
+ * @returns {Array<Object>} Tables, most connected first
+ */
+function rankByConnections(tables) {
+  const degree = new Map(tables.map(table => [table.name, 0]));
+  for (const table of tables) {
+    for (const rel of table.relationships || []) {
+      degree.set(table.name, degree.get(table.name) + 1);
+      if (degree.has(rel.foreignTable)) {
+        degree.set(rel.foreignTable, degree.get(rel.foreignTable) + 1);
+      }
+    }
+  }
+
+  return [...tables].sort((a, b) => degree.get(b.name) - degree.get(a.name));
+}
+
+/**
+ * Tables one foreign key away from the selected ones
+ * Tables the selection references come first (they are needed to resolve
+ * ids to names), then tables referencing the selection; best scores first
+ *
+ * @param {Array<Object>} tables - Schema tables
+ * @param {Set<string>} selected - Selected table names
+ * @param {Map<string, number>} scores - Prompt scores by table name
+ * @returns {Array<string>} Neighbouring table names
+ */
+function findNeighbours(tables, selected, scores) {
+  const byScore = (a, b) => (scores.get(b) || 0) - (scores.get(a) || 0);
+
+  const referenced = new Set();
+  const referencing = new Set();
+  for (const table of tables) {
+    for (const rel of table.relationships || []) {
+      if (selected.has(table.name) && !selected.has(rel.foreignTable)) {
+        referenced.add(rel.foreignTable);
+      } else if (selected.has(rel.foreignTable) && !selected.has(table.name)) {
+        referencing.add(table.name);
+      }
+    }
+  }
+
+  return [
+    ...[...referenced].sort(byScore),
+    ...[...referencing].filter(name => !referenced.has(name)).sort(byScore)
+  ];
+}
+
+/**
+ * Cut a wide table down to its key columns and the columns the prompt
+ * mentions, keeping the original column order
+ *
+ * @param {Object} table - Schema table
+ * @param {Array<string>} words - Prompt words
+ * @returns {Object} Table, with omittedColumns set if columns were left out
+ */
+function limitColumns(table, words) {
+  if (table.columns.length <= MAX_COLUMNS) {
+    return table;
+  }
+
+  const keys = new Set((table.relationships || []).map(rel => rel.column));
+  const rank = column => {
+    if (column.name === 'id' || keys.has(column.name)) return Infinity;
+    return scoreColumn(column, words);
+  };
+
+  const kept = new Set(
+    table.columns
+      .map((column, index) => ({ column, index, score: rank(column) }))
+      // Equal scores keep the table's own order
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, MAX_COLUMNS)
+      .map(({ column }) => column.name)
+  );
+
+  return {
+    ...table,
+    columns: table.columns.filter(column => kept.has(column.name)),
+    omittedColumns: table.columns.length - kept.size
+  };
+}
@@ -0,0 +1,1378 @@
+// utils/sqlAnalyzer.js
+// Syntax-tree based SQL safety analysis for AI-generated queries
+//
+// The query is parsed with node-sql-parser and rejected unless it is a
+// single read-only SELECT/WITH statement that only calls allowlisted
+// functions and only references tables and columns present in the schema.
+// Column policies on the schema (column.access, see
+// services/columnPolicyService.js) are enforced too: hidden columns may not
+// be referenced, aggregate-only columns only as the direct argument of
+// COUNT/SUM/AVG (and not grouped by their table's primary key or filtered
+// on its key or unique columns), and the output columns that carry masked
+// values are reported as `masks`.
+// applyRowFilters rewrites a validated query so it only reads the rows
+// an identity may see (services/rowPolicyService.js).
+
+import sqlParser from 'node-sql-parser';
+
+const { Parser } = sqlParser;
+const parser = new Parser();
+
+// node-sql-parser dialect names
+const PARSER_DIALECTS = {
+  postgres: 'PostgresQL',
+  mysql: 'MySQL',
+  mariadb: 'MariaDB',
+  sqlite: 'Sqlite'
+};
+
+// Functions generated queries may call (lowercase)
+// Extend with SQL_ALLOWED_FUNCTIONS=fn1,fn2 in .env
+const ALLOWED_FUNCTIONS = new Set([
+  // Aggregates
+  'count', 'sum', 'avg', 'min', 'max', 'stddev', 'stddev_pop', 'stddev_samp',
+  'variance', 'var_pop', 'var_samp', 'string_agg', 'array_agg', 'group_concat',
+  'bool_and', 'bool_or', 'percentile_cont', 'percentile_disc', 'mode', 'median',
+
+  // Window functions
+  'row_number', 'rank', 'dense_rank', 'ntile', 'lag', 'lead', 'first_value',
+  'last_value', 'nth_value', 'percent_rank', 'cume_dist',
+
+  // Conditional
+  'coalesce', 'nullif', 'greatest', 'least', 'ifnull', 'if', 'iif',
+
+  // Math
+  'abs', 'round', 'ceil', 'ceiling', 'floor', 'trunc', 'truncate', 'power', 'pow',
+  'sqrt', 'mod', 'sign', 'exp', 'ln', 'log', 'log10',
+
+  // Strings
+  'lower', 'upper', 'initcap', 'length', 'char_length', 'character_length',
+  'substr', 'substring', 'trim', 'ltrim', 'rtrim', 'btrim', 'concat', 'concat_ws',
+  'replace', 'left', 'right', 'lpad', 'rpad', 'position', 'strpos', 'instr',
+  'split_part', 'format',
+
+  // Dates and times
+  'to_char', 'to_date', 'to_timestamp', 'to_number', 'date_trunc', 'date_part',
+  'age', 'now', 'current_date', 'current_timestamp', 'current_time', 'localtimestamp',
+  'date', 'datetime', 'time', 'strftime', 'julianday', 'date_format', 'str_to_date',
+  'year', 'month', 'day', 'dayofweek', 'dayofmonth', 'dayofyear', 'week', 'weekofyear',
+  'quarter', 'hour', 'minute', 'second', 'date_add', 'date_sub', 'datediff',
+  'timestampdiff', 'make_date', 'last_day', 'extract'
+]);
+
+// Aggregates that never return an individual value, so an aggregate-only
+// column may be their argument (MIN, MAX, STRING_AGG, ... may not)
+const SAFE_AGGREGATES = new Set(['count', 'sum', 'avg']);
+
+// Statement types that may never appear anywhere in a generated query
+const FORBIDDEN_STATEMENT_TYPES = new Set([
+  'insert', 'replace', 'update', 'delete', 'create', 'drop', 'alter', 'truncate',
+  'rename', 'grant', 'revoke', 'use', 'set', 'lock', 'unlock', 'call', 'exec',
+  'execute', 'copy', 'load_data', 'transaction', 'declare', 'show', 'explain'
+]);
+
+/**
+ * Parse SQL into a syntax tree
+ *
+ * @param {string} sqlQuery - SQL to parse
+ * @param {string} dialect - Sequelize dialect (postgres, mysql, mariadb, sqlite)
+ * @returns {Array} Parsed statements
+ * @throws {Error} If the SQL cannot be parsed
+ */
+export function parseSql(sqlQuery, dialect = 'postgres') {
+  const ast = parser.astify(sqlQuery, { database: getParserDialect(dialect) });
+  return Array.isArray(ast) ? ast : [ast];
+}
+
+/**
+ * Convert a syntax tree back to SQL
+ *
+ * @param {Object} ast - Statement syntax tree
+ * @param {string} dialect - Sequelize dialect
+ * @returns {string} SQL string
+ */
+export function toSql(ast, dialect = 'postgres') {
+  return parser.sqlify(ast, { database: getParserDialect(dialect) });
+}
+
+/**
+ * Get the node-sql-parser dialect name for a Sequelize dialect
+ *
+ * @param {string} dialect - Sequelize dialect
+ * @returns {string} Parser dialect
+ */
+export function getParserDialect(dialect) {
+  return PARSER_DIALECTS[dialect] || PARSER_DIALECTS.postgres;
+}
+
+/**
+ * List the named parameters (:name placeholders) a query uses
+ *
+ * Postgres casts (value::type) are not parameters and are not reported.
+ *
+ * @param {string} sqlQuery - SQL query
+ * @param {string} dialect - Sequelize dialect
+ * @returns {Array<string>} Parameter names in order of first use
+ * @throws {Error} If the SQL cannot be parsed
+ */
+export function findParameters(sqlQuery, dialect = 'postgres') {
+  const names = new Set();
+
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+
+    if (node.type === 'param' && typeof node.value === 'string') {
+      names.add(node.value);
+      return;
+    }
+
+    Object.values(node).forEach(visit);
+  };
+
+  visit(parseSql(sqlQuery, dialect));
+  return [...names];
+}
+
+/**
+ * Derive the detail query behind one group of an aggregated query
+ *
+ * Keeps the FROM/JOIN and WHERE clauses (and any WITH), selects the base
+ * table's rows instead of the aggregates, and adds a condition comparing
+ * the grouping expression with a bound parameter (or IS NULL). GROUP BY,
+ * HAVING, DISTINCT, ORDER BY and LIMIT are dropped; rows are ordered by
+ * the base table's id column when it has one, so pages are stable. Base
+ * tables with hidden or aggregate-only columns (column.access) get an
+ * explicit column list without them instead of alias.*.
+ *
+ * @param {string} sqlQuery - Aggregated SELECT
+ * @param {Object} options - Detail options
+ * @param {string} options.field - Output column or grouping column clicked on
+ * @param {string} options.parameterName - Placeholder name for the clicked value
+ * @param {boolean} [options.isNull] - Match NULL instead of the placeholder
+ * @param {Object} [options.schema] - Database schema, used to find an id column
+ * @returns {Object} { sql, baseTable }
+ * @throws {Error} If the query has no usable grouping expression for the field
+ */
+export function buildDetailQuery(sqlQuery, options) {
+  const { field, parameterName, isNull = false, schema } = options;
+  const dialect = schema?.dialect || 'postgres';
+  const statements = parseSql(sqlQuery, dialect);
+
+  if (statements.length !== 1 || statements[0].type !== 'select') {
+    throw new Error('Only a single SELECT can be drilled into');
+  }
+
+  const stmt = statements[0];
+  if (stmt._next || stmt.set_op) {
+    throw new Error('Queries combined with UNION/INTERSECT/EXCEPT cannot be drilled into');
+  }
+
+  const base = (stmt.from || []).find(item => !item.join);
+  if (!base) {
+    throw new Error('The query has no FROM clause to drill into');
+  }
+
+  const groupExpr = findGroupExpression(stmt, field);
+  if (!groupExpr) {
+    throw new Error(`"${field}" is not a grouping column of this query`);
+  }
+
+  const baseAlias = base.as || base.table;
+  const baseTable = base.table ? identifierName(base.table) : null;
+  const tableInfo = (schema?.tables || []).find(table => table.name.toLowerCase() === baseTable?.toLowerCase());
+
+  const columns = tableInfo?.columns.some(column => column.access && column.access !== 'masked')
+    ? tableInfo.columns
+      .filter(column => !column.access || column.access === 'masked')
+      .map(column => ({ type: 'expr', expr: { type: 'column_ref', table: baseAlias, column: column.name }, as: null }))
+    : [{ type: 'expr', expr: { type: 'column_ref', table: baseAlias, column: '*' }, as: null }];
+
+  const condition = isNull
+    ? { type: 'binary_expr', operator: 'IS', left: groupExpr, right: { type: 'null', value: null } }
+    : { type: 'binary_expr', operator: '=', left: groupExpr, right: { type: 'param', value: parameterName } };
+
+  const detail = {
+    ...stmt,
+    distinct: null,
+    columns,
+    where: stmt.where
+      ? { type: 'binary_expr', operator: 'AND', left: { ...stmt.where, parentheses: true }, right: condition }
+      : condition,
+    groupby: null,
+    having: null,
+    window: null,
+    orderby: null,
+    limit: null
+  };
+
+  if (tableInfo?.columns.some(column => column.name.toLowerCase() === 'id')) {
+    detail.orderby = [{ expr: { type: 'column_ref', table: baseAlias, column: 'id' }, type: 'ASC' }];
+  }
+
+  return { sql: toSql(detail, dialect), baseTable };
+}
+
+/**
+ * Restrict the rows a query can read from filtered tables
+ *
+ * Every reference to a filtered table, at any depth (joins, subqueries,
+ * CTEs, UNION branches), is replaced by a derived table that selects the
+ * permitted rows only:
+ *   FROM SALES s  →  FROM (SELECT * FROM sales WHERE region IN ('emea')) s
+ * so whatever the query does with the table, it never sees other rows.
+ * Only those table names are replaced; the rest of the query is kept as
+ * written, so identifiers keep their case and quoting. A CTE that shadows
+ * a filtered table's name is filtered as well; that can only make a query
+ * fail, never widen what it reads.
+ *
+ * @param {string} sqlQuery - Validated SELECT
+ * @param {Array<Object>} filters - Row filters { table, column, values }
+ *   (values: permitted values, or an empty array to permit no rows)
+ * @param {string} dialect - Sequelize dialect
+ * @returns {string} Rewritten SQL (unchanged if no filtered table is read)
+ * @throws {Error} If the SQL cannot be parsed, or its filtered tables cannot all be found
+ */
+export function applyRowFilters(sqlQuery, filters, dialect = 'postgres') {
+  if (!filters || filters.length === 0) {
+    return sqlQuery;
+  }
+
+  const byTable = new Map();
+  for (const filter of filters) {
+    const key = filter.table.toLowerCase();
+    byTable.set(key, [...(byTable.get(key) || []), filter]);
+  }
+
+  const references = findFromTables(sqlQuery, dialect)
+    .filter(reference => byTable.has(reference.table));
+  assertReferencesAligned(sqlQuery, references, byTable, dialect);
+
+  return replaceReferences(sqlQuery, references, (reference) => {
+    const where = byTable.get(reference.table).map(filter => toRowCondition(filter, dialect)).join(' AND ');
+    const subquery = `(SELECT * FROM ${reference.qualifier}${formatIdentifier(reference.table, dialect)} WHERE ${where})`;
+    return subquery + (reference.hasAlias ? '' : ` AS ${reference.name}`);
+  });
+}
+
+/**
+ * Check the table references found in the text against the syntax tree
+ *
+ * Every reference is renamed to a probe table and the result parsed again:
+ * each probe must be read exactly once as a FROM/JOIN item, and no filtered
+ * table may be left. A reference the tokenizer found inside a literal, or
+ * one it missed, fails here instead of leaving the real read unfiltered.
+ *
+ * @param {string} sqlQuery - SQL text
+ * @param {Array<Object>} references - References from findFromTables
+ * @param {Map} byTable - Lowercase table name → filters
+ * @param {string} dialect - Sequelize dialect
+ * @throws {Error} If the references do not line up with the syntax tree
+ */
+function assertReferencesAligned(sqlQuery, references, byTable, dialect) {
+  const probe = replaceReferences(sqlQuery, references, (reference, index) => `row_filter_probe_${index}`);
+  const read = findTableReferences(parseSql(probe, dialect));
+
+  const aligned = references.every((reference, index) => (
+    read.filter(table => table === `row_filter_probe_${index}`).length === 1
+  )) && !read.some(table => byTable.has(table));
+
+  if (!aligned) {
+    throw new Error('Row filters could not be applied: not every read of a filtered table was found');
+  }
+}
+
+/**
+ * Replace table references in SQL text, last first so offsets stay valid
+ *
+ * @param {string} sqlQuery - SQL text
+ * @param {Array<Object>} references - References from findFromTables
+ * @param {Function} replacement - (reference, index) → SQL for the qualified name
+ * @returns {string} Rewritten SQL
+ */
+function replaceReferences(sqlQuery, references, replacement) {
+  let rewritten = sqlQuery;
+  for (let i = references.length - 1; i >= 0; i--) {
+    const reference = references[i];
+    rewritten = rewritten.slice(0, reference.start) + replacement(reference, i) + rewritten.slice(reference.end);
+  }
+  return rewritten;
+}
+
+/**
+ * List the tables a syntax tree reads in its FROM/JOIN items, at any depth
+ *
+ * @param {*} node - Syntax tree node
+ * @returns {Array<string>} Lowercase table names, once per reference
+ */
+function findTableReferences(node) {
+  if (!node || typeof node !== 'object') return [];
+  if (Array.isArray(node)) return node.flatMap(findTableReferences);
+
+  const own = node.type === 'select' && Array.isArray(node.from)
+    ? node.from.filter(item => item.table).map(item => identifierName(item.table).toLowerCase())
+    : [];
+  return [...own, ...Object.values(node).flatMap(findTableReferences)];
+}
+
+// Words that end a FROM clause, or follow a table name without being its alias
+const FROM_CLAUSE_END = new Set([
+  'where', 'group', 'having', 'order', 'limit', 'offset', 'union', 'intersect', 'except',
+  'window', 'fetch', 'for', 'qualify', 'select'
+]);
+const NOT_ALIAS = new Set([
+  ...FROM_CLAUSE_END, 'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'natural',
+  'straight_join', 'on', 'using', 'use', 'force', 'ignore', 'tablesample', 'with'
+]);
+
+/**
+ * Find the table names of FROM/JOIN items in SQL text
+ *
+ * A light tokenizer: strings, quoted identifiers and comments are skipped,
+ * and parentheses are tracked so FROM inside EXTRACT(... FROM ...) and the
+ * like is not taken for a FROM clause.
+ *
+ * @param {string} sqlQuery - SQL text
+ * @param {string} dialect - Sequelize dialect
+ * @returns {Array<Object>} { table, name, qualifier, hasAlias, start, end } in text order
+ *   (table: lowercase unquoted name; name: the name as written; qualifier:
+ *   the schema prefix as written, e.g. "main."; start/end: offsets of the
+ *   qualified name)
+ */
+function findFromTables(sqlQuery, dialect) {
+  const tokens = tokenize(sqlQuery, dialect);
+  const references = [];
+
+  // One frame per open parenthesis: is it a query, is it in its FROM
+  // clause, and is a table expected next
+  const frames = [{ query: true, from: false, table: false }];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const frame = frames[frames.length - 1];
+
+    if (token.text === '(') {
+      // FROM (a JOIN b ...) continues the FROM clause; FROM (SELECT ...) starts a query
+      frames.push(frame.query && frame.table
+        ? { query: true, from: true, table: true }
+        : { query: ['select', 'with'].includes(tokens[i + 1]?.word), from: false, table: false });
+      frame.table = false;
+      continue;
+    }
+
+    if (token.text === ')') {
+      if (frames.length > 1) frames.pop();
+      continue;
+    }
+
+    if (!frame.query) continue;
+
+    if (token.word === 'from' && tokens[i - 1]?.word !== 'distinct') {
+      frame.from = true;
+      frame.table = true;
+    } else if (token.word === 'join' || (token.text === ',' && frame.from)) {
+      frame.table = true;
+    } else if (FROM_CLAUSE_END.has(token.word)) {
+      frame.from = false;
+      frame.table = false;
+    } else if (frame.table && ['lateral', 'only'].includes(token.word)) {
+      continue;
+    } else if (frame.table && token.identifier) {
+      const parts = [token];
+      while (tokens[i + 1]?.text === '.' && tokens[i + 2]?.identifier) {
+        parts.push(tokens[i + 2]);
+        i += 2;
+      }
+      frame.table = false;
+
+      // Table function: generate_series(...), json_each(...)
+      if (tokens[i + 1]?.text === '(') continue;
+
+      const last = parts[parts.length - 1];
+      const next = tokens[i + 1];
+      references.push({
+        table: last.identifier.toLowerCase(),
+        name: last.text,
+        qualifier: sqlQuery.slice(parts[0].start, last.start),
+        hasAlias: Boolean(next?.identifier) && !NOT_ALIAS.has(next.word),
+        start: parts[0].start,
+        end: last.end
+      });
+    } else {
+      frame.table = false;
+    }
+  }
+
+  return references;
+}
+
+// Strings, quoted identifiers and extra comments of each dialect (regex sources)
+const STANDARD_STRING = "'(?:[^']|'')*'";
+const BACKSLASH_STRING = String.raw`'(?:[^'\\]|''|\\[\s\S])*'`;
+const DOUBLE_QUOTED = '"(?:[^"]|"")*"';
+const BACKTICK_QUOTED = '`(?:[^`]|``)*`';
+const MYSQL_SYNTAX = {
+  comments: ['#[^\n]*'],
+  strings: [BACKSLASH_STRING, String.raw`"(?:[^"\\]|""|\\[\s\S])*"`],
+  quoted: [BACKTICK_QUOTED]
+};
+const TOKEN_SYNTAX = {
+  mysql: MYSQL_SYNTAX,
+  mariadb: MYSQL_SYNTAX,
+  postgres: {
+    comments: [],
+    strings: [`[Ee]${BACKSLASH_STRING}`, String.raw`\$(?<tag>[A-Za-z_]\w*)?\$[\s\S]*?\$\k<tag>\$`, STANDARD_STRING],
+    quoted: [DOUBLE_QUOTED]
+  },
+  sqlite: {
+    comments: [],
+    strings: [STANDARD_STRING],
+    quoted: [DOUBLE_QUOTED, BACKTICK_QUOTED, String.raw`\[[^\]]*\]`]
+  },
+  default: {
+    comments: [],
+    strings: [STANDARD_STRING],
+    quoted: [DOUBLE_QUOTED, BACKTICK_QUOTED]
+  }
+};
+
+/**
+ * Split SQL into tokens, leaving out whitespace and comments
+ *
+ * Strings, quoted identifiers and comments follow the dialect's rules
+ * (MySQL backslash escapes, "..." strings and # comments; Postgres E'...'
+ * and $tag$...$tag$ strings; SQLite [...] identifiers), so a table name
+ * inside a literal is never taken for code or the other way round.
+ *
+ * @param {string} sqlQuery - SQL text
+ * @param {string} dialect - Sequelize dialect
+ * @returns {Array<Object>} { text, start, end, word, identifier }
+ *   (word: lowercase bare word; identifier: unquoted name of a word or quoted identifier)
+ * @throws {Error} If the SQL has MySQL/MariaDB executable comments
+ */
+function tokenize(sqlQuery, dialect) {
+  // MySQL runs the contents of /*! ... */ comments, the parser skips them
+  if (['mysql', 'mariadb'].includes(dialect) && /\/\*M?!/.test(sqlQuery)) {
+    throw new Error('Row filters could not be applied: executable comments are not supported');
+  }
+
+  const syntax = TOKEN_SYNTAX[dialect] || TOKEN_SYNTAX.default;
+  const skipped = [String.raw`\s+`, '--[^\n]*', String.raw`/\*[\s\S]*?\*/`, ...syntax.comments];
+  const { strings, quoted } = syntax;
+
+  const pattern = new RegExp(
+    `(?<skipped>${skipped.join('|')})|${strings.join('|')}|(?<quoted>${quoted.join('|')})|(?<word>[\\w$]+)|[\\s\\S]`,
+    'g'
+  );
+
+  const tokens = [];
+  for (const match of sqlQuery.matchAll(pattern)) {
+    const [text] = match;
+    const { skipped: isSkipped, quoted: quotedName, word } = match.groups;
+    if (isSkipped) continue;
+
+    tokens.push({
+      text,
+      start: match.index,
+      end: match.index + text.length,
+      word: word ? word.toLowerCase() : null,
+      identifier: quotedName
+        ? quotedName.slice(1, -1).replace(/""|``/g, c => c[0])
+        : word && !/^\d/.test(word) ? word : null
+    });
+  }
+  return tokens;
+}
+
+/**
+ * Write an identifier, quoting it only when it is not a plain name
+ *
+ * @param {string} name - Identifier
+ * @param {string} dialect - Sequelize dialect
+ * @returns {string} SQL identifier
+ */
+function formatIdentifier(name, dialect) {
+  if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) return name;
+  return ['mysql', 'mariadb'].includes(dialect)
+    ? `\`${name.replace(/`/g, '``')}\``
+    : `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Build the WHERE condition of a row filter
+ *
+ * @param {Object} filter - Row filter { column, values }
+ * @param {string} dialect - Sequelize dialect
+ * @returns {string} SQL condition (`1 = 0` when no value is permitted)
+ */
+function toRowCondition(filter, dialect) {
+  if (filter.values.length === 0) {
+    return '1 = 0';
+  }
+
+  const values = filter.values.map(value => (typeof value === 'number'
+    ? String(value)
+    : `'${escapeString(String(value), dialect)}'`));
+  return `${formatIdentifier(filter.column, dialect)} IN (${values.join(', ')})`;
+}
+
+/**
+ * Escape a value for a single-quoted SQL string literal
+ * (quotes doubled, and backslashes too where MySQL treats them as escapes)
+ *
+ * @param {string} value - Raw value
+ * @param {string} dialect - Sequelize dialect
+ * @returns {string} Literal body
+ */
+function escapeString(value, dialect) {
+  const escaped = ['mysql', 'mariadb'].includes(dialect) ? value.replace(/\\/g, '\\\\') : value;
+  return escaped.replace(/'/g, "''");
+}
+
+/**
+ * Find the expression a SELECT groups by for an output or grouping column
+ *
+ * @param {Object} stmt - SELECT syntax tree
+ * @param {string} field - Output alias or column name (optionally table-qualified)
+ * @returns {Object|null} Expression node, or null if the query does not group by it
+ */
+function findGroupExpression(stmt, field) {
+  const name = String(field).split('.').pop().toLowerCase();
+  const groupBy = stmt.groupby?.columns || stmt.groupby || [];
+  if (!Array.isArray(groupBy) || groupBy.length === 0) return null;
+
+  const selected = (stmt.columns || []).find(col => (
+    (col.as && identifierName(col.as).toLowerCase() === name) ||
+    (!col.as && col.expr?.type === 'column_ref' && columnName(col.expr) === name)
+  ));
+
+  const expr = selected?.expr
+    || groupBy.find(node => node.type === 'column_ref' && columnName(node) === name);
+
+  if (!expr || containsAggregate(expr)) return null;
+  return expr;
+}
+
+/**
+ * Check whether an expression contains an aggregate function
+ *
+ * @param {Object} node - Expression node
+ * @returns {boolean} True if an aggregate is used
+ */
+function containsAggregate(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(containsAggregate);
+  if (node.type === 'aggr_func') return true;
+  return Object.values(node).some(containsAggregate);
+}
+
+/**
+ * Analyze a generated query for safety and schema compliance
+ *
+ * @param {string} sqlQuery - SQL query to analyze
+ * @param {Object} schema - Database schema ({ dialect, tables: [{ name, columns }] })
+ * @returns {Object} { valid, errors, warnings, tables, functions, masks }
+ *   (masks: output column → mask strategy, for executeQuery)
+ */
+export function analyzeQuery(sqlQuery, schema) {
+  const result = {
+    valid: true,
+    errors: [],
+    warnings: [],
+    tables: [],
+    functions: [],
+    masks: {}
+  };
+
+  if (!sqlQuery || typeof sqlQuery !== 'string' || !sqlQuery.trim()) {
+    return fail(result, 'SQL query is empty');
+  }
+
+  let statements;
+  try {
+    statements = parseSql(sqlQuery, schema.dialect);
+  } catch (error) {
+    return fail(result, `SQL could not be parsed: ${firstLine(error.message)}`);
+  }
+
+  if (statements.length !== 1) {
+    return fail(result, `Exactly one statement is allowed, found ${statements.length}`);
+  }
+
+  const [statement] = statements;
+  if (statement.type !== 'select') {
+    return fail(result, `Only SELECT queries are allowed (found ${String(statement.type).toUpperCase()})`);
+  }
+
+  const context = {
+    schemaTables: buildSchemaIndex(schema),
+    policies: buildPolicyIndex(schema),
+    primaryKeys: buildPrimaryKeyIndex(schema),
+    keyColumns: buildKeyColumnIndex(schema),
+    masks: new WeakMap(),   // SELECT node → Map(output column → mask)
+    errors: new Set(),
+    tables: new Set(),
+    functions: new Set()
+  };
+
+  analyzeSelect(statement, context, []);
+
+  result.tables = [...context.tables];
+  result.functions = [...context.functions];
+  result.masks = Object.fromEntries(context.masks.get(statement) || []);
+  result.errors = [...context.errors];
+  result.valid = result.errors.length === 0;
+
+  return result;
+}
+
+/**
+ * Build a lookup of schema tables → lowercase column names
+ *
+ * @param {Object} schema - Database schema
+ * @returns {Map<string, Set<string>>} Table name (lowercase) → column names
+ */
+function buildSchemaIndex(schema) {
+  const index = new Map();
+  (schema.tables || []).forEach(table => {
+    index.set(table.name.toLowerCase(), new Set(table.columns.map(c => c.name.toLowerCase())));
+  });
+  return index;
+}
+
+/**
+ * Build a lookup of restricted columns
+ *
+ * @param {Object} schema - Database schema with column policies
+ * @returns {Map<string, Object>} "table.column" (lowercase) → { access, mask }
+ */
+function buildPolicyIndex(schema) {
+  const index = new Map();
+  (schema.tables || []).forEach(table => {
+    table.columns
+      .filter(column => column.access)
+      .forEach(column => index.set(
+        `${table.name.toLowerCase()}.${column.name.toLowerCase()}`,
+        { access: column.access, mask: column.mask || 'full' }
+      ));
+  });
+  return index;
+}
+
+/**
+ * Build a lookup of primary keys
+ *
+ * Schemas scanned without key information fall back to an "id" column.
+ *
+ * @param {Object} schema - Database schema
+ * @returns {Map<string, Array<string>>} Table name (lowercase) → key columns (lowercase)
+ */
+function buildPrimaryKeyIndex(schema) {
+  const index = new Map();
+  (schema.tables || []).forEach(table => {
+    const names = table.columns.map(column => column.name.toLowerCase());
+    const keys = table.columns.filter(column => column.primaryKey).map(column => column.name.toLowerCase());
+    index.set(table.name.toLowerCase(), keys.length > 0 ? keys : names.filter(name => name === 'id'));
+  });
+  return index;
+}
+
+/**
+ * Build a lookup of the columns a filter can pick out a single row with
+ * (primary key and unique columns)
+ *
+ * @param {Object} schema - Database schema
+ * @returns {Map<string, Array<string>>} Table name (lowercase) → columns (lowercase)
+ */
+function buildKeyColumnIndex(schema) {
+  const primaryKeys = buildPrimaryKeyIndex(schema);
+  const index = new Map();
+  (schema.tables || []).forEach(table => {
+    const unique = table.columns.filter(column => column.unique).map(column => column.name.toLowerCase());
+    index.set(table.name.toLowerCase(), [...primaryKeys.get(table.name.toLowerCase()), ...unique]);
+  });
+  return index;
+}
+
+/**
+ * Analyze one SELECT (including CTEs, set operations and nested subqueries)
+ *
+ * @param {Object} stmt - SELECT syntax tree
+ * @param {Object} context - Shared analysis context
+ * @param {Array} outerScopes - Scopes of enclosing queries (for correlated subqueries)
+ * @returns {Set<string>|null} Output column names, or null if unknown (SELECT *)
+ *   (the masked ones are recorded in context.masks)
+ */
+function analyzeSelect(stmt, context, outerScopes) {
+  if (stmt.type && stmt.type !== 'select') {
+    context.errors.add(`Only SELECT queries are allowed (found nested ${String(stmt.type).toUpperCase()})`);
+    return null;
+  }
+
+  if (stmt.into && stmt.into.position) {
+    context.errors.add('SELECT ... INTO is not allowed');
+  }
+
+  if (stmt.locking_read) {
+    context.errors.add('Locking clauses (FOR UPDATE / FOR SHARE) are not allowed');
+  }
+
+  const scope = {
+    sources: new Map(),   // alias/name → { kind: 'table', table } | { kind: 'derived', columns, masks }
+    ctes: new Map(outerScopes[0]?.ctes || []),
+    selectAliases: new Set(),
+    aggregated: new Set()   // table sources whose aggregate-only columns are aggregated
+  };
+
+  // Common table expressions are visible to the main query and later CTEs
+  (stmt.with || []).forEach(cte => {
+    const cteAst = cte.stmt?.ast || cte.stmt;
+    const columns = analyzeSelect(cteAst, context, [scope, ...outerScopes]);
+    scope.ctes.set(identifierName(cte.name).toLowerCase(), { columns, masks: context.masks.get(cteAst) });
+  });
+
+  // FROM / JOIN sources
+  (stmt.from || []).forEach(item => registerSource(item, scope, context, outerScopes));
+
+  (stmt.columns || []).forEach(col => {
+    if (col.as) scope.selectAliases.add(identifierName(col.as).toLowerCase());
+  });
+
+  const scopes = [scope, ...outerScopes];
+
+  (stmt.from || []).forEach(item => {
+    if (item.on) walkExpression(item.on, context, scopes);
+  });
+  (stmt.columns || []).forEach(col => walkExpression(col.expr, context, scopes));
+  walkExpression(stmt.where, context, scopes);
+  walkExpression(stmt.groupby?.columns || stmt.groupby, context, scopes);
+  walkExpression(stmt.having, context, scopes);
+  walkExpression(stmt.orderby, context, scopes);
+  walkExpression(stmt.window, context, scopes);
+
+  checkGroupedByKey(stmt, scope, context);
+  checkFilteredByKey(stmt, scope, context);
+
+  const masks = getMaskedOutputs(stmt, scopes, context);
+  context.masks.set(stmt, masks);
+
+  if (stmt._next) {
+    analyzeSelect(stmt._next, context, outerScopes);
+
+    // Masks follow column names, which set operations do not line up
+    if (masks.size > 0 || context.masks.get(stmt._next)?.size > 0) {
+      context.errors.add('Masked columns cannot be combined with UNION, INTERSECT or EXCEPT');
+    }
+  }
+
+  return getOutputColumns(stmt);
+}
+
+/**
+ * Register a FROM/JOIN item in the current scope
+ *
+ * @param {Object} item - FROM item
+ * @param {Object} scope - Current scope
+ * @param {Object} context - Shared analysis context
+ * @param {Array} outerScopes - Enclosing scopes
+ */
+function registerSource(item, scope, context, outerScopes) {
+  // Derived table: FROM (SELECT ...) AS alias
+  if (item.expr?.ast) {
+    const columns = analyzeSelect(item.expr.ast, context, [scope, ...outerScopes]);
+    if (item.as) {
+      scope.sources.set(identifierName(item.as).toLowerCase(), {
+        kind: 'derived', columns, masks: context.masks.get(item.expr.ast)
+      });
+    }
+    return;
+  }
+
+  // Table functions, VALUES lists, etc.
+  if (!item.table) {
+    walkExpression(item.expr, context, [scope, ...outerScopes]);
+    return;
+  }
+
+  const tableName = identifierName(item.table).toLowerCase();
+  const alias = item.as ? identifierName(item.as).toLowerCase() : tableName;
+
+  if (!item.db && scope.ctes.has(tableName)) {
+    scope.sources.set(alias, { kind: 'derived', ...scope.ctes.get(tableName) });
+    return;
+  }
+
+  if (item.db && !['public', 'main'].includes(identifierName(item.db).toLowerCase())) {
+    context.errors.add(`Table "${item.db}.${item.table}" is outside the allowed schema`);
+    return;
+  }
+
+  if (!context.schemaTables.has(tableName)) {
+    context.errors.add(`Table "${item.table}" does not exist in the schema`);
+    return;
+  }
+
+  context.tables.add(tableName);
+  scope.sources.set(alias, { kind: 'table', table: tableName });
+}
+
+/**
+ * Walk an expression tree checking columns, functions and nested queries
+ *
+ * @param {*} node - Expression node (object, array or primitive)
+ * @param {Object} context - Shared analysis context
+ * @param {Array} scopes - Scope chain (innermost first)
+ */
+function walkExpression(node, context, scopes) {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    node.forEach(child => walkExpression(child, context, scopes));
+    return;
+  }
+
+  // Nested subquery: (SELECT ...) in WHERE, SELECT list, IN (...), EXISTS (...)
+  if (node.ast) {
+    analyzeSelect(node.ast, context, scopes);
+    return;
+  }
+
+  if (node.type && FORBIDDEN_STATEMENT_TYPES.has(String(node.type).toLowerCase())) {
+    context.errors.add(`${String(node.type).toUpperCase()} statements are not allowed`);
+    return;
+  }
+
+  if (node.type === 'select') {
+    analyzeSelect(node, context, scopes);
+    return;
+  }
+
+  if (node.type === 'column_ref') {
+    checkColumn(node, context, scopes, null);
+    return;
+  }
+
+  if (node.type === 'function' || node.type === 'aggr_func') {
+    checkFunction(node, context);
+  }
+
+  // Only a column passed straight to COUNT/SUM/AVG is aggregated: inside
+  // CASE, FILTER (WHERE ...) or a scalar function it can still pick out
+  // individual values, so it is checked like any other reference there
+  const argument = directArgument(node);
+  if (argument) {
+    checkColumn(argument, context, scopes, node);
+  }
+
+  Object.entries(node).forEach(([key, child]) => {
+    if (key === 'name') return;
+    walkExpression(key === 'args' && argument ? { ...child, expr: null } : child, context, scopes);
+  });
+}
+
+/**
+ * Check a function call against the allowlist
+ *
+ * @param {Object} node - Function node
+ * @param {Object} context - Shared analysis context
+ */
+function checkFunction(node, context) {
+  const name = functionName(node);
+  const schemaName = node.name?.schema ? identifierName(node.name.schema) : null;
+
+  if (schemaName) {
+    context.errors.add(`Schema-qualified function "${schemaName}.${name}" is not allowed`);
+    return;
+  }
+
+  context.functions.add(name);
+
+  if (!getAllowedFunctions().has(name)) {
+    context.errors.add(`Function "${name}" is not allowed`);
+  }
+}
+
+/**
+ * Check that a column reference resolves to a known table or alias,
+ * and that its column policy allows it here
+ *
+ * @param {Object} node - column_ref node
+ * @param {Object} context - Shared analysis context
+ * @param {Array} scopes - Scope chain (innermost first)
+ * @param {Object|null} aggregate - Aggregate call the reference is the direct argument of
+ */
+function checkColumn(node, context, scopes, aggregate) {
+  const column = columnName(node);
+  if (!column) return;
+
+  if (column === '*') {
+    if (!isSafeAggregate(aggregate)) checkStar(node, context, scopes);
+    return;
+  }
+
+  const resolved = resolveSource(node, column, scopes, context);
+  if (resolved?.kind === 'table') {
+    // A column of an enclosing query is a single value inside this query's aggregates
+    const local = [...scopes[0].sources.values()].includes(resolved);
+    checkPolicy(resolved.table, column, context, local ? aggregate : null);
+
+    if (local && aggregate && context.policies.get(`${resolved.table}.${column}`)?.access === 'aggregate') {
+      scopes[0].aggregated.add(resolved);
+    }
+  }
+
+  const qualifier = node.table ? identifierName(node.table).toLowerCase() : null;
+
+  if (qualifier) {
+    const source = findSource(qualifier, scopes);
+    if (!source) {
+      context.errors.add(`Unknown table or alias "${node.table}" for column "${column}"`);
+      return;
+    }
+    if (!sourceHasColumn(source, column, context)) {
+      context.errors.add(`Column "${node.table}.${column}" does not exist`);
+    }
+    return;
+  }
+
+  // Unqualified: any source in scope (or a SELECT alias) may provide it
+  const found = scopes.some(scope =>
+    scope.selectAliases.has(column) ||
+    [...scope.sources.values()].some(source => sourceHasColumn(source, column, context))
+  );
+
+  if (!found) {
+    const tableNames = [...new Set(scopes.flatMap(scope =>
+      [...scope.sources.values()].filter(s => s.kind === 'table').map(s => s.table)
+    ))];
+    context.errors.add(
+      `Column "${column}" does not exist${tableNames.length ? ` in ${tableNames.join(', ')}` : ''}`
+    );
+  }
+}
+
+/**
+ * Reject a reference to a restricted column where its policy forbids it
+ *
+ * @param {string} table - Lowercase table name
+ * @param {string} column - Lowercase column name
+ * @param {Object} context - Shared analysis context
+ * @param {Object|null} aggregate - Aggregate call the reference is the direct argument of
+ */
+function checkPolicy(table, column, context, aggregate) {
+  const policy = context.policies.get(`${table}.${column}`);
+
+  if (policy?.access === 'hidden') {
+    context.errors.add(`Column "${table}.${column}" is hidden by a data access policy`);
+  } else if (policy?.access === 'aggregate' && !isSafeAggregate(aggregate)) {
+    context.errors.add(
+      `Column "${table}.${column}" may only be used as the argument of COUNT, SUM or AVG (data access policy)`
+    );
+  }
+}
+
+/**
+ * Reject aggregates over aggregate-only columns grouped by their table's
+ * primary key: every group is then a single row, so SUM(x) is x
+ *
+ * @param {Object} stmt - SELECT syntax tree
+ * @param {Object} scope - Scope of the SELECT
+ * @param {Object} context - Shared analysis context
+ */
+function checkGroupedByKey(stmt, scope, context) {
+  const groupBy = stmt.groupby?.columns || stmt.groupby;
+  if (scope.aggregated.size === 0 || !Array.isArray(groupBy)) return;
+
+  const grouped = groupBy.flatMap(item => collectColumnRefs(groupingExpressions(item, stmt)));
+
+  for (const source of scope.aggregated) {
+    const keys = context.primaryKeys.get(source.table) || [];
+    const isGrouped = key => grouped.some(node =>
+      columnName(node) === key && resolveSource(node, key, [scope], context) === source
+    );
+
+    if (keys.length > 0 && keys.every(isGrouped)) {
+      context.errors.add(
+        `Aggregates over restricted columns of "${source.table}" cannot be grouped by its primary key (data access policy)`
+      );
+    }
+  }
+}
+
+/**
+ * Reject aggregates over aggregate-only columns whose table is filtered
+ * (WHERE/HAVING) on its primary key or a unique column: the filter can
+ * narrow the aggregate down to one row, so SUM(x) is x
+ *
+ * @param {Object} stmt - SELECT syntax tree
+ * @param {Object} scope - Scope of the SELECT
+ * @param {Object} context - Shared analysis context
+ */
+function checkFilteredByKey(stmt, scope, context) {
+  if (scope.aggregated.size === 0) return;
+
+  const filtered = collectColumnRefs([stmt.where, stmt.having]);
+
+  for (const source of scope.aggregated) {
+    const keys = context.keyColumns.get(source.table) || [];
+    const key = keys.find(name => filtered.some(node =>
+      columnName(node) === name && resolveSource(node, name, [scope], context) === source
+    ));
+
+    if (key) {
+      context.errors.add(
+        `Aggregates over restricted columns of "${source.table}" cannot be filtered on its key column "${key}" (data access policy)`
+      );
+    }
+  }
+}
+
+/**
+ * Expressions a GROUP BY item may stand for: itself, or the output column
+ * it names by position or alias
+ *
+ * @param {Object} item - GROUP BY item
+ * @param {Object} stmt - SELECT syntax tree
+ * @returns {Array<Object>} Expression nodes
+ */
+function groupingExpressions(item, stmt) {
+  if (item.type === 'number') {
+    const selected = (stmt.columns || [])[item.value - 1];
+    return selected ? [selected.expr] : [];
+  }
+
+  const aliased = item.type === 'column_ref' && !item.table
+    ? (stmt.columns || []).filter(col => col.as && identifierName(col.as).toLowerCase() === columnName(item))
+    : [];
+  return [item, ...aliased.map(col => col.expr)];
+}
+
+/**
+ * Collect the column references of an expression (not of nested queries)
+ *
+ * @param {*} node - Expression node
+ * @returns {Array<Object>} column_ref nodes
+ */
+function collectColumnRefs(node) {
+  if (!node || typeof node !== 'object' || node.ast || node.type === 'select') return [];
+  if (Array.isArray(node)) return node.flatMap(collectColumnRefs);
+  if (node.type === 'column_ref') return [node];
+  return Object.values(node).flatMap(collectColumnRefs);
+}
+
+/**
+ * Reject SELECT * / alias.* over tables with hidden or aggregate-only columns
+ *
+ * @param {Object} node - column_ref node for *
+ * @param {Object} context - Shared analysis context
+ * @param {Array} scopes - Scope chain (innermost first)
+ */
+function checkStar(node, context, scopes) {
+  for (const source of starSources(node, scopes)) {
+    if (source.kind !== 'table') continue;
+
+    const restricted = [...context.policies.entries()]
+      .filter(([key, policy]) => key.startsWith(`${source.table}.`) && policy.access !== 'masked')
+      .map(([key]) => key.slice(source.table.length + 1));
+
+    if (restricted.length > 0) {
+      context.errors.add(
+        `SELECT * would return restricted columns of "${source.table}" (${restricted.join(', ')}); list the columns instead`
+      );
+    }
+  }
+}
+
+/**
+ * Find which output columns of a SELECT carry masked values
+ *
+ * An output is masked when its expression reads a masked column (or a
+ * masked column of a derived table) other than as the direct argument of
+ * COUNT/SUM/AVG. A bare column keeps its column's mask; any expression
+ * over it gets the full mask, since SUBSTR(name, 2) and the like would
+ * otherwise reveal what a partial mask hides.
+ *
+ * @param {Object} stmt - SELECT syntax tree
+ * @param {Array} scopes - Scope chain of the SELECT
+ * @param {Object} context - Shared analysis context
+ * @returns {Map<string, string>} Lowercase output column → mask strategy
+ */
+function getMaskedOutputs(stmt, scopes, context) {
+  const masks = new Map();
+
+  for (const col of stmt.columns || []) {
+    if (col.expr?.type === 'column_ref' && columnName(col.expr) === '*') {
+      starSources(col.expr, scopes).forEach(source => {
+        sourceMasks(source, context).forEach((mask, name) => masks.set(name, mask));
+      });
+      continue;
+    }
+
+    const found = findMask(col.expr, scopes, context);
+    if (!found) continue;
+
+    const name = col.as
+      ? identifierName(col.as).toLowerCase()
+      : col.expr.type === 'column_ref' ? columnName(col.expr) : null;
+
+    if (name) {
+      masks.set(name, col.expr.type === 'column_ref' ? found.mask : 'full');
+    } else {
+      context.errors.add(`Expressions using masked column "${found.column}" need an alias`);
+    }
+  }
+
+  return masks;
+}
+
+/**
+ * Find a masked column read by an expression
+ *
+ * @param {*} node - Expression node
+ * @param {Array} scopes - Scope chain
+ * @param {Object} context - Shared analysis context
+ * @returns {Object|null} { mask, column } of the first masked column found
+ */
+function findMask(node, scopes, context) {
+  if (!node || typeof node !== 'object') return null;
+
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      const found = findMask(child, scopes, context);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  // Scalar subquery: masked if its output is
+  if (node.ast) {
+    const [entry] = context.masks.get(node.ast) || [];
+    return entry ? { column: entry[0], mask: entry[1] } : null;
+  }
+
+  // COUNT(name) reads no value, COUNT(*) FILTER (WHERE name ...) does
+  if (directArgument(node)) {
+    return findMask(Object.entries(node)
+      .filter(([key]) => key !== 'name')
+      .map(([key, child]) => (key === 'args' ? { ...child, expr: null } : child)), scopes, context);
+  }
+
+  if (node.type === 'column_ref') {
+    const column = columnName(node);
+    const source = column && column !== '*' ? resolveSource(node, column, scopes, context) : null;
+    if (source?.kind === 'table') {
+      const policy = context.policies.get(`${source.table}.${column}`);
+      return policy?.access === 'masked' ? { mask: policy.mask, column: `${source.table}.${column}` } : null;
+    }
+    const mask = source?.masks?.get(column);
+    return mask ? { mask, column } : null;
+  }
+
+  return findMask(Object.entries(node).filter(([key]) => key !== 'name').map(([, child]) => child), scopes, context);
+}
+
+/**
+ * Masked columns a FROM source provides
+ *
+ * @param {Object} source - Scope source
+ * @param {Object} context - Shared analysis context
+ * @returns {Map<string, string>} Column → mask strategy
+ */
+function sourceMasks(source, context) {
+  if (source.kind !== 'table') {
+    return source.masks || new Map();
+  }
+
+  return new Map([...context.policies.entries()]
+    .filter(([key, policy]) => key.startsWith(`${source.table}.`) && policy.access === 'masked')
+    .map(([key, policy]) => [key.slice(source.table.length + 1), policy.mask]));
+}
+
+/**
+ * Sources a * expands to: the qualified one, or every source of the query
+ *
+ * @param {Object} node - column_ref node for *
+ * @param {Array} scopes - Scope chain
+ * @returns {Array<Object>} Sources
+ */
+function starSources(node, scopes) {
+  if (node.table) {
+    const source = findSource(identifierName(node.table).toLowerCase(), scopes);
+    return source ? [source] : [];
+  }
+  return [...scopes[0].sources.values()];
+}
+
+/**
+ * Find the FROM source a column reference reads from
+ *
+ * @param {Object} node - column_ref node
+ * @param {string} column - Lowercase column name
+ * @param {Array} scopes - Scope chain
+ * @param {Object} context - Shared analysis context
+ * @returns {Object|undefined} Source
+ */
+function resolveSource(node, column, scopes, context) {
+  if (node.table) {
+    return findSource(identifierName(node.table).toLowerCase(), scopes);
+  }
+
+  for (const scope of scopes) {
+    const source = [...scope.sources.values()].find(s => sourceHasColumn(s, column, context));
+    if (source) return source;
+  }
+  return undefined;
+}
+
+/**
+ * Whether an aggregate call never returns an individual value
+ *
+ * @param {Object|null} node - aggr_func node
+ * @returns {boolean} True for COUNT/SUM/AVG without OVER
+ */
+function isSafeAggregate(node) {
+  return Boolean(node) && !node.over && SAFE_AGGREGATES.has(functionName(node));
+}
+
+/**
+ * The column a COUNT/SUM/AVG call aggregates directly, as in SUM(amount)
+ * or COUNT(DISTINCT email) (not SUM(LENGTH(email)))
+ *
+ * @param {Object} node - Expression node
+ * @returns {Object|null} column_ref node
+ */
+function directArgument(node) {
+  if (node.type !== 'aggr_func' || !isSafeAggregate(node)) return null;
+  return node.args?.expr?.type === 'column_ref' ? node.args.expr : null;
+}
+
+/**
+ * Find a FROM source by alias in the scope chain
+ *
+ * @param {string} alias - Lowercase alias or table name
+ * @param {Array} scopes - Scope chain
+ * @returns {Object|undefined} Source
+ */
+function findSource(alias, scopes) {
+  for (const scope of scopes) {
+    if (scope.sources.has(alias)) return scope.sources.get(alias);
+  }
+  return undefined;
+}
+
+/**
+ * Check whether a source provides a column
+ * Derived tables with unknown output (SELECT *) are given the benefit of the doubt
+ *
+ * @param {Object} source - Scope source
+ * @param {string} column - Lowercase column name
+ * @param {Object} context - Shared analysis context
+ * @returns {boolean} True if the column is (or may be) available
+ */
+function sourceHasColumn(source, column, context) {
+  if (source.kind === 'table') {
+    return context.schemaTables.get(source.table).has(column);
+  }
+  return source.columns === null || source.columns.has(column);
+}
+
+/**
+ * Get the output column names of a SELECT
+ *
+ * @param {Object} stmt - SELECT syntax tree
+ * @returns {Set<string>|null} Lowercase column names, or null when SELECT * is used
+ */
+function getOutputColumns(stmt) {
+  const columns = new Set();
+
+  for (const col of stmt.columns || []) {
+    if (col.as) {
+      columns.add(identifierName(col.as).toLowerCase());
+    } else if (col.expr?.type === 'column_ref') {
+      const name = columnName(col.expr);
+      if (name === '*') return null;
+      columns.add(name);
+    }
+  }
+
+  return columns;
+}
+
+/**
+ * Extract a lowercase column name from a column_ref node
+ *
+ * @param {Object} node - column_ref node
+ * @returns {string|null} Column name
+ */
+function columnName(node) {
+  const column = node.column;
+  if (!column) return null;
+  if (typeof column === 'string') return column.toLowerCase();
+  const value = column.expr?.value ?? column.value;
+  return value !== undefined ? String(value).toLowerCase() : null;
+}
+
+/**
+ * Extract a lowercase function name from a function node
+ *
+ * @param {Object} node - function or aggr_func node
+ * @returns {string} Function name
+ */
+function functionName(node) {
+  if (typeof node.name === 'string') return node.name.toLowerCase();
+  const parts = node.name?.name || [];
+  return parts.map(part => identifierName(part)).join('.').toLowerCase();
+}
+
+/**
+ * Get a plain identifier from a string or { value } node
+ *
+ * @param {string|Object} identifier - Identifier
+ * @returns {string} Identifier text
+ */
+function identifierName(identifier) {
+  if (identifier === null || identifier === undefined) return '';
+  if (typeof identifier === 'string') return identifier;
+  return String(identifier.value ?? identifier.expr?.value ?? '');
+}
+
+/**
+ * Get the function allowlist including any configured additions
+ *
+ * @returns {Set<string>} Allowed function names (lowercase)
+ */
+function getAllowedFunctions() {
+  const extra = (process.env.SQL_ALLOWED_FUNCTIONS || '')
+    .split(',')
+    .map(f => f.trim().toLowerCase())
+    .filter(Boolean);
+
+  return extra.length > 0 ? new Set([...ALLOWED_FUNCTIONS, ...extra]) : ALLOWED_FUNCTIONS;
+}
+
+/**
+ * Mark an analysis result as failed
+ *
+ * @param {Object} result - Analysis result
+ * @param {string} message - Error message
+ * @returns {Object} Result
+ */
+function fail(result, message) {
+  result.valid = false;
+  result.errors.push(message);
+  return result;
+}
+
+/**
+ * Get the first line of a (possibly long) parser error message
+ *
+ * @param {string} message - Error message
+ * @returns {string} First line
+ */
+function firstLine(message) {
+  return String(message).split('\n')[0];
+}
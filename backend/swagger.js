@@ -1,4 +1,11 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
 import swaggerJsdoc from 'swagger-jsdoc';
+import { componentSchemas } from './src/schemas/apiSchemas.js';
+
+// Resolve route files relative to this file so the spec is populated
+// regardless of the directory the server is started from
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const options = {
   definition: {
@@ -10,11 +17,74 @@ const options = {
     },
     servers: [
       {
-        url: 'http://localhost:5000',
+        url: `http://localhost:${process.env.PORT || 5000}`,
       },
     ],
+    tags: [
+      { name: 'Auth', description: 'Accounts, sign-in tokens and API keys' },
+      { name: 'Charts', description: 'Natural language chart generation' },
+      { name: 'Conversations', description: 'Follow-up prompt threads' },
+      { name: 'Widgets', description: 'Saved charts' },
+      { name: 'Dashboards', description: 'Saved charts arranged in a grid' },
+      { name: 'Datasources', description: 'Databases charts can be generated from' },
+      { name: 'Datasets', description: 'Uploaded files queried as datasources' },
+      { name: 'Schema', description: 'Database schema and statistics' },
+      { name: 'Glossary', description: 'Business names and descriptions of tables, columns and values' },
+      { name: 'Health', description: 'Service health checks' },
+    ],
+    // Every operation needs a sign-in token or an API key unless it says otherwise
+    security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+      },
+      parameters: {
+        IdParam: {
+          in: 'path',
+          name: 'id',
+          required: true,
+          schema: { type: 'string', format: 'uuid' },
+        },
+        TileIdParam: {
+          in: 'path',
+          name: 'tileId',
+          required: true,
+          schema: { type: 'string', format: 'uuid' },
+        },
+        DatasourceParam: {
+          in: 'query',
+          name: 'datasourceId',
+          schema: { $ref: '#/components/schemas/DatasourceId' },
+          description: 'Datasource to use (the default datasource if omitted)',
+        },
+      },
+      schemas: componentSchemas,
+      responses: {
+        BadRequest: {
+          description: 'Invalid request',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationErrorResponse' } } },
+        },
+        Unauthorized: {
+          description: 'Missing, invalid or expired credentials',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+        },
+        Forbidden: {
+          description: 'The account may not do this',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+        },
+        NotFound: {
+          description: 'Resource not found',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+        },
+        Error: {
+          description: 'Request failed',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+        },
+      },
+    },
   },
-  apis: ['./src/routes/*.js'], // Swagger will scan route files
+  apis: [path.join(__dirname, 'src/routes/*.js')], // Swagger will scan route files
 };
 
 const swaggerSpec = swaggerJsdoc(options);
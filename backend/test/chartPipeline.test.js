@@ -0,0 +1,91 @@
+// test/chartPipeline.test.js
+// Prompt → SQL → chart on the offline stub provider, so CI needs no API key
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSqliteFixture } from './helpers/sqliteFixture.js';
+import { getCompleteSchema } from '../src/utils/databaseSchema.js';
+import { applyColumnPolicies } from '../src/services/columnPolicyService.js';
+import { createStubProvider } from '../src/services/llm/stubProvider.js';
+import { setLLMProvider } from '../src/services/llm/index.js';
+import { generateChartWithAI } from '../src/services/aiService.js';
+import { generateAndExecuteQuery } from '../src/services/chartPipelineService.js';
+import { validateVegaSpec, enhanceVegaSpec, normalizeNumericValues } from '../src/services/chartService.js';
+
+// A response whose SQL names a column that does not exist, to be repaired
+const BROKEN_RESPONSE = {
+  analysis: { intent: 'Revenue by region', tablesUsed: ['sales'], chartType: 'bar' },
+  sqlQuery: 'SELECT region, SUM(revenue) AS total_revenue FROM sales GROUP BY region',
+  vegaSpec: {
+    $schema: 'https://vega.github.io/schema/vega-lite/v5.json',
+    mark: 'bar',
+    encoding: {
+      x: { field: 'region', type: 'nominal' },
+      y: { field: 'total_revenue', type: 'quantitative' }
+    }
+  }
+};
+
+let fixture;
+let fixturesDir;
+let schema;
+
+before(async () => {
+  fixture = await createSqliteFixture('pipeline_test');
+  schema = applyColumnPolicies(await getCompleteSchema(fixture.datasourceId));
+
+  fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vega-auto-viz-stub-'));
+  const fixturesPath = path.join(fixturesDir, 'fixtures.json');
+  fs.writeFileSync(fixturesPath, JSON.stringify([{ prompt: 'broken revenue', response: BROKEN_RESPONSE }]));
+
+  setLLMProvider(createStubProvider({ fixturesPath }));
+});
+
+after(async () => {
+  setLLMProvider(null);
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+  await fixture.cleanup();
+});
+
+test('generateChartWithAI derives SQL and a spec from the schema', async () => {
+  const response = await generateChartWithAI('Total amount of sales by category', schema);
+
+  assert.equal(response.sqlQuery,
+    'SELECT category, SUM(amount) AS total_amount FROM sales WHERE category IS NOT NULL ' +
+    'GROUP BY category ORDER BY total_amount DESC LIMIT 20');
+  assert.deepEqual(response.analysis.tablesUsed, ['sales']);
+  assert.equal(response.vegaSpec.encoding.x.field, 'category');
+  assert.equal(response.vegaSpec.encoding.y.field, 'total_amount');
+  assert.ok(response.tokensUsed > 0);
+});
+
+test('the pipeline runs the generated SQL and the chart renders its rows', async () => {
+  const result = await generateAndExecuteQuery('Total amount of sales by category', schema);
+
+  assert.equal(result.attempts.length, 1);
+  assert.equal(result.attempts[0].status, 'succeeded');
+  assert.deepEqual(result.data, [
+    { category: 'Electronics', total_amount: 3600 },
+    { category: 'Furniture', total_amount: 1200 }
+  ]);
+
+  assert.equal(validateVegaSpec(result.aiResponse.vegaSpec).valid, true);
+
+  const spec = enhanceVegaSpec(result.aiResponse.vegaSpec, normalizeNumericValues(result.data));
+  assert.deepEqual(spec.data.values, result.data);
+  assert.equal(spec.encoding.x.field, 'category');
+});
+
+test('the pipeline repairs SQL that fails validation', async () => {
+  const result = await generateAndExecuteQuery('Show broken revenue by region', schema);
+
+  assert.equal(result.attempts.length, 2);
+  assert.equal(result.attempts[0].status, 'failed');
+  assert.equal(result.attempts[0].stage, 'validation');
+  assert.match(result.attempts[0].errors.join(' '), /revenue/);
+  assert.equal(result.attempts[1].status, 'succeeded');
+  assert.ok(result.data.length > 0);
+});
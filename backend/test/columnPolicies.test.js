@@ -0,0 +1,141 @@
+// test/columnPolicies.test.js
+// Column policies (src/config/columnPolicies.json) as the SQL analyzer
+// enforces them: users.email is aggregate-only, users.name is masked
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSqliteFixture } from './helpers/sqliteFixture.js';
+import { getCompleteSchema } from '../src/utils/databaseSchema.js';
+import { applyColumnPolicies } from '../src/services/columnPolicyService.js';
+import { analyzeQuery } from '../src/utils/sqlAnalyzer.js';
+import { executeQuery } from '../src/services/databaseService.js';
+
+let fixture;
+let schema;
+
+before(async () => {
+  fixture = await createSqliteFixture('column_policy_test');
+  schema = applyColumnPolicies(await getCompleteSchema(fixture.datasourceId));
+});
+
+after(async () => {
+  await fixture.cleanup();
+});
+
+/**
+ * Assert that the analyzer rejects a query with an error matching a pattern
+ *
+ * @param {string} sql - Query
+ * @param {RegExp} pattern - Expected error
+ * @param {string} [dialect] - Dialect to parse the query as (default: the fixture's)
+ */
+function assertRejected(sql, pattern, dialect = schema.dialect) {
+  const result = analyzeQuery(sql, { ...schema, dialect });
+  assert.equal(result.valid, false, `expected rejection: ${sql}`);
+  assert.ok(result.errors.some(error => pattern.test(error)), result.errors.join('\n'));
+}
+
+test('the schema reports primary keys', () => {
+  const users = schema.tables.find(table => table.name === 'users');
+  assert.deepEqual(users.columns.filter(column => column.primaryKey).map(column => column.name), ['id']);
+});
+
+test('aggregate-only columns are allowed as the direct argument of COUNT, SUM or AVG', () => {
+  for (const sql of [
+    'SELECT COUNT(email) AS n FROM users',
+    'SELECT country, COUNT(DISTINCT email) AS n FROM users GROUP BY country',
+    'SELECT city, COUNT(u.email) AS n FROM users u GROUP BY city',
+    'SELECT COUNT(*) AS n FROM users'
+  ]) {
+    const result = analyzeQuery(sql, schema);
+    assert.equal(result.valid, true, `${sql}\n${result.errors.join('\n')}`);
+  }
+});
+
+test('aggregate-only columns are rejected inside CASE, FILTER or a nested function', () => {
+  const policyError = /users\.email" may only be used as the argument of COUNT, SUM or AVG/;
+
+  // FILTER is Postgres syntax
+  assertRejected("SELECT id, COUNT(*) FILTER (WHERE email = 'x') AS n FROM users GROUP BY id", policyError, 'postgres');
+  assertRejected("SELECT country, SUM(CASE WHEN email LIKE 'a%' THEN 1 END) AS n FROM users GROUP BY country", policyError);
+  assertRejected('SELECT id, SUM(LENGTH(email)) AS n FROM users GROUP BY id', policyError);
+  assertRejected("SELECT COUNT(email = 'ada@example.com') AS n FROM users", policyError);
+  assertRejected('SELECT country, MAX(email) AS e FROM users GROUP BY country', policyError);
+  assertRejected('SELECT COUNT(email) OVER (PARTITION BY country) AS n FROM users', policyError);
+});
+
+test('aggregate-only columns of an enclosing query are rejected inside a subquery aggregate', () => {
+  assertRejected(
+    'SELECT u.id, (SELECT COUNT(u.email) FROM sales s WHERE s.user_id = u.id) AS n FROM users u',
+    /users\.email" may only be used as the argument/
+  );
+});
+
+test('the schema reports unique columns', () => {
+  const users = schema.tables.find(table => table.name === 'users');
+  assert.deepEqual(users.columns.filter(column => column.unique).map(column => column.name), ['email']);
+});
+
+test('aggregates over aggregate-only columns cannot be filtered on a key or unique column', () => {
+  const keyError = /restricted columns of "users" cannot be filtered on its key column "(id|email)"/;
+
+  assertRejected('SELECT SUM(email) AS s FROM users WHERE id = 1', keyError);
+  assertRejected('SELECT COUNT(u.email) AS n FROM users u WHERE u.id BETWEEN 1 AND 1', keyError);
+  assertRejected("SELECT COUNT(email) AS n FROM users WHERE email = 'ada@example.com'", keyError);
+  assertRejected('SELECT country, SUM(email) AS s FROM users GROUP BY country HAVING MIN(id) = 1', keyError);
+
+  // Filtering on other columns, or on another table's key, is fine
+  for (const sql of [
+    "SELECT COUNT(email) AS n FROM users WHERE country = 'UK'",
+    'SELECT COUNT(u.email) AS n FROM sales s JOIN users u ON u.id = s.user_id WHERE s.id > 2'
+  ]) {
+    const result = analyzeQuery(sql, schema);
+    assert.equal(result.valid, true, `${sql}\n${result.errors.join('\n')}`);
+  }
+});
+
+test('aggregates over aggregate-only columns cannot be grouped by the primary key', () => {
+  const keyError = /restricted columns of "users" cannot be grouped by its primary key/;
+
+  assertRejected('SELECT id, COUNT(email) AS n FROM users GROUP BY id', keyError);
+  assertRejected('SELECT u.id, COUNT(u.email) AS n FROM users u GROUP BY 1', keyError);
+  assertRejected('SELECT u.id AS user_id, COUNT(u.email) AS n FROM users u GROUP BY user_id', keyError);
+  assertRejected('SELECT COUNT(email) AS n FROM users GROUP BY id + 0', keyError);
+  assertRejected('SELECT id, COUNT(DISTINCT email) AS n FROM users GROUP BY id', keyError, 'postgres');
+
+  // Grouping by another table's key is fine
+  const result = analyzeQuery(
+    'SELECT s.id, COUNT(u.email) AS n FROM sales s JOIN users u ON u.id = s.user_id GROUP BY s.id',
+    schema
+  );
+  assert.equal(result.valid, true, result.errors.join('\n'));
+});
+
+test('a bare masked column keeps its mask; expressions over it are fully masked', () => {
+  assert.deepEqual(analyzeQuery('SELECT name FROM users', schema).masks, { name: 'partial' });
+  assert.deepEqual(analyzeQuery('SELECT u.name AS n FROM users u', schema).masks, { n: 'partial' });
+  assert.deepEqual(analyzeQuery('SELECT SUBSTR(name, 2) AS rest FROM users', schema).masks, { rest: 'full' });
+  assert.deepEqual(analyzeQuery("SELECT name || '' AS n FROM users", schema).masks, { n: 'full' });
+  assert.deepEqual(
+    analyzeQuery('SELECT country, SUM(LENGTH(name)) AS n FROM users GROUP BY country', schema).masks,
+    { n: 'full' }
+  );
+  assert.deepEqual(
+    analyzeQuery('SELECT r FROM (SELECT SUBSTR(name, 2) AS r FROM users) d', schema).masks,
+    { r: 'full' }
+  );
+  assert.deepEqual(analyzeQuery('SELECT COUNT(DISTINCT name) AS n FROM users', schema).masks, {});
+});
+
+test('executeQuery returns expressions over a masked column fully masked', async () => {
+  const sql = 'SELECT id, name, SUBSTR(name, 2) AS rest FROM users ORDER BY id';
+  const { masks } = analyzeQuery(sql, schema);
+
+  const { rows } = await executeQuery(sql, { datasourceId: fixture.datasourceId, masks });
+
+  assert.deepEqual(rows, [
+    { id: 1, name: 'A***', rest: '****' },
+    { id: 2, name: 'G***', rest: '****' },
+    { id: 3, name: 'A***', rest: '****' }
+  ]);
+});
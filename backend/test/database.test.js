@@ -0,0 +1,139 @@
+// test/database.test.js
+// Integration tests of schema discovery and query execution on SQLite
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSqliteFixture } from './helpers/sqliteFixture.js';
+import { getAllTables, getTableColumns, getTableRelationships, getCompleteSchema } from '../src/utils/databaseSchema.js';
+import { getQueryConnection } from '../src/config/datasources.js';
+import {
+  executeQuery,
+  getQueryStats,
+  DatabaseError,
+  QueryTimeoutError
+} from '../src/services/databaseService.js';
+
+let fixture;
+
+before(async () => {
+  fixture = await createSqliteFixture('sqlite_test');
+});
+
+after(async () => {
+  await fixture.cleanup();
+});
+
+test('getAllTables lists the tables of the file', async () => {
+  assert.deepEqual(await getAllTables(fixture.datasourceId), ['products', 'sales', 'users']);
+});
+
+test('getTableColumns reads types and nullability from PRAGMA table_info', async () => {
+  const columns = await getTableColumns('users', fixture.datasourceId);
+
+  assert.deepEqual(columns.map(column => column.name), [
+    'id', 'name', 'email', 'age', 'city', 'country', 'sign_up_date', 'subscription_tier'
+  ]);
+
+  const byName = Object.fromEntries(columns.map(column => [column.name, column]));
+  assert.equal(byName.id.type, 'INTEGER');
+  assert.equal(byName.id.nullable, false);
+  assert.equal(byName.email.nullable, false);
+  assert.equal(byName.age.nullable, true);
+});
+
+test('getTableRelationships finds foreign keys, with or without a referenced column', async () => {
+  const relationships = await getTableRelationships('sales', fixture.datasourceId);
+  const byColumn = Object.fromEntries(relationships.map(rel => [rel.column_name, rel]));
+
+  // REFERENCES users (no column) points at the primary key
+  assert.equal(byColumn.user_id.foreign_table_name, 'users');
+  assert.equal(byColumn.user_id.foreign_column_name, 'id');
+
+  assert.equal(byColumn.product_id.foreign_table_name, 'products');
+  assert.equal(byColumn.product_id.foreign_column_name, 'id');
+
+  assert.deepEqual(await getTableRelationships('users', fixture.datasourceId), []);
+});
+
+test('getCompleteSchema describes the datasource', async () => {
+  const schema = await getCompleteSchema(fixture.datasourceId);
+
+  assert.equal(schema.dialect, 'sqlite');
+  assert.deepEqual(schema.tables.map(table => table.name), ['products', 'sales', 'users']);
+
+  const sales = schema.tables.find(table => table.name === 'sales');
+  assert.deepEqual(
+    sales.relationships.map(rel => `${rel.column}->${rel.foreignTable}.${rel.foreignColumn}`).sort(),
+    ['product_id->products.id', 'user_id->users.id']
+  );
+});
+
+test('getQueryStats returns the SQLite query plan without running the query', async () => {
+  const stats = await getQueryStats(
+    'SELECT category, SUM(amount) FROM sales WHERE region = :region GROUP BY category;',
+    { datasourceId: fixture.datasourceId, replacements: { region: 'Europe' } }
+  );
+
+  assert.equal(stats.dialect, 'sqlite');
+  assert.equal(stats.estimated, true);
+  assert.ok(stats.plan.length > 0);
+  assert.ok(stats.plan.every(step => typeof step.detail === 'string'));
+  assert.ok(stats.plan.some(step => /sales/i.test(step.detail)));
+});
+
+test('executeQuery returns rows and binds named parameters', async () => {
+  const result = await executeQuery(
+    'SELECT category, SUM(amount) AS total FROM sales WHERE region = :region GROUP BY category ORDER BY category;',
+    { datasourceId: fixture.datasourceId, replacements: { region: 'Europe' } }
+  );
+
+  assert.deepEqual(result.rows, [
+    { category: 'Electronics', total: 1200 },
+    { category: 'Furniture', total: 300 }
+  ]);
+  assert.equal(result.truncated, false);
+  assert.equal(result.totalRowCount, 2);
+});
+
+test('executeQuery caps the rows and counts the rest', async () => {
+  const result = await executeQuery('SELECT id FROM sales ORDER BY id', {
+    datasourceId: fixture.datasourceId,
+    maxRows: 2
+  });
+
+  assert.deepEqual(result.rows, [{ id: 1 }, { id: 2 }]);
+  assert.equal(result.truncated, true);
+  assert.equal(result.totalRowCount, 5);
+});
+
+test('executeQuery interrupts a query that runs past its timeout', async () => {
+  const endless = `
+    WITH RECURSIVE counter(n) AS (SELECT 1 UNION ALL SELECT n + 1 FROM counter)
+    SELECT COUNT(*) AS n FROM counter
+  `;
+
+  await assert.rejects(
+    executeQuery(endless, { datasourceId: fixture.datasourceId, timeout: 200 }),
+    QueryTimeoutError
+  );
+});
+
+test('the datasource is opened read-only', async () => {
+  const connection = getQueryConnection(fixture.datasourceId);
+
+  await assert.rejects(
+    connection.query("UPDATE users SET name = 'x'"),
+    (error) => error.original?.code === 'SQLITE_READONLY'
+  );
+
+  // Writes passed to executeQuery never get to run
+  await assert.rejects(
+    executeQuery("UPDATE users SET name = 'x'", { datasourceId: fixture.datasourceId }),
+    DatabaseError
+  );
+
+  const [{ name }] = (await executeQuery('SELECT name FROM users WHERE id = 1', {
+    datasourceId: fixture.datasourceId
+  })).rows;
+  assert.equal(name, 'Ada Lovelace');
+});
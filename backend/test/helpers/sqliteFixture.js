@@ -0,0 +1,96 @@
+// test/helpers/sqliteFixture.js
+// Temporary SQLite datasource shared by the test suites
+// Mirrors the sample users / products / sales tables (see migrations/),
+// with sales.region for the row filter examples, and registers the file
+// as a datasource the same way an uploaded dataset is registered
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { registerDatasource, unregisterDatasource } from '../../src/config/datasources.js';
+
+// The built-in datasource needs a database name even though the tests never use it
+process.env.DB_NAME ??= 'vega_auto_viz_test';
+
+// The services' progress logs would drown the test report (and node --test
+// cannot always tell them apart from its own messages); warnings and
+// errors still go to stderr
+console.log = () => {};
+
+const SCHEMA = `
+  PRAGMA foreign_keys = ON;
+
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    email VARCHAR(100) NOT NULL UNIQUE,
+    age INTEGER,
+    city VARCHAR(100),
+    country VARCHAR(100),
+    sign_up_date DATE NOT NULL,
+    subscription_tier VARCHAR(50)
+  );
+
+  CREATE TABLE products (
+    id INTEGER PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    category VARCHAR(100) NOT NULL,
+    price DECIMAL(10, 2) NOT NULL,
+    stock_quantity INTEGER NOT NULL
+  );
+
+  CREATE TABLE sales (
+    id INTEGER PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users,
+    product_id INTEGER REFERENCES products (id),
+    product_name VARCHAR(200) NOT NULL,
+    category VARCHAR(100) NOT NULL,
+    region VARCHAR(100) NOT NULL,
+    amount DECIMAL(10, 2) NOT NULL,
+    quantity INTEGER NOT NULL,
+    sale_date DATE NOT NULL
+  );
+
+  INSERT INTO users VALUES
+    (1, 'Ada Lovelace', 'ada@example.com', 36, 'London', 'UK', '2025-01-10', 'pro'),
+    (2, 'Grace Hopper', 'grace@example.com', 45, 'New York', 'USA', '2025-02-14', 'free'),
+    (3, 'Alan Turing', 'alan@example.com', 41, 'Manchester', 'UK', '2025-03-01', 'pro');
+
+  INSERT INTO products VALUES
+    (1, 'Laptop', 'Electronics', 1200, 10),
+    (2, 'Desk', 'Furniture', 300, 5);
+
+  INSERT INTO sales VALUES
+    (1, 1, 1, 'Laptop', 'Electronics', 'Europe', 1200, 1, '2025-04-01'),
+    (2, 2, 1, 'Laptop', 'Electronics', 'North America', 2400, 2, '2025-04-02'),
+    (3, 3, 2, 'Desk', 'Furniture', 'Europe', 300, 1, '2025-04-03'),
+    (4, 2, 2, 'Desk', 'Furniture', 'Asia Pacific', 600, 2, '2025-04-04'),
+    (5, 1, 2, 'Desk', 'Furniture', 'Africa', 300, 1, '2025-04-05');
+`;
+
+/**
+ * Create the SQLite file and register it as a datasource
+ *
+ * @param {string} datasourceId - Id to register the datasource under
+ * @returns {Promise<Object>} { datasourceId, storage, cleanup }
+ */
+export async function createSqliteFixture(datasourceId) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vega-auto-viz-test-'));
+  const storage = path.join(dir, 'fixture.db');
+
+  const db = new sqlite3.Database(storage);
+  await new Promise((resolve, reject) => db.exec(SCHEMA, (error) => (error ? reject(error) : resolve())));
+  await new Promise((resolve, reject) => db.close((error) => (error ? reject(error) : resolve())));
+
+  registerDatasource({ id: datasourceId, dialect: 'sqlite', storage });
+
+  return {
+    datasourceId,
+    storage,
+    cleanup: async () => {
+      await unregisterDatasource(datasourceId);
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,203 @@
+// test/rowFilters.test.js
+// applyRowFilters against queries that try to read around a row filter;
+// the rewritten SQL is run on the SQLite fixture to check the rows too
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSqliteFixture } from './helpers/sqliteFixture.js';
+import { applyRowFilters } from '../src/utils/sqlAnalyzer.js';
+import { executeQuery } from '../src/services/databaseService.js';
+
+// Sales 1, 3 (Europe) and 5 (Africa) are readable; 2 and 4 are not
+const FILTERS = [{ table: 'sales', column: 'region', values: ['Europe', 'Africa'] }];
+const FILTERED_SALES = "(SELECT * FROM sales WHERE region IN ('Europe', 'Africa'))";
+
+let fixture;
+
+before(async () => {
+  fixture = await createSqliteFixture('row_filter_test');
+});
+
+after(async () => {
+  await fixture.cleanup();
+});
+
+/**
+ * Rewrite a query with the filters and run it on the fixture
+ *
+ * @param {string} sql - Query
+ * @param {Array<Object>} [filters] - Row filters
+ * @returns {Promise<Object>} { sql, rows }
+ */
+async function run(sql, filters = FILTERS) {
+  const rewritten = applyRowFilters(sql, filters, 'sqlite');
+  const { rows } = await executeQuery(rewritten, { datasourceId: fixture.datasourceId });
+  return { sql: rewritten, rows };
+}
+
+test('a query without filtered tables is returned unchanged', () => {
+  const sql = 'SELECT name FROM users';
+  assert.equal(applyRowFilters(sql, FILTERS, 'sqlite'), sql);
+  assert.equal(applyRowFilters('SELECT region FROM sales', [], 'sqlite'), 'SELECT region FROM sales');
+});
+
+test('an aliased table keeps its alias', async () => {
+  const result = await run('SELECT s.region, SUM(s.amount) AS total FROM sales s GROUP BY s.region ORDER BY s.region');
+
+  assert.equal(result.sql,
+    `SELECT s.region, SUM(s.amount) AS total FROM ${FILTERED_SALES} s GROUP BY s.region ORDER BY s.region`);
+  assert.deepEqual(result.rows, [{ region: 'Africa', total: 300 }, { region: 'Europe', total: 1500 }]);
+});
+
+test('a schema-qualified table is filtered', async () => {
+  const result = await run('SELECT id FROM main.sales ORDER BY id');
+
+  assert.equal(result.sql,
+    "SELECT id FROM (SELECT * FROM main.sales WHERE region IN ('Europe', 'Africa')) AS sales ORDER BY id");
+  assert.deepEqual(result.rows, [{ id: 1 }, { id: 3 }, { id: 5 }]);
+});
+
+test('a mixed-case table name is filtered and keeps its case as the alias', async () => {
+  const result = await run('SELECT Sales.region, COUNT(*) AS n FROM Sales GROUP BY Sales.region ORDER BY n DESC');
+
+  assert.equal(result.sql,
+    `SELECT Sales.region, COUNT(*) AS n FROM ${FILTERED_SALES} AS Sales GROUP BY Sales.region ORDER BY n DESC`);
+  assert.deepEqual(result.rows, [{ region: 'Europe', n: 2 }, { region: 'Africa', n: 1 }]);
+});
+
+test('a CTE that shadows the table cannot read unfiltered rows', async () => {
+  // SQLite only lets the CTE read the table it shadows by its qualified name
+  const reading = await run('WITH sales AS (SELECT * FROM main.sales WHERE amount > 250) SELECT id FROM sales ORDER BY id');
+
+  assert.equal(reading.sql,
+    "WITH sales AS (SELECT * FROM (SELECT * FROM main.sales WHERE region IN ('Europe', 'Africa')) AS sales " +
+    `WHERE amount > 250) SELECT id FROM ${FILTERED_SALES} AS sales ORDER BY id`);
+  assert.deepEqual(reading.rows, [{ id: 1 }, { id: 3 }, { id: 5 }]);
+
+  // Postgres reads the table by its plain name inside the CTE
+  assert.equal(
+    applyRowFilters('WITH sales AS (SELECT * FROM sales) SELECT region FROM sales', FILTERS, 'postgres'),
+    `WITH sales AS (SELECT * FROM ${FILTERED_SALES} AS sales) SELECT region FROM ${FILTERED_SALES} AS sales`
+  );
+
+  // A CTE of its own is filtered too, which narrows it but reads no table rows
+  const own = await run("WITH sales AS (SELECT 2 AS id, 'North America' AS region) SELECT id FROM sales");
+  assert.deepEqual(own.rows, []);
+});
+
+test('subqueries in SELECT, WHERE and EXISTS are filtered', async () => {
+  const scalar = await run(
+    'SELECT u.name, (SELECT COUNT(*) FROM sales WHERE sales.user_id = u.id) AS n FROM users u ORDER BY u.id'
+  );
+  assert.equal(scalar.sql,
+    `SELECT u.name, (SELECT COUNT(*) FROM ${FILTERED_SALES} AS sales WHERE sales.user_id = u.id) AS n ` +
+    'FROM users u ORDER BY u.id');
+  assert.deepEqual(scalar.rows, [
+    { name: 'Ada Lovelace', n: 2 },
+    { name: 'Grace Hopper', n: 0 },
+    { name: 'Alan Turing', n: 1 }
+  ]);
+
+  const inList = await run('SELECT name FROM users WHERE id IN (SELECT user_id FROM sales) ORDER BY id');
+  assert.deepEqual(inList.rows, [{ name: 'Ada Lovelace' }, { name: 'Alan Turing' }]);
+
+  const exists = await run(
+    'SELECT name FROM users u WHERE EXISTS (SELECT 1 FROM sales s WHERE s.user_id = u.id AND s.amount > 1000)'
+  );
+  assert.equal(exists.sql,
+    `SELECT name FROM users u WHERE EXISTS (SELECT 1 FROM ${FILTERED_SALES} s ` +
+    'WHERE s.user_id = u.id AND s.amount > 1000)');
+  assert.deepEqual(exists.rows, [{ name: 'Ada Lovelace' }]);
+});
+
+test('every UNION branch is filtered', async () => {
+  const result = await run(
+    'SELECT region FROM sales WHERE amount > 1000 UNION SELECT region FROM sales WHERE amount < 1000 ORDER BY region'
+  );
+
+  assert.equal(result.sql,
+    `SELECT region FROM ${FILTERED_SALES} AS sales WHERE amount > 1000 ` +
+    `UNION SELECT region FROM ${FILTERED_SALES} AS sales WHERE amount < 1000 ORDER BY region`);
+  assert.deepEqual(result.rows, [{ region: 'Africa' }, { region: 'Europe' }]);
+});
+
+test('both sides of a self-join are filtered', async () => {
+  const result = await run(
+    'SELECT a.id AS first_id, b.id AS second_id FROM sales a JOIN sales AS b ON a.user_id = b.user_id AND a.id < b.id'
+  );
+
+  assert.equal(result.sql,
+    `SELECT a.id AS first_id, b.id AS second_id FROM ${FILTERED_SALES} a ` +
+    `JOIN ${FILTERED_SALES} AS b ON a.user_id = b.user_id AND a.id < b.id`);
+  assert.deepEqual(result.rows, [{ first_id: 1, second_id: 5 }]);
+});
+
+test('strings and comments that mention the table are left alone', async () => {
+  const result = await run("SELECT 'FROM sales' AS label, COUNT(*) AS n FROM sales /* FROM sales */");
+
+  assert.equal(result.sql,
+    `SELECT 'FROM sales' AS label, COUNT(*) AS n FROM ${FILTERED_SALES} AS sales /* FROM sales */`);
+  assert.deepEqual(result.rows, [{ label: 'FROM sales', n: 3 }]);
+});
+
+test('an identity without permitted values reads no rows', async () => {
+  const result = await run('SELECT COUNT(*) AS n FROM sales', [{ table: 'sales', column: 'region', values: [] }]);
+
+  assert.equal(result.sql, 'SELECT COUNT(*) AS n FROM (SELECT * FROM sales WHERE 1 = 0) AS sales');
+  assert.deepEqual(result.rows, [{ n: 0 }]);
+});
+
+test('Postgres queries keep their identifiers as written', () => {
+  assert.equal(
+    applyRowFilters('SELECT region, SUM(amount) AS Total FROM SALES GROUP BY region', FILTERS, 'postgres'),
+    `SELECT region, SUM(amount) AS Total FROM ${FILTERED_SALES} AS SALES GROUP BY region`
+  );
+  assert.equal(
+    applyRowFilters('SELECT S.region AS Region FROM public.Sales AS S', FILTERS, 'postgres'),
+    "SELECT S.region AS Region FROM (SELECT * FROM public.sales WHERE region IN ('Europe', 'Africa')) AS S"
+  );
+});
+
+test('FROM inside EXTRACT or IS DISTINCT FROM is not taken for a table', () => {
+  assert.equal(
+    applyRowFilters(
+      "SELECT EXTRACT(YEAR FROM sale_date) AS y FROM sales WHERE region IS DISTINCT FROM 'x'", FILTERS, 'postgres'
+    ),
+    `SELECT EXTRACT(YEAR FROM sale_date) AS y FROM ${FILTERED_SALES} AS sales WHERE region IS DISTINCT FROM 'x'`
+  );
+});
+
+test('filter values are escaped as string literals', () => {
+  assert.equal(
+    applyRowFilters('SELECT id FROM sales', [{ table: 'sales', column: 'region', values: ["O'Hare\\", 7] }], 'mysql'),
+    "SELECT id FROM (SELECT * FROM sales WHERE region IN ('O''Hare\\\\', 7)) AS sales"
+  );
+});
+
+test('a table name inside a dollar-quoted string is not taken for the read', () => {
+  assert.equal(
+    applyRowFilters(
+      "SELECT $$ FROM sales '$$ AS b, region, SUM(amount) AS total FROM sales WHERE '1' = '1' GROUP BY region",
+      FILTERS, 'postgres'
+    ),
+    `SELECT $$ FROM sales '$$ AS b, region, SUM(amount) AS total FROM ${FILTERED_SALES} AS sales ` +
+    "WHERE '1' = '1' GROUP BY region"
+  );
+  assert.equal(
+    applyRowFilters('SELECT $t$ FROM sales $t$ AS b FROM sales', FILTERS, 'postgres'),
+    `SELECT $t$ FROM sales $t$ AS b FROM ${FILTERED_SALES} AS sales`
+  );
+});
+
+test('MySQL strings with backslash escapes and executable comments cannot hide a read', () => {
+  assert.equal(
+    applyRowFilters('SELECT "a\\" FROM sales " AS b FROM sales', FILTERS, 'mysql'),
+    `SELECT "a\\" FROM sales " AS b FROM ${FILTERED_SALES} AS sales`
+  );
+  assert.throws(() => applyRowFilters('SELECT 1 /*! FROM sales */', FILTERS, 'mysql'), /executable comments/);
+});
+
+test('quoting the parser does not understand fails instead of running unfiltered', () => {
+  assert.throws(() => applyRowFilters("SELECT [a'b], region FROM sales WHERE 'x' = 'x'", FILTERS, 'sqlite'));
+  assert.throws(() => applyRowFilters("SELECT E'\\' FROM sales ' AS b FROM sales", FILTERS, 'postgres'));
+});
@@ -0,0 +1,66 @@
+// test/rowPolicies.test.js
+// executeQuery applies the row policy file to the requesting identity
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSqliteFixture } from './helpers/sqliteFixture.js';
+
+// The policy file is located when rowPolicyService is loaded, so the
+// services are imported after ROW_POLICY_FILE is set
+const policyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vega-auto-viz-policies-'));
+process.env.ROW_POLICY_FILE = path.join(policyDir, 'rowPolicies.json');
+fs.writeFileSync(process.env.ROW_POLICY_FILE, JSON.stringify({
+  filters: [{
+    table: 'sales',
+    column: 'region',
+    key: 'team',
+    values: { emea: ['Europe', 'Africa'] },
+    unrestricted: ['admin']
+  }]
+}));
+
+const { executeQuery } = await import('../src/services/databaseService.js');
+
+const QUERY = 'SELECT region, SUM(amount) AS total FROM sales GROUP BY region ORDER BY region';
+
+let fixture;
+
+before(async () => {
+  fixture = await createSqliteFixture('row_policy_test');
+});
+
+after(async () => {
+  await fixture.cleanup();
+  fs.rmSync(policyDir, { recursive: true, force: true });
+});
+
+test('an identity reads only the rows its team may see', async () => {
+  const { rows } = await executeQuery(QUERY, { datasourceId: fixture.datasourceId, identity: { team: 'emea' } });
+
+  assert.deepEqual(rows, [{ region: 'Africa', total: 300 }, { region: 'Europe', total: 1500 }]);
+});
+
+test('an unrestricted identity reads every row', async () => {
+  const { rows } = await executeQuery(QUERY, { datasourceId: fixture.datasourceId, identity: { team: 'admin' } });
+
+  assert.equal(rows.length, 4);
+});
+
+test('an identity without the attribute, or without a request identity, reads no rows', async () => {
+  for (const identity of [{ team: 'apac' }, {}, undefined]) {
+    const { rows } = await executeQuery(QUERY, { datasourceId: fixture.datasourceId, identity });
+    assert.deepEqual(rows, []);
+  }
+});
+
+test('row filters are applied to subqueries the query hides the table in', async () => {
+  const { rows } = await executeQuery(
+    'SELECT COUNT(*) AS n FROM users WHERE id IN (SELECT user_id FROM main.sales WHERE amount > 500)',
+    { datasourceId: fixture.datasourceId, identity: { team: 'emea' } }
+  );
+
+  assert.deepEqual(rows, [{ n: 1 }]);
+});
@@ -4,38 +4,130 @@
  * Main application component that orchestrates all other components.
  * This is the "container" or "smart" component that manages state and logic.
  * 
+ * Nothing is shown until the user signs in (SignIn); each account gets a
+ * fresh workspace with its own charts, dashboards and history.
+ * 
  * Component Structure:
- * - Header: Application title and branding
- * - PromptInput: Text input for user queries
+ * - SignIn: Sign-in and registration screen
+ * - Header: Application title, branding and the Explore/Dashboards/Glossary switch
+ * - DatasourcePicker: Which database prompts are answered from
+ * - DatasetUploadButton: Upload a file to ask questions about
+ * - PromptInput: Text input for user queries (and follow-ups)
+ * - ChatHistory: Threaded conversation of previous charts
  * - LoadingState: Shown while processing
  * - ErrorDisplay: Shown if error occurs
  * - ChartDisplay: Shows generated chart
+ * - ChartLibrary: "My Charts" - charts the user saved
+ * - DashboardView: Saved charts arranged on dashboards
+ * - DrilldownTable: Rows behind a clicked chart group
+ * - MetricGlossary: Named metrics and how they are computed
+ * - GlossaryEditor: Business names and descriptions of tables, columns and values
  * - ExamplePrompts: Quick-start examples
  * - Toast: Notification messages
  */
 
-import React from 'react';
+import React, { useState } from 'react';
+import SignIn from './components/SignIn';
 import Header from './components/Header';
+import DatasourcePicker from './components/DatasourcePicker';
+import DatasetUploadButton from './components/DatasetUploadButton';
 import PromptInput from './components/PromptInput';
 import ChartDisplay from './components/ChartDisplay';
+import ChatHistory from './components/ChatHistory';
+import ChartLibrary from './components/ChartLibrary';
+import DashboardView from './components/DashboardView';
+import DrilldownTable from './components/DrilldownTable';
+import MetricGlossary from './components/MetricGlossary';
+import GlossaryEditor from './components/GlossaryEditor';
 import ExamplePrompts from './components/ExamplePrompts';
 import LoadingState from './components/LoadingState';
 import ErrorDisplay from './components/ErrorDisplay';
 import Toast from './components/Toast';
 import useChartGenerator from './hooks/useChartGenerator';
+import useWidgetLibrary from './hooks/useWidgetLibrary';
+import useDashboards from './hooks/useDashboards';
+import useDrilldown from './hooks/useDrilldown';
+import useDatasources from './hooks/useDatasources';
+import useSemanticLayer from './hooks/useSemanticLayer';
+import useGlossary from './hooks/useGlossary';
+import useAuth from './hooks/useAuth';
 
 function App() {
+  // Who is signed in
+  const auth = useAuth();
+
+  if (auth.isChecking) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <span className="spinner" />
+      </div>
+    );
+  }
+
+  if (!auth.account) {
+    return (
+      <SignIn
+        onSignIn={auth.signIn}
+        onSignUp={auth.signUp}
+        isSubmitting={auth.isSubmitting}
+        error={auth.error}
+      />
+    );
+  }
+
+  // Keyed by account so nothing carries over between accounts
+  return <Workspace key={auth.account.id} account={auth.account} onSignOut={auth.signOut} />;
+}
+
+/**
+ * The signed-in application: explore, dashboards and glossary
+ */
+function Workspace({ account, onSignOut }) {
+  // Databases prompts can be answered from
+  const datasources = useDatasources();
+
+  // Named metrics and dimensions of the selected datasource
+  const semanticLayer = useSemanticLayer(datasources.selectedId);
+
   // Use custom hook to manage chart generation logic
   const {
     isLoading,
     chartData,
     error,
     successMessage,
+    turns,
+    activeTurn,
     generateChart,
+    selectTurn,
+    newConversation,
+    openChart,
+    chartSaved,
     retry,
     clearSuccessMessage,
     clearError,
-  } = useChartGenerator();
+  } = useChartGenerator(datasources.selectedId);
+
+  // Saved charts ("My Charts")
+  const library = useWidgetLibrary();
+
+  // Dashboards of saved charts
+  const dashboards = useDashboards();
+
+  // Detail rows behind a clicked chart group
+  const drilldown = useDrilldown();
+
+  // 'explore' (generate charts), 'dashboards' or 'glossary'
+  const [view, setView] = useState('explore');
+
+  // Business glossary of the selected datasource (loaded when shown)
+  const glossary = useGlossary(datasources.selectedId, view === 'glossary');
+
+  // Save in progress, and errors from library actions
+  const [isSaving, setIsSaving] = useState(false);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [isAddingToDashboard, setIsAddingToDashboard] = useState(false);
+  const [libraryError, setLibraryError] = useState(null);
+  const [libraryNotice, setLibraryNotice] = useState(null);
 
   /**
    * Handle prompt submission from input
@@ -45,6 +137,31 @@ function App() {
     generateChart(prompt);
   };
 
+  /**
+   * Switch the datasource new prompts are answered from
+   * Follow-ups only make sense against the same data, so the
+   * conversation starts over
+   */
+  const handleSelectDatasource = (datasourceId) => {
+    if (datasourceId === datasources.selectedId) return;
+
+    datasources.selectDatasource(datasourceId);
+    newConversation();
+  };
+
+  /**
+   * Upload a file and start asking about it
+   */
+  const handleUploadDataset = async (file) => {
+    try {
+      const dataset = await datasources.uploadDataset(file);
+      newConversation();
+      setLibraryNotice(`Loaded ${dataset.rowCount} rows from "${dataset.name}"`);
+    } catch (err) {
+      setLibraryError(err.message);
+    }
+  };
+
   /**
    * Handle example prompt selection
    */
@@ -53,6 +170,123 @@ function App() {
     generateChart(prompt);
   };
 
+  /**
+   * Save the current chart to My Charts
+   */
+  const handleSaveChart = async (chart) => {
+    try {
+      setIsSaving(true);
+      const widget = await library.saveChart(chart);
+      chartSaved(widget.id);
+    } catch (err) {
+      setLibraryError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /**
+   * Run a library action, surfacing failures as a toast
+   */
+  const runLibraryAction = (action) => async (...args) => {
+    try {
+      await action(...args);
+    } catch (err) {
+      setLibraryError(err.message);
+    }
+  };
+
+  /**
+   * Open a saved chart
+   */
+  const handleOpenWidget = runLibraryAction(async (widgetId) => {
+    const chart = await library.openWidget(widgetId);
+    openChart(chart);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  });
+
+  /**
+   * Re-run a saved chart's SQL and show the fresh result
+   */
+  const handleRefreshWidget = async (widgetId) => {
+    try {
+      setIsRefreshing(true);
+      const chart = await library.refreshChart(widgetId);
+      openChart(chart);
+    } catch (err) {
+      setLibraryError(err.message);
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  /**
+   * Drill into the rows behind a clicked group of the current chart
+   * Saved charts drill through their widget; generated ones send their SQL
+   *
+   * @param {Object} chart - Chart being displayed
+   * @param {Object} group - { field, value }
+   */
+  const handleDrillDown = (chart, group) => {
+    drilldown.openDrilldown(
+      chart.widgetId
+        ? { widgetId: chart.widgetId, data: chart.data }
+        : {
+          sql: chart.sql,
+          datasourceId: chart.datasourceId,
+          analysis: chart.analysis,
+          parameters: chart.parameters,
+          data: chart.data,
+        },
+      group
+    );
+  };
+
+  /**
+   * Place the current chart on a dashboard
+   * Unsaved charts are saved to My Charts first, since tiles show saved charts
+   *
+   * @param {Object} chart - Chart being displayed
+   * @param {Object} target - { dashboardId } or { name } for a new dashboard
+   */
+  const handleAddToDashboard = async (chart, target) => {
+    try {
+      setIsAddingToDashboard(true);
+
+      let { widgetId } = chart;
+      if (!widgetId) {
+        const widget = await library.saveChart(chart);
+        chartSaved(widget.id);
+        widgetId = widget.id;
+      }
+
+      const dashboard = target.dashboardId
+        ? dashboards.dashboards.find((d) => d.id === target.dashboardId)
+        : await dashboards.addDashboard(target.name);
+
+      await dashboards.addChart(dashboard.id, widgetId);
+      setLibraryNotice(`Added to "${dashboard.name}"`);
+    } catch (err) {
+      setLibraryError(err.message);
+    } finally {
+      setIsAddingToDashboard(false);
+    }
+  };
+
+  /**
+   * Switch between exploring and dashboards
+   * The open dashboard is reloaded, as its charts may have changed meanwhile
+   */
+  const handleViewChange = (nextView) => {
+    setView(nextView);
+    if (nextView === 'dashboards') {
+      dashboards.loadDashboards();
+      if (dashboards.activeDashboard) {
+        dashboards.openDashboard(dashboards.activeDashboard.id);
+      }
+    }
+  };
+
   /**
    * Handle retry after error
    */
@@ -89,28 +323,101 @@ function App() {
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50">
       {/* Header */}
-      <Header />
+      <Header
+        view={view}
+        onViewChange={handleViewChange}
+        account={account}
+        onSignOut={onSignOut}
+      />
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        <div className="space-y-8">
+        {/* Dashboards */}
+        {view === 'dashboards' && (
+          <DashboardView
+            dashboards={dashboards.dashboards}
+            activeDashboard={dashboards.activeDashboard}
+            tileResults={dashboards.tileResults}
+            isLoading={dashboards.isLoading}
+            isFiltering={dashboards.isFiltering}
+            error={dashboards.error}
+            onOpen={dashboards.openDashboard}
+            onCreate={runLibraryAction(dashboards.addDashboard)}
+            onRename={runLibraryAction(dashboards.renameDashboard)}
+            onDelete={runLibraryAction(dashboards.removeDashboard)}
+            onApplyFilters={runLibraryAction(dashboards.applyFilters)}
+            onLayoutSave={runLibraryAction(dashboards.saveLayout)}
+            onRefreshTile={runLibraryAction(dashboards.refreshTile)}
+            onRenameTile={runLibraryAction(dashboards.renameTile)}
+            onRemoveTile={runLibraryAction(dashboards.removeTile)}
+            onDrillDown={drilldown.openDrilldown}
+          />
+        )}
+
+        {/* Business glossary */}
+        {view === 'glossary' && (
+          <GlossaryEditor
+            tables={glossary.tables}
+            annotations={glossary.annotations}
+            isLoading={glossary.isLoading}
+            error={glossary.error}
+            canEdit={account.role === 'admin'}
+            onSave={runLibraryAction(glossary.saveAnnotation)}
+            onDelete={runLibraryAction(glossary.removeAnnotation)}
+            onLoadVersions={glossary.loadVersions}
+          />
+        )}
+
+        {/* Explore - kept mounted so the current chart survives a view switch */}
+        <div className={`space-y-8 ${view === 'explore' ? '' : 'hidden'}`}>
           {/* Prompt Input Section */}
           <section>
-            <div className="mb-4">
-              <h2 className="text-lg font-semibold text-gray-900 mb-2">
-                Ask Your Question
-              </h2>
-              <p className="text-sm text-gray-600">
-                Type a natural language query to generate dynamic visualizations from your data
-              </p>
+            <div className="mb-4 flex flex-wrap items-end justify-between gap-3">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900 mb-2">
+                  Ask Your Question
+                </h2>
+                <p className="text-sm text-gray-600">
+                  Type a natural language query to generate dynamic visualizations from your data
+                </p>
+              </div>
+
+              <div className="flex flex-wrap items-center gap-3">
+                <DatasourcePicker
+                  datasources={datasources.datasources}
+                  selectedId={datasources.selectedId}
+                  onSelect={handleSelectDatasource}
+                  disabled={isLoading}
+                />
+                <DatasetUploadButton
+                  onUpload={handleUploadDataset}
+                  isUploading={datasources.isUploading}
+                  disabled={isLoading}
+                />
+              </div>
             </div>
             
             <PromptInput 
               onSubmit={handleSubmit} 
               isLoading={isLoading} 
+              followUpPrompt={activeTurn?.prompt}
+              onNewConversation={newConversation}
             />
           </section>
 
+          {/* Conversation Thread - lets users branch from earlier charts */}
+          {turns.length > 0 && (
+            <section>
+              <ChatHistory
+                turns={turns}
+                activeTurnId={activeTurn?.id}
+                onSelectTurn={selectTurn}
+                onNewConversation={newConversation}
+                isLoading={isLoading}
+              />
+            </section>
+          )}
+
           {/* Results Section */}
           <section>
             {/* Show loading state while processing */}
@@ -131,10 +438,45 @@ function App() {
                 chartData={chartData}
                 onCopy={clearSuccessMessage}  // Not ideal, but works for demo
                 onDownload={clearSuccessMessage}
+                onSave={handleSaveChart}
+                isSaving={isSaving}
+                onRefresh={handleRefreshWidget}
+                isRefreshing={isRefreshing}
+                dashboards={dashboards.dashboards}
+                onAddToDashboard={handleAddToDashboard}
+                isAddingToDashboard={isAddingToDashboard}
+                onDrillDown={handleDrillDown}
               />
             )}
           </section>
 
+          {/* Saved charts */}
+          <section>
+            <ChartLibrary
+              widgets={library.widgets}
+              pagination={library.pagination}
+              isLoading={library.isLoading}
+              error={library.error}
+              onOpen={handleOpenWidget}
+              onRename={runLibraryAction(library.renameWidget)}
+              onDuplicate={runLibraryAction(library.copyWidget)}
+              onDelete={runLibraryAction(library.removeWidget)}
+              onPageChange={library.loadPage}
+            />
+          </section>
+
+          {/* Metric glossary of the selected datasource */}
+          {semanticLayer.metrics.length > 0 && (
+            <section>
+              <MetricGlossary
+                metrics={semanticLayer.metrics}
+                dimensions={semanticLayer.dimensions}
+                onSelectPrompt={handleExampleSelect}
+                isLoading={isLoading}
+              />
+            </section>
+          )}
+
           {/* Example Prompts Section - Always visible for guidance */}
           <section>
             <ExamplePrompts 
@@ -211,6 +553,34 @@ function App() {
           duration={5000}  // Longer duration for errors
         />
       )}
+
+      {libraryNotice && (
+        <Toast 
+          message={libraryNotice}
+          type="success"
+          onClose={() => setLibraryNotice(null)}
+        />
+      )}
+
+      {drilldown.target && (
+        <DrilldownTable
+          target={drilldown.target}
+          result={drilldown.result}
+          isLoading={drilldown.isLoading}
+          error={drilldown.error}
+          onPageChange={drilldown.goToPage}
+          onClose={drilldown.closeDrilldown}
+        />
+      )}
+
+      {libraryError && (
+        <Toast 
+          message={libraryError}
+          type="error"
+          onClose={() => setLibraryError(null)}
+          duration={5000}
+        />
+      )}
     </div>
   );
 }
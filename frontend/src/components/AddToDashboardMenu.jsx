@@ -0,0 +1,85 @@
+/**
+ * AddToDashboardMenu Component
+ *
+ * Button with a dropdown of dashboards to place the current chart on,
+ * plus a field to create a new dashboard for it.
+ */
+
+import { useState } from 'react';
+import { LayoutDashboard, Plus } from 'lucide-react';
+
+const AddToDashboardMenu = ({ dashboards, onAdd, isAdding = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [newName, setNewName] = useState('');
+
+  /**
+   * Add to an existing dashboard, or a new one when a name is given
+   */
+  const choose = async (target) => {
+    setIsOpen(false);
+    await onAdd(target);
+    setNewName('');
+  };
+
+  const submitNew = (event) => {
+    event.preventDefault();
+    const name = newName.trim();
+    if (name) {
+      choose({ name });
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setIsOpen((open) => !open)}
+        disabled={isAdding}
+        className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 flex items-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
+        title="Add to a dashboard"
+      >
+        <LayoutDashboard className="w-4 h-4" />
+        <span className="hidden sm:inline">{isAdding ? 'Adding...' : 'Add to Dashboard'}</span>
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 z-20 mt-2 w-64 bg-white border border-gray-200 rounded-lg shadow-lg p-2">
+          {dashboards.length > 0 && (
+            <ul className="max-h-60 overflow-y-auto mb-2">
+              {dashboards.map((dashboard) => (
+                <li key={dashboard.id}>
+                  <button
+                    onClick={() => choose({ dashboardId: dashboard.id })}
+                    className="w-full text-left px-3 py-2 text-sm text-gray-700 rounded hover:bg-gray-50 truncate"
+                  >
+                    {dashboard.name}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={submitNew} className="flex items-center gap-2 border-t border-gray-100 pt-2">
+            <input
+              type="text"
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              maxLength={255}
+              placeholder="New dashboard"
+              className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+            <button
+              type="submit"
+              disabled={!newName.trim()}
+              className="p-1.5 text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+              title="Create dashboard and add chart"
+            >
+              <Plus className="w-4 h-4" />
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AddToDashboardMenu;
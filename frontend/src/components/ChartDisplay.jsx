@@ -2,20 +2,28 @@
  * ChartDisplay Component
  * 
  * Renders the Vega-Lite chart using react-vega library.
- * Displays chart with metadata and export options.
+ * Displays chart with metadata and export options. Clicking a mark drills
+ * into the rows behind its group.
  */
 
 import React from 'react';
 import { Vega } from 'react-vega';
-import { Download, Copy, TrendingUp, Database, Code } from 'lucide-react';
-import { copyToClipboard, downloadJSON, formatNumber } from '../utils';
+import { Download, Copy, TrendingUp, Database, Code, Wrench, AlertTriangle, Save, Check, RefreshCw } from 'lucide-react';
+import { copyToClipboard, downloadJSON, formatNumber, formatDate } from '../utils';
 import { VEGA_THEME } from '../constants';
+import AddToDashboardMenu from './AddToDashboardMenu';
 
-const ChartDisplay = ({ chartData, onCopy, onDownload }) => {
+const ChartDisplay = ({
+  chartData, onCopy, onDownload, onSave, isSaving = false, onRefresh, isRefreshing = false,
+  dashboards = [], onAddToDashboard, isAddingToDashboard = false, onDrillDown,
+}) => {
   // If no chart data is provided, don't render anything
   if (!chartData) return null;
 
-  const { vegaSpec, data, analysis, prompt, dataCount, sql } = chartData;
+  const {
+    vegaSpec, data, analysis, prompt, dataCount, sql,
+    attempts = [], truncated = false, totalRowCount = null, widgetId, lastRefreshedAt
+  } = chartData;
 
   /**
    * Handle copy chart spec to clipboard
@@ -52,6 +60,23 @@ const ChartDisplay = ({ chartData, onCopy, onDownload }) => {
     URL.revokeObjectURL(url);
   };
 
+  // Grouping column the chart's marks stand for (output alias, unqualified)
+  const drillField = analysis?.groupBy ? String(analysis.groupBy).split('.').pop() : null;
+
+  /**
+   * Drill into the group of a clicked mark
+   */
+  const handleNewView = (view) => {
+    if (!onDrillDown || !drillField) return;
+
+    view.addEventListener('click', (event, item) => {
+      const datum = item?.datum;
+      if (datum && drillField in datum) {
+        onDrillDown(chartData, { field: drillField, value: datum[drillField] });
+      }
+    });
+  };
+
   // Apply custom theme to Vega spec
   const themedSpec = {
     ...vegaSpec,
@@ -75,10 +100,52 @@ const ChartDisplay = ({ chartData, onCopy, onDownload }) => {
             <p className="text-sm text-gray-600 truncate">
               Query: <span className="font-medium">{prompt}</span>
             </p>
+            {lastRefreshedAt && (
+              <p className="text-xs text-gray-500 mt-1">
+                Data as of {formatDate(lastRefreshedAt, 'long')}, {formatDate(lastRefreshedAt, 'time')}
+              </p>
+            )}
           </div>
 
           {/* Action buttons */}
           <div className="flex items-center gap-2">
+            {/* Re-run a saved chart's SQL against live data */}
+            {widgetId && onRefresh && (
+              <button
+                onClick={() => onRefresh(widgetId)}
+                disabled={isRefreshing}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 flex items-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
+                title="Refresh with live data"
+              >
+                <RefreshCw className={`w-4 h-4 ${isRefreshing ? 'animate-spin' : ''}`} />
+                <span className="hidden sm:inline">{isRefreshing ? 'Refreshing...' : 'Refresh'}</span>
+              </button>
+            )}
+
+            {/* Save to My Charts button */}
+            {onSave && (
+              <button
+                onClick={() => onSave(chartData)}
+                disabled={Boolean(widgetId) || isSaving}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-200 flex items-center gap-2 disabled:opacity-60 disabled:cursor-not-allowed"
+                title={widgetId ? 'Saved to My Charts' : 'Save to My Charts'}
+              >
+                {widgetId ? <Check className="w-4 h-4 text-green-600" /> : <Save className="w-4 h-4" />}
+                <span className="hidden sm:inline">
+                  {widgetId ? 'Saved' : isSaving ? 'Saving...' : 'Save'}
+                </span>
+              </button>
+            )}
+
+            {/* Place the chart on a dashboard (saves it first if needed) */}
+            {onAddToDashboard && (
+              <AddToDashboardMenu
+                dashboards={dashboards}
+                onAdd={(target) => onAddToDashboard(chartData, target)}
+                isAdding={isAddingToDashboard}
+              />
+            )}
+
             {/* Copy spec button */}
             <button
               onClick={handleCopySpec}
@@ -121,13 +188,35 @@ const ChartDisplay = ({ chartData, onCopy, onDownload }) => {
             </div>
             <div className="text-xs text-gray-600 mt-1">Grouped By</div>
           </div>
-          <div className="text-center">
-            <div className="text-2xl font-bold text-green-600 uppercase">
-              {analysis.aggregation}
+          {/* Named metrics from the glossary replace the bare aggregation */}
+          {analysis.metrics?.length > 0 ? (
+            <div className="text-center">
+              <div className="text-2xl font-bold text-green-600 truncate">
+                {analysis.metrics.join(', ')}
+              </div>
+              <div className="text-xs text-gray-600 mt-1">Metric</div>
             </div>
-            <div className="text-xs text-gray-600 mt-1">Aggregation</div>
-          </div>
+          ) : (
+            <div className="text-center">
+              <div className="text-2xl font-bold text-green-600 uppercase">
+                {analysis.aggregation}
+              </div>
+              <div className="text-xs text-gray-600 mt-1">Aggregation</div>
+            </div>
+          )}
         </div>
+
+        {/* Row cap notice */}
+        {truncated && (
+          <div className="mt-4 flex items-start gap-2 p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            <span>
+              Results were truncated to the first {formatNumber(dataCount)} rows
+              {totalRowCount !== null && ` of ${formatNumber(totalRowCount)}`}.
+              Add a filter or ask for fewer groups to see everything.
+            </span>
+          </div>
+        )}
       </div>
 
       {/* Chart Visualization Card */}
@@ -136,6 +225,7 @@ const ChartDisplay = ({ chartData, onCopy, onDownload }) => {
           {/* Vega chart component */}
           <Vega
             spec={themedSpec}
+            onNewView={handleNewView}
             actions={{
               export: true,    // Enable export to PNG/SVG
               source: false,   // Hide view source button
@@ -144,6 +234,11 @@ const ChartDisplay = ({ chartData, onCopy, onDownload }) => {
             }}
           />
         </div>
+        {onDrillDown && drillField && (
+          <p className="mt-3 text-xs text-gray-500 text-center">
+            Click a mark to see the rows behind it.
+          </p>
+        )}
       </div>
 
       {/* SQL Query Display (Collapsible) */}
@@ -171,6 +266,50 @@ const ChartDisplay = ({ chartData, onCopy, onDownload }) => {
         </div>
       </details>
 
+      {/* Query Repairs (Collapsible) - only when the AI had to fix its SQL */}
+      {attempts.length > 1 && (
+        <details className="card cursor-pointer group">
+          <summary className="font-semibold text-gray-900 flex items-center justify-between">
+            <span className="flex items-center gap-2">
+              <Wrench className="w-5 h-5 text-orange-500" />
+              Query Repaired ({attempts.length - 1} {attempts.length === 2 ? 'fix' : 'fixes'})
+            </span>
+            <Code className="w-5 h-5 text-gray-400 group-open:rotate-180 transition-transform duration-200" />
+          </summary>
+
+          <ol className="mt-4 space-y-4">
+            {attempts.map((attempt) => (
+              <li key={attempt.attempt} className="space-y-2">
+                <div className="flex items-center gap-2 text-sm">
+                  <span className="font-medium text-gray-900">Attempt {attempt.attempt}</span>
+                  <span
+                    className={`px-2 py-0.5 rounded text-xs font-medium ${
+                      attempt.status === 'succeeded'
+                        ? 'bg-green-100 text-green-700'
+                        : 'bg-red-100 text-red-700'
+                    }`}
+                  >
+                    {attempt.status === 'succeeded' ? 'Succeeded' : `Failed ${attempt.stage}`}
+                  </span>
+                </div>
+
+                <pre className="bg-gray-900 text-gray-100 p-3 rounded-lg overflow-x-auto text-xs">
+                  <code>{attempt.sql}</code>
+                </pre>
+
+                {attempt.errors?.length > 0 && (
+                  <ul className="text-sm text-red-700 space-y-1">
+                    {attempt.errors.map((message, i) => (
+                      <li key={i}>• {message}</li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ol>
+        </details>
+      )}
+
       {/* Data Preview (Collapsible) */}
       <details className="card cursor-pointer group">
         <summary className="font-semibold text-gray-900 flex items-center justify-between">
@@ -0,0 +1,189 @@
+/**
+ * ChartLibrary Component
+ *
+ * "My Charts" - lists saved widgets with actions to open, rename,
+ * duplicate and delete them. Pagination is handled by the backend.
+ * Widgets whose SQL no longer fits the database schema are flagged.
+ */
+
+import { useState } from 'react';
+import {
+  Library, FolderOpen, Pencil, Copy, Trash2, Check, X, ChevronLeft, ChevronRight, AlertTriangle,
+} from 'lucide-react';
+import { CHART_TYPE_LABELS } from '../constants';
+import { formatDate } from '../utils';
+
+const ChartLibrary = ({
+  widgets,
+  pagination,
+  isLoading,
+  error,
+  onOpen,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onPageChange,
+}) => {
+  // Widget currently being renamed, and the draft name
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+
+  /**
+   * Start renaming a widget
+   */
+  const startRename = (widget) => {
+    setEditingId(widget.id);
+    setDraftName(widget.name || '');
+  };
+
+  /**
+   * Save the new name (ignores empty names)
+   */
+  const submitRename = async (event) => {
+    event.preventDefault();
+    const name = draftName.trim();
+    if (name) {
+      await onRename(editingId, name);
+    }
+    setEditingId(null);
+  };
+
+  /**
+   * Delete after confirmation
+   */
+  const handleDelete = (widget) => {
+    if (window.confirm(`Delete "${widget.name || widget.prompt}"?`)) {
+      onDelete(widget.id);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <Library className="w-5 h-5 text-primary-600" />
+          <h3 className="text-base font-semibold text-gray-900">My Charts</h3>
+          {pagination.total > 0 && (
+            <span className="text-xs text-gray-500">({pagination.total})</span>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 mb-3">{error}</p>
+      )}
+
+      {!error && widgets.length === 0 && !isLoading && (
+        <p className="text-sm text-gray-500">
+          No saved charts yet. Use &quot;Save&quot; on a generated chart to keep it here.
+        </p>
+      )}
+
+      <ul className="divide-y divide-gray-100">
+        {widgets.map((widget) => (
+          <li key={widget.id} className="py-3 flex items-center gap-3">
+            <div className="flex-1 min-w-0">
+              {editingId === widget.id ? (
+                <form onSubmit={submitRename} className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={draftName}
+                    onChange={(e) => setDraftName(e.target.value)}
+                    maxLength={255}
+                    autoFocus
+                    className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                  <button type="submit" className="p-1 text-green-600 hover:text-green-700" title="Save name">
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button type="button" onClick={() => setEditingId(null)} className="p-1 text-gray-500 hover:text-gray-700" title="Cancel">
+                    <X className="w-4 h-4" />
+                  </button>
+                </form>
+              ) : (
+                <>
+                  <p className="flex items-center gap-1.5 text-sm font-medium text-gray-900">
+                    {widget.schemaIssues && (
+                      <span title={`The database schema changed: ${widget.schemaIssues.join('; ')}`}>
+                        <AlertTriangle className="w-4 h-4 text-amber-500 flex-shrink-0" />
+                      </span>
+                    )}
+                    <span className="truncate">{widget.name || widget.prompt}</span>
+                  </p>
+                  <p className="text-xs text-gray-500 truncate">
+                    {widget.chartType && `${CHART_TYPE_LABELS[widget.chartType] || widget.chartType} · `}
+                    {formatDate(widget.updatedAt)}
+                  </p>
+                </>
+              )}
+            </div>
+
+            {editingId !== widget.id && (
+              <div className="flex items-center gap-1 flex-shrink-0">
+                <button
+                  onClick={() => onOpen(widget.id)}
+                  disabled={isLoading}
+                  className="p-2 text-gray-500 hover:text-primary-600 disabled:opacity-50"
+                  title="Open chart"
+                >
+                  <FolderOpen className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => startRename(widget)}
+                  disabled={isLoading}
+                  className="p-2 text-gray-500 hover:text-primary-600 disabled:opacity-50"
+                  title="Rename"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => onDuplicate(widget.id)}
+                  disabled={isLoading}
+                  className="p-2 text-gray-500 hover:text-primary-600 disabled:opacity-50"
+                  title="Duplicate"
+                >
+                  <Copy className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(widget)}
+                  disabled={isLoading}
+                  className="p-2 text-gray-500 hover:text-red-600 disabled:opacity-50"
+                  title="Delete"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Pagination */}
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between pt-3 mt-1 border-t border-gray-100 text-sm text-gray-600">
+          <button
+            onClick={() => onPageChange(pagination.page - 1)}
+            disabled={isLoading || pagination.page <= 1}
+            className="flex items-center gap-1 disabled:opacity-40"
+          >
+            <ChevronLeft className="w-4 h-4" />
+            Previous
+          </button>
+          <span>
+            Page {pagination.page} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => onPageChange(pagination.page + 1)}
+            disabled={isLoading || pagination.page >= pagination.totalPages}
+            className="flex items-center gap-1 disabled:opacity-40"
+          >
+            Next
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ChartLibrary;
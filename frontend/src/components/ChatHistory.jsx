@@ -0,0 +1,93 @@
+/**
+ * ChatHistory Component
+ *
+ * Shows the conversation as a threaded tree of prompts.
+ * Clicking a turn shows its chart again and makes the next prompt
+ * a follow-up to it, so users can branch from any earlier chart.
+ */
+
+import { MessageSquare, GitBranch, Plus } from 'lucide-react';
+import { CHART_TYPE_LABELS } from '../constants';
+
+const ChatHistory = ({ turns, activeTurnId, onSelectTurn, onNewConversation, isLoading }) => {
+  // Nothing to show until the first chart is generated
+  if (!turns || turns.length === 0) return null;
+
+  // Group turns by parent so the thread can be rendered as a tree
+  const childrenByParent = turns.reduce((acc, turn) => {
+    const key = turn.parentTurnId || 'root';
+    acc[key] = acc[key] || [];
+    acc[key].push(turn);
+    return acc;
+  }, {});
+
+  /**
+   * Render a turn and its follow-ups
+   */
+  const renderTurn = (turn, depth) => {
+    const isActive = turn.id === activeTurnId;
+    const chartType = turn.chartData?.analysis?.chartType;
+    const children = childrenByParent[turn.id] || [];
+
+    return (
+      <li key={turn.id}>
+        <button
+          onClick={() => onSelectTurn(turn.id)}
+          disabled={isLoading}
+          style={{ marginLeft: `${depth * 1.25}rem`, width: `calc(100% - ${depth * 1.25}rem)` }}
+          className={`text-left px-3 py-2 rounded-lg text-sm border transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2 ${
+            isActive
+              ? 'bg-primary-50 border-primary-300 text-primary-900'
+              : 'bg-gray-50 border-gray-200 text-gray-700 hover:bg-gray-100'
+          }`}
+        >
+          {depth > 0 ? (
+            <GitBranch className="w-4 h-4 text-gray-400 flex-shrink-0" />
+          ) : (
+            <MessageSquare className="w-4 h-4 text-gray-400 flex-shrink-0" />
+          )}
+          <span className="flex-1 truncate">{turn.prompt}</span>
+          {chartType && (
+            <span className="text-xs text-gray-500 flex-shrink-0">
+              {CHART_TYPE_LABELS[chartType] || chartType}
+            </span>
+          )}
+        </button>
+
+        {children.length > 0 && (
+          <ul className="mt-2 space-y-2">
+            {children.map((child) => renderTurn(child, depth + 1))}
+          </ul>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-3">
+        <div>
+          <h3 className="text-base font-semibold text-gray-900">Conversation</h3>
+          <p className="text-xs text-gray-500">
+            Select any earlier chart to branch a follow-up from it
+          </p>
+        </div>
+
+        <button
+          onClick={onNewConversation}
+          disabled={isLoading}
+          className="btn-secondary text-sm flex items-center gap-1"
+        >
+          <Plus className="w-4 h-4" />
+          New conversation
+        </button>
+      </div>
+
+      <ul className="space-y-2">
+        {(childrenByParent.root || []).map((turn) => renderTurn(turn, 0))}
+      </ul>
+    </div>
+  );
+};
+
+export default ChatHistory;
@@ -0,0 +1,84 @@
+/**
+ * DashboardFilters Component
+ *
+ * Filter bar for a dashboard: one input per parameter its charts declare
+ * (date, number or text). Applying re-runs every chart with the values;
+ * an empty input switches that filter off.
+ */
+
+import { useState, useEffect } from 'react';
+import { Filter, RotateCcw } from 'lucide-react';
+
+// Input type for each parameter type
+const INPUT_TYPES = {
+  date: 'date',
+  number: 'number',
+  string: 'text',
+};
+
+const DashboardFilters = ({ filters, values, onApply, isApplying = false }) => {
+  // Values being edited, kept as strings for the inputs
+  const [draft, setDraft] = useState({});
+
+  // Start from the saved values whenever they change
+  useEffect(() => {
+    setDraft(Object.fromEntries(
+      Object.entries(values || {}).map(([name, value]) => [name, String(value)])
+    ));
+  }, [values]);
+
+  const setValue = (name, value) => {
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const submit = (event) => {
+    event.preventDefault();
+    onApply(draft);
+  };
+
+  const reset = () => {
+    setDraft({});
+    onApply({});
+  };
+
+  return (
+    <form onSubmit={submit} className="card mb-4 flex flex-wrap items-end gap-4">
+      {filters.map((filter) => (
+        <label key={filter.name} className="flex flex-col gap-1 text-xs font-medium text-gray-600">
+          {filter.label}
+          <input
+            type={INPUT_TYPES[filter.type] || 'text'}
+            value={draft[filter.name] ?? ''}
+            onChange={(e) => setValue(filter.name, e.target.value)}
+            step={filter.type === 'number' ? 'any' : undefined}
+            placeholder="Any"
+            className="w-40 px-2 py-1 text-sm font-normal text-gray-900 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+        </label>
+      ))}
+
+      <div className="flex items-center gap-2">
+        <button
+          type="submit"
+          disabled={isApplying}
+          className="px-3 py-1.5 text-sm font-medium text-white bg-primary-600 rounded-lg hover:bg-primary-700 flex items-center gap-2 disabled:opacity-60"
+        >
+          <Filter className="w-4 h-4" />
+          {isApplying ? 'Applying...' : 'Apply'}
+        </button>
+        <button
+          type="button"
+          onClick={reset}
+          disabled={isApplying}
+          className="px-3 py-1.5 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 flex items-center gap-2 disabled:opacity-60"
+          title="Clear all filters"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Reset
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default DashboardFilters;
@@ -0,0 +1,348 @@
+/**
+ * DashboardGrid Component
+ *
+ * Lays out a dashboard's tiles on a 12-column grid. Tiles are dragged by
+ * their title bar and resized from the corner; the new layout is reported
+ * once a drag or resize ends. Each tile renders its saved chart's
+ * Vega-Lite spec sized to the tile, or the filtered result while
+ * dashboard filters are applied.
+ *
+ * Clicking a category (or brushing a time range) in one tile cross-filters
+ * the others: tiles that have the selected field show only the matching
+ * rows. The latest selection wins; clicking empty space clears it. A
+ * single selected category can be drilled into to list its rows.
+ */
+
+import { useState, useMemo, useCallback } from 'react';
+import GridLayout, { WidthProvider } from 'react-grid-layout';
+import { Vega } from 'react-vega';
+import { GripVertical, RefreshCw, Pencil, X, Check, Filter, Table } from 'lucide-react';
+import 'react-grid-layout/css/styles.css';
+import 'react-resizable/css/styles.css';
+import { VEGA_THEME, DASHBOARD_GRID } from '../constants';
+import { formatDate } from '../utils';
+
+const SizedGridLayout = WidthProvider(GridLayout);
+
+/**
+ * Build a spec that fills its tile
+ *
+ * @param {Object} vegaSpec - Widget spec with data
+ * @returns {Object} Spec sized to the container
+ */
+const toTileSpec = (vegaSpec) => ({
+  ...vegaSpec,
+  width: 'container',
+  height: 'container',
+  autosize: { type: 'fit', contains: 'padding' },
+  config: {
+    ...vegaSpec.config,
+    ...VEGA_THEME,
+  },
+});
+
+/**
+ * Turn a selection signal value into a cross-filter
+ *
+ * @param {string} tileId - Tile the selection was made in
+ * @param {Object} selection - Spec usermeta.selection { param, type, field, fieldType }
+ * @param {Object} value - Signal value, e.g. { region: ['EU'] } or { day: [start, end] }
+ * @returns {Object|null} { tileId, field, fieldType, type, values } or null when cleared
+ */
+const toCrossFilter = (tileId, selection, value) => {
+  const values = value?.[selection.field];
+  if (!Array.isArray(values) || values.length === 0) return null;
+
+  return {
+    tileId,
+    field: selection.field,
+    fieldType: selection.fieldType,
+    type: selection.type,
+    values,
+  };
+};
+
+/**
+ * Compare a row value with a selected value
+ * Temporal values are compared as timestamps, everything else as text
+ */
+const toComparable = (value, fieldType) => (
+  fieldType === 'temporal' ? new Date(value).getTime() : String(value)
+);
+
+/**
+ * Keep the rows matching a cross-filter
+ *
+ * @param {Array} rows - Tile data
+ * @param {Object} crossFilter - Active cross-filter
+ * @returns {Array} Matching rows
+ */
+const filterRows = (rows, crossFilter) => {
+  const { field, fieldType, type, values } = crossFilter;
+
+  if (type === 'interval') {
+    const [start, end] = values.map((v) => toComparable(v, fieldType)).sort((a, b) => a - b);
+    return rows.filter((row) => {
+      const value = toComparable(row[field], fieldType);
+      return value >= start && value <= end;
+    });
+  }
+
+  const selected = new Set(values.map((v) => toComparable(v, fieldType)));
+  return rows.filter((row) => selected.has(toComparable(row[field], fieldType)));
+};
+
+/**
+ * Apply a cross-filter to a sibling tile's spec
+ * Tiles without the selected field are left unfiltered
+ *
+ * @param {Object} vegaSpec - Tile spec with data
+ * @param {Object} crossFilter - Active cross-filter
+ * @returns {Object} Spec with the matching rows
+ */
+const applyCrossFilter = (vegaSpec, crossFilter) => {
+  const rows = vegaSpec.data?.values || [];
+  if (!rows.some((row) => crossFilter.field in row)) return vegaSpec;
+
+  return { ...vegaSpec, data: { values: filterRows(rows, crossFilter) } };
+};
+
+/**
+ * A single dashboard tile
+ */
+const DashboardTile = ({ tile, result, crossFilter, selectionEpoch, onSelect, onRefresh, onRename, onRemove }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftTitle, setDraftTitle] = useState('');
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  const { widget } = tile;
+  const baseSpec = result?.vegaSpec || widget?.vegaSpec;
+  const selection = baseSpec?.usermeta?.selection;
+
+  // Siblings of the tile the selection was made in show matching rows only
+  const vegaSpec = baseSpec && crossFilter && crossFilter.tileId !== tile.id
+    ? applyCrossFilter(baseSpec, crossFilter)
+    : baseSpec;
+
+  // Report selections made in this tile
+  const signalListeners = useMemo(() => (
+    selection
+      ? { [selection.param]: (name, value) => onSelect(toCrossFilter(tile.id, selection, value), tile.id) }
+      : undefined
+  ), [selection, onSelect, tile.id]);
+
+  const submitTitle = async (event) => {
+    event.preventDefault();
+    await onRename(tile.id, draftTitle.trim());
+    setIsEditing(false);
+  };
+
+  const handleRefresh = async () => {
+    try {
+      setIsRefreshing(true);
+      await onRefresh(widget.id);
+    } finally {
+      setIsRefreshing(false);
+    }
+  };
+
+  return (
+    <div className="h-full flex flex-col bg-white border border-gray-200 rounded-lg shadow-sm overflow-hidden">
+      {/* Title bar - also the drag handle */}
+      <div className="tile-drag-handle flex items-center gap-2 px-3 py-2 border-b border-gray-100 cursor-move">
+        <GripVertical className="w-4 h-4 text-gray-400 flex-shrink-0" />
+
+        {isEditing ? (
+          <form onSubmit={submitTitle} className="flex-1 flex items-center gap-1" onMouseDown={(e) => e.stopPropagation()}>
+            <input
+              type="text"
+              value={draftTitle}
+              onChange={(e) => setDraftTitle(e.target.value)}
+              maxLength={255}
+              autoFocus
+              placeholder={widget?.name || 'Tile title'}
+              className="flex-1 px-2 py-0.5 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+            <button type="submit" className="p-1 text-green-600 hover:text-green-700" title="Save title">
+              <Check className="w-4 h-4" />
+            </button>
+            <button type="button" onClick={() => setIsEditing(false)} className="p-1 text-gray-500 hover:text-gray-700" title="Cancel">
+              <X className="w-4 h-4" />
+            </button>
+          </form>
+        ) : (
+          <>
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium text-gray-900 truncate">{tile.title}</p>
+              {widget?.lastRefreshedAt && (
+                <p className="text-xs text-gray-500 truncate">
+                  Data as of {formatDate(widget.lastRefreshedAt)}, {formatDate(widget.lastRefreshedAt, 'time')}
+                </p>
+              )}
+            </div>
+            <div className="flex items-center flex-shrink-0" onMouseDown={(e) => e.stopPropagation()}>
+              <button
+                onClick={handleRefresh}
+                disabled={isRefreshing || !widget}
+                className="p-1.5 text-gray-500 hover:text-primary-600 disabled:opacity-50"
+                title="Refresh with live data"
+              >
+                <RefreshCw className={`w-4 h-4 ${isRefreshing ? 'animate-spin' : ''}`} />
+              </button>
+              <button
+                onClick={() => {
+                  setDraftTitle(tile.title || '');
+                  setIsEditing(true);
+                }}
+                className="p-1.5 text-gray-500 hover:text-primary-600"
+                title="Rename tile"
+              >
+                <Pencil className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => onRemove(tile.id)}
+                className="p-1.5 text-gray-500 hover:text-red-600"
+                title="Remove from dashboard"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* Chart */}
+      <div className="flex-1 min-h-0 p-2">
+        {result?.error ? (
+          <p className="text-sm text-red-600">Could not apply filters: {result.error}</p>
+        ) : widget ? (
+          <Vega
+            key={selectionEpoch}
+            spec={toTileSpec(vegaSpec)}
+            signalListeners={signalListeners}
+            actions={false}
+            style={{ width: '100%', height: '100%' }}
+          />
+        ) : (
+          <p className="text-sm text-gray-500">This chart is no longer available.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const DashboardGrid = ({
+  tiles, results = {}, onLayoutSave, onRefreshTile, onRenameTile, onRemoveTile, onDrillDown,
+}) => {
+  // Selection made in one tile, applied to the others
+  const [crossFilter, setCrossFilter] = useState(null);
+
+  // Bumped on clear so the source tile drops its highlighted selection
+  const [selectionEpoch, setSelectionEpoch] = useState(0);
+
+  /**
+   * Take a tile's new selection; an empty one clears the cross-filter
+   * only if it came from the tile that set it
+   */
+  const handleSelect = useCallback((next, tileId) => {
+    setCrossFilter((prev) => {
+      if (next) return next;
+      return prev?.tileId === tileId ? null : prev;
+    });
+  }, []);
+
+  const clearCrossFilter = () => {
+    setCrossFilter(null);
+    setSelectionEpoch((epoch) => epoch + 1);
+  };
+
+  // Tile the selection was made in, when a single category can be drilled into
+  const drillTile = crossFilter?.type === 'point' && crossFilter.values.length === 1
+    ? tiles.find((tile) => tile.id === crossFilter.tileId && tile.widget)
+    : null;
+
+  const handleDrillDown = () => {
+    onDrillDown(drillTile, { field: crossFilter.field, value: crossFilter.values[0] });
+  };
+
+  const layout = tiles.map((tile) => ({
+    i: tile.id,
+    x: tile.x,
+    y: tile.y,
+    w: tile.width,
+    h: tile.height,
+    minW: DASHBOARD_GRID.MIN_TILE_WIDTH,
+    minH: DASHBOARD_GRID.MIN_TILE_HEIGHT,
+  }));
+
+  /**
+   * Save the layout once a drag or resize ends
+   * Charts sized to their container only re-measure on window resize,
+   * so one is fired after the grid has re-rendered
+   */
+  const handleLayoutDone = (newLayout) => {
+    requestAnimationFrame(() => window.dispatchEvent(new Event('resize')));
+    onLayoutSave(newLayout);
+  };
+
+  return (
+    <>
+      {crossFilter && (
+        <div className="flex items-center gap-2 mb-3 text-sm text-gray-700">
+          <Filter className="w-4 h-4 text-primary-600" />
+          <span className="truncate">
+            Filtered by <span className="font-medium">{crossFilter.field.replace(/_/g, ' ')}</span>
+            {crossFilter.type === 'interval'
+              ? ` from ${formatDate(crossFilter.values[0])} to ${formatDate(crossFilter.values[1])}`
+              : `: ${crossFilter.values
+                .map((value) => (crossFilter.fieldType === 'temporal' ? formatDate(value) : value))
+                .join(', ')}`}
+          </span>
+          {onDrillDown && drillTile && (
+            <button
+              onClick={handleDrillDown}
+              className="px-2 py-0.5 text-xs text-gray-600 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-1"
+              title="List the rows behind this selection"
+            >
+              <Table className="w-3.5 h-3.5" />
+              View rows
+            </button>
+          )}
+          <button
+            onClick={clearCrossFilter}
+            className="px-2 py-0.5 text-xs text-gray-600 border border-gray-300 rounded hover:bg-gray-50"
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
+      <SizedGridLayout
+        layout={layout}
+        cols={DASHBOARD_GRID.COLUMNS}
+        rowHeight={DASHBOARD_GRID.ROW_HEIGHT}
+        margin={[16, 16]}
+        draggableHandle=".tile-drag-handle"
+        onDragStop={handleLayoutDone}
+        onResizeStop={handleLayoutDone}
+      >
+        {tiles.map((tile) => (
+          <div key={tile.id}>
+            <DashboardTile
+              tile={tile}
+              result={results[tile.id]}
+              crossFilter={crossFilter}
+              selectionEpoch={selectionEpoch}
+              onSelect={handleSelect}
+              onRefresh={onRefreshTile}
+              onRename={onRenameTile}
+              onRemove={onRemoveTile}
+            />
+          </div>
+        ))}
+      </SizedGridLayout>
+    </>
+  );
+};
+
+export default DashboardGrid;
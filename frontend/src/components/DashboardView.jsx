@@ -0,0 +1,212 @@
+/**
+ * DashboardView Component
+ *
+ * Dashboards page: the list of dashboards on the side and the selected
+ * dashboard's grid of charts. Charts are added from a generated or saved
+ * chart with "Add to Dashboard". Filters appear above the grid when the
+ * dashboard's charts declare parameters.
+ */
+
+import { useState } from 'react';
+import { LayoutDashboard, Plus, Pencil, Trash2, Check, X } from 'lucide-react';
+import DashboardGrid from './DashboardGrid';
+import DashboardFilters from './DashboardFilters';
+import { formatDate } from '../utils';
+
+const DashboardView = ({
+  dashboards,
+  activeDashboard,
+  tileResults,
+  isLoading,
+  isFiltering,
+  error,
+  onOpen,
+  onCreate,
+  onRename,
+  onDelete,
+  onApplyFilters,
+  onLayoutSave,
+  onRefreshTile,
+  onRenameTile,
+  onRemoveTile,
+  onDrillDown,
+}) => {
+  // Name of the dashboard being created
+  const [newName, setNewName] = useState('');
+
+  // Draft name while renaming the open dashboard
+  const [draftName, setDraftName] = useState(null);
+
+  const submitCreate = async (event) => {
+    event.preventDefault();
+    const name = newName.trim();
+    if (!name) return;
+    await onCreate(name);
+    setNewName('');
+  };
+
+  const submitRename = async (event) => {
+    event.preventDefault();
+    const name = draftName.trim();
+    if (name) {
+      await onRename(activeDashboard.id, name);
+    }
+    setDraftName(null);
+  };
+
+  /**
+   * Drill into a tile's chart with the dashboard's filters applied
+   */
+  const handleDrillDown = (tile, group) => {
+    onDrillDown(
+      { widgetId: tile.widget.id, data: tile.widget.vegaSpec?.data?.values },
+      { ...group, filters: activeDashboard.filterValues }
+    );
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete dashboard "${activeDashboard.name}"? Its charts stay in My Charts.`)) {
+      onDelete(activeDashboard.id);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-[16rem_1fr] gap-6">
+      {/* Dashboard list */}
+      <aside className="card h-fit">
+        <div className="flex items-center gap-2 mb-4">
+          <LayoutDashboard className="w-5 h-5 text-primary-600" />
+          <h3 className="text-base font-semibold text-gray-900">Dashboards</h3>
+        </div>
+
+        <form onSubmit={submitCreate} className="flex items-center gap-2 mb-4">
+          <input
+            type="text"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            maxLength={255}
+            placeholder="New dashboard"
+            className="flex-1 min-w-0 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+          />
+          <button
+            type="submit"
+            disabled={!newName.trim()}
+            className="p-1.5 text-white bg-primary-600 rounded hover:bg-primary-700 disabled:opacity-50"
+            title="Create dashboard"
+          >
+            <Plus className="w-4 h-4" />
+          </button>
+        </form>
+
+        {dashboards.length === 0 && (
+          <p className="text-sm text-gray-500">No dashboards yet.</p>
+        )}
+
+        <ul className="space-y-1">
+          {dashboards.map((dashboard) => (
+            <li key={dashboard.id}>
+              <button
+                onClick={() => onOpen(dashboard.id)}
+                className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors duration-200 ${
+                  activeDashboard?.id === dashboard.id
+                    ? 'bg-primary-50 text-primary-700 font-medium'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <span className="block truncate">{dashboard.name}</span>
+                <span className="block text-xs text-gray-500">{formatDate(dashboard.updatedAt)}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </aside>
+
+      {/* Selected dashboard */}
+      <section className="min-w-0">
+        {error && (
+          <p className="text-sm text-red-600 mb-3">{error}</p>
+        )}
+
+        {!activeDashboard && !isLoading && (
+          <div className="card text-center py-16 text-gray-500">
+            <LayoutDashboard className="w-10 h-10 mx-auto mb-3 text-gray-300" />
+            <p className="text-sm">Select or create a dashboard.</p>
+          </div>
+        )}
+
+        {activeDashboard && (
+          <>
+            <div className="flex items-center justify-between gap-4 mb-4">
+              {draftName !== null ? (
+                <form onSubmit={submitRename} className="flex-1 flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={draftName}
+                    onChange={(e) => setDraftName(e.target.value)}
+                    maxLength={255}
+                    autoFocus
+                    className="flex-1 px-2 py-1 text-lg border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+                  />
+                  <button type="submit" className="p-1 text-green-600 hover:text-green-700" title="Save name">
+                    <Check className="w-5 h-5" />
+                  </button>
+                  <button type="button" onClick={() => setDraftName(null)} className="p-1 text-gray-500 hover:text-gray-700" title="Cancel">
+                    <X className="w-5 h-5" />
+                  </button>
+                </form>
+              ) : (
+                <h2 className="text-lg font-semibold text-gray-900 truncate">{activeDashboard.name}</h2>
+              )}
+
+              {draftName === null && (
+                <div className="flex items-center gap-1 flex-shrink-0">
+                  <button
+                    onClick={() => setDraftName(activeDashboard.name)}
+                    className="p-2 text-gray-500 hover:text-primary-600"
+                    title="Rename dashboard"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={handleDelete}
+                    className="p-2 text-gray-500 hover:text-red-600"
+                    title="Delete dashboard"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {activeDashboard.filters.length > 0 && (
+              <DashboardFilters
+                filters={activeDashboard.filters}
+                values={activeDashboard.filterValues}
+                onApply={onApplyFilters}
+                isApplying={isFiltering}
+              />
+            )}
+
+            {activeDashboard.tiles.length === 0 ? (
+              <div className="card text-center py-16 text-sm text-gray-500">
+                This dashboard is empty. Use &quot;Add to Dashboard&quot; on a chart to place it here.
+              </div>
+            ) : (
+              <DashboardGrid
+                tiles={activeDashboard.tiles}
+                results={tileResults}
+                onLayoutSave={onLayoutSave}
+                onRefreshTile={onRefreshTile}
+                onRenameTile={onRenameTile}
+                onRemoveTile={onRemoveTile}
+                onDrillDown={onDrillDown && handleDrillDown}
+              />
+            )}
+          </>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default DashboardView;
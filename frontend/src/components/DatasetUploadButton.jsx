@@ -0,0 +1,46 @@
+/**
+ * DatasetUploadButton Component
+ *
+ * Lets the user pick a CSV, TSV or JSON file to ask questions about.
+ * The file is uploaded as its own datasource.
+ */
+
+import { useRef } from 'react';
+import { Upload } from 'lucide-react';
+
+const DatasetUploadButton = ({ onUpload, isUploading = false, disabled = false }) => {
+  const inputRef = useRef(null);
+
+  const handleChange = (e) => {
+    const file = e.target.files?.[0];
+    // Clear the input so the same file can be chosen again
+    e.target.value = '';
+    if (file) {
+      onUpload(file);
+    }
+  };
+
+  return (
+    <>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".csv,.tsv,.json,text/csv,text/tab-separated-values,application/json"
+        onChange={handleChange}
+        className="hidden"
+      />
+      <button
+        type="button"
+        onClick={() => inputRef.current?.click()}
+        disabled={disabled || isUploading}
+        className="flex items-center gap-1.5 px-2.5 py-1 text-sm text-gray-700 bg-white border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+        title="Upload a CSV, TSV or JSON file to ask questions about"
+      >
+        <Upload className="w-4 h-4" />
+        {isUploading ? 'Uploading...' : 'Upload file'}
+      </button>
+    </>
+  );
+};
+
+export default DatasetUploadButton;
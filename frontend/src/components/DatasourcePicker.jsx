@@ -0,0 +1,43 @@
+/**
+ * DatasourcePicker Component
+ *
+ * Chooses which datasource new prompts are answered from. Hidden when
+ * only one datasource is configured.
+ */
+
+import { Database } from 'lucide-react';
+
+// Display names for datasource dialects
+const DIALECT_LABELS = {
+  postgres: 'PostgreSQL',
+  mysql: 'MySQL',
+  mariadb: 'MariaDB',
+  sqlite: 'SQLite',
+};
+
+const DatasourcePicker = ({ datasources, selectedId, onSelect, disabled = false }) => {
+  if (datasources.length < 2) {
+    return null;
+  }
+
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-600">
+      <Database className="w-4 h-4 text-gray-500" />
+      <span>Data from</span>
+      <select
+        value={selectedId || ''}
+        onChange={(e) => onSelect(e.target.value)}
+        disabled={disabled}
+        className="px-2 py-1 text-sm text-gray-900 bg-white border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500 disabled:bg-gray-100"
+      >
+        {datasources.map((datasource) => (
+          <option key={datasource.id} value={datasource.id}>
+            {datasource.name} ({DIALECT_LABELS[datasource.dialect] || datasource.dialect})
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default DatasourcePicker;
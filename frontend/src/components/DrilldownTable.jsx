@@ -0,0 +1,138 @@
+/**
+ * DrilldownTable Component
+ *
+ * Overlay listing the detail rows behind the chart group that was clicked,
+ * one page at a time, with the detail query that produced them.
+ */
+
+import { X, ChevronLeft, ChevronRight, Database } from 'lucide-react';
+import { formatNumber } from '../utils';
+
+/**
+ * Format a cell for display
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '—';
+  if (typeof value === 'number') return formatNumber(value, 2);
+  return String(value);
+};
+
+const DrilldownTable = ({ target, result, isLoading, error, onPageChange, onClose }) => {
+  const page = result?.page || 1;
+  const pageSize = result?.pageSize || 0;
+  const firstRow = (page - 1) * pageSize + 1;
+  const lastRow = (page - 1) * pageSize + (result?.rows.length || 0);
+
+  return (
+    <div className="fixed inset-0 z-40 bg-black/40 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg shadow-xl w-full max-w-5xl max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between gap-4 px-5 py-4 border-b border-gray-200">
+          <div className="min-w-0">
+            <h3 className="text-base font-semibold text-gray-900 truncate">
+              Rows where {target.field.replace(/_/g, ' ')} = {formatCell(target.value)}
+            </h3>
+            {result?.table && (
+              <p className="text-xs text-gray-500">From {result.table}</p>
+            )}
+          </div>
+          <button onClick={onClose} className="p-1.5 text-gray-500 hover:text-gray-700" title="Close">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Rows */}
+        <div className="flex-1 min-h-0 overflow-auto">
+          {error && (
+            <p className="p-5 text-sm text-red-600">{error}</p>
+          )}
+
+          {!error && isLoading && !result && (
+            <p className="p-5 text-sm text-gray-500">Loading rows...</p>
+          )}
+
+          {!error && result && result.rows.length === 0 && (
+            <p className="p-5 text-sm text-gray-500">No rows found.</p>
+          )}
+
+          {!error && result && result.rows.length > 0 && (
+            <table className={`min-w-full divide-y divide-gray-200 ${isLoading ? 'opacity-60' : ''}`}>
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  {result.columns.map((column) => (
+                    <th
+                      key={column}
+                      className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider"
+                    >
+                      {column}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {result.rows.map((row, idx) => (
+                  <tr key={idx} className="hover:bg-gray-50">
+                    {result.columns.map((column) => (
+                      <td key={column} className="px-4 py-2 text-sm text-gray-900 whitespace-nowrap">
+                        {formatCell(row[column])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Footer: query and paging */}
+        {result && (
+          <div className="border-t border-gray-200 px-5 py-3 space-y-3">
+            <details className="group">
+              <summary className="text-xs text-gray-600 cursor-pointer flex items-center gap-1">
+                <Database className="w-3.5 h-3.5" />
+                Detail query
+              </summary>
+              <pre className="mt-2 bg-gray-900 text-gray-100 p-3 rounded-lg overflow-x-auto text-xs">
+                <code>{result.sql}</code>
+              </pre>
+            </details>
+
+            <div className="flex items-center justify-between text-sm text-gray-600">
+              <span>
+                {result.rows.length > 0
+                  ? `Rows ${formatNumber(firstRow)}–${formatNumber(lastRow)}${
+                    result.totalRowCount !== null ? ` of ${formatNumber(result.totalRowCount)}` : ''
+                  }`
+                  : ''}
+              </span>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => onPageChange(page - 1)}
+                  disabled={isLoading || page <= 1}
+                  className="p-1.5 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+                  title="Previous page"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                <span>Page {page}</span>
+                <button
+                  onClick={() => onPageChange(page + 1)}
+                  disabled={isLoading || !result.hasMore}
+                  className="p-1.5 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-50"
+                  title="Next page"
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DrilldownTable;
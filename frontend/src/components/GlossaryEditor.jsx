@@ -0,0 +1,298 @@
+/**
+ * GlossaryEditor Component
+ *
+ * Glossary page: the tables of the selected datasource on the side and the
+ * selected table's columns. Tables, columns and column values can be given
+ * a description, synonyms (the words people use for them) and a hidden
+ * flag that keeps them out of the schema the AI sees. Each annotation
+ * keeps a history of its versions. Only admins can change the glossary;
+ * everyone else sees it read-only.
+ */
+
+import { useState } from 'react';
+import { BookOpen, Pencil, Trash2, History, Plus, EyeOff } from 'lucide-react';
+import { formatDate } from '../utils';
+
+/**
+ * Find the annotation of a table, column or value
+ */
+const findAnnotation = (annotations, tableName, columnName = null, value = null) => annotations.find((a) =>
+  a.tableName === tableName && (a.columnName ?? null) === columnName && (a.value ?? null) === value
+);
+
+/**
+ * Inline form for a description, synonyms and the hidden flag
+ */
+const AnnotationForm = ({ annotation, onSave, onCancel }) => {
+  const [description, setDescription] = useState(annotation?.description || '');
+  const [synonyms, setSynonyms] = useState((annotation?.synonyms || []).join(', '));
+  const [hidden, setHidden] = useState(annotation?.hidden || false);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    await onSave({
+      description: description.trim() || null,
+      synonyms: synonyms.split(',').map((s) => s.trim()).filter(Boolean),
+      hidden,
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 space-y-2 p-3 bg-gray-50 rounded-lg border border-gray-200">
+      <input
+        type="text"
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        maxLength={2000}
+        placeholder="What it means"
+        className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+      <input
+        type="text"
+        value={synonyms}
+        onChange={(e) => setSynonyms(e.target.value)}
+        placeholder="Also called (comma separated)"
+        className="w-full px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+      <div className="flex items-center justify-between gap-2">
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input type="checkbox" checked={hidden} onChange={(e) => setHidden(e.target.checked)} />
+          Hide from the AI
+        </label>
+        <div className="flex gap-2">
+          <button type="button" onClick={onCancel} className="btn-secondary text-sm">
+            Cancel
+          </button>
+          <button type="submit" className="btn-primary text-sm">
+            Save
+          </button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Saved versions of an annotation, newest first
+ */
+const VersionList = ({ versions }) => (
+  <ol className="mt-2 space-y-1 text-xs text-gray-600 border-l-2 border-gray-200 pl-3">
+    {versions.map((version) => (
+      <li key={version.version}>
+        <span className="font-medium text-gray-800">v{version.version}</span>
+        {' '}{version.action} {formatDate(version.createdAt)}
+        {version.snapshot.description && ` · "${version.snapshot.description}"`}
+        {version.snapshot.synonyms?.length > 0 && ` · also called ${version.snapshot.synonyms.join(', ')}`}
+        {version.snapshot.hidden && ' · hidden'}
+      </li>
+    ))}
+  </ol>
+);
+
+/**
+ * One table, column or value with its annotation and actions
+ */
+const GlossaryEntry = ({ label, detail, annotation, canEdit, onSave, onDelete, onLoadVersions, children }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [versions, setVersions] = useState(null);
+
+  const handleSave = async (fields) => {
+    await onSave(fields);
+    setIsEditing(false);
+    setVersions(null);
+  };
+
+  const toggleVersions = async () => {
+    try {
+      setVersions(versions ? null : await onLoadVersions(annotation.id));
+    } catch (err) {
+      console.error('❌ Error loading annotation history:', err);
+    }
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Remove the glossary entry for ${label}?`)) {
+      onDelete(annotation.id);
+    }
+  };
+
+  return (
+    <div className="py-3">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2">
+            <span className="font-medium text-gray-900 break-all">{label}</span>
+            {detail && <span className="text-xs text-gray-500">{detail}</span>}
+            {annotation?.hidden && (
+              <span className="flex items-center gap-1 text-xs text-amber-700" title="Hidden from the AI">
+                <EyeOff className="w-3 h-3" /> hidden
+              </span>
+            )}
+          </div>
+          {annotation?.description && (
+            <p className="text-sm text-gray-600">{annotation.description}</p>
+          )}
+          {annotation?.synonyms.length > 0 && (
+            <p className="text-xs text-gray-500">Also called: {annotation.synonyms.join(', ')}</p>
+          )}
+        </div>
+
+        <div className="flex items-center gap-1 shrink-0">
+          {canEdit && (
+            <button onClick={() => setIsEditing((prev) => !prev)} className="p-1.5 text-gray-500 hover:text-primary-600" title="Edit">
+              <Pencil className="w-4 h-4" />
+            </button>
+          )}
+          {annotation && (
+            <>
+              <button onClick={toggleVersions} className="p-1.5 text-gray-500 hover:text-primary-600" title={`History (version ${annotation.version})`}>
+                <History className="w-4 h-4" />
+              </button>
+              {canEdit && (
+                <button onClick={handleDelete} className="p-1.5 text-gray-500 hover:text-red-600" title="Remove">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {canEdit && isEditing && (
+        <AnnotationForm annotation={annotation} onSave={handleSave} onCancel={() => setIsEditing(false)} />
+      )}
+      {versions && <VersionList versions={versions} />}
+      {children}
+    </div>
+  );
+};
+
+const GlossaryEditor = ({ tables, annotations, isLoading, error, canEdit = false, onSave, onDelete, onLoadVersions }) => {
+  const [selectedName, setSelectedName] = useState(null);
+
+  // Value of a column being annotated, by column name
+  const [newValues, setNewValues] = useState({});
+
+  const table = tables.find((t) => t.name === selectedName) || tables[0];
+
+  const addValue = async (event, columnName) => {
+    event.preventDefault();
+    const value = (newValues[columnName] || '').trim();
+    if (!value) return;
+    await onSave({ tableName: table.name, columnName, value }, { synonyms: [] });
+    setNewValues((prev) => ({ ...prev, [columnName]: '' }));
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-[16rem_1fr] gap-6">
+      {/* Table list */}
+      <aside className="card h-fit">
+        <div className="flex items-center gap-2 mb-4">
+          <BookOpen className="w-5 h-5 text-primary-600" />
+          <h3 className="text-base font-semibold text-gray-900">Glossary</h3>
+        </div>
+
+        {tables.length === 0 && !isLoading && (
+          <p className="text-sm text-gray-500">No tables found.</p>
+        )}
+
+        <ul className="space-y-1">
+          {tables.map((t) => (
+            <li key={t.name}>
+              <button
+                onClick={() => setSelectedName(t.name)}
+                className={`w-full text-left px-3 py-2 rounded-lg text-sm transition-colors duration-200 ${
+                  table?.name === t.name
+                    ? 'bg-primary-50 text-primary-700 font-medium'
+                    : 'text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                <span className="block truncate">{t.name}</span>
+                {findAnnotation(annotations, t.name)?.hidden && (
+                  <span className="block text-xs text-amber-700">hidden</span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </aside>
+
+      {/* Selected table */}
+      <section className="card min-w-0">
+        {error && (
+          <p className="text-sm text-red-600 mb-3">{error}</p>
+        )}
+
+        {isLoading && (
+          <p className="text-sm text-gray-500">Loading glossary...</p>
+        )}
+
+        {table && !isLoading && (
+          <div className="divide-y divide-gray-100">
+            <GlossaryEntry
+              label={table.name}
+              detail={table.description ? `table · ${table.description}` : 'table'}
+              annotation={findAnnotation(annotations, table.name)}
+              onSave={(fields) => onSave({ tableName: table.name }, fields)}
+              canEdit={canEdit}
+              onDelete={onDelete}
+              onLoadVersions={onLoadVersions}
+            />
+
+            {table.columns.map((column) => (
+              <GlossaryEntry
+                key={column.name}
+                label={column.name}
+                detail={column.type}
+                annotation={findAnnotation(annotations, table.name, column.name)}
+                onSave={(fields) => onSave({ tableName: table.name, columnName: column.name }, fields)}
+                canEdit={canEdit}
+                onDelete={onDelete}
+                onLoadVersions={onLoadVersions}
+              >
+                {/* Values of the column */}
+                <div className="ml-4 mt-1">
+                  {annotations
+                    .filter((a) => a.tableName === table.name && a.columnName === column.name && a.value !== null)
+                    .map((a) => (
+                      <GlossaryEntry
+                        key={a.id}
+                        label={`'${a.value}'`}
+                        annotation={a}
+                        onSave={(fields) => onSave({ tableName: table.name, columnName: column.name, value: a.value }, fields)}
+                        canEdit={canEdit}
+                        onDelete={onDelete}
+                        onLoadVersions={onLoadVersions}
+                      />
+                    ))}
+                  {canEdit && (
+                    <form onSubmit={(e) => addValue(e, column.name)} className="flex items-center gap-2 mt-1">
+                      <input
+                        type="text"
+                        value={newValues[column.name] || ''}
+                        onChange={(e) => setNewValues((prev) => ({ ...prev, [column.name]: e.target.value }))}
+                        maxLength={1000}
+                        placeholder="Annotate a value"
+                        className="w-48 px-2 py-1 text-xs border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary-500"
+                      />
+                      <button
+                        type="submit"
+                        disabled={!(newValues[column.name] || '').trim()}
+                        className="p-1 text-gray-500 hover:text-primary-600 disabled:opacity-50"
+                        title="Add value"
+                      >
+                        <Plus className="w-4 h-4" />
+                      </button>
+                    </form>
+                  )}
+                </div>
+              </GlossaryEntry>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default GlossaryEditor;
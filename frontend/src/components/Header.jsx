@@ -1,14 +1,23 @@
 /**
  * Header Component
  * 
- * Displays the application header with title and description.
+ * Displays the application header with title, description and the
+ * switch between exploring charts, viewing dashboards and editing the
+ * business glossary, and who is signed in.
  * This is a presentational component (no state or logic).
  */
 
 import React from 'react';
-import { BarChart3, Sparkles } from 'lucide-react';
+import { BarChart3, Sparkles, LayoutDashboard, BookOpen, LogOut } from 'lucide-react';
 
-const Header = () => {
+// Views the header can switch between
+const VIEWS = [
+  { id: 'explore', label: 'Explore', icon: Sparkles },
+  { id: 'dashboards', label: 'Dashboards', icon: LayoutDashboard },
+  { id: 'glossary', label: 'Glossary', icon: BookOpen },
+];
+
+const Header = ({ view = 'explore', onViewChange, account, onSignOut }) => {
   return (
     <header className="bg-white border-b border-gray-200 sticky top-0 z-10 shadow-sm">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-6">
@@ -35,12 +44,42 @@ const Header = () => {
             </div>
           </div>
           
-          {/* Optional: Add user menu or settings here */}
-          {/* <div className="flex items-center space-x-4">
-            <button className="text-gray-600 hover:text-gray-900">
-              Settings
-            </button>
-          </div> */}
+          {/* View switch */}
+          {onViewChange && (
+            <nav className="flex items-center gap-1 bg-gray-100 p-1 rounded-lg">
+              {VIEWS.map(({ id, label, icon: Icon }) => (
+                <button
+                  key={id}
+                  onClick={() => onViewChange(id)}
+                  className={`px-3 py-2 text-sm font-medium rounded-md flex items-center gap-2 transition-colors duration-200 ${
+                    view === id ? 'bg-white text-primary-700 shadow-sm' : 'text-gray-600 hover:text-gray-900'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  <span className="hidden sm:inline">{label}</span>
+                </button>
+              ))}
+            </nav>
+          )}
+
+          {/* Signed-in account */}
+          {account && (
+            <div className="flex items-center gap-2">
+              <span className="hidden md:inline text-sm text-gray-600" title={account.email}>
+                {account.name || account.email}
+                {account.role === 'admin' && (
+                  <span className="ml-1 text-xs text-primary-700">(admin)</span>
+                )}
+              </span>
+              <button
+                onClick={onSignOut}
+                title="Sign out"
+                className="p-2 text-gray-500 hover:text-gray-900 rounded-md hover:bg-gray-100 transition-colors duration-200"
+              >
+                <LogOut className="w-4 h-4" />
+              </button>
+            </div>
+          )}
         </div>
       </div>
     </header>
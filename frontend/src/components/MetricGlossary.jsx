@@ -0,0 +1,119 @@
+/**
+ * MetricGlossary Component
+ *
+ * Lists the named metrics and dimensions of the selected datasource with
+ * their definitions, so users know what "revenue" or "AOV" means and how
+ * it is computed. Clicking a metric asks for it over time.
+ */
+
+import { useState } from 'react';
+import { BookOpen, ChevronDown, ChevronUp } from 'lucide-react';
+
+// Example values for each display format
+const FORMAT_LABELS = {
+  currency: '$1,234.56',
+  number: '1,234.56',
+  integer: '1,234',
+  percent: '12.3%',
+  date: 'date',
+  text: 'text',
+};
+
+const MetricGlossary = ({ metrics, dimensions, onSelectPrompt, isLoading }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  /**
+   * Ask for a metric, by month when it can be grouped that way
+   */
+  const handleMetricClick = (metric) => {
+    if (isLoading) return;
+    const grain = metric.grains.includes('month') ? 'month' : metric.grains[0];
+    onSelectPrompt(grain ? `Show ${metric.label.toLowerCase()} by ${grain}` : `Show ${metric.label.toLowerCase()}`);
+  };
+
+  return (
+    <div className="card">
+      {/* Header (Clickable) */}
+      <button
+        onClick={() => setIsExpanded((prev) => !prev)}
+        className="w-full flex items-center justify-between gap-3"
+      >
+        <div className="flex items-center gap-3">
+          <div className="p-2 bg-emerald-100 rounded-lg">
+            <BookOpen className="w-6 h-6 text-emerald-600" />
+          </div>
+          <div className="text-left">
+            <h3 className="text-lg font-semibold text-gray-900">
+              Metric Glossary
+            </h3>
+            <p className="text-sm text-gray-600">
+              {metrics.length} metrics with one agreed definition each
+            </p>
+          </div>
+        </div>
+
+        {isExpanded ? (
+          <ChevronUp className="w-5 h-5 text-gray-500" />
+        ) : (
+          <ChevronDown className="w-5 h-5 text-gray-500" />
+        )}
+      </button>
+
+      {isExpanded && (
+        <div className="mt-4 space-y-6">
+          {/* Metrics */}
+          <div className="space-y-2">
+            {metrics.map((metric) => (
+              <button
+                key={metric.name}
+                onClick={() => handleMetricClick(metric)}
+                disabled={isLoading}
+                title={`Ask for ${metric.label.toLowerCase()}`}
+                className="w-full text-left px-4 py-3 bg-gray-50 hover:bg-gray-100 rounded-lg border border-gray-200 hover:border-gray-300 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <div className="flex flex-wrap items-baseline justify-between gap-2">
+                  <span className="font-semibold text-gray-900">{metric.label}</span>
+                  <span className="text-xs text-gray-500">
+                    {FORMAT_LABELS[metric.format]}
+                    {metric.grains.length > 0 && ` · by ${metric.grains.join(', ')}`}
+                  </span>
+                </div>
+                {metric.description && (
+                  <p className="text-sm text-gray-600 mt-1">{metric.description}</p>
+                )}
+                <code className="block text-xs text-emerald-700 mt-1">
+                  {metric.expression} <span className="text-gray-400">on {metric.table}</span>
+                </code>
+                {metric.synonyms.length > 0 && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Also called: {metric.synonyms.join(', ')}
+                  </p>
+                )}
+              </button>
+            ))}
+          </div>
+
+          {/* Dimensions */}
+          {dimensions.length > 0 && (
+            <div>
+              <h4 className="text-sm font-semibold text-gray-700 mb-2">Dimensions</h4>
+              <div className="flex flex-wrap gap-2">
+                {dimensions.map((dimension) => (
+                  <span
+                    key={dimension.name}
+                    title={`${dimension.expression} on ${dimension.table}${dimension.description ? ` - ${dimension.description}` : ''}`}
+                    className="px-3 py-1 bg-white border border-gray-200 rounded-full text-sm text-gray-700"
+                  >
+                    {dimension.label}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MetricGlossary;
@@ -3,14 +3,15 @@
  * 
  * Input field where users can type their natural language queries.
  * Includes validation, character counter, and submit button.
+ * When a previous chart is active, the prompt is sent as a follow-up to it.
  */
 
 import React, { useState } from 'react';
-import { Send, Loader2, Sparkles } from 'lucide-react';
+import { Send, Loader2, Sparkles, CornerDownRight, X } from 'lucide-react';
 import { validatePrompt } from '../utils';
 import { UI_CONFIG } from '../constants';
 
-const PromptInput = ({ onSubmit, isLoading }) => {
+const PromptInput = ({ onSubmit, isLoading, followUpPrompt, onNewConversation }) => {
   // State to store the user's input
   const [prompt, setPrompt] = useState('');
   
@@ -49,6 +50,11 @@ const PromptInput = ({ onSubmit, isLoading }) => {
     // Clear error and call parent's submit handler
     setError('');
     onSubmit(prompt.trim());
+
+    // Follow-ups are short refinements, so start the next one empty
+    if (followUpPrompt) {
+      setPrompt('');
+    }
   };
 
   /**
@@ -70,6 +76,28 @@ const PromptInput = ({ onSubmit, isLoading }) => {
   return (
     <div className="w-full">
       <form onSubmit={handleSubmit} className="space-y-3">
+        {/* Follow-up indicator: shows which chart the prompt will refine */}
+        {followUpPrompt && (
+          <div className="flex items-center gap-2 px-3 py-2 bg-primary-50 border border-primary-200 rounded-lg text-sm text-primary-800">
+            <CornerDownRight className="w-4 h-4 flex-shrink-0" />
+            <span className="flex-1 truncate">
+              Following up on: <span className="font-medium">{followUpPrompt}</span>
+            </span>
+            {onNewConversation && (
+              <button
+                type="button"
+                onClick={onNewConversation}
+                disabled={isLoading}
+                className="flex items-center gap-1 text-primary-700 hover:text-primary-900 disabled:opacity-50"
+                title="Start a new conversation"
+              >
+                <X className="w-4 h-4" />
+                <span className="hidden sm:inline">Start fresh</span>
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Input Container with gradient border effect */}
         <div className="relative">
           {/* Gradient border effect (visible on focus) */}
@@ -82,7 +110,9 @@ const PromptInput = ({ onSubmit, isLoading }) => {
               value={prompt}
               onChange={handleChange}
               onKeyPress={handleKeyPress}
-              placeholder="Ask anything... e.g., 'Show total sales by category' or 'Top 10 products by revenue'"
+              placeholder={followUpPrompt
+                ? "Refine the chart... e.g., 'Now only for Europe' or 'Make it a line chart'"
+                : "Ask anything... e.g., 'Show total sales by category' or 'Top 10 products by revenue'"}
               disabled={isLoading}
               rows={3}
               maxLength={maxChars}
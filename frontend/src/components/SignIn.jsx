@@ -0,0 +1,110 @@
+/**
+ * SignIn Component
+ *
+ * Sign-in screen shown until the user has an account session. Switches
+ * between signing in and registering; the first account to register
+ * becomes an admin.
+ */
+
+import { useState } from 'react';
+import { BarChart3, LogIn, UserPlus, AlertCircle } from 'lucide-react';
+
+const SignIn = ({ onSignIn, onSignUp, isSubmitting = false, error }) => {
+  // 'signin' or 'register'
+  const [mode, setMode] = useState('signin');
+
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [name, setName] = useState('');
+
+  const isRegistering = mode === 'register';
+
+  /**
+   * Submit the form
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (isRegistering) {
+      onSignUp({ email: email.trim(), password, ...(name.trim() && { name: name.trim() }) });
+    } else {
+      onSignIn(email.trim(), password);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50 flex items-center justify-center px-4">
+      <div className="card w-full max-w-sm">
+        {/* Logo and Title */}
+        <div className="flex items-center gap-3 mb-6">
+          <div className="bg-gradient-to-br from-primary-500 to-purple-600 p-2 rounded-lg shadow-lg">
+            <BarChart3 className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-xl font-bold text-gray-900">AI Dashboard</h1>
+            <p className="text-sm text-gray-600">
+              {isRegistering ? 'Create an account' : 'Sign in to continue'}
+            </p>
+          </div>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {isRegistering && (
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Name (optional)"
+              autoComplete="name"
+              className="input-field"
+            />
+          )}
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email"
+            autoComplete="email"
+            required
+            className="input-field"
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete={isRegistering ? 'new-password' : 'current-password'}
+            minLength={isRegistering ? 8 : undefined}
+            required
+            className="input-field"
+          />
+
+          {error && (
+            <p className="flex items-start gap-2 text-sm text-red-600">
+              <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              {error}
+            </p>
+          )}
+
+          <button
+            type="submit"
+            disabled={isSubmitting}
+            className="btn-primary w-full flex items-center justify-center gap-2"
+          >
+            {isRegistering ? <UserPlus className="w-4 h-4" /> : <LogIn className="w-4 h-4" />}
+            {isRegistering ? 'Register' : 'Sign in'}
+          </button>
+        </form>
+
+        <button
+          onClick={() => setMode(isRegistering ? 'signin' : 'register')}
+          className="mt-4 w-full text-sm text-primary-600 hover:text-primary-700"
+        >
+          {isRegistering ? 'Already have an account? Sign in' : 'No account yet? Register'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SignIn;
@@ -67,13 +67,29 @@ export const SUCCESS_MESSAGES = {
   DATA_LOADED: 'Data loaded successfully!',
 };
 
+// API base URL (versioned, proxied to the backend by Vite)
+export const API_BASE_URL = '/api/v1';
+
 // API endpoints (relative to base URL)
 export const API_ENDPOINTS = {
-  GENERATE_CHART: '/ai-chart',
-  GET_EXAMPLES: '/ai-chart/examples',
+  GENERATE_CHART: '/charts',
+  GET_EXAMPLES: '/charts/examples',
+  CHART_DRILLDOWN: '/charts/drilldown',
+  CONVERSATIONS: '/conversations',
+  WIDGETS: '/widgets',
+  DASHBOARDS: '/dashboards',
+  DATASOURCES: '/datasources',
+  DATASETS: '/datasets',
+  SCHEMA: '/schema',
+  SEMANTIC_LAYER: '/schema/semantic-layer',
+  ANNOTATIONS: '/annotations',
+  AUTH: '/auth',
   HEALTH_CHECK: '/health',
 };
 
+// Rows per page in the drill-down table
+export const DRILLDOWN_PAGE_SIZE = 50;
+
 // UI Configuration
 export const UI_CONFIG = {
   MAX_PROMPT_LENGTH: 500,
@@ -102,11 +118,20 @@ export const VEGA_THEME = {
   },
 };
 
+// Dashboard grid (columns must match the backend's GRID_COLUMNS)
+export const DASHBOARD_GRID = {
+  COLUMNS: 12,
+  ROW_HEIGHT: 80,
+  MIN_TILE_WIDTH: 2,
+  MIN_TILE_HEIGHT: 2,
+};
+
 // Local storage keys
 export const STORAGE_KEYS = {
   RECENT_PROMPTS: 'ai_dashboard_recent_prompts',
   USER_PREFERENCES: 'ai_dashboard_preferences',
   THEME: 'ai_dashboard_theme',
+  AUTH_TOKEN: 'ai_dashboard_auth_token',
 };
 
 // Maximum number of recent prompts to store
@@ -0,0 +1,126 @@
+/**
+ * useAuth Hook
+ *
+ * Tracks who is signed in. The sign-in token is kept in local storage
+ * and sent with every API request; on load it is checked against the
+ * backend. When the backend rejects it (signed out elsewhere, expired)
+ * the user is sent back to the sign-in screen.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  login,
+  register,
+  getCurrentAccount,
+  getAuthToken,
+  setAuthToken,
+  onUnauthorized,
+} from '../services/api';
+
+/**
+ * Hook to sign in, register and sign out
+ *
+ * @returns {Object} Auth state and actions
+ */
+const useAuth = () => {
+  // Signed-in account { id, email, name, role, team }, or null
+  const [account, setAccount] = useState(null);
+
+  // True until a stored token has been checked
+  const [isChecking, setIsChecking] = useState(() => Boolean(getAuthToken()));
+
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    onUnauthorized(() => {
+      setAccount(null);
+      setError('Your session has ended. Please sign in again.');
+    });
+
+    return () => onUnauthorized(null);
+  }, []);
+
+  useEffect(() => {
+    if (!getAuthToken()) return;
+
+    let cancelled = false;
+
+    getCurrentAccount()
+      .then((current) => {
+        if (!cancelled) setAccount(current);
+      })
+      .catch((err) => {
+        console.error('❌ Error restoring session:', err);
+      })
+      .finally(() => {
+        if (!cancelled) setIsChecking(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  /**
+   * Store the token of a successful sign-in or registration
+   *
+   * @param {Promise<Object>} request - login() or register() call
+   */
+  const startSession = useCallback(async (request) => {
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      const result = await request;
+      setAuthToken(result.token);
+      setAccount(result.account);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, []);
+
+  /**
+   * Sign in with an email and password
+   *
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   */
+  const signIn = useCallback((email, password) => {
+    return startSession(login(email, password));
+  }, [startSession]);
+
+  /**
+   * Register an account and sign in with it
+   *
+   * @param {Object} details - { email, password, name? }
+   */
+  const signUp = useCallback((details) => {
+    return startSession(register(details));
+  }, [startSession]);
+
+  /**
+   * Sign out (the token is dropped; API keys are unaffected)
+   */
+  const signOut = useCallback(() => {
+    setAuthToken(null);
+    setAccount(null);
+    setError(null);
+  }, []);
+
+  return {
+    // State
+    account,
+    isChecking,
+    isSubmitting,
+    error,
+
+    // Methods
+    signIn,
+    signUp,
+    signOut,
+  };
+};
+
+export default useAuth;
@@ -5,18 +5,26 @@
  * Manages state, handles API calls, and provides methods to the UI.
  * 
  * This is a "smart" hook - it contains business logic but no UI.
+ * 
+ * Charts are threaded into a conversation: every successful prompt
+ * becomes a "turn", and the next prompt refines the active turn.
+ * Selecting an earlier turn branches the next follow-up from it.
+ * 
+ * Prompts are answered from the datasource passed in; each chart
+ * remembers its datasourceId so it is saved and drilled into there.
  */
 
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useMemo } from 'react';
 import { generateChart } from '../services/api';
-import { saveRecentPrompt, getErrorMessage } from '../utils';
+import { saveRecentPrompt, getErrorMessage, generateId } from '../utils';
 
 /**
  * Hook to manage chart generation state and logic
  * 
+ * @param {string|null} datasourceId - Datasource new prompts query (null = backend default)
  * @returns {Object} State and methods for chart generation
  */
-const useChartGenerator = () => {
+const useChartGenerator = (datasourceId = null) => {
   // Loading state - true when API call is in progress
   const [isLoading, setIsLoading] = useState(false);
   
@@ -29,6 +37,20 @@ const useChartGenerator = () => {
   // Success message for toast notifications
   const [successMessage, setSuccessMessage] = useState(null);
 
+  // Conversation ID returned by the backend after the first chart
+  const [conversationId, setConversationId] = useState(null);
+
+  // Threaded chat history: [{ id, parentTurnId, prompt, chartData, persisted }]
+  const [turns, setTurns] = useState([]);
+
+  // Turn the next prompt will follow up on (null = start fresh)
+  const [activeTurnId, setActiveTurnId] = useState(null);
+
+  const activeTurn = useMemo(
+    () => turns.find((turn) => turn.id === activeTurnId) || null,
+    [turns, activeTurnId]
+  );
+
   /**
    * Generate chart from prompt
    * 
@@ -36,7 +58,10 @@ const useChartGenerator = () => {
    * 1. Sets loading state
    * 2. Calls backend API
    * 3. Saves successful prompt to recent history
-   * 4. Updates state with results or error
+   * 4. Adds the result to the conversation thread
+   * 5. Updates state with results or error
+   * 
+   * If a turn is active, the prompt is sent as a follow-up to it.
    * 
    * @param {string} prompt - User's natural language query
    */
@@ -51,13 +76,37 @@ const useChartGenerator = () => {
       
       console.log('🎯 Generating chart for prompt:', prompt);
       
+      // Only turns the backend stored can be referenced in follow-ups
+      const parentTurnId = activeTurn?.persisted ? activeTurn.id : undefined;
+
       // Call backend API to generate chart
-      const result = await generateChart(prompt);
+      const response = await generateChart(prompt, {
+        datasourceId: datasourceId || undefined,
+        conversationId,
+        parentTurnId,
+      });
+      const result = { ...response, datasourceId: response.database?.datasourceId };
       
       console.log('✅ Chart generated successfully:', result);
       
       // Save prompt to recent history (in localStorage)
       saveRecentPrompt(prompt);
+
+      // Thread the new chart into the conversation
+      const turnId = result.conversation?.turnId;
+      const turn = {
+        id: turnId || generateId(),
+        parentTurnId: activeTurn?.id || null,
+        prompt,
+        chartData: result,
+        persisted: Boolean(turnId),
+      };
+
+      if (result.conversation?.id) {
+        setConversationId(result.conversation.id);
+      }
+      setTurns((prev) => [...prev, turn]);
+      setActiveTurnId(turn.id);
       
       // Update state with chart data
       setChartData(result);
@@ -78,8 +127,64 @@ const useChartGenerator = () => {
       // Always turn off loading state
       setIsLoading(false);
     }
+  }, [activeTurn, conversationId, datasourceId]);
+
+  /**
+   * Select an earlier turn
+   * 
+   * Shows its chart again; the next prompt branches from it.
+   * 
+   * @param {string} turnId - Turn to select
+   */
+  const handleSelectTurn = useCallback((turnId) => {
+    const turn = turns.find((t) => t.id === turnId);
+    if (!turn) return;
+
+    setActiveTurnId(turn.id);
+    setChartData(turn.chartData);
+    setError(null);
+  }, [turns]);
+
+  /**
+   * Start a new conversation
+   * 
+   * The next prompt starts from scratch instead of refining the current chart.
+   */
+  const handleNewConversation = useCallback(() => {
+    setConversationId(null);
+    setTurns([]);
+    setActiveTurnId(null);
+    setChartData(null);
+    setError(null);
   }, []);
 
+  /**
+   * Show a saved chart
+   * 
+   * Starts a new conversation, so the next prompt does not refine it.
+   * 
+   * @param {Object} chart - Chart data (see useWidgetLibrary.openWidget)
+   */
+  const handleOpenChart = useCallback((chart) => {
+    handleNewConversation();
+    setChartData(chart);
+  }, [handleNewConversation]);
+
+  /**
+   * Record that the current chart was saved as a widget
+   * 
+   * @param {string} widgetId - Saved widget ID
+   */
+  const handleChartSaved = useCallback((widgetId) => {
+    setChartData((prev) => (prev ? { ...prev, widgetId } : prev));
+    setTurns((prev) => prev.map((turn) => (
+      turn.id === activeTurnId
+        ? { ...turn, chartData: { ...turn.chartData, widgetId } }
+        : turn
+    )));
+    setSuccessMessage('Chart saved to My Charts');
+  }, [activeTurnId]);
+
   /**
    * Retry last prompt
    * 
@@ -123,9 +228,15 @@ const useChartGenerator = () => {
     chartData,
     error,
     successMessage,
+    turns,
+    activeTurn,
     
     // Methods
     generateChart: handleGenerateChart,
+    selectTurn: handleSelectTurn,
+    newConversation: handleNewConversation,
+    openChart: handleOpenChart,
+    chartSaved: handleChartSaved,
     retry: handleRetry,
     clear: handleClear,
     clearSuccessMessage,
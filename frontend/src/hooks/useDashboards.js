@@ -0,0 +1,298 @@
+/**
+ * useDashboards Hook
+ *
+ * Manages dashboards: the list, the dashboard being viewed, and the
+ * actions to create, rename and delete dashboards, place saved charts on
+ * them and save the grid layout after tiles are moved or resized.
+ * Dashboard filters re-run every chart with the chosen values; the
+ * filtered results are kept per tile, apart from the saved charts.
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import {
+  listDashboards,
+  getDashboard,
+  createDashboard,
+  updateDashboard,
+  deleteDashboard,
+  addDashboardTile,
+  saveDashboardLayout,
+  updateDashboardTile,
+  removeDashboardTile,
+  queryDashboard,
+  refreshWidget,
+} from '../services/api';
+import { getErrorMessage } from '../utils';
+
+/**
+ * Convert a grid layout item to the tile placement used by the backend
+ *
+ * @param {Object} item - react-grid-layout item { i, x, y, w, h }
+ * @returns {Object} { id, x, y, width, height }
+ */
+const toPlacement = (item) => ({
+  id: item.i,
+  x: item.x,
+  y: item.y,
+  width: item.w,
+  height: item.h,
+});
+
+/**
+ * Index filtered tile results by tile ID
+ *
+ * @param {Array} tiles - Results from the dashboard query
+ * @returns {Object} { [tileId]: { vegaSpec?, error? } }
+ */
+const toTileResults = (tiles) => Object.fromEntries(
+  tiles.map(({ tileId, vegaSpec, error }) => [tileId, { vegaSpec, error }])
+);
+
+/**
+ * Hook to manage dashboards
+ *
+ * @returns {Object} Dashboard state and actions
+ */
+const useDashboards = () => {
+  // Dashboard summaries, most recently updated first
+  const [dashboards, setDashboards] = useState([]);
+
+  // Dashboard being viewed, with its tiles
+  const [activeDashboard, setActiveDashboard] = useState(null);
+
+  // Filtered results for the open dashboard's tiles, by tile ID
+  const [tileResults, setTileResults] = useState({});
+  const [isFiltering, setIsFiltering] = useState(false);
+
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load the dashboard list
+   */
+  const loadDashboards = useCallback(async () => {
+    try {
+      setError(null);
+      const result = await listDashboards();
+      setDashboards(result.dashboards);
+    } catch (err) {
+      console.error('❌ Error loading dashboards:', err);
+      setError(getErrorMessage(err));
+    }
+  }, []);
+
+  // Load the list on mount
+  useEffect(() => {
+    loadDashboards();
+  }, [loadDashboards]);
+
+  /**
+   * Re-run a dashboard's charts with filter values
+   *
+   * @param {string} dashboardId - Dashboard ID
+   * @param {Object} values - Values by parameter name
+   */
+  const runFilters = useCallback(async (dashboardId, values) => {
+    try {
+      setIsFiltering(true);
+      const result = await queryDashboard(dashboardId, values);
+      setTileResults(toTileResults(result.tiles));
+    } finally {
+      setIsFiltering(false);
+    }
+  }, []);
+
+  /**
+   * Open a dashboard with its tiles
+   * Saved filter values are applied straight away
+   *
+   * @param {string} dashboardId - Dashboard ID
+   */
+  const openDashboard = useCallback(async (dashboardId) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      setTileResults({});
+      const dashboard = await getDashboard(dashboardId);
+      setActiveDashboard(dashboard);
+
+      if (Object.keys(dashboard.filterValues || {}).length > 0) {
+        await runFilters(dashboardId, dashboard.filterValues);
+      }
+    } catch (err) {
+      console.error('❌ Error loading dashboard:', err);
+      setError(getErrorMessage(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [runFilters]);
+
+  /**
+   * Create a dashboard and open it
+   *
+   * @param {string} name - Dashboard name
+   * @returns {Promise<Object>} Created dashboard
+   */
+  const addDashboard = useCallback(async (name) => {
+    const dashboard = await createDashboard({ name });
+    setDashboards((prev) => [dashboard, ...prev]);
+    setTileResults({});
+    setActiveDashboard(dashboard);
+    return dashboard;
+  }, []);
+
+  /**
+   * Rename a dashboard
+   *
+   * @param {string} dashboardId - Dashboard ID
+   * @param {string} name - New name
+   */
+  const renameDashboard = useCallback(async (dashboardId, name) => {
+    const updated = await updateDashboard(dashboardId, { name });
+    setDashboards((prev) => prev.map((d) => (d.id === dashboardId ? { ...d, name: updated.name } : d)));
+    setActiveDashboard((prev) => (prev?.id === dashboardId ? { ...prev, name: updated.name } : prev));
+  }, []);
+
+  /**
+   * Delete a dashboard (its charts stay in My Charts)
+   *
+   * @param {string} dashboardId - Dashboard ID
+   */
+  const removeDashboard = useCallback(async (dashboardId) => {
+    await deleteDashboard(dashboardId);
+    setDashboards((prev) => prev.filter((d) => d.id !== dashboardId));
+    setActiveDashboard((prev) => (prev?.id === dashboardId ? null : prev));
+  }, []);
+
+  /**
+   * Place a saved chart on a dashboard
+   *
+   * @param {string} dashboardId - Dashboard ID
+   * @param {string} widgetId - Saved widget ID
+   * @returns {Promise<Object>} Created tile
+   */
+  const addChart = useCallback(async (dashboardId, widgetId) => {
+    const tile = await addDashboardTile(dashboardId, { widgetId });
+    setActiveDashboard((prev) => (
+      prev?.id === dashboardId ? { ...prev, tiles: [...prev.tiles, tile] } : prev
+    ));
+    return tile;
+  }, []);
+
+  /**
+   * Save filter values on the open dashboard and re-run its charts
+   * Empty values switch that filter off
+   *
+   * @param {Object} values - Values by parameter name
+   */
+  const applyFilters = useCallback(async (values) => {
+    if (!activeDashboard) return;
+
+    const updated = await updateDashboard(activeDashboard.id, { filterValues: values });
+    setActiveDashboard((prev) => ({ ...prev, filterValues: updated.filterValues }));
+
+    if (Object.keys(updated.filterValues).length > 0) {
+      await runFilters(activeDashboard.id, updated.filterValues);
+    } else {
+      setTileResults({});
+    }
+  }, [activeDashboard, runFilters]);
+
+  /**
+   * Save the grid layout after tiles were moved or resized
+   *
+   * The new placement is applied locally first so the grid does not jump
+   * back while the request is in flight.
+   *
+   * @param {Array} layout - react-grid-layout items
+   */
+  const saveLayout = useCallback(async (layout) => {
+    if (!activeDashboard) return;
+
+    const placements = layout.map(toPlacement);
+    const byId = new Map(placements.map((p) => [p.id, p]));
+    setActiveDashboard((prev) => ({
+      ...prev,
+      tiles: prev.tiles.map((tile) => ({ ...tile, ...byId.get(tile.id) })),
+    }));
+
+    const saved = await saveDashboardLayout(activeDashboard.id, placements);
+    setActiveDashboard(saved);
+  }, [activeDashboard]);
+
+  /**
+   * Change a tile's title
+   *
+   * @param {string} tileId - Tile ID
+   * @param {string} title - New title (empty falls back to the chart name)
+   */
+  const renameTile = useCallback(async (tileId, title) => {
+    if (!activeDashboard) return;
+
+    const updated = await updateDashboardTile(activeDashboard.id, tileId, { title: title || null });
+    setActiveDashboard((prev) => ({
+      ...prev,
+      tiles: prev.tiles.map((tile) => (tile.id === tileId ? { ...tile, title: updated.title } : tile)),
+    }));
+  }, [activeDashboard]);
+
+  /**
+   * Remove a tile from the dashboard being viewed
+   *
+   * @param {string} tileId - Tile ID
+   */
+  const removeTile = useCallback(async (tileId) => {
+    if (!activeDashboard) return;
+
+    await removeDashboardTile(activeDashboard.id, tileId);
+    setActiveDashboard((prev) => ({
+      ...prev,
+      tiles: prev.tiles.filter((tile) => tile.id !== tileId),
+    }));
+  }, [activeDashboard]);
+
+  /**
+   * Re-run a tile's chart against live data
+   * The dashboard is reloaded so every tile showing the same chart is
+   * updated with its tile spec; while filters are applied the filtered
+   * results are re-run too
+   *
+   * @param {string} widgetId - Widget ID
+   */
+  const refreshTile = useCallback(async (widgetId) => {
+    if (!activeDashboard) return;
+
+    await refreshWidget(widgetId);
+    setActiveDashboard(await getDashboard(activeDashboard.id));
+
+    const filterValues = activeDashboard?.filterValues || {};
+    if (Object.keys(filterValues).length > 0) {
+      await runFilters(activeDashboard.id, filterValues);
+    }
+  }, [activeDashboard, runFilters]);
+
+  return {
+    // State
+    dashboards,
+    activeDashboard,
+    tileResults,
+    isLoading,
+    isFiltering,
+    error,
+
+    // Methods
+    loadDashboards,
+    openDashboard,
+    addDashboard,
+    renameDashboard,
+    removeDashboard,
+    addChart,
+    applyFilters,
+    saveLayout,
+    renameTile,
+    removeTile,
+    refreshTile,
+  };
+};
+
+export default useDashboards;
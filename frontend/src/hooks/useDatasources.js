@@ -0,0 +1,89 @@
+/**
+ * useDatasources Hook
+ *
+ * Loads the datasources charts can be generated from and tracks which
+ * one new prompts query. Starts on the backend's default datasource.
+ * Uploaded files become datasources too and are selected once loaded.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { listDatasources, uploadDataset as uploadDatasetFile } from '../services/api';
+import { getErrorMessage } from '../utils';
+
+/**
+ * Hook to list and select datasources
+ *
+ * @returns {Object} Datasource state and actions
+ */
+const useDatasources = () => {
+  // [{ id, name, dialect, database, isDefault }]
+  const [datasources, setDatasources] = useState([]);
+
+  // Datasource new prompts run against (null until loaded = backend default)
+  const [selectedId, setSelectedId] = useState(null);
+
+  const [error, setError] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listDatasources()
+      .then((result) => {
+        if (cancelled) return;
+        setDatasources(result.datasources);
+        setSelectedId((prev) => prev || result.defaultDatasourceId);
+      })
+      .catch((err) => {
+        console.error('❌ Error loading datasources:', err);
+        if (!cancelled) setError(getErrorMessage(err));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  /**
+   * Choose the datasource for new prompts
+   *
+   * @param {string} datasourceId - Datasource ID
+   */
+  const selectDatasource = useCallback((datasourceId) => {
+    setSelectedId(datasourceId);
+  }, []);
+
+  /**
+   * Upload a file as a new datasource and select it
+   *
+   * @param {File} file - CSV, TSV or JSON file
+   * @returns {Promise<Object>} Uploaded dataset
+   */
+  const uploadDataset = useCallback(async (file) => {
+    try {
+      setIsUploading(true);
+      const dataset = await uploadDatasetFile(file);
+      const result = await listDatasources();
+      setDatasources(result.datasources);
+      setSelectedId(dataset.id);
+      return dataset;
+    } finally {
+      setIsUploading(false);
+    }
+  }, []);
+
+  return {
+    // State
+    datasources,
+    selectedId,
+    selectedDatasource: datasources.find((d) => d.id === selectedId) || null,
+    error,
+    isUploading,
+
+    // Methods
+    selectDatasource,
+    uploadDataset,
+  };
+};
+
+export default useDatasources;
@@ -0,0 +1,128 @@
+/**
+ * useDrilldown Hook
+ *
+ * Loads the rows behind one group of a chart (the bar, slice or point that
+ * was clicked) one page at a time. Saved charts drill through their widget;
+ * generated charts send their SQL along.
+ */
+
+import { useState, useCallback } from 'react';
+import { drillDownChart, drillDownWidget } from '../services/api';
+import { DRILLDOWN_PAGE_SIZE } from '../constants';
+import { getErrorMessage } from '../utils';
+
+/**
+ * Convert a clicked value back to the value in the chart's rows
+ * Vega turns temporal fields into Date objects; the query needs the
+ * original value
+ *
+ * @param {*} value - Value from the clicked mark
+ * @param {Array} rows - Chart rows
+ * @param {string} field - Grouping field
+ * @returns {*} Value to filter the detail rows by
+ */
+const toDrillValue = (value, rows, field) => {
+  if (!(value instanceof Date)) return value;
+
+  const match = rows.find((row) => new Date(row[field]).getTime() === value.getTime());
+  return match ? match[field] : value.toISOString();
+};
+
+/**
+ * Hook to drill into chart groups
+ *
+ * @returns {Object} Drill-down state and actions
+ */
+const useDrilldown = () => {
+  // What is being drilled into: { source, field, value, filters }
+  const [target, setTarget] = useState(null);
+
+  // Current page of detail rows
+  const [result, setResult] = useState(null);
+
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load one page of detail rows
+   *
+   * @param {Object} drill - Drill-down target
+   * @param {number} page - Page number
+   */
+  const loadPage = useCallback(async (drill, page) => {
+    const request = {
+      value: drill.value,
+      field: drill.field,
+      filters: drill.filters,
+      page,
+      pageSize: DRILLDOWN_PAGE_SIZE,
+    };
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      setResult(drill.source.widgetId
+        ? await drillDownWidget(drill.source.widgetId, request)
+        : await drillDownChart(drill.source, request));
+    } catch (err) {
+      console.error('❌ Error loading detail rows:', err);
+      setError(getErrorMessage(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  /**
+   * Drill into a group of a chart
+   *
+   * @param {Object} source - { widgetId } for a saved chart, or { sql, analysis, parameters, data }
+   * @param {Object} group - { field, value, filters? }
+   */
+  const openDrilldown = useCallback((source, { field, value, filters }) => {
+    const drill = {
+      source,
+      field,
+      value: toDrillValue(value, source.data || [], field),
+      filters,
+    };
+
+    setTarget(drill);
+    setResult(null);
+    loadPage(drill, 1);
+  }, [loadPage]);
+
+  /**
+   * Show another page of the current drill-down
+   *
+   * @param {number} page - Page number
+   */
+  const goToPage = useCallback((page) => {
+    if (target) {
+      loadPage(target, page);
+    }
+  }, [target, loadPage]);
+
+  /**
+   * Close the drill-down
+   */
+  const closeDrilldown = useCallback(() => {
+    setTarget(null);
+    setResult(null);
+    setError(null);
+  }, []);
+
+  return {
+    // State
+    target,
+    result,
+    isLoading,
+    error,
+
+    // Methods
+    openDrilldown,
+    goToPage,
+    closeDrilldown,
+  };
+};
+
+export default useDrilldown;
@@ -0,0 +1,115 @@
+/**
+ * useGlossary Hook
+ *
+ * Manages the business glossary of the selected datasource: its tables and
+ * columns, and the annotations (descriptions, synonyms, hidden flags) of
+ * tables, columns and column values. Every change is saved by the backend
+ * as a new version of the annotation.
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import {
+  getSchema,
+  listAnnotations,
+  createAnnotation,
+  updateAnnotation,
+  deleteAnnotation,
+  listAnnotationVersions,
+} from '../services/api';
+import { getErrorMessage } from '../utils';
+
+/**
+ * Hook to manage the business glossary of a datasource
+ *
+ * @param {string|null} datasourceId - Selected datasource (null = backend default)
+ * @param {boolean} isActive - Whether the glossary is shown (loads on first show)
+ * @returns {Object} Glossary state and actions
+ */
+const useGlossary = (datasourceId, isActive) => {
+  // Tables of the scanned schema (without annotations applied)
+  const [tables, setTables] = useState([]);
+  const [annotations, setAnnotations] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isActive) return undefined;
+
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    Promise.all([getSchema(datasourceId), listAnnotations(datasourceId)])
+      .then(([schema, result]) => {
+        if (cancelled) return;
+        setTables(schema.tables);
+        setAnnotations(result);
+      })
+      .catch((err) => {
+        console.error('❌ Error loading glossary:', err);
+        if (cancelled) return;
+        setTables([]);
+        setAnnotations([]);
+        setError(getErrorMessage(err));
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [datasourceId, isActive]);
+
+  /**
+   * Save the annotation of a table, column or value
+   * Creates the annotation the first time, then updates it
+   *
+   * @param {Object} target - { tableName, columnName?, value? }
+   * @param {Object} fields - { description, synonyms, hidden }
+   * @returns {Promise<Object>} Saved annotation
+   */
+  const saveAnnotation = useCallback(async (target, fields) => {
+    const existing = annotations.find((a) =>
+      a.tableName === target.tableName &&
+      (a.columnName ?? null) === (target.columnName ?? null) &&
+      (a.value ?? null) === (target.value ?? null)
+    );
+
+    if (existing) {
+      const updated = await updateAnnotation(existing.id, fields);
+      setAnnotations((prev) => prev.map((a) => (a.id === existing.id ? updated : a)));
+      return updated;
+    }
+
+    const created = await createAnnotation({
+      datasourceId: datasourceId || undefined,
+      ...target,
+      ...fields,
+    });
+    setAnnotations((prev) => [...prev, created]);
+    return created;
+  }, [annotations, datasourceId]);
+
+  /**
+   * Delete an annotation
+   *
+   * @param {string} annotationId - Annotation ID
+   */
+  const removeAnnotation = useCallback(async (annotationId) => {
+    await deleteAnnotation(annotationId);
+    setAnnotations((prev) => prev.filter((a) => a.id !== annotationId));
+  }, []);
+
+  return {
+    tables,
+    annotations,
+    isLoading,
+    error,
+    saveAnnotation,
+    removeAnnotation,
+    loadVersions: listAnnotationVersions,
+  };
+};
+
+export default useGlossary;
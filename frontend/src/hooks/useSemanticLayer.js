@@ -0,0 +1,59 @@
+/**
+ * useSemanticLayer Hook
+ *
+ * Loads the named metrics and dimensions (the metric glossary) of the
+ * selected datasource, again whenever the datasource changes.
+ */
+
+import { useState, useEffect } from 'react';
+import { getSemanticLayer } from '../services/api';
+import { getErrorMessage } from '../utils';
+
+/**
+ * Hook to load the metric glossary of a datasource
+ *
+ * @param {string|null} datasourceId - Selected datasource (null = backend default)
+ * @returns {Object} { metrics, dimensions, isLoading, error }
+ */
+const useSemanticLayer = (datasourceId) => {
+  const [metrics, setMetrics] = useState([]);
+  const [dimensions, setDimensions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+
+    getSemanticLayer(datasourceId)
+      .then((result) => {
+        if (cancelled) return;
+        setMetrics(result.metrics);
+        setDimensions(result.dimensions);
+      })
+      .catch((err) => {
+        console.error('❌ Error loading metrics:', err);
+        if (cancelled) return;
+        setMetrics([]);
+        setDimensions([]);
+        setError(getErrorMessage(err));
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [datasourceId]);
+
+  return {
+    metrics,
+    dimensions,
+    isLoading,
+    error,
+  };
+};
+
+export default useSemanticLayer;
@@ -0,0 +1,188 @@
+/**
+ * useWidgetLibrary Hook
+ *
+ * Manages the "My Charts" library: saved widgets, pagination and the
+ * save/rename/duplicate/delete actions. Charts are only saved when the
+ * user asks for it.
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import {
+  listWidgets,
+  getWidget,
+  saveWidget,
+  updateWidget,
+  duplicateWidget,
+  deleteWidget,
+  refreshWidget,
+} from '../services/api';
+import { getErrorMessage } from '../utils';
+
+// Widgets shown per page in the library
+const PAGE_SIZE = 8;
+
+/**
+ * Convert a widget to the chart format used by ChartDisplay
+ *
+ * @param {Object} widget - Widget detail from the backend
+ * @returns {Object} Chart data
+ */
+const toChartData = (widget) => ({
+  prompt: widget.prompt,
+  sql: widget.sqlQuery,
+  datasourceId: widget.datasourceId,
+  vegaSpec: widget.vegaSpec,
+  analysis: widget.analysis || {},
+  parameters: widget.parameters || [],
+  data: widget.vegaSpec?.data?.values || [],
+  dataCount: widget.dataCount,
+  truncated: widget.truncated,
+  totalRowCount: widget.totalRowCount,
+  widgetId: widget.id,
+  widgetName: widget.name,
+  lastRefreshedAt: widget.lastRefreshedAt,
+});
+
+/**
+ * Hook to manage saved widgets
+ *
+ * @returns {Object} Library state and actions
+ */
+const useWidgetLibrary = () => {
+  // Widget summaries for the current page
+  const [widgets, setWidgets] = useState([]);
+
+  // { page, limit, total, totalPages } from the backend
+  const [pagination, setPagination] = useState({ page: 1, limit: PAGE_SIZE, total: 0, totalPages: 0 });
+
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  /**
+   * Load one page of widgets
+   *
+   * @param {number} page - Page number (1-based)
+   */
+  const loadPage = useCallback(async (page = 1) => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const result = await listWidgets({ page, limit: PAGE_SIZE });
+      setWidgets(result.widgets);
+      setPagination(result.pagination);
+    } catch (err) {
+      console.error('❌ Error loading widgets:', err);
+      setError(getErrorMessage(err));
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  // Load the first page on mount
+  useEffect(() => {
+    loadPage(1);
+  }, [loadPage]);
+
+  /**
+   * Save a generated chart
+   *
+   * @param {Object} chartData - Chart returned by the generate endpoint
+   * @returns {Promise<Object>} Saved widget
+   */
+  const saveChart = useCallback(async (chartData) => {
+    const widget = await saveWidget({
+      name: chartData.prompt.slice(0, 255),
+      prompt: chartData.prompt,
+      sqlQuery: chartData.sql,
+      datasourceId: chartData.datasourceId,
+      vegaSpec: chartData.vegaSpec,
+      analysis: chartData.analysis,
+      parameters: chartData.parameters,
+      truncated: chartData.truncated,
+      totalRowCount: chartData.totalRowCount,
+    });
+
+    // Newest widgets are listed first
+    await loadPage(1);
+    return widget;
+  }, [loadPage]);
+
+  /**
+   * Load a widget and convert it to the chart format used by ChartDisplay
+   *
+   * @param {string} widgetId - Widget ID
+   * @returns {Promise<Object>} Chart data
+   */
+  const openWidget = useCallback(async (widgetId) => {
+    const widget = await getWidget(widgetId);
+    return toChartData(widget);
+  }, []);
+
+  /**
+   * Re-run a widget's SQL and return the chart with fresh data
+   *
+   * @param {string} widgetId - Widget ID
+   * @returns {Promise<Object>} Chart data
+   */
+  const refreshChart = useCallback(async (widgetId) => {
+    const result = await refreshWidget(widgetId);
+    setWidgets((prev) => prev.map((w) => (
+      w.id === widgetId ? { ...w, lastRefreshedAt: result.widget.lastRefreshedAt } : w
+    )));
+    return { ...toChartData(result.widget), summary: result.summary };
+  }, []);
+
+  /**
+   * Rename a widget
+   *
+   * @param {string} widgetId - Widget ID
+   * @param {string} name - New name
+   */
+  const renameWidget = useCallback(async (widgetId, name) => {
+    const updated = await updateWidget(widgetId, { name });
+    setWidgets((prev) => prev.map((w) => (w.id === widgetId ? { ...w, name: updated.name } : w)));
+  }, []);
+
+  /**
+   * Duplicate a widget
+   *
+   * @param {string} widgetId - Widget ID
+   */
+  const copyWidget = useCallback(async (widgetId) => {
+    await duplicateWidget(widgetId);
+    await loadPage(pagination.page);
+  }, [loadPage, pagination.page]);
+
+  /**
+   * Delete a widget
+   *
+   * Steps back a page when the last widget on a page is removed.
+   *
+   * @param {string} widgetId - Widget ID
+   */
+  const removeWidget = useCallback(async (widgetId) => {
+    await deleteWidget(widgetId);
+    const page = widgets.length === 1 && pagination.page > 1 ? pagination.page - 1 : pagination.page;
+    await loadPage(page);
+  }, [loadPage, pagination.page, widgets.length]);
+
+  return {
+    // State
+    widgets,
+    pagination,
+    isLoading,
+    error,
+
+    // Methods
+    loadPage,
+    saveChart,
+    openWidget,
+    refreshChart,
+    renameWidget,
+    copyWidget,
+    removeWidget,
+  };
+};
+
+export default useWidgetLibrary;
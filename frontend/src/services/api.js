@@ -7,23 +7,29 @@
  */
 
 import axios from 'axios';
+import { API_BASE_URL, API_ENDPOINTS, STORAGE_KEYS } from '../constants';
 
 // Create an Axios instance with default configuration
 // This instance will be used for all API calls
 const apiClient = axios.create({
-  baseURL: '/api',  // Base URL for all requests (proxied to backend by Vite)
+  baseURL: API_BASE_URL,  // Base URL for all requests (proxied to backend by Vite)
   timeout: 30000,   // Request timeout: 30 seconds
   headers: {
     'Content-Type': 'application/json',  // Default content type
   },
 });
 
+// Called when the backend rejects the stored sign-in token (see onUnauthorized)
+let unauthorizedHandler = null;
+
 // Request interceptor - runs before every request
-// Useful for adding auth tokens, logging, etc.
+// Adds the sign-in token and logs the request
 apiClient.interceptors.request.use(
   (config) => {
-    // You can add auth tokens here if needed
-    // config.headers.Authorization = `Bearer ${token}`;
+    const token = getAuthToken();
+    if (token) {
+      config.headers.Authorization = `Bearer ${token}`;
+    }
     
     console.log('🚀 API Request:', config.method.toUpperCase(), config.url);
     return config;
@@ -46,6 +52,12 @@ apiClient.interceptors.response.use(
     if (error.response) {
       // Server responded with error status
       console.error('❌ Response Error:', error.response.status, error.response.data);
+
+      // Signed out or the token expired: drop it and ask to sign in again
+      if (error.response.status === 401 && getAuthToken()) {
+        setAuthToken(null);
+        unauthorizedHandler?.();
+      }
     } else if (error.request) {
       // Request made but no response received
       console.error('❌ No Response:', error.request);
@@ -57,20 +69,133 @@ apiClient.interceptors.response.use(
   }
 );
 
+/**
+ * Get the stored sign-in token
+ * 
+ * @returns {string|null} Token, or null when signed out
+ */
+export const getAuthToken = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEYS.AUTH_TOKEN);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Store the sign-in token sent with every request
+ * 
+ * @param {string|null} token - Token, or null to sign out
+ */
+export const setAuthToken = (token) => {
+  try {
+    if (token) {
+      localStorage.setItem(STORAGE_KEYS.AUTH_TOKEN, token);
+    } else {
+      localStorage.removeItem(STORAGE_KEYS.AUTH_TOKEN);
+    }
+  } catch (error) {
+    console.error('Error storing sign-in token:', error);
+  }
+};
+
+/**
+ * Register what happens when the backend rejects the sign-in token
+ * 
+ * @param {Function|null} handler - Called after the token is dropped
+ */
+export const onUnauthorized = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+/**
+ * Sign in with an email and password
+ * 
+ * @param {string} email - Email address
+ * @param {string} password - Password
+ * @returns {Promise<Object>} { account, token, expiresAt }
+ */
+export const login = async (email, password) => {
+  try {
+    const response = await apiClient.post(`${API_ENDPOINTS.AUTH}/login`, { email, password });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to sign in'
+    );
+  }
+};
+
+/**
+ * Register an account (and sign in with it)
+ * 
+ * @param {Object} account - { email, password, name? }
+ * @returns {Promise<Object>} { account, token, expiresAt }
+ */
+export const register = async (account) => {
+  try {
+    const response = await apiClient.post(`${API_ENDPOINTS.AUTH}/register`, account);
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.errors?.[0] ||
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to register'
+    );
+  }
+};
+
+/**
+ * Get the signed-in account
+ * 
+ * @returns {Promise<Object>} Account { id, email, name, role, team }
+ */
+export const getCurrentAccount = async () => {
+  try {
+    const response = await apiClient.get(`${API_ENDPOINTS.AUTH}/me`);
+    return response.data.account;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load your account'
+    );
+  }
+};
+
 /**
  * Generate chart from natural language prompt
  * 
  * @param {string} prompt - Natural language query (e.g., "Show sales by category")
+ * @param {Object} context - Conversation context for follow-up prompts
+ * @param {string} context.conversationId - Conversation to continue
+ * @param {string} context.parentTurnId - Turn (previous chart) to refine
  * @returns {Promise<Object>} Response containing chart data and Vega-Lite spec
  * 
  * Example usage:
  * const result = await generateChart("Show total sales by region");
- * console.log(result.vegaSpec); // Vega-Lite specification
- * console.log(result.data);     // Raw data from database
+ * console.log(result.vegaSpec);     // Vega-Lite specification
+ * console.log(result.data);         // Raw data from database
+ * console.log(result.conversation); // { id, turnId, parentTurnId }
+ * 
+ * const followUp = await generateChart("Now only for Europe", {
+ *   conversationId: result.conversation.id,
+ *   parentTurnId: result.conversation.turnId,
+ * });
+ * 
+ * Pass context.datasourceId to query another datasource than the default.
  */
-export const generateChart = async (prompt) => {
+export const generateChart = async (prompt, context = {}) => {
   try {
-    const response = await apiClient.post('/chart-data', { prompt });
+    const response = await apiClient.post(API_ENDPOINTS.GENERATE_CHART, {
+      prompt,
+      datasourceId: context.datasourceId,
+      conversationId: context.conversationId,
+      parentTurnId: context.parentTurnId,
+    });
     return response.data;
   } catch (error) {
     throw new Error(
@@ -96,7 +221,7 @@ export const generateChart = async (prompt) => {
  */
 export const getPromptExamples = async () => {
   try {
-    const response = await apiClient.get('/ai-chart/examples');
+    const response = await apiClient.get(API_ENDPOINTS.GET_EXAMPLES);
     return response.data;
   } catch (error) {
     throw new Error(
@@ -107,6 +232,594 @@ export const getPromptExamples = async () => {
   }
 };
 
+/**
+ * List the datasources charts can be generated from
+ * 
+ * @returns {Promise<Object>} { datasources: [{ id, name, dialect, database, isDefault }], defaultDatasourceId }
+ */
+export const listDatasources = async () => {
+  try {
+    const response = await apiClient.get(API_ENDPOINTS.DATASOURCES);
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load datasources'
+    );
+  }
+};
+
+/**
+ * Get the named metrics and dimensions of a datasource
+ * 
+ * @param {string} [datasourceId] - Datasource (the default datasource if omitted)
+ * @returns {Promise<Object>} { datasourceId, metrics, dimensions }
+ *   Entries: { name, label, description, table, expression, grains, format, synonyms }
+ */
+export const getSemanticLayer = async (datasourceId) => {
+  try {
+    const response = await apiClient.get(API_ENDPOINTS.SEMANTIC_LAYER, {
+      params: { datasourceId: datasourceId || undefined },
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load metrics'
+    );
+  }
+};
+
+/**
+ * Get the scanned schema of a datasource
+ * 
+ * @param {string|null} datasourceId - Datasource (null = backend default)
+ * @returns {Promise<Object>} Schema { datasourceId, tables: [{ name, description, columns }] }
+ */
+export const getSchema = async (datasourceId) => {
+  try {
+    const response = await apiClient.get(API_ENDPOINTS.SCHEMA, {
+      params: { datasourceId: datasourceId || undefined },
+    });
+    return response.data.schema;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load schema'
+    );
+  }
+};
+
+/**
+ * List the business glossary annotations of a datasource
+ * 
+ * @param {string|null} datasourceId - Datasource (null = backend default)
+ * @returns {Promise<Array>} Annotations { id, tableName, columnName, value, description, synonyms, hidden, version }
+ */
+export const listAnnotations = async (datasourceId) => {
+  try {
+    const response = await apiClient.get(API_ENDPOINTS.ANNOTATIONS, {
+      params: { datasourceId: datasourceId || undefined },
+    });
+    return response.data.annotations;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load glossary'
+    );
+  }
+};
+
+/**
+ * Annotate a table, column or column value
+ * 
+ * @param {Object} annotation - { datasourceId?, tableName, columnName?, value?, description?, synonyms?, hidden? }
+ * @returns {Promise<Object>} Created annotation
+ */
+export const createAnnotation = async (annotation) => {
+  try {
+    const response = await apiClient.post(API_ENDPOINTS.ANNOTATIONS, annotation);
+    return response.data.annotation;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to save annotation'
+    );
+  }
+};
+
+/**
+ * Change an annotation's description, synonyms or hidden flag
+ * 
+ * @param {string} annotationId - Annotation ID
+ * @param {Object} changes - { description?, synonyms?, hidden? }
+ * @returns {Promise<Object>} Updated annotation (with its new version)
+ */
+export const updateAnnotation = async (annotationId, changes) => {
+  try {
+    const response = await apiClient.patch(`${API_ENDPOINTS.ANNOTATIONS}/${annotationId}`, changes);
+    return response.data.annotation;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to update annotation'
+    );
+  }
+};
+
+/**
+ * Delete an annotation
+ * 
+ * @param {string} annotationId - Annotation ID
+ * @returns {Promise<void>}
+ */
+export const deleteAnnotation = async (annotationId) => {
+  try {
+    await apiClient.delete(`${API_ENDPOINTS.ANNOTATIONS}/${annotationId}`);
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to delete annotation'
+    );
+  }
+};
+
+/**
+ * List the versions of an annotation, newest first
+ * 
+ * @param {string} annotationId - Annotation ID
+ * @returns {Promise<Array>} Versions { version, action, snapshot, createdAt }
+ */
+export const listAnnotationVersions = async (annotationId) => {
+  try {
+    const response = await apiClient.get(`${API_ENDPOINTS.ANNOTATIONS}/${annotationId}/versions`);
+    return response.data.versions;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load annotation history'
+    );
+  }
+};
+
+/**
+ * Upload a CSV, TSV or JSON file to generate charts from
+ * The file is sent as the raw request body; its name gives the format
+ * 
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<Object>} Dataset { id, name, table, rowCount, columns } (id is its datasource id)
+ */
+export const uploadDataset = async (file) => {
+  try {
+    const response = await apiClient.post(API_ENDPOINTS.DATASETS, file, {
+      params: { fileName: file.name },
+      headers: { 'Content-Type': 'application/octet-stream' },
+      timeout: 120000,  // Large files take a while to load
+    });
+    return response.data.dataset;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to upload file'
+    );
+  }
+};
+
+/**
+ * Get a conversation with its threaded turns
+ * 
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} Conversation with turns (each has a parentTurnId)
+ */
+export const getConversation = async (conversationId) => {
+  try {
+    const response = await apiClient.get(`${API_ENDPOINTS.CONVERSATIONS}/${conversationId}`);
+    return response.data.conversation;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to fetch conversation'
+    );
+  }
+};
+
+/**
+ * List saved widgets ("My Charts")
+ * 
+ * @param {Object} params - Pagination
+ * @param {number} params.page - Page number (1-based)
+ * @param {number} params.limit - Page size
+ * @returns {Promise<Object>} { widgets, pagination: { page, limit, total, totalPages } }
+ */
+export const listWidgets = async ({ page = 1, limit = 10 } = {}) => {
+  try {
+    const response = await apiClient.get(API_ENDPOINTS.WIDGETS, { params: { page, limit } });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load saved charts'
+    );
+  }
+};
+
+/**
+ * List the rows behind one group of a generated chart
+ * 
+ * @param {Object} chart - { sql, datasourceId, analysis, parameters } of the generated chart
+ * @param {Object} request - { value, field?, filters?, page?, pageSize? }
+ * @returns {Promise<Object>} { sql, table, field, value, columns, rows, page, pageSize, totalRowCount, hasMore }
+ */
+export const drillDownChart = async ({ sql, datasourceId, analysis, parameters }, request) => {
+  try {
+    const response = await apiClient.post(API_ENDPOINTS.CHART_DRILLDOWN, {
+      sql,
+      datasourceId,
+      analysis,
+      parameters,
+      ...request,
+    });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.errors?.[0] ||
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load detail rows'
+    );
+  }
+};
+
+/**
+ * List the rows behind one group of a saved widget's chart
+ * 
+ * @param {string} widgetId - Widget ID
+ * @param {Object} request - { value, field?, filters?, page?, pageSize? }
+ * @returns {Promise<Object>} Same shape as drillDownChart
+ */
+export const drillDownWidget = async (widgetId, request) => {
+  try {
+    const response = await apiClient.post(`${API_ENDPOINTS.WIDGETS}/${widgetId}/drilldown`, request);
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.errors?.[0] ||
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load detail rows'
+    );
+  }
+};
+
+/**
+ * Get a saved widget with its spec
+ * 
+ * @param {string} widgetId - Widget ID
+ * @returns {Promise<Object>} Widget { id, name, prompt, sqlQuery, vegaSpec, analysis, ... }
+ */
+export const getWidget = async (widgetId) => {
+  try {
+    const response = await apiClient.get(`${API_ENDPOINTS.WIDGETS}/${widgetId}`);
+    return response.data.widget;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load chart'
+    );
+  }
+};
+
+/**
+ * Save a generated chart as a widget
+ * 
+ * @param {Object} widget - Widget data
+ * @param {string} widget.name - Display name
+ * @param {string} widget.prompt - Prompt that produced the chart
+ * @param {string} widget.sqlQuery - SQL behind the chart
+ * @param {Object} widget.vegaSpec - Vega-Lite spec
+ * @param {Object} widget.analysis - AI analysis
+ * @returns {Promise<Object>} Saved widget
+ */
+export const saveWidget = async (widget) => {
+  try {
+    const response = await apiClient.post(API_ENDPOINTS.WIDGETS, widget);
+    return response.data.widget;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to save chart'
+    );
+  }
+};
+
+/**
+ * Rename a widget or replace its spec
+ * 
+ * @param {string} widgetId - Widget ID
+ * @param {Object} changes - { name?, vegaSpec? }
+ * @returns {Promise<Object>} Updated widget
+ */
+export const updateWidget = async (widgetId, changes) => {
+  try {
+    const response = await apiClient.patch(`${API_ENDPOINTS.WIDGETS}/${widgetId}`, changes);
+    return response.data.widget;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to update chart'
+    );
+  }
+};
+
+/**
+ * Duplicate a widget
+ * 
+ * @param {string} widgetId - Widget ID
+ * @param {string} [name] - Name for the copy
+ * @returns {Promise<Object>} The copy
+ */
+export const duplicateWidget = async (widgetId, name) => {
+  try {
+    const response = await apiClient.post(`${API_ENDPOINTS.WIDGETS}/${widgetId}/duplicate`, name ? { name } : {});
+    return response.data.widget;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to duplicate chart'
+    );
+  }
+};
+
+/**
+ * Re-run a widget's SQL against live data
+ * 
+ * @param {string} widgetId - Widget ID
+ * @returns {Promise<Object>} { widget, dataCount, truncated, totalRowCount, summary, executionTime }
+ */
+export const refreshWidget = async (widgetId) => {
+  try {
+    const response = await apiClient.post(`${API_ENDPOINTS.WIDGETS}/${widgetId}/refresh`, {});
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to refresh chart'
+    );
+  }
+};
+
+/**
+ * Delete a widget
+ * 
+ * @param {string} widgetId - Widget ID
+ * @returns {Promise<void>}
+ */
+export const deleteWidget = async (widgetId) => {
+  try {
+    await apiClient.delete(`${API_ENDPOINTS.WIDGETS}/${widgetId}`);
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to delete chart'
+    );
+  }
+};
+
+/**
+ * List dashboards
+ * 
+ * @param {Object} params - Pagination
+ * @param {number} params.page - Page number (1-based)
+ * @param {number} params.limit - Page size
+ * @returns {Promise<Object>} { dashboards, pagination: { page, limit, total, totalPages } }
+ */
+export const listDashboards = async ({ page = 1, limit = 50 } = {}) => {
+  try {
+    const response = await apiClient.get(API_ENDPOINTS.DASHBOARDS, { params: { page, limit } });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load dashboards'
+    );
+  }
+};
+
+/**
+ * Get a dashboard with its tiles and their widgets
+ * 
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {Promise<Object>} Dashboard { id, name, description, columns, tiles }
+ */
+export const getDashboard = async (dashboardId) => {
+  try {
+    const response = await apiClient.get(`${API_ENDPOINTS.DASHBOARDS}/${dashboardId}`);
+    return response.data.dashboard;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to load dashboard'
+    );
+  }
+};
+
+/**
+ * Create an empty dashboard
+ * 
+ * @param {Object} dashboard - { name, description? }
+ * @returns {Promise<Object>} Created dashboard
+ */
+export const createDashboard = async (dashboard) => {
+  try {
+    const response = await apiClient.post(API_ENDPOINTS.DASHBOARDS, dashboard);
+    return response.data.dashboard;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to create dashboard'
+    );
+  }
+};
+
+/**
+ * Rename a dashboard, change its description or save its filter values
+ * 
+ * @param {string} dashboardId - Dashboard ID
+ * @param {Object} changes - { name?, description?, filterValues? }
+ * @returns {Promise<Object>} Updated dashboard
+ */
+export const updateDashboard = async (dashboardId, changes) => {
+  try {
+    const response = await apiClient.patch(`${API_ENDPOINTS.DASHBOARDS}/${dashboardId}`, changes);
+    return response.data.dashboard;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to update dashboard'
+    );
+  }
+};
+
+/**
+ * Re-run every chart on a dashboard with filter values applied
+ * 
+ * @param {string} dashboardId - Dashboard ID
+ * @param {Object} filters - Values by parameter name
+ * @returns {Promise<Object>} { filters, tiles: [{ tileId, vegaSpec?, error? }] }
+ */
+export const queryDashboard = async (dashboardId, filters) => {
+  try {
+    const response = await apiClient.post(`${API_ENDPOINTS.DASHBOARDS}/${dashboardId}/query`, { filters });
+    return response.data;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.errors?.[0] ||
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to apply dashboard filters'
+    );
+  }
+};
+
+/**
+ * Delete a dashboard (its charts stay in "My Charts")
+ * 
+ * @param {string} dashboardId - Dashboard ID
+ * @returns {Promise<void>}
+ */
+export const deleteDashboard = async (dashboardId) => {
+  try {
+    await apiClient.delete(`${API_ENDPOINTS.DASHBOARDS}/${dashboardId}`);
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to delete dashboard'
+    );
+  }
+};
+
+/**
+ * Place a saved widget on a dashboard
+ * 
+ * @param {string} dashboardId - Dashboard ID
+ * @param {Object} tile - { widgetId, title?, x?, y?, width?, height? }
+ * @returns {Promise<Object>} Created tile
+ */
+export const addDashboardTile = async (dashboardId, tile) => {
+  try {
+    const response = await apiClient.post(`${API_ENDPOINTS.DASHBOARDS}/${dashboardId}/tiles`, tile);
+    return response.data.tile;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to add chart to dashboard'
+    );
+  }
+};
+
+/**
+ * Save tile positions and sizes
+ * 
+ * @param {string} dashboardId - Dashboard ID
+ * @param {Array} tiles - [{ id, x, y, width, height }]
+ * @returns {Promise<Object>} Dashboard with the saved layout
+ */
+export const saveDashboardLayout = async (dashboardId, tiles) => {
+  try {
+    const response = await apiClient.put(`${API_ENDPOINTS.DASHBOARDS}/${dashboardId}/layout`, { tiles });
+    return response.data.dashboard;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to save dashboard layout'
+    );
+  }
+};
+
+/**
+ * Change a tile's title or placement
+ * 
+ * @param {string} dashboardId - Dashboard ID
+ * @param {string} tileId - Tile ID
+ * @param {Object} changes - { title?, x?, y?, width?, height? }
+ * @returns {Promise<Object>} Updated tile
+ */
+export const updateDashboardTile = async (dashboardId, tileId, changes) => {
+  try {
+    const response = await apiClient.patch(`${API_ENDPOINTS.DASHBOARDS}/${dashboardId}/tiles/${tileId}`, changes);
+    return response.data.tile;
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to update tile'
+    );
+  }
+};
+
+/**
+ * Remove a tile from a dashboard
+ * 
+ * @param {string} dashboardId - Dashboard ID
+ * @param {string} tileId - Tile ID
+ * @returns {Promise<void>}
+ */
+export const removeDashboardTile = async (dashboardId, tileId) => {
+  try {
+    await apiClient.delete(`${API_ENDPOINTS.DASHBOARDS}/${dashboardId}/tiles/${tileId}`);
+  } catch (error) {
+    throw new Error(
+      error.response?.data?.message || 
+      error.message || 
+      'Failed to remove chart from dashboard'
+    );
+  }
+};
+
 /**
  * Health check for backend API
  * 
@@ -114,7 +827,7 @@ export const getPromptExamples = async () => {
  */
 export const checkBackendHealth = async () => {
   try {
-    const response = await apiClient.get('/health');
+    const response = await apiClient.get(API_ENDPOINTS.HEALTH_CHECK);
     return response.data;
   } catch (error) {
     throw new Error('Backend is not responding');